@@ -0,0 +1,884 @@
+// OpenAPI docs ka hath se likha hissa — entity schemas aur har route ki summary/responses.
+// Params, body, auth, 400/401/403/429/500 openapi.js khud route ke middleware se bharta hai; yahan sirf jo code se nahi nikalta.
+// Response me string = us status ka error message (Error schema).
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const list = (items) => ({ type: "array", items });
+const string = { type: "string" };
+const integer = { type: "integer" };
+const number = { type: "number" };
+const boolean = { type: "boolean" };
+const dateTime = { type: "string", format: "date-time" };
+const nullable = (schema) => ({ ...schema, nullable: true });
+const object = (properties, extra = {}) => ({ type: "object", properties, ...extra });
+
+// { success, message, ...props } JSON response
+const ok = (description, props = {}) => ({
+  description,
+  content: { "application/json": { schema: object({ success: boolean, message: string, ...props }) } },
+});
+const data = (description, schema) => ok(description, { data: schema });
+const page = (key, items, extra = {}) => object({ [key]: list(items), pagination: ref("Pagination"), ...extra });
+const notificationJob = object({ id: string, status: string });
+
+export const TAGS = [
+  { name: "Health", description: "Liveness, readiness and metrics" },
+  { name: "Auth", description: "Signup, login, tokens, email verification and password reset" },
+  { name: "Security", description: "Two-factor authentication, sessions and personal API keys" },
+  { name: "Profile", description: "The logged-in player's own profile and wallet" },
+  { name: "Players", description: "Public player directory" },
+  { name: "Moderation", description: "Roles, suspensions and bans" },
+  { name: "Marketplace", description: "Items players sell for points" },
+  { name: "Trainers", description: "Trainer profiles and bookings" },
+  { name: "Teams", description: "Teams, join requests, invites and team chat" },
+  { name: "Trophies", description: "Tournaments with entry fees and prize distribution" },
+  { name: "Inventory", description: "Power-ups sold by the hub" },
+  { name: "Matches", description: "Scheduling, responding to and finalizing matches" },
+  { name: "Notifications", description: "In-app notifications" },
+  { name: "Stats", description: "Leaderboard and hub-wide counts" },
+  { name: "Operations", description: "Background jobs, cron runs and ledger audit" },
+  { name: "Docs", description: "This document" },
+];
+
+export const SCHEMAS = {
+  Error: object({
+    success: { type: "boolean", example: false },
+    message: string,
+    error: { type: "string", description: "Older routes send the message here instead of `message`" },
+  }),
+  ValidationError: object({
+    success: { type: "boolean", example: false },
+    message: { type: "string", example: "Validation failed" },
+    errors: list(object({
+      location: { type: "string", enum: ["params", "query", "body", "files"] },
+      field: { type: "string", example: "age" },
+      message: { type: "string", example: "must be at least 5" },
+    })),
+  }),
+  Pagination: object({ offset: integer, limit: integer, count: integer, total: integer }),
+  Notification: object({
+    id: string,
+    title: string,
+    message: string,
+    type: { type: "string", example: "team-update" },
+    date: dateTime,
+  }, { additionalProperties: true }),
+  Player: object({
+    name: string,
+    email: { type: "string", format: "email" },
+    age: integer,
+    mobileNumber: string,
+    location: string,
+    position: { type: "string", enum: ["Goalkeeper", "Defender", "Midfielder", "Forward"] },
+    foot: string,
+    imageUrl: string,
+    emailVerified: boolean,
+    points: integer,
+    auraPoints: integer,
+    overallRating: number,
+    ratingAvg: number,
+    ratingCount: integer,
+    matches: integer,
+    goals: integer,
+    assists: integer,
+    wins: integer,
+    losses: integer,
+    draws: integer,
+    yellowCards: integer,
+    redCards: integer,
+    captain: boolean,
+    achievements: list(string),
+    teams: list(string),
+    requests: list(string),
+    notifications: list(ref("Notification")),
+    matchHistory: list(object({ date: dateTime, result: { type: "string", enum: ["win", "lose", "draw"] }, overallPerformance: number })),
+    roles: list(string),
+    createdAt: dateTime,
+    updatedAt: dateTime,
+  }, { description: "Position skills (pace, shooting, ... or diving, handling, ... for goalkeepers) are included too", additionalProperties: true }),
+  Team: object({
+    id: string,
+    name: string,
+    location: string,
+    foundedYear: integer,
+    captain: { type: "string", description: "Captain's email" },
+    logoUrl: string,
+    matchesPlayed: integer,
+    wins: integer,
+    losses: integer,
+    draws: integer,
+    ratingAvg: number,
+    ratingCount: integer,
+    teamPlayers: list(string),
+    requests: list(string),
+    achievements: list(string),
+    createdAt: dateTime,
+    updatedAt: dateTime,
+  }),
+  TeamStat: object({ playerId: string, goals: integer, assists: integer, yellowCards: integer, redCards: integer }),
+  Match: object({
+    id: string,
+    trophyId: string,
+    myTeamId: string,
+    opponentTeamId: string,
+    myPlayers: list(string),
+    opponentPlayers: list(string),
+    location: object({ name: string }, { additionalProperties: true }),
+    startTime: dateTime,
+    endTime: dateTime,
+    status: { type: "string", enum: ["pending", "upcoming", "live", "completed", "final", "cancelled"] },
+    myTeamStats: list(ref("TeamStat")),
+    oppTeamStats: list(ref("TeamStat")),
+    result: object({ myGoals: integer, oppGoals: integer, winner: nullable(string), motm: nullable(string) }),
+    createdAt: dateTime,
+    updatedAt: dateTime,
+  }),
+  Trophy: object({
+    id: string,
+    title: string,
+    fee: integer,
+    distribution: object({ win: number, lose: number }, { description: "Percent of the prize pool per side" }),
+    bonuses: object({ goal: number, assist: number, motm: number }, { additionalProperties: { type: "number" } }),
+    icon: string,
+    createdAt: dateTime,
+  }),
+  InventoryItem: object({ id: string, name: string, price: number, effect: nullable(string), points: integer, createdAt: dateTime }),
+  SellItem: object({
+    id: string,
+    playerEmail: string,
+    title: string,
+    description: string,
+    price: number,
+    points: integer,
+    date: dateTime,
+    imageUrl: string,
+    contact: string,
+    name: string,
+    sold: integer,
+  }),
+  Trainer: object({
+    playerId: string,
+    name: string,
+    imageUrl: string,
+    mobileNumber: string,
+    location: string,
+    title: string,
+    description: string,
+    price: number,
+    points: integer,
+    ratingAvg: number,
+    ratingCount: integer,
+    status: string,
+    timeSlot: string,
+    createdAt: dateTime,
+  }),
+  ChatMessage: object({ id: string, teamId: string, sender: string, message: string, timestamp: dateTime }),
+  LedgerEntry: object({
+    id: string,
+    email: string,
+    seq: integer,
+    amount: { type: "integer", description: "Positive = credit, negative = debit" },
+    reason: { type: "string", enum: ["signup", "item", "trainer", "match_fee", "prize", "bonus", "refund"] },
+    counterparty: nullable(string),
+    related: object({}, { additionalProperties: true }),
+    balance: { type: "integer", description: "Balance after this entry" },
+    createdAt: dateTime,
+  }),
+  Session: object({ id: string, device: string, ip: string, createdAt: dateTime, lastSeenAt: dateTime, expiresAt: dateTime, current: boolean }),
+  ApiKey: object({
+    id: string,
+    email: string,
+    name: string,
+    prefix: { type: "string", example: "fh_1a2b3c4d" },
+    scopes: list({ type: "string", enum: ["read", "write"] }),
+    createdAt: dateTime,
+    lastUsedAt: nullable(dateTime),
+    revokedAt: nullable(dateTime),
+  }),
+  Job: object({
+    id: string,
+    type: { type: "string", example: "notification.broadcast" },
+    status: { type: "string", enum: ["queued", "running", "completed", "failed"] },
+    progress: object({ done: integer, total: nullable(integer), percent: integer }),
+    attempts: integer,
+    maxAttempts: integer,
+    result: nullable(object({}, { additionalProperties: true })),
+    lastError: nullable(string),
+    nextAttemptAt: nullable(dateTime),
+    createdBy: nullable(string),
+    createdAt: dateTime,
+    startedAt: nullable(dateTime),
+    finishedAt: nullable(dateTime),
+  }),
+  CronRun: object({
+    id: string,
+    job: string,
+    trigger: { type: "string", enum: ["schedule", "manual"] },
+    triggeredBy: nullable(string),
+    instance: string,
+    scheduledFor: nullable(dateTime),
+    startedAt: dateTime,
+    finishedAt: nullable(dateTime),
+    durationMs: nullable(integer),
+    outcome: { type: "string", enum: ["running", "success", "failure"] },
+    error: nullable(string),
+  }),
+  CronJobStatus: object({
+    name: string,
+    schedule: string,
+    status: string,
+    running: boolean,
+    lastStartedAt: nullable(dateTime),
+    lastFinishedAt: nullable(dateTime),
+    lastOutcome: nullable(string),
+    nextRunAt: nullable(dateTime),
+  }),
+  Suspension: object({ type: { type: "string", enum: ["suspend", "ban"] }, reason: string, until: nullable(dateTime) }, { additionalProperties: true }),
+  DatabaseStatus: object({ status: { type: "string", enum: ["up", "degraded", "down"] }, driver: string, latencyMs: integer, error: string }),
+};
+
+const roleChange = data("Roles after the change", object({ email: string, roles: list(string), permissions: list(string) }));
+const tokens = { token: string, refreshToken: string };
+
+export const ROUTE_DOCS = {
+  // ===== Health =====
+  "GET /healthz": {
+    tags: ["Health"],
+    summary: "Liveness check with database and cron status",
+    responses: { 200: ok("Process is up", { status: string, instance: string, uptimeSeconds: integer, database: ref("DatabaseStatus"), cron: list(ref("CronJobStatus")) }) },
+    noServerError: true,
+  },
+  "GET /metrics": {
+    tags: ["Health"],
+    summary: "Prometheus metrics",
+    security: [{ metricsToken: [] }, {}],
+    responses: {
+      200: { description: "Prometheus text exposition format", content: { "text/plain": { schema: string } } },
+      401: "Unauthorized",
+    },
+    noServerError: true,
+  },
+  "GET /readyz": {
+    tags: ["Health"],
+    summary: "Readiness check (503 while the database is down or the server is shutting down)",
+    responses: {
+      200: ok("Ready for traffic", { status: { type: "string", example: "ready" }, database: ref("DatabaseStatus"), cron: list(ref("CronJobStatus")) }),
+      503: ok("Not ready", { status: { type: "string", enum: ["shutting_down", "database_unavailable"] }, database: ref("DatabaseStatus") }),
+    },
+    noServerError: true,
+  },
+  "GET /openapi.json": {
+    tags: ["Docs"],
+    summary: "This OpenAPI document",
+    responses: { 200: { description: "OpenAPI 3 document", content: { "application/json": { schema: object({}, { additionalProperties: true }) } } } },
+  },
+  "GET /docs": {
+    tags: ["Docs"],
+    summary: "Interactive API docs (Swagger UI)",
+    responses: { 200: { description: "HTML page", content: { "text/html": { schema: string } } } },
+    noServerError: true,
+  },
+
+  // ===== Auth =====
+  "POST /signup": {
+    tags: ["Auth"],
+    summary: "Create an account (sends a verification email)",
+    responses: {
+      201: ok("Account created", { player: object({ name: string, email: string, position: string, imageUrl: string, emailVerified: boolean }) }),
+      400: "Email already registered",
+      503: "Database timeout, please try again later",
+    },
+  },
+  "POST /login": {
+    tags: ["Auth"],
+    summary: "Log in (sets auth cookies, or asks for a two-factor code)",
+    description: "Repeated failures lock the account for a while (429).",
+    responses: {
+      200: {
+        description: "Logged in, or `twoFactorRequired` with a `challengeToken` for `POST /login/2fa`",
+        content: {
+          "application/json": {
+            schema: {
+              oneOf: [
+                object({ message: string, ...tokens, data: ref("Player") }),
+                object({ message: string, twoFactorRequired: { type: "boolean", example: true }, challengeToken: string }),
+              ],
+            },
+          },
+        },
+      },
+      400: "Invalid email or password",
+      403: "Account suspended, banned or scheduled for deletion",
+      429: "Too many failed attempts",
+    },
+  },
+  "POST /login/2fa": {
+    tags: ["Auth"],
+    summary: "Finish a login with a TOTP or recovery code",
+    responses: {
+      200: { description: "Logged in", content: { "application/json": { schema: object({ message: string, ...tokens, data: ref("Player") }) } } },
+      400: "Invalid two-factor code",
+      401: "Login challenge expired or invalid",
+      429: "Too many failed attempts. Try again later.",
+    },
+  },
+  "POST /refresh": {
+    tags: ["Auth"],
+    summary: "Rotate the refresh token and issue a new access token",
+    description: "The refresh token comes from the `refreshToken` cookie or the body.",
+    responses: {
+      200: { description: "New tokens (cookies are set too)", content: { "application/json": { schema: object({ message: string, ...tokens }) } } },
+      401: "Refresh token missing or session expired",
+    },
+  },
+  "POST /logout": {
+    tags: ["Auth"],
+    summary: "Log out and revoke the current session",
+    responses: { 200: { description: "Logged out", content: { "application/json": { schema: object({ message: string }) } } } },
+  },
+  "POST /verify-email": {
+    tags: ["Auth"],
+    summary: "Verify an email address with the emailed token",
+    responses: { 200: ok("Email verified"), 400: "Verification link is invalid or has expired", 404: "Player not found" },
+  },
+  "POST /verify-email/resend": {
+    tags: ["Auth"],
+    summary: "Send the verification email again",
+    responses: { 200: ok("Verification email sent"), 400: "Email is already verified", 404: "Player not found" },
+  },
+  "POST /password-reset/request": {
+    tags: ["Auth"],
+    summary: "Email a password reset link (same answer whether or not the email exists)",
+    responses: { 200: ok("Reset link sent if the email is registered") },
+  },
+  "POST /password-reset/confirm": {
+    tags: ["Auth"],
+    summary: "Set a new password with a reset token (revokes all sessions)",
+    responses: { 200: ok("Password reset"), 400: "Reset link is invalid or has expired", 404: "Player not found" },
+  },
+
+  // ===== Security =====
+  "POST /2fa/setup": {
+    tags: ["Security"],
+    summary: "Start two-factor setup (returns the TOTP secret)",
+    responses: { 200: data("Secret to add to an authenticator app", object({ secret: string, otpauthUri: string })), 400: "Two-factor authentication is already enabled" },
+  },
+  "POST /2fa/confirm": {
+    tags: ["Security"],
+    summary: "Enable two-factor with a code from the app",
+    responses: { 200: data("Enabled; recovery codes are shown only once", object({ recoveryCodes: list(string) })), 400: "Start two-factor setup first, or invalid code" },
+  },
+  "POST /2fa/recovery-codes": {
+    tags: ["Security"],
+    summary: "Regenerate recovery codes",
+    responses: { 200: data("New recovery codes", object({ recoveryCodes: list(string) })), 400: "Invalid two-factor code" },
+  },
+  "POST /2fa/disable": {
+    tags: ["Security"],
+    summary: "Disable two-factor (password plus code or recovery code)",
+    responses: { 200: ok("Two-factor disabled"), 400: "Incorrect password or invalid two-factor code" },
+  },
+  "GET /api-keys": {
+    tags: ["Security"],
+    summary: "List your active API keys",
+    responses: { 200: data("API keys", list(ref("ApiKey"))) },
+  },
+  "POST /api-keys": {
+    tags: ["Security"],
+    summary: "Create an API key (the full key is returned only once)",
+    responses: {
+      201: data("API key created", { allOf: [ref("ApiKey"), object({ key: { type: "string", example: "fh_1a2b3c4d5e6f7a8b_..." } })] }),
+      400: "Too many active API keys",
+    },
+  },
+  "POST /del-api-keys/:id": {
+    tags: ["Security"],
+    summary: "Revoke an API key",
+    responses: { 200: ok("API key revoked"), 404: "API key not found" },
+  },
+  "GET /sessions": {
+    tags: ["Security"],
+    summary: "List your active sessions",
+    responses: { 200: data("Sessions", list(ref("Session"))) },
+  },
+  "POST /del-sessions": {
+    tags: ["Security"],
+    summary: "Revoke every session (log out everywhere)",
+    responses: { 200: ok("Sessions revoked", { revoked: integer }) },
+  },
+  "POST /del-sessions/:id": {
+    tags: ["Security"],
+    summary: "Revoke one session",
+    responses: { 200: ok("Session revoked"), 404: "Session not found" },
+  },
+
+  // ===== Profile =====
+  "GET /profile": {
+    tags: ["Profile"],
+    summary: "Your profile with roles and permissions",
+    responses: { 200: data("Profile", { allOf: [ref("Player"), object({ permissions: list(string) })] }) },
+  },
+  "GET /profile/export": {
+    tags: ["Profile"],
+    summary: "Download everything stored about you (JSON attachment)",
+    responses: {
+      200: {
+        description: "`footballhub-export/v1` bundle",
+        content: {
+          "application/json": {
+            schema: object({
+              format: string,
+              exportedAt: dateTime,
+              player: ref("Player"),
+              notifications: list(ref("Notification")),
+              sellItems: list(ref("SellItem")),
+              trainerProfile: nullable(ref("Trainer")),
+              teams: list(ref("Team")),
+              messages: list(ref("ChatMessage")),
+              matches: list(ref("Match")),
+              pointsLedger: list(ref("LedgerEntry")),
+              security: object({ sessions: list(object({}, { additionalProperties: true })), apiKeys: list(ref("ApiKey")) }),
+            }),
+          },
+        },
+      },
+      404: "Player not found",
+    },
+  },
+  "GET /wallet": {
+    tags: ["Profile"],
+    summary: "Points balance and ledger history",
+    responses: {
+      200: data("Wallet", object({
+        balance: integer,
+        totals: object({ credited: integer, debited: integer, net: integer, byReason: object({}, { additionalProperties: { type: "integer" } }) }),
+        entries: list(ref("LedgerEntry")),
+        pagination: ref("Pagination"),
+      })),
+      404: "Player not found",
+    },
+  },
+  "POST /profile": {
+    tags: ["Profile"],
+    summary: "Update your profile (and optionally picture/password)",
+    responses: { 200: data("Updated profile", ref("Player")) },
+  },
+  "POST /del-profile": {
+    tags: ["Profile"],
+    summary: "Schedule your account for deletion (restorable until `purgeAt`)",
+    responses: { 200: data("Deletion scheduled", object({ deletedAt: dateTime, purgeAt: dateTime })), 404: "Player not found" },
+  },
+  "POST /restore-profile": {
+    tags: ["Profile"],
+    summary: "Cancel a scheduled deletion",
+    responses: {
+      200: ok("Profile restored"),
+      400: "Invalid email or password, or profile is not scheduled for deletion",
+      410: "The restore period for this profile has ended",
+      429: "Too many failed attempts. Try again later.",
+    },
+  },
+
+  // ===== Moderation =====
+  "GET /roles": {
+    tags: ["Moderation"],
+    summary: "Roles and the permissions they grant",
+    responses: { 200: data("Roles", object({}, { additionalProperties: list(string) })) },
+  },
+  "POST /players/:email/roles": {
+    tags: ["Moderation"],
+    summary: "Grant a role",
+    responses: { 200: roleChange, 400: "Player already has this role", 404: "Player not found" },
+  },
+  "POST /players/:email/del-roles/:role": {
+    tags: ["Moderation"],
+    summary: "Revoke a role",
+    responses: { 200: roleChange, 400: "Player does not have this role, or you tried to remove your own admin role", 404: "Player not found" },
+  },
+  "POST /players/:email/unlock": {
+    tags: ["Moderation"],
+    summary: "Clear a login lockout",
+    responses: { 200: data("Lockout cleared", object({ email: string, previousFailures: integer })) },
+  },
+  "POST /players/:email/suspend": {
+    tags: ["Moderation"],
+    summary: "Suspend a player until a date",
+    responses: {
+      200: data("Player suspended", object({ email: string, suspension: ref("Suspension") })),
+      400: "You cannot suspend yourself",
+      403: "Target is an admin or has permissions you do not have",
+      404: "Player not found",
+    },
+  },
+  "POST /players/:email/ban": {
+    tags: ["Moderation"],
+    summary: "Ban a player permanently",
+    responses: {
+      200: data("Player banned", object({ email: string, suspension: ref("Suspension") })),
+      400: "You cannot suspend yourself",
+      403: "Target is an admin or has permissions you do not have",
+      404: "Player not found",
+    },
+  },
+  "POST /players/:email/unsuspend": {
+    tags: ["Moderation"],
+    summary: "Lift a suspension or ban",
+    responses: { 200: ok("Suspension lifted"), 404: "Player is not suspended" },
+  },
+
+  // ===== Players =====
+  "GET /players/search": {
+    tags: ["Players"],
+    summary: "Search players by name, email or location",
+    responses: { 200: data("Matching players", list(ref("Player"))) },
+  },
+  "GET /players": {
+    tags: ["Players"],
+    summary: "List players",
+    responses: { 200: data("Players", page("players", ref("Player"))) },
+  },
+  "GET /players/:email": {
+    tags: ["Players"],
+    summary: "Get a player",
+    responses: { 200: data("Player", ref("Player")), 404: "Player not found" },
+  },
+  "POST /players/rate": {
+    tags: ["Players"],
+    summary: "Rate players after a match",
+    responses: { 200: ok("Ratings saved", { updatedPlayers: list(object({}, { additionalProperties: true })) }) },
+  },
+
+  // ===== Marketplace =====
+  "GET /sell-items/search": {
+    tags: ["Marketplace"],
+    summary: "Search items for sale",
+    responses: { 200: data("Matching items", list(ref("SellItem"))) },
+  },
+  "POST /sell-item": {
+    tags: ["Marketplace"],
+    summary: "List an item for sale",
+    responses: { 200: data("Item listed", ref("SellItem")), 404: "Player not found" },
+  },
+  "GET /sell-items": {
+    tags: ["Marketplace"],
+    summary: "List items for sale",
+    responses: { 200: data("Items", page("items", ref("SellItem"))) },
+  },
+  "GET /sell-items/:email": {
+    tags: ["Marketplace"],
+    summary: "Items listed by a player",
+    responses: { 200: data("Items", list(ref("SellItem"))) },
+  },
+  "POST /del-sell-items/:id": {
+    tags: ["Marketplace"],
+    summary: "Delete your listing",
+    responses: { 200: ok("Item deleted"), 403: "Not authorized to delete this item", 404: "Item not found" },
+  },
+  "POST /buy-item": {
+    tags: ["Marketplace"],
+    summary: "Ask a seller to sell you an item (notifies the seller)",
+    responses: { 200: ok("Seller notified") },
+  },
+  "POST /item-sold": {
+    tags: ["Marketplace"],
+    summary: "Seller confirms a sale; points move from buyer to seller",
+    responses: { 200: ok("Points transferred"), 400: "Player does not have enough points", 404: "Seller or player not found" },
+  },
+
+  // ===== Trainers =====
+  "GET /trainers/search": {
+    tags: ["Trainers"],
+    summary: "Search trainers",
+    responses: { 200: data("Matching trainers", list(ref("Trainer"))) },
+  },
+  "POST /trainer": {
+    tags: ["Trainers"],
+    summary: "Create your trainer profile",
+    responses: { 200: data("Trainer profile created", ref("Trainer")), 400: "Trainer profile already exists", 404: "Player not found" },
+  },
+  "POST /up-trainer": {
+    tags: ["Trainers"],
+    summary: "Update your trainer profile",
+    responses: { 200: data("Trainer profile updated", ref("Trainer")), 404: "Trainer profile not found" },
+  },
+  "POST /del-trainer": {
+    tags: ["Trainers"],
+    summary: "Delete your trainer profile",
+    responses: { 200: ok("Trainer profile deleted"), 404: "Trainer profile not found" },
+  },
+  "GET /trainers": {
+    tags: ["Trainers"],
+    summary: "List trainers",
+    responses: { 200: data("Trainers", list(ref("Trainer"))) },
+  },
+  "GET /trainers/:email": {
+    tags: ["Trainers"],
+    summary: "Get a trainer",
+    responses: { 200: data("Trainer", ref("Trainer")), 404: "Trainer not found" },
+  },
+  "POST /book-trainer": {
+    tags: ["Trainers"],
+    summary: "Ask a trainer for a session (notifies the trainer)",
+    responses: { 200: ok("Trainer notified") },
+  },
+  "POST /trainer-booked": {
+    tags: ["Trainers"],
+    summary: "Trainer confirms a booking; points move from player to trainer",
+    responses: { 200: ok("Points transferred"), 400: "Player does not have enough points", 404: "Trainer or player not found" },
+  },
+
+  // ===== Teams =====
+  "GET /teams/search": {
+    tags: ["Teams"],
+    summary: "Search teams",
+    responses: { 200: data("Matching teams", list(ref("Team"))) },
+  },
+  "POST /team": {
+    tags: ["Teams"],
+    summary: "Create a team (you become captain)",
+    responses: { 200: data("Team created", ref("Team")) },
+  },
+  "GET /teams": {
+    tags: ["Teams"],
+    summary: "List teams",
+    responses: { 200: data("Teams", list(ref("Team"))) },
+  },
+  "GET /teams/:id": {
+    tags: ["Teams"],
+    summary: "Get a team",
+    responses: { 200: data("Team", ref("Team")), 404: "Team not found" },
+  },
+  "POST /teams/:id": {
+    tags: ["Teams"],
+    summary: "Update a team, hand over captaincy or remove a player (captain only)",
+    responses: { 200: data("Team updated", ref("Team")), 400: "Captain cannot remove himself", 403: "Only captain can update team", 404: "Team not found" },
+  },
+  "POST /del-teams/:id": {
+    tags: ["Teams"],
+    summary: "Delete a team (captain only)",
+    responses: { 200: ok("Team deleted"), 403: "Only captain can delete team", 404: "Team not found" },
+  },
+  "POST /teams/:id/request": {
+    tags: ["Teams"],
+    summary: "Ask to join a team",
+    responses: { 200: data("Request sent", object({ teamId: string, requester: string })), 400: "Already in the team or request already sent", 404: "Team not found" },
+  },
+  "POST /teams/:id/requests/:playerId": {
+    tags: ["Teams"],
+    summary: "Approve or reject a join request (captain only)",
+    responses: { 200: data("Request handled", ref("Team")), 400: "No such request found", 403: "Only captain can manage requests", 404: "Team not found" },
+  },
+  "POST /teams/:id/leave": {
+    tags: ["Teams"],
+    summary: "Leave a team",
+    responses: { 200: data("Left team", object({ teamId: string, leaver: string })), 400: "Captain cannot leave, only delete team", 404: "Team not found" },
+  },
+  "POST /teams/:id/invite/:playerId": {
+    tags: ["Teams"],
+    summary: "Invite a player (captain only)",
+    responses: {
+      200: data("Invite sent", object({ teamId: string, invitedPlayer: string })),
+      400: "Player already in team or invite already sent",
+      403: "Only captain can invite players",
+      404: "Team or player not found",
+    },
+  },
+  "POST /profile/requests/:teamId": {
+    tags: ["Teams"],
+    summary: "Accept or reject a team invite",
+    responses: { 200: data("Invite handled", object({ teamId: string, action: string, playerEmail: string })), 400: "No such request found", 404: "Team or player not found" },
+  },
+  "GET /teams/:teamId/chat": {
+    tags: ["Teams"],
+    summary: "Team chat, oldest first (members only)",
+    responses: { 200: data("Messages", list(ref("ChatMessage"))), 403: "You are not a team member", 404: "Team not found" },
+  },
+  "POST /teams/:teamId/chat": {
+    tags: ["Teams"],
+    summary: "Send a team chat message (members only, last 20 kept)",
+    responses: { 200: ok("Message sent"), 403: "You are not a team member", 404: "Team not found" },
+  },
+
+  // ===== Trophies =====
+  "GET /trophies": {
+    tags: ["Trophies"],
+    summary: "List trophies",
+    responses: { 200: data("Trophies", list(ref("Trophy"))) },
+  },
+  "GET /trophies/:id": {
+    tags: ["Trophies"],
+    summary: "Get a trophy",
+    responses: { 200: data("Trophy", ref("Trophy")), 404: "Trophy not found" },
+  },
+  "POST /trophy": {
+    tags: ["Trophies"],
+    summary: "Create a trophy and notify all players in the background",
+    description: "`distribution` and `bonuses` may be sent as JSON strings in the form.",
+    responses: { 200: data("Trophy created", ref("Trophy")) },
+  },
+  "POST /trophies/:id": {
+    tags: ["Trophies"],
+    summary: "Update a trophy",
+    responses: { 200: data("Trophy updated", ref("Trophy")), 404: "Trophy not found" },
+  },
+  "POST /del-trophies/:id": {
+    tags: ["Trophies"],
+    summary: "Delete a trophy and notify all players in the background",
+    responses: { 200: ok("Trophy deleted", { notificationJob }), 404: "Trophy not found" },
+  },
+
+  // ===== Inventory =====
+  "GET /inventories/search": {
+    tags: ["Inventory"],
+    summary: "Search inventory items",
+    responses: { 200: ok("Matching items", { inventories: list(ref("InventoryItem")) }), 404: "No inventory items found" },
+  },
+  "GET /inventories": {
+    tags: ["Inventory"],
+    summary: "List inventory items",
+    responses: { 200: ok("Items", { inventories: list(ref("InventoryItem")) }) },
+  },
+  "GET /inventories/:id": {
+    tags: ["Inventory"],
+    summary: "Get an inventory item",
+    responses: { 200: ok("Item", { inventory: ref("InventoryItem") }), 404: "Inventory not found" },
+  },
+  "POST /inventory": {
+    tags: ["Inventory"],
+    summary: "Create an inventory item and notify all players in the background",
+    responses: { 200: ok("Item created", { inventory: ref("InventoryItem"), notificationJob }) },
+  },
+  "POST /inventories/:id": {
+    tags: ["Inventory"],
+    summary: "Update an inventory item",
+    responses: { 200: ok("Item updated", { inventory: ref("InventoryItem") }), 404: "Inventory not found" },
+  },
+  "POST /del-inventories/:id": {
+    tags: ["Inventory"],
+    summary: "Delete an inventory item and notify all players in the background",
+    responses: { 200: ok("Item deleted", { notificationJob }), 404: "Inventory not found" },
+  },
+
+  // ===== Matches =====
+  "GET /matches": {
+    tags: ["Matches"],
+    summary: "List matches, optionally by status",
+    responses: { 200: ok("Matches", { matches: list(ref("Match")) }) },
+  },
+  "GET /matches/:id": {
+    tags: ["Matches"],
+    summary: "Get a match",
+    responses: { 200: ok("Match", { match: ref("Match") }), 404: "Match not found" },
+  },
+  "POST /match": {
+    tags: ["Matches"],
+    summary: "Challenge another team (captain only)",
+    responses: { 200: ok("Match created and opponent captain notified", { match: ref("Match") }), 403: "Only a captain can schedule a match" },
+  },
+  "POST /matches/:id/response": {
+    tags: ["Matches"],
+    summary: "Accept or reject a match invite (opponent captain only)",
+    description: "Accepting charges the trophy fee from every selected player on both sides.",
+    responses: {
+      200: ok("Match accepted or rejected", { match: ref("Match") }),
+      400: "Match has already been answered, or a player does not have enough points",
+      403: "Only opponent captain can respond",
+      404: "Match not found",
+      409: "Match was updated by another request, please retry",
+    },
+  },
+  "POST /matches/:id/finalize": {
+    tags: ["Matches"],
+    summary: "Submit your team's stats and ratings; the second captain's submission finalizes the match",
+    responses: {
+      200: data("Stats saved, or match finalized with prizes paid", ref("Match")),
+      400: "Match is not active, or trophy not found",
+      403: "Only captains can submit stats",
+      404: "Match not found",
+    },
+  },
+  "POST /del-matches/:id": {
+    tags: ["Matches"],
+    summary: "Delete a match",
+    responses: { 200: ok("Match deleted", { matchId: string }), 404: "Match not found" },
+  },
+
+  // ===== Notifications =====
+  "POST /players/:email/notifications/:notifId": {
+    tags: ["Notifications"],
+    summary: "Remove one of your notifications",
+    responses: { 200: ok("Notification removed", { remainingNotifications: list(ref("Notification")) }), 403: "Unauthorized", 404: "Player not found" },
+  },
+  "POST /notify/all": {
+    tags: ["Notifications"],
+    summary: "Broadcast a notification to every player (background job)",
+    responses: {
+      202: {
+        ...ok("Broadcast queued; follow the `Location` header to track it", { job: ref("Job") }),
+        headers: { Location: { description: "`/jobs/{id}`", schema: string } },
+      },
+      404: "No players found to send notifications.",
+    },
+  },
+  "POST /notify/:email": {
+    tags: ["Notifications"],
+    summary: "Send a notification to one player",
+    responses: { 200: ok("Notification sent") },
+  },
+  "POST /players/:email/notifications": {
+    tags: ["Notifications"],
+    summary: "Clear all of your notifications",
+    responses: { 200: ok("Notifications cleared"), 403: "You can only clear your own notifications", 404: "Player not found" },
+  },
+
+  // ===== Stats =====
+  "GET /leaderboard": {
+    tags: ["Stats"],
+    summary: "Top players and teams",
+    responses: {
+      200: data("Leaderboard", object({
+        players: object(Object.fromEntries(
+          ["topScorers", "topAssist", "topRatedPlayer", "topDefender", "topMidfielder", "topForward", "topGoalkeeper", "topMOTMPlayers"].map((key) => [key, list(ref("Player"))]),
+        )),
+        teams: object({ topTeamByWinRate: list(ref("Team")), topRatedTeam: list(ref("Team")) }),
+      })),
+    },
+  },
+  "GET /stats": {
+    tags: ["Stats"],
+    summary: "Hub-wide counts",
+    responses: { 200: data("Counts", object({ players: integer, teams: integer, trainers: integer, matches: { type: "integer", description: "Finalized matches" } })) },
+  },
+
+  // ===== Operations =====
+  "GET /ledger/reconcile": {
+    tags: ["Operations"],
+    summary: "Compare every balance with its ledger",
+    responses: { 200: data("Reconciliation report", object({ checked: integer, mismatches: list(object({ email: string, balance: integer, ledgerTotal: integer, difference: integer })) })) },
+  },
+  "GET /jobs": {
+    tags: ["Operations"],
+    summary: "List background jobs",
+    responses: { 200: data("Jobs", page("jobs", ref("Job"))) },
+  },
+  "GET /jobs/:id": {
+    tags: ["Operations"],
+    summary: "Get a background job (its creator or a job manager)",
+    responses: { 200: ok("Job", { job: ref("Job") }), 404: "Job not found" },
+  },
+  "POST /jobs/:id/retry": {
+    tags: ["Operations"],
+    summary: "Retry a failed job",
+    responses: { 202: ok("Job queued for retry", { job: ref("Job") }), 404: "Job not found", 409: "Only failed jobs can be retried" },
+  },
+  "GET /cron/runs": {
+    tags: ["Operations"],
+    summary: "Cron job status and recent runs across instances",
+    responses: { 200: data("Cron jobs and runs", page("runs", ref("CronRun"), { jobs: list(ref("CronJobStatus")) })) },
+  },
+  "POST /cron/jobs/:name/run": {
+    tags: ["Operations"],
+    summary: "Run a cron job now",
+    responses: { 202: ok("Job started", { run: ref("CronRun") }), 404: "Cron job not found", 409: "Job is already running" },
+  },
+};
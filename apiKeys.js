@@ -0,0 +1,88 @@
+import crypto from "crypto";
+import { apiKeys } from "./repositories/index.js";
+
+// Personal API keys: "fh_<id>_<secret>", DB me sirf secret ka hash
+export const API_KEY_PREFIX = "fh_";
+export const MAX_KEYS_PER_PLAYER = 10;
+
+// lastUsedAt har call pe nahi likhte
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+function hashSecret(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+export function isApiKey(value) {
+  return typeof value === "string" && value.startsWith(API_KEY_PREFIX);
+}
+
+// Response me hash kabhi nahi jata
+export function toPublicKey(record) {
+  const { secretHash, ...rest } = record;
+  return rest;
+}
+
+// ✅ Player ki active keys
+export async function listApiKeys(email) {
+  return apiKeys.findActiveByEmail(email);
+}
+
+// ✅ Nayi key (plain key sirf isi waqt milti hai)
+export async function createApiKey({ email, name, readOnly }) {
+  const id = crypto.randomBytes(8).toString("hex");
+  const secret = crypto.randomBytes(24).toString("base64url");
+  const key = `${API_KEY_PREFIX}${id}_${secret}`;
+
+  const record = {
+    id,
+    email,
+    name,
+    prefix: key.slice(0, API_KEY_PREFIX.length + 8),
+    secretHash: hashSecret(secret),
+    scopes: readOnly ? ["read"] : ["read", "write"],
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+    revokedAt: null,
+  };
+
+  await apiKeys.insert(id, record);
+  return { key, record };
+}
+
+export async function revokeApiKey(id, email) {
+  const record = await apiKeys.get(id);
+  if (!record || record.email !== email || record.revokedAt) return false;
+
+  record.revokedAt = new Date().toISOString();
+  await apiKeys.upsert(id, record);
+  return true;
+}
+
+// ✅ Bearer key check — valid ho to record, warna null
+export async function authenticateApiKey(key) {
+  if (!isApiKey(key)) return null;
+
+  const [id, ...rest] = key.slice(API_KEY_PREFIX.length).split("_");
+  const secret = rest.join("_");
+  if (!id || !secret) return null;
+
+  const record = await apiKeys.get(id);
+  if (!record || record.revokedAt) return null;
+
+  const expected = Buffer.from(record.secretHash, "hex");
+  const actual = Buffer.from(hashSecret(secret), "hex");
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  if (!record.lastUsedAt || Date.now() - new Date(record.lastUsedAt).getTime() > TOUCH_INTERVAL_MS) {
+    record.lastUsedAt = new Date().toISOString();
+    apiKeys.upsert(id, record).catch(() => { });
+  }
+
+  return record;
+}
+
+export async function revokeAllApiKeys(email) {
+  const keys = await listApiKeys(email);
+  for (const key of keys) await revokeApiKey(key.id, email);
+  return keys.length;
+}
@@ -0,0 +1,51 @@
+import { initBackend, getBackend } from "./repositories/index.js";
+import { loadMigrations, migrationStatus, runMigrations } from "./migrate.js";
+import { seedDatabase } from "./seed.js";
+import { logger } from "./logger.js";
+
+// Maintenance CLI — DB_DRIVER/COUCHBASE_* wahi env jo server ka
+//
+//   npm run migrate            pending migrations chalao
+//   npm run migrate:status     applied/pending list
+//   npm run seed               local dev fixtures (production me --force ke baghair nahi)
+
+const COMMANDS = {
+  async migrate() {
+    const applied = await runMigrations();
+    logger.info(applied.length ? `Applied ${applied.length} migration(s)` : "Database is up to date");
+  },
+
+  async "migrate:status"() {
+    console.table(await migrationStatus(await loadMigrations()));
+  },
+
+  async seed(args) {
+    if (process.env.NODE_ENV === "production" && !args.includes("--force")) {
+      throw new Error("Refusing to seed with NODE_ENV=production (pass --force to override)");
+    }
+    if (getBackend().name === "memory") {
+      logger.warn("DB_DRIVER=memory: seeded data disappears when this command exits");
+    }
+    await seedDatabase();
+  },
+};
+
+const [command, ...args] = process.argv.slice(2);
+
+if (!COMMANDS[command]) {
+  console.error(`Usage: node cli.js <${Object.keys(COMMANDS).join("|")}>`);
+  process.exit(1);
+}
+
+try {
+  await initBackend();
+  await COMMANDS[command](args);
+} catch (err) {
+  logger.error("Command failed", { command, err });
+  process.exitCode = 1;
+} finally {
+  // Couchbase connection khuli rahe to process khatam nahi hota
+  try {
+    await getBackend().close();
+  } catch { }
+}
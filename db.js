@@ -1,6 +1,6 @@
 import { connect } from "couchbase";
-import ImageKit from "imagekit";
 import dotenv from "dotenv";
+import { logger } from "./logger.js";
 
 dotenv.config();
 
@@ -29,21 +29,18 @@ export async function initDB(retries = 50, delay = 3000) {
       const bucket = cluster.bucket(process.env.COUCHBASE_BUCKET);
       scope = bucket.scope(process.env.COUCHBASE_SCOPE);
 
-      console.log("✅ Couchbase connected");
+      logger.info("Couchbase connected");
       return scope;
     } catch (err) {
-      
-      console.error(`❌ Couchbase connection failed (attempt ${attempt}/${retries}):`, err.message);
+      logger.error("Couchbase connection failed", { attempt, retries, err });
 
-      if (attempt < retries) {
-        console.log(`⏳ Retrying in ${delay / 1000}s...`);
-        console.log("COUCHBASE_CONN_STRING:", process.env.COUCHBASE_CONN_STRING);
-        console.log("IMAGEKIT_URL_ENDPOINT:", process.env.IMAGEKIT_URL_ENDPOINT);
-        await new Promise(res => setTimeout(res, delay));
-      } else {
-        console.error("🚨 Max retries reached. Exiting...");
-        process.exit(1); // ya throw err
+      if (attempt >= retries) {
+        // process.exit yahan nahi — caller decide kare (server start pe crash)
+        throw new Error(`Couchbase unreachable after ${retries} attempts: ${err.message}`);
       }
+
+      logger.info("Retrying Couchbase connection", { delayMs: delay });
+      await new Promise(res => setTimeout(res, delay));
     }
   }
 }
@@ -56,10 +53,3 @@ export function getCollection(name) {
 export function getCluster() {
   return cluster;
 }
-
-// ImageKit init
-export const imagekit = new ImageKit({
-  publicKey: process.env.IMAGEKIT_PUBLIC_KEY,
-  privateKey: process.env.IMAGEKIT_PRIVATE_KEY,
-  urlEndpoint: process.env.IMAGEKIT_URL_ENDPOINT,
-});
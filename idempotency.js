@@ -0,0 +1,76 @@
+import crypto from "crypto";
+import { idempotencyKeys, DocumentExistsError } from "./repositories/index.js";
+import { logger } from "./logger.js";
+
+// Idempotency-Key header: pehli request ka response save, same key dobara aaye to wahi response replay
+// (double-click / mobile retry pe points do dafa na katen). Key user + route ke saath scoped hai.
+
+export const IDEMPOTENCY_TTL_HOURS = Number(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+const MAX_KEY_LENGTH = 255;
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+// Same key + alag body = client ki galti, replay nahi
+const fingerprint = (req) => sha256(JSON.stringify(req.body ?? null));
+
+// ✅ Middleware — authMiddleware ke baad (req.user chahiye)
+export function idempotent() {
+  const middleware = async (req, res, next) => {
+    const key = req.get("Idempotency-Key");
+    if (key === undefined) return next();
+
+    if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({ success: false, message: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters` });
+    }
+
+    const id = sha256(`${req.user.email}:${req.method}:${req.originalUrl.split("?")[0]}:${key}`);
+    const requestHash = fingerprint(req);
+    const expiry = IDEMPOTENCY_TTL_HOURS * 60 * 60;
+
+    try {
+      await idempotencyKeys.insert(id, { status: "processing", requestHash, createdAt: new Date().toISOString() }, { expiry });
+    } catch (err) {
+      if (!(err instanceof DocumentExistsError)) throw err;
+
+      const record = await idempotencyKeys.get(id);
+      if (!record) return res.status(409).json({ success: false, message: "Idempotency-Key expired, please retry" });
+      if (record.requestHash !== requestHash) {
+        return res.status(422).json({ success: false, message: "Idempotency-Key was already used with a different request" });
+      }
+      if (record.status === "processing") {
+        return res.status(409).json({ success: false, message: "A request with this Idempotency-Key is still being processed" });
+      }
+
+      res.set("Idempotent-Replayed", "true");
+      return res.status(record.statusCode).json(record.body);
+    }
+
+    // Response save karke bhejo — 5xx bhi: handler points transfer karke baad me fail ho sakta hai,
+    // key chhorne se retry dobara charge karta. 5xx ke baad client naye key se retry kare.
+    let handled = false;
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      handled = true;
+      idempotencyKeys.replace(id, {
+        status: "completed",
+        requestHash,
+        statusCode: res.statusCode,
+        body,
+        createdAt: new Date().toISOString(),
+      }, { expiry })
+        .catch((err) => logger.error("Idempotency key save error", { err }))
+        .finally(() => sendJson(body));
+      return res;
+    };
+
+    // JSON ke bagair poora response (koi aur send) — key release. Connection beech me toot jaye to nahi:
+    // handler chal raha hota hai aur us ka res.json nateeja save kar dega
+    res.on("close", () => {
+      if (!handled && res.writableFinished) idempotencyKeys.remove(id).catch((err) => logger.error("Idempotency key release error", { err }));
+    });
+
+    next();
+  };
+  middleware.idempotent = true;
+  return middleware;
+}
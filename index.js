@@ -4,31 +4,286 @@ import dotenv from "dotenv";
 import bcrypt from "bcrypt";
 import jwt from "jsonwebtoken";
 import cookieParser from "cookie-parser";
-import cron from "node-cron";
 import cors from "cors";
+import path from "path";
+import { fileURLToPath } from "url";
 import { v4 as uuidv4 } from "uuid";
-import { initDB, getCollection, imagekit, getCluster } from "./db.js";
+import {
+  initBackend,
+  isBackendReady,
+  DocumentExistsError,
+  CasMismatchError,
+  players,
+  teams,
+  matches,
+  trophies,
+  trainers,
+  sellItems,
+  inventories,
+  messages,
+  ledger,
+  jobs,
+  cronHistory,
+  twoFactor,
+} from "./repositories/index.js";
+import { storage, getStorageAdapter, setMediaHeaders } from "./storage.js";
+import {
+  ACCESS_TOKEN_TTL_MINUTES,
+  REFRESH_TOKEN_TTL_DAYS,
+  createSession,
+  rotateSession,
+  getActiveSession,
+  touchSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+  purgeStaleSessions,
+} from "./sessions.js";
+import { sendMail, appLink, assertMailConfigured } from "./mailer.js";
+import { createOneTimeToken, consumeOneTimeToken, purgeStaleTokens } from "./oneTimeTokens.js";
+import {
+  MAX_KEYS_PER_PLAYER,
+  isApiKey,
+  toPublicKey,
+  listApiKeys,
+  createApiKey,
+  revokeApiKey,
+  revokeAllApiKeys,
+  authenticateApiKey,
+} from "./apiKeys.js";
+import { ROLES, getPlayerRoles, getPermissions, hasPermission, canModerate } from "./permissions.js";
+import {
+  LOCK_MINUTES,
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount,
+  getAccountLockStatus,
+} from "./loginThrottle.js";
+import {
+  generateSecret,
+  verifyCode,
+  otpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+} from "./totp.js";
+import { t, partial, validate, sendValidationError } from "./validation.js";
+import { getDefaultStats } from "./playerDefaults.js";
+import { idempotent } from "./idempotency.js";
+import { rateLimit } from "./rateLimit.js";
+import { trackMetrics, renderMetrics, matchesFinalized, itemsSold } from "./metrics.js";
+import { logger, requestContext } from "./logger.js";
+import { buildOpenApiSpec, DOCS_HTML, DOCS_ASSETS_PATH, DOCS_ASSETS_DIR } from "./openapi.js";
+import { JOB_STATUSES, JobNotRetryableError, defineJob, enqueueJob, retryJob, toPublicJob, startWorkers } from "./jobQueue.js";
+import {
+  INSTANCE_ID,
+  UnknownCronJobError,
+  scheduleJob,
+  startJobs,
+  triggerJob,
+  jobStatus,
+  trackRequests,
+  checkDatabase,
+  isShuttingDown,
+  gracefulShutdown,
+} from "./lifecycle.js";
+import {
+  transferPoints,
+  changePoints,
+  chargePlayers,
+  recordOpeningBalance,
+  summarizeEntries,
+  reconcileLedger,
+  InsufficientPointsError,
+  PlayerNotFoundError,
+} from "./points.js";
 
 
 dotenv.config();
 const app = express();
-app.use(cors({ origin: true, credentials: true }));
+// Azure ke proxy ke peeche asli client IP (login throttle, sessions)
+app.set("trust proxy", Number(process.env.TRUST_PROXY_HOPS ?? 1));
+app.use(requestContext());
+app.use(trackRequests());
+app.use(trackMetrics());
+app.use(cors({ origin: true, credentials: true, exposedHeaders: ["X-Request-Id", "Idempotent-Replayed", "RateLimit-Policy", "RateLimit-Limit", "RateLimit-Remaining", "RateLimit-Reset", "Retry-After", "Location"] }));
 app.use(fileUpload());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
 
-// init DB
-await initDB();
+// Local storage driver ho to uploads yahin se serve hoti hain
+const mediaAdapter = getStorageAdapter();
+if (mediaAdapter.name === "local") {
+  app.use(mediaAdapter.publicPath, express.static(mediaAdapter.dir, { setHeaders: setMediaHeaders }));
+}
+
+// ❤️ Liveness — process chal raha hai (DB/cron sirf report, is se fail nahi hota)
+app.get("/healthz", async (req, res) => {
+  res.json({
+    success: true,
+    status: "ok",
+    instance: INSTANCE_ID,
+    uptimeSeconds: Math.round(process.uptime()),
+    database: await checkDatabase(),
+    cron: await jobStatus(),
+  });
+});
+
+// 📈 Prometheus scrape (METRICS_TOKEN set ho to "Authorization: Bearer <token>" zaroori)
+app.get("/metrics", (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && req.get("Authorization") !== `Bearer ${token}`) {
+    return res.status(401).json({ success: false, message: "Unauthorized" });
+  }
+
+  res.type("text/plain; version=0.0.4");
+  res.send(renderMetrics());
+});
+
+// 🚦 Readiness — DB up ho aur shutdown na chal raha ho, tab hi traffic bhejo
+app.get("/readyz", async (req, res) => {
+  const database = await checkDatabase();
+  const shuttingDown = isShuttingDown();
+  const ready = database.status === "up" && !shuttingDown;
+
+  res.status(ready ? 200 : 503).json({
+    success: ready,
+    status: ready ? "ready" : shuttingDown ? "shutting_down" : "database_unavailable",
+    database,
+    cron: await jobStatus(),
+  });
+});
+
+// ⏳ DB connect ho raha ho (server pehle listen karta hai) to baaki routes 503 — probes upar, woh chalte rahen
+app.use((req, res, next) => {
+  if (isBackendReady()) return next();
+  res.set("Retry-After", "5");
+  res.status(503).json({ success: false, message: "Server is starting, please retry shortly" });
+});
+
+// 📘 OpenAPI spec — pehli request pe banta hai (tab tak sab routes register ho chuke), phir cache
+let openApiSpec = null;
+
+app.get("/openapi.json", (req, res) => {
+  try {
+    openApiSpec = openApiSpec || buildOpenApiSpec(app, { authMiddleware, sessionOnlyRoutes: SESSION_ONLY_ROUTES });
+    res.json(openApiSpec);
+  } catch (err) {
+    logger.error("OpenAPI spec build failed", { err });
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// 📖 Swagger UI (assets swagger-ui-dist package se, CDN nahi)
+app.use(DOCS_ASSETS_PATH, express.static(DOCS_ASSETS_DIR));
+app.get("/docs", (req, res) => {
+  res.type("html").send(DOCS_HTML);
+});
+
+// Routes jin ke liye verified email zaroori hai (old players bina flag ke verified maane jate hain)
+const VERIFIED_ROUTES = (process.env.VERIFIED_ROUTES || "/match,/sell-item,/trainer")
+  .split(",")
+  .map((r) => r.trim())
+  .filter(Boolean);
+
+const REQUIRE_ADMIN_2FA = process.env.REQUIRE_ADMIN_2FA === "true";
+
+// Baar baar aane wale validation rules
+const PASSWORD = t.string({ min: 8, max: 128, trim: false });
+const TOTP_CODE = t.string({ max: 8, pattern: /^\d{3}\s?\d{3}$/ });
+const RECOVERY_CODE = t.string({ max: 20 });
+const EMAIL_PARAM = t.string({ max: 254 });
+const ID_PARAM = t.string({ max: 64 });
+const SEARCH_QUERY = t.string({ max: 100 });
+const REQUEST_ACTION = t.oneOf(["approve", "reject"]);
+const PAGINATION = { offset: t.integer({ min: 0 }).optional(), limit: t.integer({ min: 1, max: 100 }).optional() };
+
+// Ban = permanent, suspend = `until` tak
+function isSuspended(player) {
+  const suspension = player?.suspension;
+  if (!suspension) return false;
+  if (suspension.type === "ban") return true;
+  return new Date(suspension.until).getTime() > Date.now();
+}
+
+function suspensionMessage(suspension) {
+  const reason = suspension.reason ? ` Reason: ${suspension.reason}` : "";
+  return suspension.type === "ban"
+    ? `Your account has been banned.${reason}`
+    : `Your account is suspended until ${suspension.until}.${reason}`;
+}
 
 // ===== Middleware to Protect Routes =====
+// API key se ye routes nahi chalte (account security sirf browser session se)
+const SESSION_ONLY_ROUTES = [
+  "POST /profile",
+  "POST /del-profile",
+  "GET /profile/export",
+  "GET /sessions",
+  "POST /del-sessions",
+  "POST /del-sessions/:id",
+  "GET /api-keys",
+  "POST /api-keys",
+  "POST /del-api-keys/:id",
+  "POST /2fa/setup",
+  "POST /2fa/confirm",
+  "POST /2fa/recovery-codes",
+  "POST /2fa/disable",
+];
+
 const authMiddleware = async (req, res, next) => {
+  const authHeader = req.get("authorization") || "";
+  const bearer = authHeader.startsWith("Bearer ") ? authHeader.slice(7).trim() : null;
   const token = req.cookies.token;
-  if (!token) return res.status(401).json({ error: "Not authenticated" });
+  if (!token && !isApiKey(bearer)) return res.status(401).json({ error: "Not authenticated" });
 
   try {
-    const decoded = jwt.verify(token, process.env.SECRET_KEY);
-    req.user = decoded;
+    let user;
+    let sessionId = null;
+
+    if (isApiKey(bearer)) {
+      // 🔑 Personal API key (bots / club scripts)
+      const apiKey = await authenticateApiKey(bearer);
+      if (!apiKey) return res.status(401).json({ error: "Invalid API key" });
+
+      const route = `${req.method} ${req.route?.path}`;
+      if (SESSION_ONLY_ROUTES.includes(route)) {
+        return res.status(403).json({ error: "This action requires a logged-in session, not an API key" });
+      }
+      if (req.method !== "GET" && !apiKey.scopes.includes("write")) {
+        return res.status(403).json({ error: "This API key is read-only" });
+      }
+
+      user = { email: apiKey.email, apiKeyId: apiKey.id, scopes: apiKey.scopes };
+    } else {
+      const decoded = jwt.verify(token, process.env.SECRET_KEY);
+
+      // ✅ Session abhi bhi active honi chahiye (logout/revoke ke baad token reject)
+      const session = await getActiveSession(decoded.sid);
+      if (!session || session.email !== decoded.email) {
+        return res.status(401).json({ error: "Session revoked, please login again" });
+      }
+      touchSession(session).catch(() => { });
+
+      user = decoded;
+      sessionId = session.id;
+    }
+
+    const player = await players.get(user.email);
+
+    // 🚫 Suspended/banned players blocked
+    if (player && isSuspended(player)) {
+      return res.status(403).json({ error: suspensionMessage(player.suspension) });
+    }
+
+    // ✅ Kuch routes sirf verified email walon ke liye
+    if (VERIFIED_ROUTES.includes(req.route?.path) && player?.emailVerified === false) {
+      return res.status(403).json({ error: "Please verify your email to use this feature" });
+    }
+
+    req.user = user;
+    req.sessionId = sessionId;
     next();
   } catch (err) {
     if (err.name === "TokenExpiredError") {
@@ -38,137 +293,119 @@ const authMiddleware = async (req, res, next) => {
   }
 };
 
-const adminMiddleware = async (req, res, next) => {
+// ===== Auth Cookies =====
+const cookieOptions = { httpOnly: true, sameSite: "None", secure: true };
+
+function setAuthCookies(res, accessToken, refreshToken) {
+  res.cookie("token", accessToken, {
+    ...cookieOptions,
+    maxAge: ACCESS_TOKEN_TTL_MINUTES * 60 * 1000,
+  });
+  // Refresh cookie sirf /refresh pe jati hai
+  res.cookie("refreshToken", refreshToken, {
+    ...cookieOptions,
+    path: "/refresh",
+    maxAge: REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000,
+  });
+}
+
+function clearAuthCookies(res) {
+  res.clearCookie("token", cookieOptions);
+  res.clearCookie("refreshToken", { ...cookieOptions, path: "/refresh" });
+}
+
+// ✅ Permission check (roles DB se fresh, token wale purane ho sakte hain) — `.permission` OpenAPI docs ke liye
+const requirePermission = (permission) => Object.assign(async (req, res, next) => {
   try {
     if (!req.user) return res.status(401).json({ error: "Not authenticated" });
-    if (req.user.role !== "admin") return res.status(403).json({ error: "Admin access required" });
+
+    const player = await players.get(req.user.email);
+    if (!player || !hasPermission(player, permission)) {
+      return res.status(403).json({ error: `Permission required: ${permission}` });
+    }
+
+    // 🔐 Admins ke liye 2FA lazmi (REQUIRE_ADMIN_2FA=true)
+    if (REQUIRE_ADMIN_2FA && getPlayerRoles(player).includes("admin") && !player.twoFactorEnabled) {
+      return res.status(403).json({ error: "Two-factor authentication is required for admin accounts. Enable it first." });
+    }
     next();
   } catch (err) {
-    res.status(500).json({ error: "Something went wrong in admin check" });
+    res.status(500).json({ error: "Something went wrong in permission check" });
   }
-};
+}, { permission });
 
 // ====== Auth Routes ======
 
 // Position-wise default stats
-function getDefaultStats(position) {
-  const base = {
-    auraPoints: 0,
-    matches: 0,
-    goals: 0,
-    assists: 0,
-    points: 500,
-    ratingAvg: 0,
-    ratingCount: 0,
-    wins: 0,
-    losses: 0,
-    draws: 0,
-    captain: false,
-    overalRating: 0,
-    redCards: 0,
-    yellowCards: 0,
-    achievements: [],
-    teams: [],
-    requests: [],
-    inventry: [],
-    notifications: [],
-    matchHistory: [],
-  };
-
-  if (position === "Goalkeeper") {
-    return {
-      ...base,
-      diving: 50,
-      handling: 50,
-      kicking: 50,
-      reflexes: 50,
-      positioning: 50,
-      speed: 40,
-    };
-  }
-
-  if (position === "Defender") {
-    return {
-      ...base,
-      pace: 45,
-      shooting: 30,
-      passing: 50,
-      dribbling: 40,
-      defence: 65,
-      physical: 60,
-    };
-  }
+const POSITIONS = ["Goalkeeper", "Defender", "Midfielder", "Forward"];
+
+// Signup aur profile update dono me yehi rules
+const PROFILE_FIELDS = {
+  name: t.string({ max: 60 }),
+  age: t.integer({ min: 5, max: 100 }),
+  mobileNumber: t.string({ min: 7, max: 20, pattern: /^\+?[0-9\s-]+$/ }),
+  location: t.string({ max: 120 }),
+  position: t.oneOf(POSITIONS),
+  foot: t.string({ max: 20 }),
+};
 
-  if (position === "Midfielder") {
-    return {
-      ...base,
-      pace: 60,
-      shooting: 55,
-      passing: 65,
-      dribbling: 60,
-      defence: 55,
-      physical: 55,
-    };
-  }
+// ✅ Session bana ke cookies + response (password/2FA dono ke baad)
+async function completeLogin(req, res, player) {
+  const { accessToken, refreshToken } = await createSession({
+    email: player.email,
+    role: player.role,
+    userAgent: req.get("user-agent"),
+    ip: req.ip,
+  });
+
+  setAuthCookies(res, accessToken, refreshToken);
+
+  res.json({
+    message: "Login successful",
+    token: accessToken,
+    refreshToken,
+    data: { ...player, password: undefined },
+  });
+}
 
-  if (position === "Forward") {
-    return {
-      ...base,
-      pace: 70,
-      shooting: 70,
-      passing: 55,
-      dribbling: 65,
-      defence: 35,
-      physical: 55,
-    };
-  }
+const EMAIL_VERIFICATION_TTL_MINUTES = Number(process.env.EMAIL_VERIFICATION_TTL_MINUTES) || 24 * 60;
+
+async function sendVerificationEmail(email, name) {
+  const token = await createOneTimeToken({
+    purpose: "verify-email",
+    email,
+    ttlMinutes: EMAIL_VERIFICATION_TTL_MINUTES,
+  });
+
+  await sendMail({
+    to: email,
+    subject: "Verify your FootballHub email",
+    text:
+      `Hi ${name},\n\n` +
+      `Welcome to FootballHub! Confirm your email with the link below:\n\n` +
+      `${appLink("/verify-email", { token })}\n\n` +
+      `The link expires in ${Math.round(EMAIL_VERIFICATION_TTL_MINUTES / 60)} hours.`,
+  });
+}
 
-  // fallback agar kuch aur bheja gaya ho
-  return base;
+// Signup ab email lowercase me save karta hai; purane mixed-case accounts bhi milte rahen
+async function findPlayerByEmail(email) {
+  return (await players.get(email.toLowerCase())) || players.get(email);
 }
 
 // Signup
-app.post("/signup", async (req, res) => {
+app.post("/signup", rateLimit("signup"), validate({
+  body: { ...PROFILE_FIELDS, email: t.email(), password: PASSWORD },
+  files: { file: t.image() },
+}), async (req, res) => {
   try {
-    const { name, email, password, age, mobileNumber, location, position, foot } = req.body;
-
-    // ✅ 1. Required fields check
-    if (!name || !email || !password || !position || !age || !mobileNumber || !location || !foot) {
-      return res.status(400).json({
-        success: false,
-        error: "All fields are required",
-      });
-    }
-
-    // ✅ 2. Profile image validation
-    if (!req.files || !req.files.file) {
-      return res.status(400).json({
-        success: false,
-        error: "Profile image required",
-      });
-    }
-
+    const { name, password, age, mobileNumber, location, position, foot } = req.body;
     const file = req.files.file;
-    const allowedTypes = ["image/jpeg", "image/jpg", "image/png", "image/webp"];
+    // Naye accounts ki key lowercase; purane players ki keys jaisi thi (email validation case nahi badalta)
+    const email = req.body.email.toLowerCase();
 
-    if (!allowedTypes.includes(file.mimetype)) {
-      return res.status(400).json({
-        success: false,
-        error: "Profile image must be JPG, JPEG, PNG, or WEBP",
-      });
-    }
-
-    if (file.size > 2 * 1024 * 1024) { // 2MB max
-      return res.status(400).json({
-        success: false,
-        error: "Profile image size must be less than 2MB",
-      });
-    }
-
-    const players = getCollection("players");
-
-    // ✅ 3. Unique Email check
-    const existing = await players.get(email).catch(() => null);
+    // ✅ 1. Unique Email check (purana mixed-case account bhi)
+    const existing = await findPlayerByEmail(req.body.email);
     if (existing) {
       return res.status(400).json({
         success: false,
@@ -176,28 +413,29 @@ app.post("/signup", async (req, res) => {
       });
     }
 
-    // ✅ 4. Upload profile image to ImageKit (with error handling)
+    // ✅ 2. Upload profile image to storage (with error handling)
     let uploaded;
     try {
-      uploaded = await imagekit.upload({
+      uploaded = await storage.upload({
         file: file.data,
+        mimetype: file.mimetype,
         fileName: `${Date.now()}_${file.name}`,
       });
     } catch (uploadErr) {
-      console.error("❌ Image upload failed:", uploadErr);
+      logger.error("Image upload failed", { err: uploadErr });
       return res.status(500).json({
         success: false,
         error: "Image upload failed, please try again later",
       });
     }
 
-    // ✅ 5. Hash password
+    // ✅ 3. Hash password
     const hashedPass = await bcrypt.hash(password, 10);
 
-    // ✅ 6. Position-specific default stats
+    // ✅ 4. Position-specific default stats
     const defaults = getDefaultStats(position);
 
-    // ✅ 7. Final player data
+    // ✅ 5. Final player data
     const playerData = {
       name,
       email,
@@ -209,17 +447,18 @@ app.post("/signup", async (req, res) => {
       foot,
       imageUrl: uploaded.url,
       imageFileId: uploaded.fileId,
+      emailVerified: false,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
       ...defaults,
     };
 
-    // ✅ 8. Insert player (safe handling for timeout/duplicate)
+    // ✅ 6. Insert player (safe handling for timeout/duplicate)
     try {
       await players.insert(email, playerData); // Email = document key
     } catch (dbErr) {
-      if (dbErr?.message?.includes("DocumentExists")) {
-        console.error("⚠️ Duplicate document error:", dbErr);
+      if (dbErr instanceof DocumentExistsError) {
+        logger.warn("Duplicate document error", { err: dbErr });
         return res.status(400).json({
           success: false,
           error: "Email already registered",
@@ -227,34 +466,45 @@ app.post("/signup", async (req, res) => {
       }
 
       if (dbErr?.message?.includes("ambiguous")) {
-        console.error("⚠️ Couchbase timeout/ambiguous error:", dbErr);
+        logger.warn("Couchbase timeout/ambiguous error", { err: dbErr });
         return res.status(503).json({
           success: false,
           error: "Database timeout, please try again later",
         });
       }
 
-      console.error("❌ DB Insert Error:", dbErr);
+      logger.error("DB Insert Error", { err: dbErr });
       return res.status(500).json({
         success: false,
         error: "Could not create account, please try again later",
       });
     }
 
-    // ✅ 9. Success Response
+    // 📒 Starting points ledger me
+    await recordOpeningBalance(email, playerData.points);
+
+    // ✅ 7. Verification email (fail ho to bhi account ban chuka, resend ho sakta hai)
+    try {
+      await sendVerificationEmail(email, name);
+    } catch (mailErr) {
+      logger.warn("Verification email failed", { err: mailErr });
+    }
+
+    // ✅ 8. Success Response
     res.status(201).json({
       success: true,
-      message: "Signup successful",
+      message: "Signup successful. Please check your email to verify your account.",
       player: {
         name,
         email,
         position,
         imageUrl: uploaded.url,
+        emailVerified: false,
       },
     });
 
   } catch (err) {
-    console.error("❌ Signup Route Error:", err);
+    logger.error("Signup Route Error", { err });
     res.status(500).json({
       success: false,
       message: "Server error"
@@ -263,45 +513,156 @@ app.post("/signup", async (req, res) => {
 });
 
 // Login
-app.post("/login", async (req, res) => {
+app.post("/login", validate({
+  body: { email: t.string({ max: 254 }), password: t.string({ max: 128, trim: false }) },
+}), async (req, res) => {
   try {
     const { email, password } = req.body;
 
-    if (!email || !password) {
-      return res.status(400).json({ error: "Email and password are required" });
+    // ✅ Brute-force check (backoff / lock)
+    const throttle = await checkLoginAllowed(email, req.ip);
+    if (!throttle.allowed) {
+      const seconds = Math.ceil(throttle.retryAfterMs / 1000);
+      res.set("Retry-After", String(seconds));
+      return res.status(429).json({
+        error: throttle.locked
+          ? `Too many failed attempts. Account is locked, try again in ${Math.ceil(seconds / 60)} minute(s).`
+          : `Too many failed attempts. Try again in ${seconds} second(s).`,
+      });
     }
 
-    const players = getCollection("players");
-    const playerDoc = await players.get(email).catch(() => null);
+    const player = await findPlayerByEmail(email);
+
+    const isMatch = player ? await bcrypt.compare(password, player.password) : false;
+    if (!isMatch) {
+      const attempt = await recordLoginFailure(email, req.ip);
+
+      // 🔔 Lock lagte hi player ko batao
+      if (attempt.justLocked && player) {
+        await sendNotification(player.email, {
+          title: "Account Locked",
+          message: `Your account was locked for ${LOCK_MINUTES} minutes after ${attempt.failures} failed login attempts. If this wasn't you, reset your password.`,
+          type: "security",
+        });
+      }
 
-    if (!playerDoc) {
       return res.status(400).json({ error: "Invalid email or password" });
     }
 
-    const player = playerDoc.content;
+    if (player.deletedAt) {
+      return res.status(403).json({
+        error: "This account is scheduled for deletion. Restore it first to login.",
+        restoreUntil: player.purgeAt,
+      });
+    }
 
-    const isMatch = await bcrypt.compare(password, player.password);
-    if (!isMatch) {
-      return res.status(400).json({ error: "Invalid email or password" });
+    if (isSuspended(player)) {
+      return res.status(403).json({ error: suspensionMessage(player.suspension) });
     }
 
-    // JWT token with 1 day expiry
-    const token = jwt.sign(
-      { email: player.email, role: player.role },
-      process.env.SECRET_KEY,
-      { expiresIn: "7d" } // 🔹 7 days
-    );
+    // 🔐 2FA on ho to pehle code maango (counter tab reset hoga jab code bhi sahi ho)
+    if (player.twoFactorEnabled) {
+      const challengeToken = jwt.sign(
+        { email: player.email, purpose: "2fa-login" },
+        process.env.SECRET_KEY,
+        { expiresIn: "5m" }
+      );
+      return res.json({ message: "Two-factor code required", twoFactorRequired: true, challengeToken });
+    }
 
-    res.cookie("token", token, {
-      httpOnly: true,
-      sameSite: "None",
-      secure: true,
-      maxAge: 7 * 24 * 60 * 60 * 1000, // 🔹 7 days in milliseconds
+    await recordLoginSuccess(email);
+    await completeLogin(req, res, player);
+  } catch (err) {
+    logger.error("Login error", { err });
+    res.status(500).json({
+      success: false,
+      message: "Server error"
     });
+  }
+});
+
+// Login step 2 (2FA code ya recovery code)
+app.post("/login/2fa", validate({
+  body: { challengeToken: t.string({ max: 2000 }), code: TOTP_CODE.optional(), recoveryCode: RECOVERY_CODE.optional() },
+}), async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    if (!code && !recoveryCode) {
+      return sendValidationError(res, [{ location: "body", field: "code", message: "code or recoveryCode is required" }]);
+    }
+
+    let challenge;
+    try {
+      challenge = jwt.verify(challengeToken, process.env.SECRET_KEY);
+    } catch {
+      return res.status(401).json({ error: "Login challenge expired, please login again" });
+    }
+    if (challenge.purpose !== "2fa-login") {
+      return res.status(401).json({ error: "Invalid login challenge" });
+    }
+
+    const throttle = await checkLoginAllowed(challenge.email, req.ip);
+    if (!throttle.allowed) {
+      res.set("Retry-After", String(Math.ceil(throttle.retryAfterMs / 1000)));
+      return res.status(429).json({ error: "Too many failed attempts. Try again later." });
+    }
+
+    const verified = await verifySecondFactor(challenge.email, { code, recoveryCode });
+    if (!verified) {
+      await recordLoginFailure(challenge.email, req.ip);
+      return res.status(400).json({ error: "Invalid two-factor code" });
+    }
 
-    res.json({ message: "Login successful", token, data: player });
+    const player = await players.get(challenge.email);
+    if (!player) {
+      return res.status(400).json({ error: "Invalid two-factor code" });
+    }
+
+    await recordLoginSuccess(challenge.email);
+    await completeLogin(req, res, player);
+  } catch (err) {
+    logger.error("Login 2FA error", { err });
+    res.status(500).json({
+      success: false,
+      message: "Server error"
+    });
+  }
+});
+
+// Refresh (rotate refresh token, new access token)
+app.post("/refresh", validate({
+  body: { refreshToken: t.string({ max: 500 }).optional() },
+}), async (req, res) => {
+  try {
+    const presented = req.cookies.refreshToken || req.body?.refreshToken;
+    if (!presented) {
+      return res.status(401).json({ error: "Refresh token required" });
+    }
+
+    // Role fresh uthao, token me purana na rahe
+    const sessionId = String(presented).split(".")[0];
+    const current = await getActiveSession(sessionId);
+    const player = current ? await players.get(current.email) : null;
+    if (!player) {
+      clearAuthCookies(res);
+      return res.status(401).json({ error: "Session expired, please login again" });
+    }
+
+    const rotated = await rotateSession(presented, {
+      role: player.role,
+      userAgent: req.get("user-agent"),
+      ip: req.ip,
+    });
+    if (!rotated) {
+      clearAuthCookies(res);
+      return res.status(401).json({ error: "Session expired, please login again" });
+    }
+
+    setAuthCookies(res, rotated.accessToken, rotated.refreshToken);
+
+    res.json({ message: "Token refreshed", token: rotated.accessToken, refreshToken: rotated.refreshToken });
   } catch (err) {
-    console.error("❌ Login error:", err);
+    logger.error("Refresh error", { err });
     res.status(500).json({
       success: false,
       message: "Server error"
@@ -309,26 +670,426 @@ app.post("/login", async (req, res) => {
   }
 });
 
-// Logout
-app.post("/logout", (req, res) => {
-  res.clearCookie("token", { httpOnly: true, secure: true, sameSite: "None" });
+// Logout (current session revoke)
+app.post("/logout", async (req, res) => {
+  try {
+    // Expired access token se bhi session id mil jati hai
+    const decoded = req.cookies.token
+      ? jwt.verify(req.cookies.token, process.env.SECRET_KEY, { ignoreExpiration: true })
+      : null;
+    if (decoded?.sid) await revokeSession(decoded.sid, "logout");
+  } catch { }
+
+  clearAuthCookies(res);
   res.json({ message: "Logged out successfully" });
 });
 
+// ====== Email Verification ======
+
+// Verify email (token from mail link)
+app.post("/verify-email", validate({
+  body: { token: t.string({ max: 200 }) },
+}), async (req, res) => {
+  try {
+    const email = await consumeOneTimeToken("verify-email", req.body.token);
+    if (!email) {
+      return res.status(400).json({ success: false, message: "Verification link is invalid or has expired" });
+    }
+
+    const player = await players.get(email);
+    if (!player) {
+      return res.status(404).json({ success: false, message: "Player not found" });
+    }
+
+    player.emailVerified = true;
+    player.emailVerifiedAt = new Date().toISOString();
+    player.updatedAt = new Date().toISOString();
+    await players.upsert(email, player);
+
+    res.json({ success: true, message: "Email verified successfully" });
+  } catch (err) {
+    logger.error("Verify email error", { err });
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// Resend verification email (Auth)
+app.post("/verify-email/resend", authMiddleware, async (req, res) => {
+  try {
+    const player = await players.get(req.user.email);
+    if (!player) {
+      return res.status(404).json({ success: false, message: "Player not found" });
+    }
+
+    if (player.emailVerified !== false) {
+      return res.status(400).json({ success: false, message: "Email is already verified" });
+    }
+
+    await sendVerificationEmail(req.user.email, player.name);
+
+    res.json({ success: true, message: "Verification email sent" });
+  } catch (err) {
+    logger.error("Resend verification error", { err });
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// ====== Two-Factor Auth (TOTP) ======
+// Secret + recovery hashes alag collection me, player doc pe sirf twoFactorEnabled flag
+
+const RECOVERY_CODE_COUNT = 10;
+
+// ✅ TOTP code ya recovery code verify (recovery code ek hi baar chalta hai)
+async function verifySecondFactor(email, { code, recoveryCode }) {
+  const doc = await twoFactor.getWithCas(email);
+  if (!doc || !doc.content.enabled) return false;
+
+  const record = doc.content;
+
+  if (code) {
+    const step = verifyCode(record.secret, code, { lastUsedStep: record.lastUsedStep ?? -1 });
+    if (step === null) return false;
+    record.lastUsedStep = step;
+  } else {
+    const hash = hashRecoveryCode(recoveryCode);
+    if (!record.recoveryCodes.includes(hash)) return false;
+    record.recoveryCodes = record.recoveryCodes.filter((h) => h !== hash);
+  }
+
+  // CAS: ek hi code do parallel requests me na chale
+  try {
+    await twoFactor.replace(email, record, { cas: doc.cas });
+  } catch {
+    return false;
+  }
+  return true;
+}
+
+// 1️⃣ Setup: secret + otpauth URI (abhi enable nahi)
+app.post("/2fa/setup", authMiddleware, async (req, res) => {
+  try {
+    const existing = await twoFactor.get(req.user.email);
+    if (existing?.enabled) {
+      return res.status(400).json({ success: false, message: "Two-factor authentication is already enabled" });
+    }
+
+    const secret = generateSecret();
+    await twoFactor.upsert(req.user.email, {
+      email: req.user.email,
+      enabled: false,
+      pendingSecret: secret,
+      createdAt: new Date().toISOString(),
+    });
+
+    res.json({
+      success: true,
+      message: "Scan the QR code in your authenticator app, then confirm with a code",
+      data: { secret, otpauthUri: otpauthUri({ secret, account: req.user.email }) },
+    });
+  } catch (err) {
+    logger.error("2FA setup error", { err });
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// 2️⃣ Confirm: pehla code verify → enable + recovery codes
+app.post("/2fa/confirm", authMiddleware, validate({ body: { code: TOTP_CODE } }), async (req, res) => {
+  try {
+    const record = await twoFactor.get(req.user.email);
+    if (!record || !record.pendingSecret) {
+      return res.status(400).json({ success: false, message: "Start two-factor setup first" });
+    }
+
+    const step = verifyCode(record.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ success: false, message: "Invalid two-factor code" });
+    }
+
+    const recoveryCodes = generateRecoveryCodes(RECOVERY_CODE_COUNT);
+    await twoFactor.upsert(req.user.email, {
+      email: req.user.email,
+      enabled: true,
+      secret: record.pendingSecret,
+      lastUsedStep: step,
+      recoveryCodes: recoveryCodes.map(hashRecoveryCode),
+      enabledAt: new Date().toISOString(),
+    });
+
+    const player = await players.get(req.user.email);
+    player.twoFactorEnabled = true;
+    player.updatedAt = new Date().toISOString();
+    await players.upsert(req.user.email, player);
+
+    await sendNotification(req.user.email, {
+      title: "Two-Factor Enabled",
+      message: "Two-factor authentication is now on for your account.",
+      type: "security",
+    });
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication enabled. Save these recovery codes somewhere safe, they are shown only once.",
+      data: { recoveryCodes },
+    });
+  } catch (err) {
+    logger.error("2FA confirm error", { err });
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// 🔁 New recovery codes (purane sab invalid)
+app.post("/2fa/recovery-codes", authMiddleware, validate({ body: { code: TOTP_CODE } }), async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!(await verifySecondFactor(req.user.email, { code }))) {
+      return res.status(400).json({ success: false, message: "Invalid two-factor code" });
+    }
+
+    const record = await twoFactor.get(req.user.email);
+    const recoveryCodes = generateRecoveryCodes(RECOVERY_CODE_COUNT);
+    await twoFactor.upsert(req.user.email, { ...record, recoveryCodes: recoveryCodes.map(hashRecoveryCode) });
+
+    res.json({ success: true, message: "Recovery codes regenerated", data: { recoveryCodes } });
+  } catch (err) {
+    logger.error("2FA recovery codes error", { err });
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// ❌ Disable 2FA (password + code dono chahiye)
+app.post("/2fa/disable", authMiddleware, validate({
+  body: { password: t.string({ max: 128, trim: false }), code: TOTP_CODE.optional(), recoveryCode: RECOVERY_CODE.optional() },
+}), async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    if (!code && !recoveryCode) {
+      return sendValidationError(res, [{ location: "body", field: "code", message: "code or recoveryCode is required" }]);
+    }
+
+    const player = await players.get(req.user.email);
+
+    if (!(await bcrypt.compare(password, player.password))) {
+      return res.status(400).json({ success: false, message: "Incorrect password" });
+    }
+    if (!(await verifySecondFactor(req.user.email, { code, recoveryCode }))) {
+      return res.status(400).json({ success: false, message: "Invalid two-factor code" });
+    }
+
+    await twoFactor.remove(req.user.email);
+    player.twoFactorEnabled = false;
+    player.updatedAt = new Date().toISOString();
+    await players.upsert(req.user.email, player);
+
+    await sendNotification(req.user.email, {
+      title: "Two-Factor Disabled",
+      message: "Two-factor authentication was turned off for your account.",
+      type: "security",
+    });
+
+    res.json({ success: true, message: "Two-factor authentication disabled" });
+  } catch (err) {
+    logger.error("2FA disable error", { err });
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// ====== API Keys (Auth, session only) ======
+
+// 📋 List my API keys
+app.get("/api-keys", authMiddleware, async (req, res) => {
+  try {
+    const keys = await listApiKeys(req.user.email);
+    res.json({ success: true, message: "API keys fetched successfully", data: keys.map(toPublicKey) });
+  } catch (err) {
+    logger.error("List API keys error", { err });
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// ➕ Create API key (plain key sirf ek dafa dikhate hain)
+app.post("/api-keys", authMiddleware, validate({
+  body: { name: t.string({ max: 60 }), readOnly: t.boolean().optional() },
+}), async (req, res) => {
+  try {
+    const { name, readOnly = false } = req.body;
+
+    const existing = await listApiKeys(req.user.email);
+    if (existing.length >= MAX_KEYS_PER_PLAYER) {
+      return res.status(400).json({ success: false, message: `You can have at most ${MAX_KEYS_PER_PLAYER} active API keys` });
+    }
+
+    const { key, record } = await createApiKey({ email: req.user.email, name, readOnly });
+
+    res.status(201).json({
+      success: true,
+      message: "API key created. Copy it now, it will not be shown again.",
+      data: { ...toPublicKey(record), key },
+    });
+  } catch (err) {
+    logger.error("Create API key error", { err });
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// ❌ Revoke API key
+app.post("/del-api-keys/:id", authMiddleware, validate({ params: { id: ID_PARAM } }), async (req, res) => {
+  try {
+    const revoked = await revokeApiKey(req.params.id, req.user.email);
+    if (!revoked) {
+      return res.status(404).json({ success: false, message: "API key not found" });
+    }
+
+    res.json({ success: true, message: "API key revoked successfully" });
+  } catch (err) {
+    logger.error("Revoke API key error", { err });
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// ====== Password Reset ======
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+
+// Request reset link (same response chahe email ho ya na ho)
+app.post("/password-reset/request", validate({ body: { email: t.email() } }), async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const player = await findPlayerByEmail(email);
+    if (player) {
+      const token = await createOneTimeToken({
+        purpose: "password-reset",
+        email: player.email,
+        ttlMinutes: PASSWORD_RESET_TTL_MINUTES,
+      });
+
+      await sendMail({
+        to: player.email,
+        subject: "Reset your FootballHub password",
+        text:
+          `Hi ${player.name},\n\n` +
+          `Use the link below to choose a new password. It expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and works once.\n\n` +
+          `${appLink("/reset-password", { token })}\n\n` +
+          `If you did not ask for this, you can ignore this email.`,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "If that email is registered, a reset link has been sent.",
+    });
+  } catch (err) {
+    logger.error("Password reset request error", { err });
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// Confirm reset (token + new password)
+app.post("/password-reset/confirm", validate({
+  body: { token: t.string({ max: 200 }), password: PASSWORD },
+}), async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const email = await consumeOneTimeToken("password-reset", token);
+    if (!email) {
+      return res.status(400).json({ success: false, message: "Reset link is invalid or has expired" });
+    }
+
+    const player = await players.get(email);
+    if (!player) {
+      return res.status(404).json({ success: false, message: "Player not found" });
+    }
+
+    player.password = await bcrypt.hash(password, 10);
+    player.updatedAt = new Date().toISOString();
+    await players.upsert(email, player);
+
+    // ✅ Sab devices se logout
+    await revokeAllSessions(email, { reason: "password-reset" });
+
+    await sendNotification(email, {
+      title: "Password Changed",
+      message: "Your password was reset. If this wasn't you, contact support right away.",
+    });
+
+    res.json({ success: true, message: "Password has been reset. Please login again." });
+  } catch (err) {
+    logger.error("Password reset confirm error", { err });
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// ====== Session Routes (Protected) ======
+
+// ✅ List active sessions
+app.get("/sessions", authMiddleware, async (req, res) => {
+  try {
+    const active = await listSessions(req.user.email);
+
+    res.json({
+      success: true,
+      message: "Sessions fetched successfully",
+      data: active.map((s) => ({
+        id: s.id,
+        device: s.device,
+        ip: s.ip,
+        createdAt: s.createdAt,
+        lastSeenAt: s.lastSeenAt,
+        expiresAt: s.expiresAt,
+        current: s.id === req.sessionId,
+      })),
+    });
+  } catch (err) {
+    logger.error("List sessions error", { err });
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// ❌ Revoke all sessions (current included)
+app.post("/del-sessions", authMiddleware, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.email);
+
+    clearAuthCookies(res);
+    res.json({ success: true, message: "All sessions revoked", revoked });
+  } catch (err) {
+    logger.error("Revoke all sessions error", { err });
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// ❌ Revoke single session
+app.post("/del-sessions/:id", authMiddleware, validate({ params: { id: ID_PARAM } }), async (req, res) => {
+  try {
+    const session = await getActiveSession(req.params.id);
+    if (!session || session.email !== req.user.email) {
+      return res.status(404).json({ success: false, message: "Session not found" });
+    }
+
+    await revokeSession(session.id, "revoked-by-user");
+
+    if (session.id === req.sessionId) clearAuthCookies(res);
+    res.json({ success: true, message: "Session revoked successfully" });
+  } catch (err) {
+    logger.error("Revoke session error", { err });
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
 // ====== Profile Routes (Protected) ======
 
 // ✅ Get Profile
 app.get("/profile", authMiddleware, async (req, res) => {
   try {
-    const players = getCollection("players");
     const player = await players.get(req.user.email);
+    const roles = getPlayerRoles(player);
     res.json({
       success: true,
       message: "Profile fetched successfully",
-      data: { ...player.content, password: undefined },
+      data: { ...player, password: undefined, roles, permissions: getPermissions(roles) },
     });
   } catch (err) {
-    console.error("❌ Get profile error:", err);
+    logger.error("Get profile error", { err });
     res.status(500).json({
       success: false,
       message: "Server error"
@@ -336,218 +1097,609 @@ app.get("/profile", authMiddleware, async (req, res) => {
   }
 });
 
+// 📦 Export all my data (privacy requests / move history elsewhere)
+app.get("/profile/export", authMiddleware, async (req, res) => {
+  try {
+    const email = req.user.email;
+
+    const playerData = await players.get(email);
+    if (!playerData) {
+      return res.status(404).json({ success: false, message: "Player not found" });
+    }
+    const { password, notifications, ...player } = playerData;
+
+    // 1️⃣ Sell items + trainer profile
+    const myItems = await sellItems.findBySeller(email);
+    const trainerProfile = await trainers.get(email);
+
+    // 2️⃣ Team memberships
+    const myTeams = [];
+    for (const teamId of player.teams || []) {
+      const team = await teams.get(teamId);
+      if (!team) continue;
+      myTeams.push({
+        id: team.id,
+        name: team.name,
+        location: team.location,
+        role: team.captain === email ? "captain" : "member",
+        teamPlayers: team.teamPlayers,
+        createdAt: team.createdAt,
+      });
+    }
+
+    // 3️⃣ Chat messages (jo maine bheje)
+    const myMessages = await messages.findBySender(email);
+
+    // 4️⃣ Matches jin me main tha (selected ya stats me)
+    const myMatches = await matches.findByPlayer(email);
+
+    // 5️⃣ Points ledger
+    const pointsLedger = await ledger.listAllByEmail(email);
+
+    // 6️⃣ Account security metadata (hashes/secrets kabhi nahi)
+    const sessions = await listSessions(email);
+    const apiKeys = await listApiKeys(email);
+
+    const bundle = {
+      format: "footballhub-export/v1",
+      exportedAt: new Date().toISOString(),
+      player,
+      notifications: notifications || [],
+      sellItems: myItems,
+      trainerProfile,
+      teams: myTeams,
+      messages: myMessages,
+      matches: myMatches,
+      pointsLedger,
+      security: {
+        sessions: sessions.map(({ refreshTokenHash, ...s }) => s),
+        apiKeys: apiKeys.map(toPublicKey),
+      },
+    };
+
+    const fileName = `footballhub-export-${email.replace(/[^a-z0-9]+/gi, "_")}-${new Date().toISOString().slice(0, 10)}.json`;
+    res.attachment(fileName);
+    res.type("application/json");
+    res.send(JSON.stringify(bundle, null, 2));
+  } catch (err) {
+    logger.error("Export profile error", { err });
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// 💰 Wallet — balance, totals aur points history (naye pehle, har entry ke baad ka balance)
+app.get("/wallet", authMiddleware, validate({ query: PAGINATION }), async (req, res) => {
+  try {
+    const email = req.user.email;
+    const { offset = 0, limit = 30 } = req.query;
+
+    const player = await players.get(email);
+    if (!player) {
+      return res.status(404).json({ success: false, message: "Player not found" });
+    }
+
+    const entries = await ledger.listByEmail(email, { offset, limit });
+    const totals = summarizeEntries(await ledger.listAllByEmail(email));
+
+    res.json({
+      success: true,
+      message: "Wallet fetched successfully",
+      data: {
+        balance: Number(player.points) || 0,
+        totals,
+        entries,
+        pagination: { offset, limit, count: entries.length, total: await ledger.countByEmail(email) },
+      },
+    });
+  } catch (err) {
+    logger.error("Wallet error", { err });
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// 🔍 Ledger reconciliation (Admin) — ledger sums vs players.points
+app.get("/ledger/reconcile", authMiddleware, requirePermission("ledger:audit"), async (req, res) => {
+  try {
+    const { checked, mismatches } = await reconcileLedger();
+
+    res.json({
+      success: true,
+      message: mismatches.length ? `${mismatches.length} balance(s) do not match the ledger` : "All balances match the ledger",
+      data: { checked, mismatches },
+    });
+  } catch (err) {
+    logger.error("Ledger reconcile error", { err });
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
 // ✅ Update Profile
-app.post("/profile", authMiddleware, async (req, res) => {
+app.post("/profile", authMiddleware, validate({
+  body: { ...partial(PROFILE_FIELDS), password: PASSWORD.optional() },
+  files: { file: t.image().optional() },
+}), async (req, res) => {
   try {
-    const players = getCollection("players");
     const player = await players.get(req.user.email);
 
-    const allowedUpdates = ["name", "age", "mobileNumber", "location", "position", "foot"];
+    const allowedUpdates = Object.keys(PROFILE_FIELDS);
     const body = req.body || {};
-    let updatedData = { ...player.content };
+    let updatedData = { ...player };
 
     allowedUpdates.forEach((field) => {
-      if (body[field] !== undefined && body[field] !== "") {
+      if (body[field] !== undefined) {
         updatedData[field] = body[field];
       }
     });
 
     if (req.files && req.files.file) {
       const file = req.files.file;
-      const allowedTypes = ["image/jpeg", "image/jpg", "image/png", "image/webp"];
-      if (!allowedTypes.includes(file.mimetype)) {
-        return res.status(400).json({
-          success: false,
-          message: "Profile image must be JPG, PNG, or WEBP",
-        });
-      }
-      if (file.size > 2 * 1024 * 1024) {
-        return res.status(400).json({
-          success: false,
-          message: "Profile image size must be < 2MB",
-        });
-      }
       try {
-        if (player.content.imageFileId) {
-          await imagekit.deleteFile(player.content.imageFileId);
+        if (player.imageFileId) {
+          await storage.delete(player.imageFileId);
         }
       } catch { }
 
-      const uploaded = await imagekit.upload({
-        file: file.data,
-        fileName: file.name || `profile_${Date.now()}.jpg`,
-      });
+      const uploaded = await storage.upload({
+        file: file.data,
+        mimetype: file.mimetype,
+        fileName: file.name || `profile_${Date.now()}.jpg`,
+      });
+
+      updatedData.imageUrl = uploaded.url;
+      updatedData.imageFileId = uploaded.fileId;
+    }
+
+    const passwordChanged = Boolean(body.password);
+    if (passwordChanged) {
+      updatedData.password = await bcrypt.hash(body.password, 10);
+    }
+
+    await players.upsert(req.user.email, updatedData);
+
+    // Password change pe baaki devices logout
+    if (passwordChanged) {
+      await revokeAllSessions(req.user.email, { exceptId: req.sessionId, reason: "password-changed" });
+    }
+
+    res.json({
+      success: true,
+      message: "Profile updated successfully",
+      data: { ...updatedData, password: undefined },
+    });
+  } catch (err) {
+    logger.error("Update profile error", { err });
+    res.status(500).json({
+      success: false,
+      message: "Server error"
+    });
+  }
+});
+
+const DELETION_GRACE_DAYS = Number(process.env.DELETION_GRACE_DAYS) || 14;
+
+// 🧹 Hard delete cascade (grace period khatam hone ke baad cron chalata hai)
+async function purgePlayer(email) {
+  const player = await players.get(email);
+  if (!player) return false;
+
+  // 1️⃣ Delete sell items
+  const items = await sellItems.findBySeller(email);
+
+  for (const row of items) {
+    try {
+      if (row.imageFileId) await storage.delete(row.imageFileId);
+    } catch { }
+    await sellItems.remove(row.id);
+  }
+
+  // 2️⃣ Trainer delete
+  const trainer = await trainers.get(email);
+  if (trainer) await trainers.remove(email);
+
+  // 3️⃣ Teams cleanup
+  if (player.teams && player.teams.length > 0) {
+    for (const teamId of player.teams) {
+      const team = await teams.get(teamId);
+      if (team) {
+        if (team.captain === email) {
+          team.teamPlayers = team.teamPlayers.filter((p) => p !== email);
+          if (team.teamPlayers.length > 0) {
+            const newCaptain = team.teamPlayers[0];
+            team.captain = newCaptain;
+
+            let newCapData = await players.get(newCaptain);
+            if (newCapData) {
+              newCapData.captain = true;
+              await players.upsert(newCaptain, newCapData);
+              await sendNotification(newCaptain, {
+                title: "New Captain Assigned",
+                message: `You are now the captain of team ${team.name}.`,
+                type: "team-update",
+              });
+            }
+            await teams.upsert(teamId, team);
+          } else {
+            if (team.logoFileId) {
+              try {
+                await storage.delete(team.logoFileId);
+              } catch { }
+            }
+            await teams.remove(teamId);
+          }
+        } else {
+          team.teamPlayers = team.teamPlayers.filter((p) => p !== email);
+          await teams.upsert(teamId, team);
+          await sendNotification(team.captain, {
+            title: "Player Left Team",
+            message: `Player ${player.name} left your team ${team.name}.`,
+            type: "team-update",
+          });
+        }
+      }
+    }
+  }
+
+  // 4️⃣ Delete profile image
+  if (player.imageFileId) {
+    try {
+      await storage.delete(player.imageFileId);
+    } catch { }
+  }
+
+  // 5️⃣ Delete profile
+  await players.remove(email);
+
+  // 6️⃣ 2FA secret bhi hatao
+  await twoFactor.remove(email);
+
+  return true;
+}
+
+// ✅ Delete Profile (soft delete, DELETION_GRACE_DAYS ke andar restore ho sakta hai)
+app.post("/del-profile", authMiddleware, async (req, res) => {
+  try {
+    const player = await players.get(req.user.email);
+    if (!player) {
+      return res.status(404).json({
+        success: false,
+        message: "Player not found",
+      });
+    }
+
+    const now = new Date();
+    player.deletedAt = now.toISOString();
+    player.purgeAt = new Date(now.getTime() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    player.updatedAt = now.toISOString();
+    await players.upsert(req.user.email, player);
+
+    // Revoke all sessions + API keys
+    await revokeAllSessions(req.user.email, { reason: "account-deleted" });
+    await revokeAllApiKeys(req.user.email);
+
+    clearAuthCookies(res);
+    res.json({
+      success: true,
+      message: `Profile scheduled for deletion. You can restore it until ${player.purgeAt}.`,
+      data: { deletedAt: player.deletedAt, purgeAt: player.purgeAt },
+    });
+  } catch (err) {
+    logger.error("Delete profile error", { err });
+    res.status(500).json({
+      success: false,
+      message: "Server error"
+    });
+  }
+});
+
+// ♻️ Restore Profile (grace period ke andar, email + password)
+app.post("/restore-profile", validate({
+  body: { email: t.string({ max: 254 }), password: t.string({ max: 128, trim: false }) },
+}), async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const throttle = await checkLoginAllowed(email, req.ip);
+    if (!throttle.allowed) {
+      res.set("Retry-After", String(Math.ceil(throttle.retryAfterMs / 1000)));
+      return res.status(429).json({ success: false, message: "Too many failed attempts. Try again later." });
+    }
+
+    const player = await findPlayerByEmail(email);
+    const isMatch = player ? await bcrypt.compare(password, player.password) : false;
+    if (!isMatch) {
+      await recordLoginFailure(email, req.ip);
+      return res.status(400).json({ success: false, message: "Invalid email or password" });
+    }
+
+    if (!player.deletedAt) {
+      return res.status(400).json({ success: false, message: "Profile is not scheduled for deletion" });
+    }
+
+    // Grace period khatam — purge cron abhi na chala ho tab bhi restore nahi
+    if (Date.now() >= new Date(player.purgeAt).getTime()) {
+      return res.status(410).json({ success: false, message: "The restore period for this profile has ended" });
+    }
+
+    delete player.deletedAt;
+    delete player.purgeAt;
+    player.updatedAt = new Date().toISOString();
+    await players.upsert(player.email, player);
+    await recordLoginSuccess(email);
+
+    res.json({ success: true, message: "Profile restored successfully. You can login again." });
+  } catch (err) {
+    logger.error("Restore profile error", { err });
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// ====== Role Routes (role:write) ======
+
+// 📋 Roles & permissions list
+app.get("/roles", authMiddleware, requirePermission("role:write"), async (req, res) => {
+  res.json({ success: true, message: "Roles fetched successfully", data: ROLES });
+});
 
-      updatedData.imageUrl = uploaded.url;
-      updatedData.imageFileId = uploaded.fileId;
+// ➕ Grant role
+app.post("/players/:email/roles", authMiddleware, requirePermission("role:write"), validate({
+  params: { email: EMAIL_PARAM },
+  body: { role: t.oneOf(Object.keys(ROLES)) },
+}), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    const player = await players.get(req.params.email);
+    if (!player) {
+      return res.status(404).json({ success: false, message: "Player not found" });
     }
 
-    if (body.password && body.password.trim() !== "") {
-      updatedData.password = await bcrypt.hash(body.password, 10);
+    const roles = getPlayerRoles(player);
+    if (roles.includes(role)) {
+      return res.status(400).json({ success: false, message: "Player already has this role" });
     }
 
-    await players.upsert(req.user.email, updatedData);
+    player.roles = [...roles, role];
+    player.updatedAt = new Date().toISOString();
+    await players.upsert(req.params.email, player);
+
+    await sendNotification(req.params.email, {
+      title: "Role Granted",
+      message: `You have been given the "${role}" role.`,
+    });
 
     res.json({
       success: true,
-      message: "Profile updated successfully",
-      data: { ...updatedData, password: undefined },
+      message: "Role granted successfully",
+      data: { email: req.params.email, roles: player.roles, permissions: getPermissions(player.roles) },
     });
   } catch (err) {
-    console.error("❌ Update profile error:", err);
-    res.status(500).json({
-      success: false,
-      message: "Server error"
-    });
+    logger.error("Grant role error", { err });
+    res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
-// ✅ Delete Profile (cleanup too)
-app.post("/del-profile", authMiddleware, async (req, res) => {
+// ❌ Revoke role
+app.post("/players/:email/del-roles/:role", authMiddleware, requirePermission("role:write"), validate({
+  params: { email: EMAIL_PARAM, role: t.oneOf(Object.keys(ROLES)) },
+}), async (req, res) => {
   try {
-    const players = getCollection("players");
-    const sellItems = getCollection("sellItems");
-    const trainers = getCollection("trainers");
-    const teams = getCollection("teams");
+    const { email, role } = req.params;
 
-    const playerDoc = await players.get(req.user.email).catch(() => null);
-    if (!playerDoc) {
-      return res.status(404).json({
-        success: false,
-        message: "Player not found",
-      });
+    if (email === req.user.email && role === "admin") {
+      return res.status(400).json({ success: false, message: "You cannot remove your own admin role" });
     }
 
-    const player = playerDoc.content;
-
-    // 1️⃣ Delete sell items
-    const query = `
-      SELECT META(s).id, s.* 
-      FROM \`${process.env.COUCHBASE_BUCKET}\`.\`${process.env.COUCHBASE_SCOPE}\`.\`sellItems\` s
-      WHERE s.playerEmail = $email
-    `;
-    const result = await getCluster().query(query, {
-      parameters: { email: req.user.email },
-    });
-
-    for (const row of result.rows) {
-      try {
-        if (row.imageFileId) await imagekit.deleteFile(row.imageFileId);
-      } catch { }
-      await sellItems.remove(row.id);
-    }
-
-    // 2️⃣ Trainer delete
-    const trainer = await trainers.get(req.user.email).catch(() => null);
-    if (trainer) await trainers.remove(req.user.email);
-
-    // 3️⃣ Teams cleanup
-    if (player.teams && player.teams.length > 0) {
-      for (const teamId of player.teams) {
-        const teamDoc = await teams.get(teamId).catch(() => null);
-        if (teamDoc) {
-          const team = teamDoc.content;
-          if (team.captain === req.user.email) {
-            team.teamPlayers = team.teamPlayers.filter((p) => p !== req.user.email);
-            if (team.teamPlayers.length > 0) {
-              const newCaptain = team.teamPlayers[0];
-              team.captain = newCaptain;
-
-              const newCaptainDoc = await players.get(newCaptain).catch(() => null);
-              if (newCaptainDoc) {
-                let newCapData = newCaptainDoc.content;
-                newCapData.captain = true;
-                await players.upsert(newCaptain, newCapData);
-                await sendNotification(newCaptain, {
-                  title: "New Captain Assigned",
-                  message: `You are now the captain of team ${team.name}.`,
-                  type: "team-update",
-                });
-              }
-              await teams.upsert(teamId, team);
-            } else {
-              if (team.logoFileId) {
-                try {
-                  await imagekit.deleteFile(team.logoFileId);
-                } catch { }
-              }
-              await teams.remove(teamId);
-            }
-          } else {
-            team.teamPlayers = team.teamPlayers.filter((p) => p !== req.user.email);
-            await teams.upsert(teamId, team);
-            await sendNotification(team.captain, {
-              title: "Player Left Team",
-              message: `Player ${player.name} left your team ${team.name}.`,
-              type: "team-update",
-            });
-          }
-        }
-      }
+    const player = await players.get(email);
+    if (!player) {
+      return res.status(404).json({ success: false, message: "Player not found" });
     }
 
-    // 4️⃣ Delete profile image
-    if (player.imageFileId) {
-      try {
-        await imagekit.deleteFile(player.imageFileId);
-      } catch { }
+    const roles = getPlayerRoles(player);
+    if (!roles.includes(role)) {
+      return res.status(400).json({ success: false, message: "Player does not have this role" });
     }
 
-    // 5️⃣ Delete profile
-    await players.remove(req.user.email);
+    player.roles = roles.filter((r) => r !== role);
+    if (player.role === role) delete player.role; // legacy field
+    player.updatedAt = new Date().toISOString();
+    await players.upsert(email, player);
+
+    await sendNotification(email, {
+      title: "Role Removed",
+      message: `Your "${role}" role has been removed.`,
+    });
 
-    res.clearCookie("token");
     res.json({
       success: true,
-      message: "Profile and related data deleted successfully",
+      message: "Role revoked successfully",
+      data: { email, roles: player.roles, permissions: getPermissions(player.roles) },
     });
   } catch (err) {
-    console.error("❌ Delete profile error:", err);
-    res.status(500).json({
-      success: false,
-      message: "Server error"
+    logger.error("Revoke role error", { err });
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// 🔓 Unlock account (after too many failed logins)
+app.post("/players/:email/unlock", authMiddleware, requirePermission("player:moderate"), validate({
+  params: { email: EMAIL_PARAM },
+}), async (req, res) => {
+  try {
+    const { email } = req.params;
+    const status = await getAccountLockStatus(email);
+    await unlockAccount(email);
+
+    if (status.lockedUntil) {
+      await sendNotification(email, {
+        title: "Account Unlocked",
+        message: "Your account has been unlocked by an admin. You can login again.",
+        type: "security",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: status.lockedUntil ? "Account unlocked successfully" : "Account was not locked",
+      data: { email, previousFailures: status.failures },
     });
+  } catch (err) {
+    logger.error("Unlock account error", { err });
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// ====== Moderation (player:moderate) ======
+
+// Suspend hone pe sell items + trainer profile band, lift pe wapis
+async function setListingsActive(email, active) {
+  const items = await sellItems.findBySeller(email);
+
+  for (const item of items) {
+    if (active) delete item.active;
+    else item.active = false;
+    await sellItems.upsert(item.id, item);
+  }
+
+  const trainer = await trainers.get(email);
+  if (trainer) {
+    if (active && trainer.status === "suspended") {
+      trainer.status = trainer.statusBeforeSuspension || "active";
+      delete trainer.statusBeforeSuspension;
+      await trainers.upsert(email, trainer);
+    } else if (!active && trainer.status !== "suspended") {
+      trainer.statusBeforeSuspension = trainer.status;
+      trainer.status = "suspended";
+      await trainers.upsert(email, trainer);
+    }
+  }
+}
+
+async function applySuspension(req, res, { type, until, reason }) {
+  const { email } = req.params;
+  if (email === req.user.email) {
+    return res.status(400).json({ success: false, message: "You cannot suspend yourself" });
+  }
+
+  const [player, actor] = await Promise.all([players.get(email), players.get(req.user.email)]);
+  if (!player) {
+    return res.status(404).json({ success: false, message: "Player not found" });
+  }
+  if (!canModerate(actor, player)) {
+    return res.status(403).json({ success: false, message: "You cannot suspend a player with permissions you do not have" });
+  }
+
+  player.suspension = {
+    type,
+    reason: reason || "",
+    until: until || null,
+    by: req.user.email,
+    at: new Date().toISOString(),
+  };
+  player.updatedAt = new Date().toISOString();
+  await players.upsert(email, player);
+
+  await setListingsActive(email, false);
+  await revokeAllSessions(email, { reason: type === "ban" ? "banned" : "suspended" });
+
+  await sendNotification(email, {
+    title: type === "ban" ? "Account Banned" : "Account Suspended",
+    message: suspensionMessage(player.suspension),
+    type: "moderation",
+  });
+
+  res.json({
+    success: true,
+    message: type === "ban" ? "Player banned successfully" : "Player suspended successfully",
+    data: { email, suspension: player.suspension },
+  });
+}
+
+async function liftSuspension(email) {
+  const player = await players.get(email);
+  if (!player || !player.suspension) return false;
+
+  delete player.suspension;
+  player.updatedAt = new Date().toISOString();
+  await players.upsert(email, player);
+
+  await setListingsActive(email, true);
+
+  await sendNotification(email, {
+    title: "Account Restored",
+    message: "Your account suspension has been lifted. Welcome back!",
+    type: "moderation",
+  });
+  return true;
+}
+
+// ⏸️ Suspend until date
+app.post("/players/:email/suspend", authMiddleware, requirePermission("player:moderate"), validate({
+  params: { email: EMAIL_PARAM },
+  body: { until: t.date(), reason: t.string({ max: 500 }).optional() },
+}), async (req, res) => {
+  try {
+    const { until, reason } = req.body;
+    const untilDate = new Date(until);
+    if (untilDate.getTime() <= Date.now()) {
+      return sendValidationError(res, [{ location: "body", field: "until", message: "must be in the future" }]);
+    }
+
+    await applySuspension(req, res, { type: "suspend", until: untilDate.toISOString(), reason });
+  } catch (err) {
+    logger.error("Suspend player error", { err });
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// ⛔ Permanent ban
+app.post("/players/:email/ban", authMiddleware, requirePermission("player:moderate"), validate({
+  params: { email: EMAIL_PARAM },
+  body: { reason: t.string({ max: 500 }).optional() },
+}), async (req, res) => {
+  try {
+    await applySuspension(req, res, { type: "ban", reason: req.body?.reason });
+  } catch (err) {
+    logger.error("Ban player error", { err });
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// ▶️ Lift suspension/ban
+app.post("/players/:email/unsuspend", authMiddleware, requirePermission("player:moderate"), validate({
+  params: { email: EMAIL_PARAM },
+}), async (req, res) => {
+  try {
+    const lifted = await liftSuspension(req.params.email);
+    if (!lifted) {
+      return res.status(404).json({ success: false, message: "Player is not suspended" });
+    }
+
+    res.json({ success: true, message: "Suspension lifted successfully" });
+  } catch (err) {
+    logger.error("Unsuspend player error", { err });
+    res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
 // ====== Players Routes (Public) ======
 
 // 1️⃣ Players Search
-app.get("/players/search", async (req, res) => {
+app.get("/players/search", rateLimit("search"), validate({ query: { q: SEARCH_QUERY } }), async (req, res) => {
   try {
     const { q } = req.query;
-    if (!q || q.trim() === "") {
-      return res.status(400).json({
-        success: false,
-        message: "Search query is required",
-      });
-    }
-
-    const bucket = process.env.COUCHBASE_BUCKET;
-    const scope = process.env.COUCHBASE_SCOPE;
-    const collection = "players";
 
-    const query = `
-      SELECT META(p).id AS id, p.*
-      FROM \`${bucket}\`.\`${scope}\`.\`${collection}\` p
-      WHERE LOWER(p.name) LIKE $search
-         OR LOWER(p.email) LIKE $search
-         OR LOWER(p.position) LIKE $search
-      LIMIT 20;
-    `;
-    const options = { parameters: { search: `%${q.toLowerCase()}%` } };
-    const result = await getCluster().query(query, options);
+    const results = await players.search(q);
 
     res.json({
       success: true,
       message: "Players fetched successfully",
-      data: result.rows.map(r => {
+      data: results.map(r => {
         const { password, notifications, ...safe } = r;
         return { id: r.id, ...safe };
       }),
     });
   } catch (err) {
-    console.error("❌ Players search error:", err);
+    logger.error("Players search error", { err });
     res.status(500).json({
       success: false,
       message: "Server error"
@@ -556,20 +1708,13 @@ app.get("/players/search", async (req, res) => {
 });
 
 // 2️⃣ Get Players with Pagination
-app.get("/players", async (req, res) => {
+app.get("/players", validate({ query: PAGINATION }), async (req, res) => {
   try {
-    const offset = parseInt(req.query.offset) || 0;
-    const limit = parseInt(req.query.limit) || 30;
+    const { offset = 0, limit = 30 } = req.query;
 
-    const query = `
-      SELECT p.* 
-      FROM \`${process.env.COUCHBASE_BUCKET}\`.\`${process.env.COUCHBASE_SCOPE}\`.\`players\` p
-      ORDER BY p.name ASC
-      LIMIT ${limit} OFFSET ${offset}
-    `;
-    const result = await getCluster().query(query);
+    const page = await players.listVisible({ offset, limit });
 
-    const safePlayers = result.rows.map((p) => {
+    const safePlayers = page.map((p) => {
       const { password, notifications, ...rest } = p;
       return rest;
     });
@@ -583,7 +1728,7 @@ app.get("/players", async (req, res) => {
       },
     });
   } catch (err) {
-    console.error("❌ Get players error:", err);
+    logger.error("Get players error", { err });
     res.status(500).json({
       success: false,
       message: "Server error",
@@ -592,37 +1737,31 @@ app.get("/players", async (req, res) => {
 });
 
 // 3️⃣ Get Single Player by Email
-app.get("/players/:email", async (req, res) => {
+app.get("/players/:email", validate({ params: { email: EMAIL_PARAM } }), async (req, res) => {
   try {
-    const players = getCollection("players");
     const identifier = req.params.email;
 
-    let playerDoc = await players.get(identifier).catch(() => null);
+    let player = await players.get(identifier);
 
-    if (!playerDoc) {
-      const bucket = process.env.COUCHBASE_BUCKET;
-      const scope = process.env.COUCHBASE_SCOPE;
-      const collection = "players";
-
-      const query = `
-        SELECT p.*
-        FROM \`${bucket}\`.\`${scope}\`.\`${collection}\` p
-        WHERE p.email = $email
-        LIMIT 1
-      `;
-      const result = await getCluster().query(query, { parameters: { email: identifier } });
+    if (!player) {
+      player = await players.findByEmailField(identifier);
 
-      if (!result.rows.length) {
+      if (!player) {
         return res.status(404).json({
           success: false,
           message: "Player not found",
         });
       }
+    }
 
-      playerDoc = { content: result.rows[0] };
+    if (player.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        message: "Player not found",
+      });
     }
 
-    const { password, notifications, ...safePlayer } = playerDoc.content;
+    const { password, notifications, ...safePlayer } = player;
 
     res.json({
       success: true,
@@ -630,7 +1769,7 @@ app.get("/players/:email", async (req, res) => {
       data: safePlayer,
     });
   } catch (err) {
-    console.error("❌ Get player error:", err);
+    logger.error("Get player error", { err });
     res.status(500).json({
       success: false,
       message: "Server error"
@@ -641,40 +1780,19 @@ app.get("/players/:email", async (req, res) => {
 // ====== Sell Items Routes ======
 
 // 1️⃣ SellItems Search (Public)
-app.get("/sell-items/search", async (req, res) => {
+app.get("/sell-items/search", rateLimit("search"), validate({ query: { q: SEARCH_QUERY } }), async (req, res) => {
   try {
     const { q } = req.query;
 
-    if (!q || q.trim() === "") {
-      return res.status(400).json({
-        success: false,
-        message: "Search query is required",
-      });
-    }
-
-    const bucket = process.env.COUCHBASE_BUCKET;
-    const scope = process.env.COUCHBASE_SCOPE;
-    const collection = "sellItems";
-
-    const query = `
-      SELECT META(s).id AS id, s
-      FROM \`${bucket}\`.\`${scope}\`.\`${collection}\` s
-      WHERE LOWER(s.title) LIKE $search
-         OR LOWER(s.playerEmail) LIKE $search
-      LIMIT 20;
-    `;
-
-    const result = await getCluster().query(query, {
-      parameters: { search: `%${q.toLowerCase()}%` },
-    });
+    const results = await sellItems.search(q);
 
     res.json({
       success: true,
       message: "Sell items fetched successfully",
-      data: result.rows.map(r => ({ id: r.id, ...r.s })),
+      data: results,
     });
   } catch (err) {
-    console.error("❌ Sell items search error:", err);
+    logger.error("Sell items search error", { err });
     res.status(500).json({
       success: false,
       message: "Server error",
@@ -683,29 +1801,19 @@ app.get("/sell-items/search", async (req, res) => {
 });
 
 // 2️⃣ Create Sell Item (Auth)
-app.post("/sell-item", authMiddleware, async (req, res) => {
+app.post("/sell-item", authMiddleware, validate({
+  body: {
+    title: t.string({ max: 100 }),
+    description: t.string({ max: 2000 }),
+    price: t.number({ min: 0 }),
+    points: t.integer({ min: 1 }),
+  },
+  files: { file: t.image() },
+}), async (req, res) => {
   try {
     const { title, description, price, points } = req.body;
 
-    // Required fields check
-    if (!title || !description || !price || !points) {
-      return res.status(400).json({
-        success: false,
-        message: "Title, description, price, and points are required",
-      });
-    }
-
-    if (!req.files || !req.files.file) {
-      return res.status(400).json({
-        success: false,
-        message: "Item image is required",
-      });
-    }
-
-    const players = getCollection("players");
-    const sellItems = getCollection("sellItems");
-
-    const player = await players.get(req.user.email).catch(() => null);
+    const player = await players.get(req.user.email);
     if (!player) {
       return res.status(404).json({
         success: false,
@@ -714,23 +1822,9 @@ app.post("/sell-item", authMiddleware, async (req, res) => {
     }
 
     const file = req.files.file;
-    const allowedTypes = ["image/jpeg", "image/jpg", "image/png", "image/webp"];
-    if (!allowedTypes.includes(file.mimetype)) {
-      return res.status(400).json({
-        success: false,
-        message: "Item image must be JPG, JPEG, PNG, or WEBP",
-      });
-    }
-
-    if (file.size > 2 * 1024 * 1024) {
-      return res.status(400).json({
-        success: false,
-        message: "Item image size must be < 2MB",
-      });
-    }
-
-    const uploaded = await imagekit.upload({
+    const uploaded = await storage.upload({
       file: file.data,
+      mimetype: file.mimetype,
       fileName: file.name || `item_${Date.now()}.jpg`,
     });
 
@@ -739,13 +1833,13 @@ app.post("/sell-item", authMiddleware, async (req, res) => {
       playerEmail: req.user.email,
       title,
       description,
-      price: parseFloat(price),
-      points: parseInt(points),
+      price,
+      points,
       date: new Date().toISOString(),
       imageUrl: uploaded.url,
       imageFileId: uploaded.fileId,
-      contact: player.content.mobileNumber || "",
-      name: player.content.name || "",
+      contact: player.mobileNumber || "",
+      name: player.name || "",
       sold: 0,
     };
 
@@ -757,7 +1851,7 @@ app.post("/sell-item", authMiddleware, async (req, res) => {
       data: itemData,
     });
   } catch (err) {
-    console.error("❌ Create sell item error:", err);
+    logger.error("Create sell item error", { err });
     res.status(500).json({
       success: false,
       message: "Server error"
@@ -766,28 +1860,22 @@ app.post("/sell-item", authMiddleware, async (req, res) => {
 });
 
 // 3️⃣ Get All Sell Items (Public)
-app.get("/sell-items", async (req, res) => {
+app.get("/sell-items", validate({ query: PAGINATION }), async (req, res) => {
   try {
-    const offset = parseInt(req.query.offset) || 0;
-    const limit = parseInt(req.query.limit) || 20;
+    const { offset = 0, limit = 20 } = req.query;
 
-    const query = `
-      SELECT s.* 
-      FROM \`${process.env.COUCHBASE_BUCKET}\`.\`${process.env.COUCHBASE_SCOPE}\`.\`sellItems\` s
-      LIMIT ${limit} OFFSET ${offset}
-    `;
-    const result = await getCluster().query(query);
+    const items = await sellItems.listActive({ offset, limit });
 
     res.json({
       success: true,
       message: "Sell items fetched successfully",
       data: {
-        items: result.rows,
-        pagination: { offset, limit, count: result.rows.length },
+        items,
+        pagination: { offset, limit, count: items.length },
       },
     });
   } catch (err) {
-    console.error("❌ Get sell items error:", err);
+    logger.error("Get sell items error", { err });
     res.status(500).json({
       success: false,
       message: "Server error"
@@ -796,26 +1884,19 @@ app.get("/sell-items", async (req, res) => {
 });
 
 // 4️⃣ Get Sell Items of a Player (Public)
-app.get("/sell-items/:email", async (req, res) => {
+app.get("/sell-items/:email", validate({ params: { email: EMAIL_PARAM } }), async (req, res) => {
   try {
     const email = req.params.email;
 
-    const query = `
-      SELECT s.* 
-      FROM \`${process.env.COUCHBASE_BUCKET}\`.\`${process.env.COUCHBASE_SCOPE}\`.\`sellItems\` s
-      WHERE s.playerEmail = $email
-    `;
-    const result = await getCluster().query(query, {
-      parameters: { email },
-    });
+    const items = await sellItems.findActiveBySeller(email);
 
     res.json({
       success: true,
       message: "Player sell items fetched successfully",
-      data: result.rows,
+      data: items,
     });
   } catch (err) {
-    console.error("❌ Get player sell items error:", err);
+    logger.error("Get player sell items error", { err });
     res.status(500).json({
       success: false,
       message: "Server error"
@@ -824,12 +1905,11 @@ app.get("/sell-items/:email", async (req, res) => {
 });
 
 // 5️⃣ Delete Sell Item (Auth)
-app.post("/del-sell-items/:id", authMiddleware, async (req, res) => {
+app.post("/del-sell-items/:id", authMiddleware, validate({ params: { id: ID_PARAM } }), async (req, res) => {
   try {
     const itemId = req.params.id;
-    const sellItems = getCollection("sellItems");
 
-    const item = await sellItems.get(itemId).catch(() => null);
+    const item = await sellItems.get(itemId);
     if (!item) {
       return res.status(404).json({
         success: false,
@@ -837,18 +1917,18 @@ app.post("/del-sell-items/:id", authMiddleware, async (req, res) => {
       });
     }
 
-    if (item.content.playerEmail !== req.user.email) {
+    if (item.playerEmail !== req.user.email) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to delete this item",
       });
     }
 
-    if (item.content.imageFileId) {
+    if (item.imageFileId) {
       try {
-        await imagekit.deleteFile(item.content.imageFileId);
+        await storage.delete(item.imageFileId);
       } catch (err) {
-        console.warn("⚠️ Image delete failed:", err.message);
+        logger.warn("Image delete failed", { err });
       }
     }
 
@@ -859,7 +1939,7 @@ app.post("/del-sell-items/:id", authMiddleware, async (req, res) => {
       message: "Item deleted successfully",
     });
   } catch (err) {
-    console.error("❌ Delete sell item error:", err);
+    logger.error("Delete sell item error", { err });
     res.status(500).json({
       success: false,
       message: "Server error"
@@ -868,12 +1948,17 @@ app.post("/del-sell-items/:id", authMiddleware, async (req, res) => {
 });
 
 //  Buy Item 
-app.post("/buy-item", authMiddleware, async (req, res) => {
+app.post("/buy-item", authMiddleware, validate({
+  body: {
+    sellerEmail: t.email(),
+    playerEmail: t.email(),
+    points: t.integer({ min: 1 }),
+    itemName: t.string({ max: 100 }).optional(),
+    itemId: ID_PARAM.optional(),
+  },
+}), async (req, res) => {
   try {
     const { sellerEmail, playerEmail, points, itemName, itemId } = req.body;
-    if (!sellerEmail || !playerEmail || points == null) {
-      return res.status(400).json({ success: false, message: "Missing required data" });
-    }
 
     // 🔹 Send simple notification to seller
     await sendNotification(sellerEmail, {
@@ -887,64 +1972,55 @@ app.post("/buy-item", authMiddleware, async (req, res) => {
 
     res.json({ success: true, message: "Notification sent to seller." });
   } catch (err) {
-    console.error("❌ Buy Item Error:", err);
+    logger.error("Buy Item Error", { err });
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
 // ✅ Item Booking - Deduct/Add Points (Seller is auth user)
-app.post("/item-sold", authMiddleware, async (req, res) => {
+app.post("/item-sold", authMiddleware, validate({
+  body: {
+    playerEmail: t.email(),
+    points: t.integer({ min: 1 }),
+    itemName: t.string({ max: 100 }),
+    itemId: ID_PARAM,
+  },
+}), idempotent(), async (req, res) => {
   try {
     const { playerEmail, points, itemName, itemId } = req.body;
 
-    if (!playerEmail || !itemName || points == null || !itemId) {
-      return res.status(400).json({ success: false, message: "Missing required data" });
-    }
-
-    const players = getCollection("players");
-    const sellItems = getCollection("sellItems");
-
     // 1️⃣ Fetch seller (authenticated user)
-    const sellerDoc = await players.get(req.user.email).catch(() => null);
-    if (!sellerDoc) {
+    const seller = await players.get(req.user.email);
+    if (!seller) {
       return res.status(404).json({ success: false, message: "Seller not found" });
     }
-    const seller = sellerDoc.content;
 
     // 2️⃣ Fetch player (who is buying)
-    const playerDoc = await players.get(playerEmail).catch(() => null);
-    if (!playerDoc) {
+    const player = await players.get(playerEmail);
+    if (!player) {
       return res.status(404).json({ success: false, message: "Player not found" });
     }
-    const player = playerDoc.content;
-
-    // Ensure points are numbers
-    const pointsToTransfer = Number(points);
 
-    // 3️⃣ Check if player has enough points
-    if ((Number(player.points) || 0) < pointsToTransfer) {
-      return res.status(400).json({ success: false, message: "Player does not have enough points" });
+    // 3️⃣ Player → seller transfer (CAS, balance kam ho to 400)
+    try {
+      await transferPoints({ from: playerEmail, to: req.user.email, amount: points, reason: "item", related: { itemId } });
+    } catch (err) {
+      if (err instanceof InsufficientPointsError) {
+        return res.status(400).json({ success: false, message: "Player does not have enough points" });
+      }
+      throw err;
     }
 
-    // 4️⃣ Deduct points from player
-    player.points = (Number(player.points) || 0) - pointsToTransfer;
-
-    // 5️⃣ Add points to seller
-    seller.points = (Number(seller.points) || 0) + pointsToTransfer;
-
-    // 6️⃣ Update both users in DB
-    await players.upsert(playerEmail, player);
-    await players.upsert(req.user.email, seller);
+    itemsSold.inc();
 
-    // 7️⃣ Increment `sold` count for item
-    const itemDoc = await sellItems.get(itemId).catch(() => null);
-    if (itemDoc) {
-      const item = itemDoc.content;
+    // 4️⃣ Increment `sold` count for item
+    const item = await sellItems.get(itemId);
+    if (item) {
       item.sold = (Number(item.sold) || 0) + 1;
       await sellItems.upsert(itemId, item);
     }
 
-    // 8️⃣ Send notifications
+    // 5️⃣ Send notifications
     await sendNotification(playerEmail, {
       title: "Order Request Approved ✅",
       message: `Your order ${itemName} from ${req.user.email} has been booked. ${points} points have been deducted from your account.`,
@@ -957,70 +2033,64 @@ app.post("/item-sold", authMiddleware, async (req, res) => {
 
     res.json({ success: true, message: "Item sold! Points transferred and sold count updated." });
   } catch (err) {
-    console.error("❌ Selling Item Error:", err);
+    logger.error("Selling Item Error", { err });
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
 // ====== Trainers Routes ======
 
+// Trainer khud "suspended" set nahi kar sakta (wo moderation ka kaam hai)
+const TRAINER_FIELDS = {
+  title: t.string({ max: 100 }),
+  description: t.string({ max: 2000 }),
+  price: t.number({ min: 0 }),
+  points: t.integer({ min: 1 }),
+  timeSlot: t.string({ max: 100 }),
+  status: t.oneOf(["active", "inactive"]),
+};
+
 // 1️⃣ Search Trainers
-app.get("/trainers/search", async (req, res) => {
+app.get("/trainers/search", validate({ query: { q: SEARCH_QUERY } }), async (req, res) => {
   try {
     const { q } = req.query;
-    if (!q || q.trim() === "") {
-      return res.status(400).json({ success: false, message: "Search query is required" });
-    }
-
-    const bucket = process.env.COUCHBASE_BUCKET;
-    const scope = process.env.COUCHBASE_SCOPE;
-    const collection = "trainers";
 
-    const query = `
-      SELECT META(t).id AS id, t.*
-      FROM \`${bucket}\`.\`${scope}\`.\`${collection}\` t
-      WHERE LOWER(t.name) LIKE $search
-         OR LOWER(t.title) LIKE $search
-         OR LOWER(t.description) LIKE $search
-      LIMIT 20;
-    `;
-    const options = { parameters: { search: `%${q.toLowerCase()}%` } };
-    const result = await getCluster().query(query, options);
+    const results = await trainers.search(q);
 
-    res.json({ success: true, data: result.rows });
+    res.json({ success: true, data: results });
   } catch (err) {
-    console.error("❌ Trainers Search Error:", err);
+    logger.error("Trainers Search Error", { err });
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
 // 2️⃣ Create Trainer Profile (Auth)
-app.post("/trainer", authMiddleware, async (req, res) => {
+app.post("/trainer", authMiddleware, validate({
+  body: { ...TRAINER_FIELDS, status: TRAINER_FIELDS.status.optional() },
+}), async (req, res) => {
   try {
     const { title, description, price, points, timeSlot, status } = req.body;
-    const trainers = getCollection("trainers");
-    const players = getCollection("players");
 
-    const player = await players.get(req.user.email).catch(() => null);
+    const player = await players.get(req.user.email);
     if (!player) {
       return res.status(404).json({ success: false, message: "Player not found" });
     }
 
-    const existing = await trainers.get(req.user.email).catch(() => null);
+    const existing = await trainers.get(req.user.email);
     if (existing) {
       return res.status(400).json({ success: false, message: "Trainer profile already exists" });
     }
 
     const trainerData = {
       playerId: req.user.email,
-      name: player.content.name,
-      imageUrl: player.content.imageUrl,
-      mobileNumber: player.content.mobileNumber,
-      location: player.content.location,
+      name: player.name,
+      imageUrl: player.imageUrl,
+      mobileNumber: player.mobileNumber,
+      location: player.location,
       title,
       description,
-      price: parseFloat(price),
-      points: parseInt(points),
+      price,
+      points,
       ratingAvg: 0,
       ratingCount: 0,
       status: status || "active",
@@ -1032,26 +2102,25 @@ app.post("/trainer", authMiddleware, async (req, res) => {
 
     res.json({ success: true, message: "Trainer profile created successfully", data: trainerData });
   } catch (err) {
-    console.error("❌ Create Trainer Error:", err);
+    logger.error("Create Trainer Error", { err });
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
 // 3️⃣ Update Trainer Profile (Auth)
-app.post("/up-trainer", authMiddleware, async (req, res) => {
+app.post("/up-trainer", authMiddleware, validate({ body: partial(TRAINER_FIELDS) }), async (req, res) => {
   try {
-    const trainers = getCollection("trainers");
-    const existing = await trainers.get(req.user.email).catch(() => null);
+    const existing = await trainers.get(req.user.email);
     if (!existing) {
       return res.status(404).json({ success: false, message: "Trainer profile not found" });
     }
 
     const updates = req.body || {};
-    const updatedData = { ...existing.content };
+    const updatedData = { ...existing };
 
-    const allowed = ["title", "description", "price", "points", "status", "timeSlot"];
+    const allowed = Object.keys(TRAINER_FIELDS);
     allowed.forEach((f) => {
-      if (updates[f] !== undefined && updates[f] !== "") {
+      if (updates[f] !== undefined) {
         updatedData[f] = updates[f];
       }
     });
@@ -1060,7 +2129,7 @@ app.post("/up-trainer", authMiddleware, async (req, res) => {
 
     res.json({ success: true, message: "Trainer updated successfully", data: updatedData });
   } catch (err) {
-    console.error("❌ Update Trainer Error:", err);
+    logger.error("Update Trainer Error", { err });
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
@@ -1068,8 +2137,7 @@ app.post("/up-trainer", authMiddleware, async (req, res) => {
 // 4️⃣ Delete Trainer Profile (Auth)
 app.post("/del-trainer", authMiddleware, async (req, res) => {
   try {
-    const trainers = getCollection("trainers");
-    const trainer = await trainers.get(req.user.email).catch(() => null);
+    const trainer = await trainers.get(req.user.email);
     if (!trainer) {
       return res.status(404).json({ success: false, message: "Trainer profile not found" });
     }
@@ -1078,7 +2146,7 @@ app.post("/del-trainer", authMiddleware, async (req, res) => {
 
     res.json({ success: true, message: "Trainer profile deleted successfully" });
   } catch (err) {
-    console.error("❌ Delete Trainer Error:", err);
+    logger.error("Delete Trainer Error", { err });
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
@@ -1086,28 +2154,23 @@ app.post("/del-trainer", authMiddleware, async (req, res) => {
 // 5️⃣ Get All Trainers (Public)
 app.get("/trainers", async (req, res) => {
   try {
-    const query = `
-      SELECT t.* 
-      FROM \`${process.env.COUCHBASE_BUCKET}\`.\`${process.env.COUCHBASE_SCOPE}\`.\`trainers\` t
-    `;
-    const result = await getCluster().query(query);
+    const allTrainers = await trainers.listVisible();
 
     res.json({
       success: true,
       message: "Trainers fetched successfully",
-      data: result.rows,
+      data: allTrainers,
     });
   } catch (err) {
-    console.error("❌ Get All Trainers Error:", err);
+    logger.error("Get All Trainers Error", { err });
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
 // 6️⃣ Get Trainer by Email (Public)
-app.get("/trainers/:email", async (req, res) => {
+app.get("/trainers/:email", validate({ params: { email: EMAIL_PARAM } }), async (req, res) => {
   try {
-    const trainers = getCollection("trainers");
-    const trainer = await trainers.get(req.params.email).catch(() => null);
+    const trainer = await trainers.get(req.params.email);
     if (!trainer) {
       return res.status(404).json({ success: false, message: "Trainer not found" });
     }
@@ -1115,21 +2178,20 @@ app.get("/trainers/:email", async (req, res) => {
     res.json({
       success: true,
       message: "Trainer fetched successfully",
-      data: trainer.content
+      data: trainer
     });
   } catch (err) {
-    console.error("❌ Get Trainer by Email Error:", err);
+    logger.error("Get Trainer by Email Error", { err });
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
 //  Trainer Booking 
-app.post("/book-trainer", authMiddleware, async (req, res) => {
+app.post("/book-trainer", authMiddleware, validate({
+  body: { trainerEmail: t.email(), playerEmail: t.email(), points: t.integer({ min: 1 }) },
+}), async (req, res) => {
   try {
     const { trainerEmail, playerEmail, points } = req.body;
-    if (!trainerEmail || !playerEmail || points == null) {
-      return res.status(400).json({ success: false, message: "Missing required data" });
-    }
 
     // 🔹 Send simple notification to trainer
     await sendNotification(trainerEmail, {
@@ -1141,54 +2203,40 @@ app.post("/book-trainer", authMiddleware, async (req, res) => {
 
     res.json({ success: true, message: "Notification sent to trainer." });
   } catch (err) {
-    console.error("❌ Book Session Error:", err);
+    logger.error("Book Session Error", { err });
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
 // ✅ Confirm Booking - Deduct/Add Points (Trainer is auth user)
-app.post("/trainer-booked", authMiddleware, async (req, res) => {
+app.post("/trainer-booked", authMiddleware, validate({
+  body: { playerEmail: t.email(), points: t.integer({ min: 1 }) },
+}), idempotent(), async (req, res) => {
   try {
     const { playerEmail, points } = req.body;
 
-    if (!playerEmail || points == null) {
-      return res.status(400).json({ success: false, message: "Missing required data" });
-    }
-
-    const players = getCollection("players");
-
     // 1️⃣ Fetch trainer (authenticated user)
-    const trainerDoc = await players.get(req.user.email).catch(() => null);
-    if (!trainerDoc) {
+    const trainer = await players.get(req.user.email);
+    if (!trainer) {
       return res.status(404).json({ success: false, message: "Trainer not found" });
     }
-    const trainer = trainerDoc.content;
 
     // 2️⃣ Fetch player (who is booking)
-    const playerDoc = await players.get(playerEmail).catch(() => null);
-    if (!playerDoc) {
+    const player = await players.get(playerEmail);
+    if (!player) {
       return res.status(404).json({ success: false, message: "Player not found" });
     }
-    const player = playerDoc.content;
-
-    // Ensure points are numbers
-    const pointsToTransfer = Number(points);
 
-    // Check if player has enough points
-    if ((Number(player.points) || 0) < pointsToTransfer) {
-      return res.status(400).json({ success: false, message: "Player does not have enough points" });
+    // 3️⃣ Player → trainer transfer (CAS, balance kam ho to 400)
+    try {
+      await transferPoints({ from: playerEmail, to: req.user.email, amount: points, reason: "trainer" });
+    } catch (err) {
+      if (err instanceof InsufficientPointsError) {
+        return res.status(400).json({ success: false, message: "Player does not have enough points" });
+      }
+      throw err;
     }
 
-    // 3️⃣ Deduct points from player
-    player.points = (Number(player.points) || 0) - pointsToTransfer;
-
-    // 4️⃣ Add points to trainer
-    trainer.points = (Number(trainer.points) || 0) + pointsToTransfer;
-
-    // 5️⃣ Save back to DB
-    await players.upsert(playerEmail, player);
-    await players.upsert(req.user.email, trainer);
-
     // 🔹 Send notification to player
     await sendNotification(playerEmail, {
       title: "Training Request Approved ✅",
@@ -1203,7 +2251,7 @@ app.post("/trainer-booked", authMiddleware, async (req, res) => {
 
     res.json({ success: true, message: "Booking confirmed! Points transferred." });
   } catch (err) {
-    console.error("❌ Trainer Booked Error:", err);
+    logger.error("Trainer Booked Error", { err });
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
@@ -1211,61 +2259,40 @@ app.post("/trainer-booked", authMiddleware, async (req, res) => {
 // ====== Teams Routes ======
 
 // Teams Search
-app.get("/teams/search", async (req, res) => {
+app.get("/teams/search", validate({ query: { q: SEARCH_QUERY } }), async (req, res) => {
   try {
     const { q } = req.query;
-    if (!q || q.trim() === "") {
-      return res.status(400).json({ success: false, message: "Search query is required" });
-    }
 
-    const bucket = process.env.COUCHBASE_BUCKET;
-    const scope = process.env.COUCHBASE_SCOPE;
-    const collection = "teams";
-
-    const query = `
-      SELECT META(t).id AS id, t.*
-      FROM \`${bucket}\`.\`${scope}\`.\`${collection}\` t
-      WHERE LOWER(t.name) LIKE $search
-         OR LOWER(t.location) LIKE $search
-      LIMIT 20;
-    `;
-    const options = { parameters: { search: `%${q.toLowerCase()}%` } };
-    const result = await getCluster().query(query, options);
+    const results = await teams.search(q);
 
     res.json({
       success: true,
       message: "Teams fetched successfully",
-      data: result.rows.map(r => ({ id: r.id, ...r })),
+      data: results,
     });
   } catch (err) {
-    console.error("❌ Team Search Error:", err);
+    logger.error("Team Search Error", { err });
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
 // 🏆 Create Team (Auth)
-app.post("/team", authMiddleware, async (req, res) => {
+app.post("/team", authMiddleware, validate({
+  body: {
+    name: t.string({ max: 60 }),
+    location: t.string({ max: 120 }).optional(),
+    foundedYear: t.integer({ min: 1850, max: new Date().getFullYear() }).optional(),
+  },
+  files: { logo: t.image() },
+}), async (req, res) => {
   try {
-    const teams = getCollection("teams");
-    const players = getCollection("players");
-
     const { name, location, foundedYear } = req.body;
 
-    if (!req.files || !req.files.logo) {
-      return res.status(400).json({ success: false, message: "Team logo is required" });
-    }
-
     const file = req.files.logo;
-    const allowedTypes = ["image/jpeg", "image/jpg", "image/png", "image/webp"];
-    if (!allowedTypes.includes(file.mimetype)) {
-      return res.status(400).json({ success: false, message: "Team logo must be JPG, PNG, or WEBP" });
-    }
-    if (file.size > 2 * 1024 * 1024) {
-      return res.status(400).json({ success: false, message: "Team logo size must be less than 2MB" });
-    }
 
-    const uploaded = await imagekit.upload({
+    const uploaded = await storage.upload({
       file: file.data,
+      mimetype: file.mimetype,
       fileName: file.name,
     });
 
@@ -1295,9 +2322,8 @@ app.post("/team", authMiddleware, async (req, res) => {
 
     await teams.insert(teamId, teamData);
 
-    const playerDoc = await players.get(captainId).catch(() => null);
-    if (playerDoc) {
-      const player = playerDoc.content;
+    const player = await players.get(captainId);
+    if (player) {
       if (!player.teams) player.teams = [];
       if (!player.teams.includes(teamId)) {
         player.teams.push(teamId);
@@ -1308,7 +2334,7 @@ app.post("/team", authMiddleware, async (req, res) => {
 
     res.json({ success: true, message: "Team created successfully", data: teamData });
   } catch (err) {
-    console.error("❌ Create Team Error:", err);
+    logger.error("Create Team Error", { err });
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
@@ -1316,64 +2342,58 @@ app.post("/team", authMiddleware, async (req, res) => {
 // 📃 Get All Teams (No Pagination)
 app.get("/teams", async (req, res) => {
   try {
-    const query = `
-      SELECT META(t).id AS id, t.*
-      FROM \`${process.env.COUCHBASE_BUCKET}\`.\`${process.env.COUCHBASE_SCOPE}\`.\`teams\` t
-      ORDER BY t.name ASC
-    `;
-
-    const result = await getCluster().query(query);
+    const allTeams = await teams.listAll();
 
     res.json({
       success: true,
       message: "Teams fetched successfully",
-      data: result.rows, // direct array
+      data: allTeams, // direct array
     });
   } catch (err) {
-    console.error("❌ Get All Teams Error:", err);
+    logger.error("Get All Teams Error", { err });
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
 // 🔎 Get Team by ID
-app.get("/teams/:id", async (req, res) => {
+app.get("/teams/:id", validate({ params: { id: ID_PARAM } }), async (req, res) => {
   try {
-    const teams = getCollection("teams");
-    const team = await teams.get(req.params.id).catch(() => null);
+    const team = await teams.get(req.params.id);
     if (!team) {
       return res.status(404).json({ success: false, message: "Team not found" });
     }
 
-    res.json({ success: true, message: "Team fetched successfully", data: team.content });
+    res.json({ success: true, message: "Team fetched successfully", data: team });
   } catch (err) {
-    console.error("❌ Get Team by ID Error:", err);
+    logger.error("Get Team by ID Error", { err });
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
 // Update Team (Only Captain) with Notifications
-app.post("/teams/:id", authMiddleware, async (req, res) => {
+app.post("/teams/:id", authMiddleware, validate({
+  params: { id: ID_PARAM },
+  body: {
+    name: t.string({ max: 60 }).optional(),
+    location: t.string({ max: 120 }).optional(),
+    newCaptain: t.email().optional(),
+    removePlayer: t.email().optional(),
+  },
+  files: { logo: t.image().optional() },
+}), async (req, res) => {
   try {
-    const teams = getCollection("teams");
-    const players = getCollection("players");
-
     // ✅ check team exist
-    const existing = await teams.get(req.params.id).catch(() => null);
-    if (!existing) {
+    const team = await teams.get(req.params.id);
+    if (!team) {
       return res.status(404).json({ success: false, message: "Team not found" });
     }
 
-    const team = existing.content;
-
     // ✅ only captain can update
     if (team.captain !== req.user.email) {
       return res.status(403).json({ success: false, message: "Only captain can update team" });
     }
 
-    const name = req.body?.name?.trim();
-    const location = req.body?.location?.trim();
-    const newCaptain = req.body?.newCaptain?.trim();
-    const removePlayer = req.body?.removePlayer?.trim();
+    const { name, location, newCaptain, removePlayer } = req.body;
 
     let updatedData = { ...team };
 
@@ -1383,15 +2403,14 @@ app.post("/teams/:id", authMiddleware, async (req, res) => {
     // ----- Captain Change -----
     if (newCaptain && newCaptain !== team.captain) {
       if (!team.teamPlayers.includes(newCaptain)) {
-        return res.status(400).json({ success: false, message: "New captain must be part of the team" });
+        return sendValidationError(res, [{ location: "body", field: "newCaptain", message: "must be a member of the team" }]);
       }
 
       updatedData.captain = newCaptain;
 
       // ✅ old captain update
-      const oldCaptainDoc = await players.get(team.captain).catch(() => null);
-      if (oldCaptainDoc) {
-        let oldCap = oldCaptainDoc.content;
+      let oldCap = await players.get(team.captain);
+      if (oldCap) {
         oldCap.captain = false;
         await players.upsert(team.captain, oldCap);
 
@@ -1402,9 +2421,8 @@ app.post("/teams/:id", authMiddleware, async (req, res) => {
       }
 
       // ✅ new captain update
-      const newCaptainDoc = await players.get(newCaptain).catch(() => null);
-      if (newCaptainDoc) {
-        let newCap = newCaptainDoc.content;
+      let newCap = await players.get(newCaptain);
+      if (newCap) {
         newCap.captain = true;
         await players.upsert(newCaptain, newCap);
 
@@ -1418,7 +2436,7 @@ app.post("/teams/:id", authMiddleware, async (req, res) => {
     // ----- Remove Player -----
     if (removePlayer) {
       if (!team.teamPlayers.includes(removePlayer)) {
-        return res.status(400).json({ success: false, message: "Player not in team" });
+        return sendValidationError(res, [{ location: "body", field: "removePlayer", message: "must be a member of the team" }]);
       }
       if (removePlayer === team.captain) {
         return res.status(400).json({ success: false, message: "Captain cannot remove himself" });
@@ -1428,10 +2446,8 @@ app.post("/teams/:id", authMiddleware, async (req, res) => {
       updatedData.teamPlayers = team.teamPlayers.filter((p) => p !== removePlayer);
 
       // ✅ 2. Update player doc (remove team ID)
-      const playerDoc = await players.get(removePlayer).catch(() => null);
-      if (playerDoc) {
-        let playerData = playerDoc.content;
-
+      let playerData = await players.get(removePlayer);
+      if (playerData) {
         if (Array.isArray(playerData.teams)) {
           playerData.teams = playerData.teams.filter((tid) => tid !== team.id);
         }
@@ -1450,23 +2466,16 @@ app.post("/teams/:id", authMiddleware, async (req, res) => {
     // ----- Logo Handle -----
     if (req.files && req.files.logo) {
       const file = req.files.logo;
-      const allowedTypes = ["image/jpeg", "image/jpg", "image/png", "image/webp"];
-
-      if (!allowedTypes.includes(file.mimetype)) {
-        return res.status(400).json({ success: false, message: "Team logo must be JPG, PNG, or WEBP" });
-      }
-      if (file.size > 2 * 1024 * 1024) {
-        return res.status(400).json({ success: false, message: "Team logo size must be < 2MB" });
-      }
 
       try {
-        if (team.logoFileId) await imagekit.deleteFile(team.logoFileId);
+        if (team.logoFileId) await storage.delete(team.logoFileId);
       } catch (err) {
-        console.warn("⚠️ Old logo delete failed:", err.message);
+        logger.warn("Old logo delete failed", { err });
       }
 
-      const uploadRes = await imagekit.upload({
+      const uploadRes = await storage.upload({
         file: file.data,
+        mimetype: file.mimetype,
         fileName: file.name,
       });
 
@@ -1495,32 +2504,28 @@ app.post("/teams/:id", authMiddleware, async (req, res) => {
       data: updatedData,
     });
   } catch (err) {
-    console.error("❌ Update Team Error:", err);
+    logger.error("Update Team Error", { err });
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
 // ❌ Delete Team (Captain Only)
-app.post("/del-teams/:id", authMiddleware, async (req, res) => {
+app.post("/del-teams/:id", authMiddleware, validate({ params: { id: ID_PARAM } }), async (req, res) => {
   try {
-    const teams = getCollection("teams");
-    const players = getCollection("players");
-
-    const existing = await teams.get(req.params.id).catch(() => null);
-    if (!existing) {
+    const team = await teams.get(req.params.id);
+    if (!team) {
       return res.status(404).json({ success: false, message: "Team not found" });
     }
 
-    const team = existing.content;
     if (team.captain !== req.user.email) {
       return res.status(403).json({ success: false, message: "Only captain can delete team" });
     }
 
     if (team.logoFileId) {
       try {
-        await imagekit.deleteFile(team.logoFileId);
+        await storage.delete(team.logoFileId);
       } catch (err) {
-        console.warn("⚠️ Failed to delete logo:", err.message);
+        logger.warn("Failed to delete logo", { err });
       }
     }
 
@@ -1533,9 +2538,8 @@ app.post("/del-teams/:id", authMiddleware, async (req, res) => {
     }
 
     for (const playerId of team.teamPlayers) {
-      const playerDoc = await players.get(playerId).catch(() => null);
-      if (playerDoc) {
-        const player = playerDoc.content;
+      const player = await players.get(playerId);
+      if (player) {
         if (player.teams) {
           player.teams = player.teams.filter(tid => tid !== req.params.id);
           await players.upsert(playerId, player);
@@ -1550,22 +2554,19 @@ app.post("/del-teams/:id", authMiddleware, async (req, res) => {
       message: "Team deleted successfully and removed from players",
     });
   } catch (err) {
-    console.error("❌ Delete Team Error:", err);
+    logger.error("Delete Team Error", { err });
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
 // ✅ Join Request with Captain Notification
-app.post("/teams/:id/request", authMiddleware, async (req, res) => {
+app.post("/teams/:id/request", authMiddleware, validate({ params: { id: ID_PARAM } }), async (req, res) => {
   try {
-    const teams = getCollection("teams");
-    const existing = await teams.get(req.params.id).catch(() => null);
-    if (!existing) {
+    const team = await teams.get(req.params.id);
+    if (!team) {
       return res.status(404).json({ success: false, message: "Team not found" });
     }
 
-    const team = existing.content;
-
     if (team.teamPlayers.includes(req.user.email)) {
       return res.status(400).json({ success: false, message: "You are already in this team" });
     }
@@ -1593,24 +2594,22 @@ app.post("/teams/:id/request", authMiddleware, async (req, res) => {
       data: { teamId: team.id, requester: req.user.email }
     });
   } catch (err) {
-    console.error("❌ Join Request Error:", err);
+    logger.error("Join Request Error", { err });
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
 // ✅ Approve/Reject Request (Captain Only) with Notification
-app.post("/teams/:id/requests/:playerId", authMiddleware, async (req, res) => {
+app.post("/teams/:id/requests/:playerId", authMiddleware, validate({
+  params: { id: ID_PARAM, playerId: EMAIL_PARAM },
+  body: { action: REQUEST_ACTION },
+}), async (req, res) => {
   try {
-    const teams = getCollection("teams");
-    const players = getCollection("players");
-
-    const existing = await teams.get(req.params.id).catch(() => null);
-    if (!existing) {
+    const team = await teams.get(req.params.id);
+    if (!team) {
       return res.status(404).json({ success: false, message: "Team not found" });
     }
 
-    const team = existing.content;
-
     if (team.captain !== req.user.email) {
       return res.status(403).json({ success: false, message: "Only captain can manage requests" });
     }
@@ -1631,9 +2630,8 @@ app.post("/teams/:id/requests/:playerId", authMiddleware, async (req, res) => {
       }
 
       // ✅ Update player
-      const playerDoc = await players.get(playerId).catch(() => null);
-      if (playerDoc) {
-        const player = playerDoc.content;
+      const player = await players.get(playerId);
+      if (player) {
         if (!player.teams) player.teams = [];
         if (!player.teams.includes(req.params.id)) {
           player.teams.push(req.params.id);
@@ -1645,13 +2643,11 @@ app.post("/teams/:id/requests/:playerId", authMiddleware, async (req, res) => {
           message: `Your request to join "${team.name}" has been approved.`,
         });
       }
-    } else if (action === "reject") {
+    } else {
       await sendNotification(playerId, {
         title: "Team Request Rejected",
         message: `Your request to join "${team.name}" has been rejected.`,
       });
-    } else {
-      return res.status(400).json({ success: false, message: "Invalid action" });
     }
 
     await teams.upsert(req.params.id, team);
@@ -1662,24 +2658,19 @@ app.post("/teams/:id/requests/:playerId", authMiddleware, async (req, res) => {
       data: team
     });
   } catch (err) {
-    console.error("❌ Approve/Reject Request Error:", err);
+    logger.error("Approve/Reject Request Error", { err });
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
 // ✅ Leave Team (Player Only, Captain cannot leave) with Notification
-app.post("/teams/:id/leave", authMiddleware, async (req, res) => {
+app.post("/teams/:id/leave", authMiddleware, validate({ params: { id: ID_PARAM } }), async (req, res) => {
   try {
-    const teams = getCollection("teams");
-    const players = getCollection("players");
-
-    const existing = await teams.get(req.params.id).catch(() => null);
-    if (!existing) {
+    const team = await teams.get(req.params.id);
+    if (!team) {
       return res.status(404).json({ success: false, message: "Team not found" });
     }
 
-    const team = existing.content;
-
     if (team.captain === req.user.email) {
       return res.status(400).json({ success: false, message: "Captain cannot leave, only delete team" });
     }
@@ -1689,9 +2680,8 @@ app.post("/teams/:id/leave", authMiddleware, async (req, res) => {
     await teams.upsert(req.params.id, team);
 
     // ✅ Remove team from player
-    const playerDoc = await players.get(req.user.email).catch(() => null);
-    if (playerDoc) {
-      const player = playerDoc.content;
+    const player = await players.get(req.user.email);
+    if (player) {
       if (player.teams) {
         player.teams = player.teams.filter(tid => tid !== req.params.id);
         await players.upsert(req.user.email, player);
@@ -1710,36 +2700,31 @@ app.post("/teams/:id/leave", authMiddleware, async (req, res) => {
       data: { teamId: team.id, leaver: req.user.email }
     });
   } catch (err) {
-    console.error("❌ Leave Team Error:", err);
+    logger.error("Leave Team Error", { err });
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
 // ✅ Team Invite Player (Captain Only) with Notification
-app.post("/teams/:id/invite/:playerId", authMiddleware, async (req, res) => {
+app.post("/teams/:id/invite/:playerId", authMiddleware, validate({
+  params: { id: ID_PARAM, playerId: EMAIL_PARAM },
+}), async (req, res) => {
   try {
-    const teams = getCollection("teams");
-    const players = getCollection("players");
-
-    const existing = await teams.get(req.params.id).catch(() => null);
-    if (!existing) {
+    const team = await teams.get(req.params.id);
+    if (!team) {
       return res.status(404).json({ success: false, message: "Team not found" });
     }
 
-    const team = existing.content;
-
     if (team.captain !== req.user.email) {
       return res.status(403).json({ success: false, message: "Only captain can invite players" });
     }
 
     const playerId = req.params.playerId;
-    const playerDoc = await players.get(playerId).catch(() => null);
-    if (!playerDoc) {
+    const player = await players.get(playerId);
+    if (!player) {
       return res.status(404).json({ success: false, message: "Player not found" });
     }
 
-    const player = playerDoc.content;
-
     if (team.teamPlayers.includes(playerId)) {
       return res.status(400).json({ success: false, message: "Player already in team" });
     }
@@ -1763,23 +2748,22 @@ app.post("/teams/:id/invite/:playerId", authMiddleware, async (req, res) => {
       data: { teamId: team.id, invitedPlayer: playerId }
     });
   } catch (err) {
-    console.error("❌ Invite Player Error:", err);
+    logger.error("Invite Player Error", { err });
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
 // ✅ Player Accept/Reject Team Invite with Notification
-app.post("/profile/requests/:teamId", authMiddleware, async (req, res) => {
+app.post("/profile/requests/:teamId", authMiddleware, validate({
+  params: { teamId: ID_PARAM },
+  body: { action: REQUEST_ACTION },
+}), async (req, res) => {
   try {
-    const players = getCollection("players");
-    const teams = getCollection("teams");
-
-    const playerDoc = await players.get(req.user.email).catch(() => null);
-    if (!playerDoc) {
+    const player = await players.get(req.user.email);
+    if (!player) {
       return res.status(404).json({ success: false, message: "Player not found" });
     }
 
-    const player = playerDoc.content;
     const teamId = req.params.teamId;
     const action = req.body.action; // "approve" or "reject"
 
@@ -1790,13 +2774,11 @@ app.post("/profile/requests/:teamId", authMiddleware, async (req, res) => {
     // ✅ Remove invite request
     player.requests = player.requests.filter(r => r !== teamId);
 
-    const teamDoc = await teams.get(teamId).catch(() => null);
-    if (!teamDoc) {
+    const team = await teams.get(teamId);
+    if (!team) {
       return res.status(404).json({ success: false, message: "Team not found" });
     }
 
-    const team = teamDoc.content;
-
     if (action === "approve") {
       // ✅ Add team to player's list
       if (!player.teams) player.teams = [];
@@ -1816,14 +2798,12 @@ app.post("/profile/requests/:teamId", authMiddleware, async (req, res) => {
         title: "Team Invite Accepted",
         message: `${req.user.email} has accepted the invite to join your team "${team.name}".`,
       });
-    } else if (action === "reject") {
+    } else {
       // ✅ Notify captain
       await sendNotification(team.captain, {
         title: "Team Invite Rejected",
         message: `${req.user.email} has rejected the invite to join your team "${team.name}".`,
       });
-    } else {
-      return res.status(400).json({ success: false, message: "Invalid action" });
     }
 
     await players.upsert(req.user.email, player);
@@ -1834,7 +2814,7 @@ app.post("/profile/requests/:teamId", authMiddleware, async (req, res) => {
       data: { teamId, action, playerEmail: req.user.email }
     });
   } catch (err) {
-    console.error("❌ Accept/Reject Invite Error:", err);
+    logger.error("Accept/Reject Invite Error", { err });
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
@@ -1842,53 +2822,40 @@ app.post("/profile/requests/:teamId", authMiddleware, async (req, res) => {
 // ====== Team Chat System ======
 
 // ✅ Get Last 20 Messages (Team Chat)
-app.get("/teams/:teamId/chat", authMiddleware, async (req, res) => {
+app.get("/teams/:teamId/chat", authMiddleware, rateLimit("chat"), validate({ params: { teamId: ID_PARAM } }), async (req, res) => {
   try {
     const { teamId } = req.params;
-    const teams = getCollection("teams");
-    const messages = getCollection("messages");
 
-    const teamDoc = await teams.get(teamId).catch(() => null);
-    if (!teamDoc) return res.status(404).json({ success: false, message: "Team not found" });
+    const team = await teams.get(teamId);
+    if (!team) return res.status(404).json({ success: false, message: "Team not found" });
 
-    const team = teamDoc.content;
     if (!team.teamPlayers.includes(req.user.email))
       return res.status(403).json({ success: false, message: "You are not a team member" });
 
-    const query = `
-      SELECT m.*
-      FROM \`${process.env.COUCHBASE_BUCKET}\`.\`${process.env.COUCHBASE_SCOPE}\`.\`messages\` m
-      WHERE m.teamId = $teamId
-      ORDER BY m.timestamp DESC
-      LIMIT 20;
-    `;
-    const result = await getCluster().query(query, { parameters: { teamId } });
+    const chat = await messages.findRecentByTeam(teamId, 20);
 
     res.json({
       success: true,
-      data: result.rows.reverse() // reverse to show oldest → newest
+      data: chat // oldest → newest
     });
   } catch (err) {
-    console.error("❌ Get Chat Error:", err);
+    logger.error("Get Chat Error", { err });
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
 // ✅ Send Message
-app.post("/teams/:teamId/chat", authMiddleware, async (req, res) => {
+app.post("/teams/:teamId/chat", authMiddleware, rateLimit("chat"), validate({
+  params: { teamId: ID_PARAM },
+  body: { message: t.string({ max: 1000 }) },
+}), async (req, res) => {
   try {
     const { teamId } = req.params;
     const { message } = req.body;
-    if (!message || message.trim() === "")
-      return res.status(400).json({ success: false, message: "Message required" });
-
-    const teams = getCollection("teams");
-    const messages = getCollection("messages");
 
-    const teamDoc = await teams.get(teamId).catch(() => null);
-    if (!teamDoc) return res.status(404).json({ success: false, message: "Team not found" });
+    const team = await teams.get(teamId);
+    if (!team) return res.status(404).json({ success: false, message: "Team not found" });
 
-    const team = teamDoc.content;
     if (!team.teamPlayers.includes(req.user.email))
       return res.status(403).json({ success: false, message: "You are not a team member" });
 
@@ -1896,111 +2863,92 @@ app.post("/teams/:teamId/chat", authMiddleware, async (req, res) => {
       id: uuidv4(),
       teamId,
       sender: req.user.email,
-      message: message.trim(),
+      message,
       timestamp: new Date().toISOString(),
     };
 
     await messages.insert(newMsg.id, newMsg);
 
     // Delete old messages if >20
-    const countQuery = `
-      SELECT META(m).id, m.timestamp
-      FROM \`${process.env.COUCHBASE_BUCKET}\`.\`${process.env.COUCHBASE_SCOPE}\`.\`messages\` m
-      WHERE m.teamId = $teamId
-      ORDER BY m.timestamp ASC;
-    `;
-    const all = await getCluster().query(countQuery, { parameters: { teamId } });
-
-    if (all.rows.length > 20) {
-      const toDelete = all.rows.slice(0, all.rows.length - 20);
-      for (const d of toDelete) {
-        await messages.remove(d.id);
+    const allIds = await messages.findIdsByTeamOldestFirst(teamId);
+
+    if (allIds.length > 20) {
+      const toDelete = allIds.slice(0, allIds.length - 20);
+      for (const id of toDelete) {
+        await messages.remove(id);
       }
     }
 
     res.json({ success: true, message: "Message sent" });
   } catch (err) {
-    console.error("❌ Send Chat Error:", err);
+    logger.error("Send Chat Error", { err });
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
 // ---- Trophies CRUD ----
 
+// Distribution = win/lose % of fee pool, bonuses = points per goal/assist/MOTM
+const TROPHY_FIELDS = {
+  title: t.string({ max: 100 }),
+  fee: t.integer({ min: 0 }),
+  distribution: t.object({ win: t.number({ min: 0, max: 100 }), lose: t.number({ min: 0, max: 100 }) }),
+  bonuses: t.object({
+    goal: t.integer({ min: 0 }).optional(),
+    assist: t.integer({ min: 0 }).optional(),
+    motm: t.integer({ min: 0 }).optional(),
+  }),
+};
+
 // 1️⃣ Get All Trophies (Public)
 app.get("/trophies", async (req, res) => {
   try {
-    const query = `
-      SELECT t.* 
-      FROM \`${process.env.COUCHBASE_BUCKET}\`.\`${process.env.COUCHBASE_SCOPE}\`.\`trophies\` t
-    `;
-    const result = await getCluster().query(query);
+    const allTrophies = await trophies.listAll();
 
-    res.json({ success: true, data: result.rows });
+    res.json({ success: true, data: allTrophies });
   } catch (err) {
-    console.error("❌ Get All Trophies Error:", err);
+    logger.error("Get All Trophies Error", { err });
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
 // 2️⃣ Get Trophy by ID
-app.get("/trophies/:id", async (req, res) => {
+app.get("/trophies/:id", validate({ params: { id: ID_PARAM } }), async (req, res) => {
   try {
-    const trophies = getCollection("trophies");
-    const trophy = await trophies.get(req.params.id).catch(() => null);
+    const trophy = await trophies.get(req.params.id);
     if (!trophy) {
       return res.status(404).json({ success: false, message: "Trophy not found" });
     }
 
-    res.json({ success: true, data: trophy.content });
+    res.json({ success: true, data: trophy });
   } catch (err) {
-    console.error("❌ Get Trophy Error:", err);
+    logger.error("Get Trophy Error", { err });
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
 // 3️⃣ Create Trophy (Admin Only)
-app.post("/trophy", authMiddleware, adminMiddleware, async (req, res) => {
+app.post("/trophy", authMiddleware, requirePermission("trophy:write"), validate({
+  body: TROPHY_FIELDS,
+  files: { icon: t.image() },
+}), async (req, res) => {
   try {
-    let { title, fee, distribution, bonuses } = req.body;
-
-    if (!title || !fee || !distribution || !bonuses) {
-      return res.status(400).json({ success: false, message: "Missing required fields" });
-    }
-
-    try {
-      distribution = JSON.parse(distribution);
-      bonuses = JSON.parse(bonuses);
-    } catch {
-      return res.status(400).json({ success: false, message: "Invalid JSON format in distribution/bonuses" });
-    }
-
-    if (!req.files || !req.files.icon) {
-      return res.status(400).json({ success: false, message: "Trophy image is required" });
-    }
+    const { title, fee, distribution, bonuses } = req.body;
 
     const file = req.files.icon;
-    const allowedTypes = ["image/jpeg", "image/jpg", "image/png", "image/webp"];
-    if (!allowedTypes.includes(file.mimetype)) {
-      return res.status(400).json({ success: false, message: "Trophy image must be JPG, PNG, or WEBP" });
-    }
 
-    if (file.size > 2 * 1024 * 1024) {
-      return res.status(400).json({ success: false, message: "Trophy image size must be < 2MB" });
-    }
-
-    const uploaded = await imagekit.upload({
+    const uploaded = await storage.upload({
       file: file.data,
+      mimetype: file.mimetype,
       fileName: file.name,
     });
 
-    const trophies = getCollection("trophies");
     const id = uuidv4();
 
     const newTrophy = {
       id,
       title,
-      fee: Number(fee),
+      fee,
       distribution,
       bonuses,
       icon: uploaded.url,
@@ -2010,79 +2958,54 @@ app.post("/trophy", authMiddleware, adminMiddleware, async (req, res) => {
 
     await trophies.insert(id, newTrophy);
 
-    // notify all players
-    const allPlayersQuery = `
-      SELECT META(p).id 
-      FROM \`${process.env.COUCHBASE_BUCKET}\`.\`${process.env.COUCHBASE_SCOPE}\`.\`players\` p
-    `;
-    const result = await getCluster().query(allPlayersQuery);
-    const allPlayerEmails = result.rows.map(r => r.id);
-
-    await sendNotification(allPlayerEmails, {
+    // notify all players (background job)
+    const job = await queueBroadcast({
       title: "New Trophy Available!",
       message: `A new trophy "${newTrophy.title}" has been created.`,
       trophyId: id,
-    });
+    }, req.user.email);
 
-    res.json({ success: true, message: "Trophy created", data: newTrophy });
+    res.json({ success: true, message: "Trophy created", data: newTrophy, notificationJob: { id: job.id, status: job.status } });
   } catch (err) {
-    console.error("❌ Create Trophy Error:", err);
+    logger.error("Create Trophy Error", { err });
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
 // 4️⃣ Update Trophy (Admin Only)
-app.post("/trophies/:id", authMiddleware, adminMiddleware, async (req, res) => {
+app.post("/trophies/:id", authMiddleware, requirePermission("trophy:write"), validate({
+  params: { id: ID_PARAM },
+  body: partial(TROPHY_FIELDS),
+  files: { icon: t.image().optional() },
+}), async (req, res) => {
   try {
-    const trophies = getCollection("trophies");
-    const existing = await trophies.get(req.params.id).catch(() => null);
+    const existing = await trophies.get(req.params.id);
     if (!existing) {
       return res.status(404).json({ success: false, message: "Trophy not found" });
     }
 
-    let updated = { ...existing.content };
-    const { title, fee, distribution, bonuses } = req.body || {};
-
-    if (distribution) {
-      try {
-        updated.distribution = JSON.parse(distribution);
-      } catch {
-        return res.status(400).json({ success: false, message: "Invalid JSON format in distribution" });
-      }
-    }
-
-    if (bonuses) {
-      try {
-        updated.bonuses = JSON.parse(bonuses);
-      } catch {
-        return res.status(400).json({ success: false, message: "Invalid JSON format in bonuses" });
-      }
-    }
+    let updated = { ...existing };
+    const { title, fee, distribution, bonuses } = req.body;
 
+    if (distribution) updated.distribution = distribution;
+    if (bonuses) updated.bonuses = bonuses;
     if (title !== undefined) updated.title = title;
-    if (fee !== undefined) updated.fee = Number(fee);
+    if (fee !== undefined) updated.fee = fee;
 
     if (req.files && req.files.icon) {
       const file = req.files.icon;
-      const allowedTypes = ["image/jpeg", "image/jpg", "image/png", "image/webp"];
-      if (!allowedTypes.includes(file.mimetype)) {
-        return res.status(400).json({ success: false, message: "Trophy image must be JPG, PNG, or WEBP" });
-      }
-
-      if (file.size > 2 * 1024 * 1024) {
-        return res.status(400).json({ success: false, message: "Trophy image size must be < 2MB" });
-      }
 
       if (updated.iconFileId) {
         try {
-          await imagekit.deleteFile(updated.iconFileId);
+          await storage.delete(updated.iconFileId);
         } catch (err) {
-          console.warn("⚠️ Failed to delete old trophy image:", err.message);
+          logger.warn("Failed to delete old trophy image", { err });
         }
       }
 
-      const uploaded = await imagekit.upload({
+      const uploaded = await storage.upload({
         file: file.data,
+        mimetype: file.mimetype,
         fileName: file.name,
       });
 
@@ -2095,82 +3018,67 @@ app.post("/trophies/:id", authMiddleware, adminMiddleware, async (req, res) => {
 
     res.json({ success: true, message: "Trophy updated", data: updated });
   } catch (err) {
-    console.error("❌ Update Trophy Error:", err);
+    logger.error("Update Trophy Error", { err });
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
 // 5️⃣ Delete Trophy (Admin Only)
-app.post("/del-trophies/:id", authMiddleware, adminMiddleware, async (req, res) => {
+app.post("/del-trophies/:id", authMiddleware, requirePermission("trophy:write"), validate({
+  params: { id: ID_PARAM },
+}), async (req, res) => {
   try {
-    const trophies = getCollection("trophies");
-    const existing = await trophies.get(req.params.id).catch(() => null);
-    if (!existing) {
+    const trophy = await trophies.get(req.params.id);
+    if (!trophy) {
       return res.status(404).json({ success: false, message: "Trophy not found" });
     }
 
-    const trophy = existing.content;
-
     if (trophy.iconFileId) {
       try {
-        await imagekit.deleteFile(trophy.iconFileId);
+        await storage.delete(trophy.iconFileId);
       } catch (err) {
-        console.warn("⚠️ Failed to delete trophy image:", err.message);
+        logger.warn("Failed to delete trophy image", { err });
       }
     }
 
     await trophies.remove(req.params.id);
 
-    // notify all players
-    const allPlayersQuery = `
-      SELECT META(p).id 
-      FROM \`${process.env.COUCHBASE_BUCKET}\`.\`${process.env.COUCHBASE_SCOPE}\`.\`players\` p
-    `;
-    const result = await getCluster().query(allPlayersQuery);
-    const allPlayerEmails = result.rows.map(r => r.id);
-
-    await sendNotification(allPlayerEmails, {
+    // notify all players (background job)
+    const job = await queueBroadcast({
       title: "Trophy Removed",
       message: `The trophy "${trophy.title}" has been removed by admin.`,
-    });
+    }, req.user.email);
 
-    res.json({ success: true, message: "Trophy deleted" });
+    res.json({ success: true, message: "Trophy deleted", notificationJob: { id: job.id, status: job.status } });
   } catch (err) {
-    console.error("❌ Delete Trophy Error:", err);
+    logger.error("Delete Trophy Error", { err });
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
 // ---- Inventories CRUD ----
 
+const INVENTORY_FIELDS = {
+  name: t.string({ max: 100 }),
+  price: t.number({ min: 0 }),
+  effect: t.string({ max: 500 }),
+  points: t.integer({ min: 0 }),
+};
+
 // 🔍 Search Inventories
-app.get("/inventories/search", async (req, res) => {
+app.get("/inventories/search", validate({ query: { q: SEARCH_QUERY } }), async (req, res) => {
   try {
     const { q } = req.query;
-    if (!q || q.trim() === "") {
-      return res.status(400).json({ success: false, error: "Search query is required" });
-    }
-
-    const bucket = process.env.COUCHBASE_BUCKET;
-    const scope = process.env.COUCHBASE_SCOPE;
-    const collection = "inventories";
 
-    const query = `
-      SELECT META(i).id AS id, i.*
-      FROM \`${bucket}\`.\`${scope}\`.\`${collection}\` i
-      WHERE LOWER(i.name) LIKE $search
-      LIMIT 20;
-    `;
-    const options = { parameters: { search: `%${q.toLowerCase()}%` } };
-    const result = await getCluster().query(query, options);
+    const results = await inventories.search(q);
 
-    if (!result.rows.length) {
+    if (!results.length) {
       return res.status(404).json({ success: false, message: "No inventory items found" });
     }
 
-    res.json({ success: true, inventories: result.rows });
+    res.json({ success: true, inventories: results });
   } catch (err) {
-    console.error("Inventory Search Error:", err);
+    logger.error("Inventory Search Error", { err });
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
@@ -2178,85 +3086,77 @@ app.get("/inventories/search", async (req, res) => {
 // 📦 Get All Inventories
 app.get("/inventories", async (req, res) => {
   try {
-    const query = `
-      SELECT i.* 
-      FROM \`${process.env.COUCHBASE_BUCKET}\`.\`${process.env.COUCHBASE_SCOPE}\`.\`inventories\` i
-    `;
-    const result = await getCluster().query(query);
+    const allInventories = await inventories.listAll();
 
-    res.json({ success: true, inventories: result.rows });
+    res.json({ success: true, inventories: allInventories });
   } catch (err) {
-    console.error("Get Inventories Error:", err);
+    logger.error("Get Inventories Error", { err });
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
 // 📦 Get Single Inventory by ID
-app.get("/inventories/:id", async (req, res) => {
+app.get("/inventories/:id", validate({ params: { id: ID_PARAM } }), async (req, res) => {
   try {
-    const inventories = getCollection("inventories");
-    const inventory = await inventories.get(req.params.id).catch(() => null);
+    const inventory = await inventories.get(req.params.id);
 
     if (!inventory) {
       return res.status(404).json({ success: false, error: "Inventory not found" });
     }
 
-    res.json({ success: true, inventory: inventory.content });
+    res.json({ success: true, inventory: inventory });
   } catch (err) {
-    console.error("Get Inventory Error:", err);
+    logger.error("Get Inventory Error", { err });
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
 // ➕ Create Inventory
-app.post("/inventory", authMiddleware, adminMiddleware, async (req, res) => {
+app.post("/inventory", authMiddleware, requirePermission("inventory:write"), validate({
+  body: { ...INVENTORY_FIELDS, effect: INVENTORY_FIELDS.effect.optional(), points: INVENTORY_FIELDS.points.optional() },
+}), async (req, res) => {
   try {
     const { name, price, effect, points } = req.body;
 
-    if (!name || !price) {
-      return res.status(400).json({ success: false, error: "Missing required fields (name, price)" });
-    }
-
-    const inventories = getCollection("inventories");
     const id = uuidv4();
 
     const newInventory = {
       id,
       name,
-      price: Number(price),
+      price,
       effect: effect || null,
-      points: points ? Number(points) : 0,
+      points: points ?? 0,
       createdAt: new Date().toISOString(),
     };
 
     await inventories.insert(id, newInventory);
 
-    // 🔔 Notify all players
-    const allPlayersQuery = `
-      SELECT META(p).id 
-      FROM \`${process.env.COUCHBASE_BUCKET}\`.\`${process.env.COUCHBASE_SCOPE}\`.\`players\` p
-    `;
-    const result = await getCluster().query(allPlayersQuery);
-    const allPlayerEmails = result.rows.map(r => r.id);
-
-    await sendNotification(allPlayerEmails, {
+    // 🔔 Notify all players (background job)
+    const job = await queueBroadcast({
       title: "New Inventory Item",
       message: `A new inventory item "${newInventory.name}" is now available!`,
       inventoryId: id,
-    });
+    }, req.user.email);
 
-    res.json({ success: true, message: "Inventory created successfully", inventory: newInventory });
+    res.json({
+      success: true,
+      message: "Inventory created successfully",
+      inventory: newInventory,
+      notificationJob: { id: job.id, status: job.status },
+    });
   } catch (err) {
-    console.error("Create Inventory Error:", err);
+    logger.error("Create Inventory Error", { err });
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
 // ✏️ Update Inventory
-app.post("/inventories/:id", authMiddleware, adminMiddleware, async (req, res) => {
+app.post("/inventories/:id", authMiddleware, requirePermission("inventory:write"), validate({
+  params: { id: ID_PARAM },
+  body: partial(INVENTORY_FIELDS),
+}), async (req, res) => {
   try {
-    const inventories = getCollection("inventories");
-    const existing = await inventories.get(req.params.id).catch(() => null);
+    const existing = await inventories.get(req.params.id);
 
     if (!existing) {
       return res.status(404).json({ success: false, error: "Inventory not found" });
@@ -2265,10 +3165,10 @@ app.post("/inventories/:id", authMiddleware, adminMiddleware, async (req, res) =
     const { name, price, effect, points } = req.body;
 
     const updated = {
-      ...existing.content,
+      ...existing,
       ...(name && { name }),
-      ...(price && { price: Number(price) }),
-      ...(points && { points: Number(points) }),
+      ...(price !== undefined && { price }),
+      ...(points !== undefined && { points }),
       ...(effect && { effect }),
       updatedAt: new Date().toISOString(),
     };
@@ -2277,16 +3177,17 @@ app.post("/inventories/:id", authMiddleware, adminMiddleware, async (req, res) =
 
     res.json({ success: true, message: "Inventory updated successfully", inventory: updated });
   } catch (err) {
-    console.error("Update Inventory Error:", err);
+    logger.error("Update Inventory Error", { err });
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
 // ❌ Delete Inventory
-app.post("/del-inventories/:id", authMiddleware, adminMiddleware, async (req, res) => {
+app.post("/del-inventories/:id", authMiddleware, requirePermission("inventory:write"), validate({
+  params: { id: ID_PARAM },
+}), async (req, res) => {
   try {
-    const inventories = getCollection("inventories");
-    const existing = await inventories.get(req.params.id).catch(() => null);
+    const existing = await inventories.get(req.params.id);
 
     if (!existing) {
       return res.status(404).json({ success: false, error: "Inventory not found" });
@@ -2294,45 +3195,30 @@ app.post("/del-inventories/:id", authMiddleware, adminMiddleware, async (req, re
 
     await inventories.remove(req.params.id);
 
-    // 🔔 Notify all players
-    const allPlayersQuery = `
-      SELECT META(p).id 
-      FROM \`${process.env.COUCHBASE_BUCKET}\`.\`${process.env.COUCHBASE_SCOPE}\`.\`players\` p
-    `;
-    const result = await getCluster().query(allPlayersQuery);
-    const allPlayerEmails = result.rows.map(r => r.id);
-
-    await sendNotification(allPlayerEmails, {
+    // 🔔 Notify all players (background job)
+    const job = await queueBroadcast({
       title: "Inventory Item Removed",
-      message: `An inventory item "${existing.content.name}" has been removed.`,
-    });
+      message: `An inventory item "${existing.name}" has been removed.`,
+    }, req.user.email);
 
-    res.json({ success: true, message: "Inventory deleted successfully" });
+    res.json({ success: true, message: "Inventory deleted successfully", notificationJob: { id: job.id, status: job.status } });
   } catch (err) {
-    console.error("Delete Inventory Error:", err);
+    logger.error("Delete Inventory Error", { err });
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
 // ====== Matches Routes ======
-const matches = getCollection("matches");
-const players = getCollection("players");
-const teams = getCollection("teams");
-const trophies = getCollection("trophies");
+
+const MATCH_STATUSES = ["pending", "upcoming", "live", "completed", "final", "cancelled"];
+const PLAYER_LIST = t.array(t.email(), { min: 1, max: 30 });
 
 // 📦 Get Matches (with optional status filter)
-app.get("/matches", async (req, res) => {
+app.get("/matches", validate({ query: { status: t.oneOf(MATCH_STATUSES).optional() } }), async (req, res) => {
   try {
     const { status } = req.query;
 
-    let query = `
-      SELECT m.* 
-      FROM \`${process.env.COUCHBASE_BUCKET}\`.\`${process.env.COUCHBASE_SCOPE}\`.\`matches\` m
-      WHERE m.status NOT IN ["pending", "cancelled"]
-    `;
-
-    const result = await getCluster().query(query);
-    let allMatches = result.rows;
+    let allMatches = await matches.listPublic();
 
     if (status) {
       allMatches = allMatches.filter(m => m.status === status);
@@ -2340,25 +3226,17 @@ app.get("/matches", async (req, res) => {
 
     res.json({ success: true, matches: allMatches });
   } catch (err) {
-    console.error("Get Matches Error:", err);
+    logger.error("Get Matches Error", { err });
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
 // 📦 Get Match by ID
-app.get("/matches/:id", async (req, res) => {
+app.get("/matches/:id", validate({ params: { id: ID_PARAM } }), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const query = `
-      SELECT m.* 
-      FROM \`${process.env.COUCHBASE_BUCKET}\`.\`${process.env.COUCHBASE_SCOPE}\`.\`matches\` m
-      WHERE m.id = $1
-      LIMIT 1
-    `;
-
-    const result = await getCluster().query(query, { parameters: [id] });
-    const match = result.rows[0];
+    const match = await matches.get(id);
 
     if (!match) {
       return res.status(404).json({ success: false, message: "Match not found" });
@@ -2366,37 +3244,53 @@ app.get("/matches/:id", async (req, res) => {
 
     res.json({ success: true, match });
   } catch (err) {
-    console.error("Get Match by ID Error:", err);
+    logger.error("Get Match by ID Error", { err });
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
 // ➕ Create Match (Captain only)
-app.post("/match", authMiddleware, async (req, res) => {
+app.post("/match", authMiddleware, validate({
+  body: {
+    trophyId: ID_PARAM.optional(),
+    opponentTeamId: ID_PARAM,
+    playersSelected: PLAYER_LIST,
+    location: t.object({ name: t.string({ max: 200 }) }),
+    startTime: t.date(),
+    endTime: t.date(),
+  },
+}), async (req, res) => {
   try {
-    let { trophyId, opponentTeamId, playersSelected, location, startTime, endTime } = req.body;
-
-    if (typeof playersSelected === "string") {
-      try {
-        playersSelected = JSON.parse(playersSelected);
-      } catch {
-        playersSelected = [];
-      }
-    }
-    if (!Array.isArray(playersSelected)) playersSelected = [];
+    const { trophyId, opponentTeamId, playersSelected, location, startTime, endTime } = req.body;
 
     // ✅ Ensure current user is captain
-    const myTeamsQuery = `
-      SELECT t.* 
-      FROM \`${process.env.COUCHBASE_BUCKET}\`.\`${process.env.COUCHBASE_SCOPE}\`.\`teams\` t
-      WHERE t.captain = $email
-    `;
-    const myTeamsResult = await getCluster().query(myTeamsQuery, { parameters: { email: req.user.email } });
-
-    if (!myTeamsResult.rows.length) {
+    const myTeams = await teams.findByCaptain(req.user.email);
+
+    if (!myTeams.length) {
       return res.status(403).json({ success: false, error: "Only a captain can schedule a match" });
     }
-    const myTeam = myTeamsResult.rows[0];
+    const myTeam = myTeams[0];
+
+    // ✅ Opponent, trophy, players aur time DB/team ke against check
+    const oppTeam = await teams.get(opponentTeamId);
+    const errors = [];
+    if (!oppTeam) {
+      errors.push({ location: "body", field: "opponentTeamId", message: "team not found" });
+    } else if (oppTeam.id === myTeam.id) {
+      errors.push({ location: "body", field: "opponentTeamId", message: "must be a different team" });
+    }
+    if (trophyId && !(await trophies.get(trophyId))) {
+      errors.push({ location: "body", field: "trophyId", message: "trophy not found" });
+    }
+    playersSelected.forEach((email, index) => {
+      if (!myTeam.teamPlayers.includes(email)) {
+        errors.push({ location: "body", field: `playersSelected[${index}]`, message: "must be a member of your team" });
+      }
+    });
+    if (new Date(endTime) <= new Date(startTime)) {
+      errors.push({ location: "body", field: "endTime", message: "must be after startTime" });
+    }
+    if (errors.length) return sendValidationError(res, errors);
 
     const matchId = uuidv4();
     const matchData = {
@@ -2417,9 +3311,6 @@ app.post("/match", authMiddleware, async (req, res) => {
     await matches.insert(matchId, matchData);
 
     // ✅ Notify opponent captain
-    const oppTeamDoc = await teams.get(opponentTeamId);
-    const oppTeam = oppTeamDoc.content;
-
     await sendNotification(oppTeam.captain, {
       title: "Match Invitation",
       message: `Your team (${oppTeam.name}) has been invited to a match by ${myTeam.name}`,
@@ -2429,75 +3320,103 @@ app.post("/match", authMiddleware, async (req, res) => {
 
     res.json({ success: true, message: "Match created and invitation sent", match: matchData });
   } catch (err) {
-    console.error("Create Match Error:", err);
+    logger.error("Create Match Error", { err });
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
 // ✏️ Opponent Captain Response
-app.post("/matches/:id/response", authMiddleware, async (req, res) => {
+app.post("/matches/:id/response", authMiddleware, validate({
+  params: { id: ID_PARAM },
+  body: { action: t.oneOf(["accept", "reject"]), playersSelected: PLAYER_LIST.optional() },
+}), idempotent(), async (req, res) => {
   try {
-    let { action, playersSelected } = req.body;
-
-    if (typeof playersSelected === "string") {
-      try {
-        playersSelected = JSON.parse(playersSelected);
-      } catch {
-        playersSelected = [];
-      }
-    }
+    const { action, playersSelected } = req.body;
 
-    const matchDoc = await matches.get(req.params.id).catch(() => null);
+    const matchDoc = await matches.getWithCas(req.params.id);
     if (!matchDoc) {
       return res.status(404).json({ success: false, error: "Match not found" });
     }
-
     const match = matchDoc.content;
 
     // ✅ Check opponent captain
-    const oppTeamDoc = await teams.get(match.opponentTeamId);
-    const oppTeam = oppTeamDoc.content;
+    const oppTeam = await teams.get(match.opponentTeamId);
 
     if (oppTeam.captain !== req.user.email) {
       return res.status(403).json({ success: false, error: "Only opponent captain can respond" });
     }
 
-    // ✅ Remove old invite notification
-    const oppCaptainDoc = await players.get(oppTeam.captain);
-    const oppCaptain = oppCaptainDoc.content;
-    oppCaptain.notifications = (oppCaptain.notifications || []).filter(
-      (n) => n.matchId !== match.id || n.type !== "match_invite"
-    );
-    await players.upsert(oppTeam.captain, oppCaptain);
+    // ✅ Accept pe apni team ke players select karna zaroori
+    if (action === "accept") {
+      if (match.status !== "pending") {
+        return res.status(400).json({ success: false, error: "Match has already been answered" });
+      }
+      if (!playersSelected) {
+        return sendValidationError(res, [{ location: "body", field: "playersSelected", message: "is required" }]);
+      }
+      const errors = [];
+      playersSelected.forEach((email, index) => {
+        if (!oppTeam.teamPlayers.includes(email)) {
+          errors.push({ location: "body", field: `playersSelected[${index}]`, message: "must be a member of your team" });
+        }
+      });
+      if (errors.length) return sendValidationError(res, errors);
+    }
+
+    // ✅ Remove old invite notification — accept pe fee katne ke baad, taake fail ho to captain dobara respond kar sake
+    const removeInvite = () =>
+      players.update(oppTeam.captain, (captain) => {
+        captain.notifications = (captain.notifications || []).filter(
+          (n) => n.matchId !== match.id || n.type !== "match_invite"
+        );
+        return captain;
+      });
 
     if (action === "reject") {
-      match.status = "cancelled";
+      await removeInvite();
+
+      // CAS update — beech me kisi aur ne match badla ho to us ka kaam na mite
+      const cancelled = await matches.update(match.id, (current) => {
+        current.status = "cancelled";
+        current.updatedAt = new Date().toISOString();
+        return current;
+      });
 
-      const myTeamDoc = await teams.get(match.myTeamId);
+      const myTeam = await teams.get(match.myTeamId);
       const allPlayers = [
-        ...(myTeamDoc.content.teamPlayers || []),
-        ...(oppTeamDoc.content.teamPlayers || []),
+        ...(myTeam.teamPlayers || []),
+        ...(oppTeam.teamPlayers || []),
       ];
 
       await sendNotification(allPlayers, {
         title: "Match Cancelled",
         matchId: match.id,
-        message: `Match between ${myTeamDoc.content.name} and ${oppTeamDoc.content.name} has been cancelled.`,
+        message: `Match between ${myTeam.name} and ${oppTeam.name} has been cancelled.`,
       });
 
-      await matches.upsert(match.id, match);
-      return res.json({ success: true, message: "Match rejected and cancelled", match });
+      return res.json({ success: true, message: "Match rejected and cancelled", match: cancelled });
     }
 
     if (action === "accept") {
       match.status = "upcoming";
       match.opponentPlayers = playersSelected || [];
+      match.updatedAt = new Date().toISOString();
+
+      // 🔒 Pehle CAS se match claim, taake do accepts ek saath aayen to fee sirf ek dafa kate
+      try {
+        await matches.replace(match.id, match, { cas: matchDoc.cas });
+      } catch (err) {
+        if (err instanceof CasMismatchError) {
+          return res.status(409).json({ success: false, error: "Match was updated by another request, please retry" });
+        }
+        throw err;
+      }
 
       // ⚡ Deduct entry fee if trophy is linked
       if (match.trophyId) {
-        const trophyDoc = await trophies.get(match.trophyId).catch(() => null);
-        if (trophyDoc) {
-          const { fee } = trophyDoc.content;
+        const trophy = await trophies.get(match.trophyId);
+        if (trophy) {
+          const { fee } = trophy;
 
           const myPlayers = Array.isArray(match.myPlayers) ? match.myPlayers : [];
           const oppPlayers = Array.isArray(match.opponentPlayers) ? match.opponentPlayers : [];
@@ -2505,47 +3424,49 @@ app.post("/matches/:id/response", authMiddleware, async (req, res) => {
           const myShare = Math.floor(fee / 2 / (myPlayers.length || 1));
           const oppShare = Math.floor(fee / 2 / (oppPlayers.length || 1));
 
-          for (const pid of myPlayers) {
-            const pDoc = await players.get(pid).catch(() => null);
-            if (pDoc) {
-              const player = pDoc.content;
-              player.points = (player.points || 0) - myShare;
-              await players.upsert(pid, player);
-            }
-          }
-
-          for (const pid of oppPlayers) {
-            const pDoc = await players.get(pid).catch(() => null);
-            if (pDoc) {
-              const player = pDoc.content;
-              player.points = (player.points || 0) - oppShare;
-              await players.upsert(pid, player);
-            }
+          // Sab ki fee ya kisi ki nahi — koi afford na kare to match wapas pending
+          try {
+            await chargePlayers([
+              ...myPlayers.map((email) => ({ email, amount: myShare })),
+              ...oppPlayers.map((email) => ({ email, amount: oppShare })),
+            ], { reason: "match_fee", related: { matchId: match.id, trophyId: trophy.id } });
+          } catch (err) {
+            if (!(err instanceof InsufficientPointsError) && !(err instanceof PlayerNotFoundError)) throw err;
+
+            await matches.update(match.id, (current) => {
+              current.status = "pending";
+              current.opponentPlayers = [];
+              return current;
+            });
+            return res.status(400).json({
+              success: false,
+              error: err instanceof InsufficientPointsError
+                ? `${err.email} does not have enough points for the entry fee`
+                : `${err.email} is no longer registered`,
+            });
           }
         }
       }
 
+      await removeInvite();
+
       // ✅ Notify all players
-      const myTeamDoc = await teams.get(match.myTeamId);
+      const myTeam = await teams.get(match.myTeamId);
       const allPlayers = [
-        ...(myTeamDoc.content.teamPlayers || []),
-        ...(oppTeamDoc.content.teamPlayers || []),
+        ...(myTeam.teamPlayers || []),
+        ...(oppTeam.teamPlayers || []),
       ];
 
       await sendNotification(allPlayers, {
         title: "Match Upcoming",
         matchId: match.id,
-        message: `Match scheduled between ${myTeamDoc.content.name} and ${oppTeamDoc.content.name} at ${match.location.name.split(",")[0]} on ${new Date(match.startTime).toLocaleString()}.`,
+        message: `Match scheduled between ${myTeam.name} and ${oppTeam.name} at ${match.location.name.split(",")[0]} on ${new Date(match.startTime).toLocaleString()}.`,
       });
 
-      match.updatedAt = new Date().toISOString();
-      await matches.upsert(match.id, match);
       return res.json({ success: true, message: "Match accepted successfully", match });
     }
-
-    res.status(400).json({ success: false, error: "Invalid action" });
   } catch (err) {
-    console.error("Match Response Error:", err);
+    logger.error("Match Response Error", { err });
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
@@ -2562,18 +3483,29 @@ const skillValues = {
   cleanSheet: 0.5,
 };
 
+// Finalize claim ka lease — itni der progress save na ho (instance crash) to agli submission claim le leti hai
+const FINALIZE_LOCK_MINUTES = Number(process.env.FINALIZE_LOCK_MINUTES) || 10;
+
 // 4️⃣ Finalize Match (Both captains submit first, then auto finalization)
-app.post("/matches/:id/finalize", authMiddleware, async (req, res) => {
+app.post("/matches/:id/finalize", authMiddleware, validate({
+  params: { id: ID_PARAM },
+  body: {
+    teamStats: t.array(t.object({
+      playerId: t.email(),
+      goals: t.integer({ min: 0, max: 50 }).optional(),
+      assists: t.integer({ min: 0, max: 50 }).optional(),
+      yellowCards: t.integer({ min: 0, max: 2 }).optional(),
+      redCards: t.integer({ min: 0, max: 1 }).optional(),
+      opponentTeamRating: t.number({ min: 0, max: 100 }).optional(),
+    }), { min: 1, max: 30 }),
+    teamRate: t.number({ min: 1, max: 5 }).optional(),
+  },
+}), async (req, res) => {
   try {
 
 
 
-    let { teamStats, teamRate } = req.body;
-
-    // ✅ Handle form-data (string to array)
-    if (typeof teamStats === "string") {
-      try { teamStats = JSON.parse(teamStats); } catch { teamStats = []; }
-    }
+    const { teamStats, teamRate } = req.body;
 
     // 🏆 Utilities
     function getMultiplier(value) {
@@ -2598,25 +3530,25 @@ app.post("/matches/:id/finalize", authMiddleware, async (req, res) => {
         ? ["diving", "handling", "kicking", "reflexes", "positioning", "speed"].map(s => player[s] || 0)
         : ["pace", "shooting", "passing", "dribbling", "defence", "physical"].map(s => player[s] || 0);
       const avg = skills.reduce((a, b) => a + b, 0) / skills.length;
-      player.overalRating = parseFloat(avg.toFixed(1));
+      player.overallRating = parseFloat(avg.toFixed(1));
     }
 
     // 🔍 Match find
-    const matchDoc = await matches.get(req.params.id).catch(() => null);
-    if (!matchDoc) {
+    let match = await matches.get(req.params.id);
+    if (!match) {
       return res.status(404).json({ success: false, message: "Match not found" });
     }
-    const match = matchDoc.content;
 
     if (!["live", "upcoming", "completed"].includes(match.status)) {
       return res.status(400).json({ success: false, message: "Match is not active" });
     }
 
     // ✅ Teams + captain check
-    const myTeamDoc = await teams.get(match.myTeamId);
-    const oppTeamDoc = await teams.get(match.opponentTeamId);
-    const myTeam = myTeamDoc.content;
-    const oppTeam = oppTeamDoc.content;
+    const myTeam = await teams.get(match.myTeamId);
+    const oppTeam = await teams.get(match.opponentTeamId);
+    if (!myTeam || !oppTeam) {
+      return res.status(400).json({ success: false, message: "Team not found" });
+    }
 
     let submittingTeam = null;
     if (myTeam.captain === req.user.email) submittingTeam = "myTeamStats";
@@ -2625,10 +3557,50 @@ app.post("/matches/:id/finalize", authMiddleware, async (req, res) => {
       return res.status(403).json({ success: false, message: "Only captains can submit stats" });
     }
 
-    // ✅ Save submitted stats
+    // ✅ Stats sirf apni team ke players ke
+    const roster = submittingTeam === "myTeamStats" ? myTeam.teamPlayers : oppTeam.teamPlayers;
+    const statErrors = [];
+    teamStats.forEach((stat, index) => {
+      if (!roster.includes(stat.playerId)) {
+        statErrors.push({ location: "body", field: `teamStats[${index}].playerId`, message: "must be a member of your team" });
+      }
+    });
+    if (statErrors.length) return sendValidationError(res, statErrors);
+
+    // 🏆 Trophy pehle hi check — finalizing claim ke baad koi early return nahi (warna match atka rehta)
+    // Trophy ke baghair match (friendly) me prize/bonus nahi
+    const trophy = match.trophyId ? await trophies.get(match.trophyId) : null;
+    if (match.trophyId && !trophy) {
+      return res.status(400).json({ success: false, message: "Trophy not found" });
+    }
+
+    // ✅ Save submitted stats — CAS update, taake dono captains ek saath submit karen to dono ke stats bachen
+    // aur finalize sirf wahi request kare jis ne dono submissions pehli dafa dekhin
+    let finalizeNow = false;
+    let stillActive = true;
+    const staleBefore = new Date(Date.now() - FINALIZE_LOCK_MINUTES * 60 * 1000).toISOString();
+    match = await matches.update(match.id, (current) => {
+      const claimed = current.finalizing && current.finalizingAt > staleBefore;
+      stillActive = ["live", "upcoming", "completed"].includes(current.status) && !claimed;
+      if (!stillActive) return null;
+
+      current[submittingTeam] = teamStats;
+      current[submittingTeam === "myTeamStats" ? "myTeamSubmitted" : "oppTeamSubmitted"] = true;
+      current.updatedAt = new Date().toISOString();
+
+      finalizeNow = Boolean(current.myTeamSubmitted && current.oppTeamSubmitted);
+      if (finalizeNow) {
+        current.finalizing = true;
+        current.finalizingAt = current.updatedAt;
+      }
+      return current;
+    });
+    if (!stillActive) {
+      return res.status(400).json({ success: false, message: "Match is not active" });
+    }
+
+    // ⭐ Opponent team rating
     if (submittingTeam === "myTeamStats") {
-      match.myTeamStats = teamStats;
-      match.myTeamSubmitted = true;
       if (teamRate && teamRate >= 1 && teamRate <= 5) {
         oppTeam.ratingCount = (oppTeam.ratingCount || 0) + 1;
         oppTeam.ratingAvg = Number(((((oppTeam.ratingAvg || 0) * (oppTeam.ratingCount - 1)) + teamRate) / oppTeam.ratingCount).toFixed(2));
@@ -2636,8 +3608,6 @@ app.post("/matches/:id/finalize", authMiddleware, async (req, res) => {
       }
     }
     if (submittingTeam === "oppTeamStats") {
-      match.oppTeamStats = teamStats;
-      match.oppTeamSubmitted = true;
       if (teamRate && teamRate >= 1 && teamRate <= 5) {
         myTeam.ratingCount = (myTeam.ratingCount || 0) + 1;
         myTeam.ratingAvg = Number(((((myTeam.ratingAvg || 0) * (myTeam.ratingCount - 1)) + teamRate) / myTeam.ratingCount).toFixed(2));
@@ -2645,11 +3615,8 @@ app.post("/matches/:id/finalize", authMiddleware, async (req, res) => {
       }
     }
 
-    match.updatedAt = new Date().toISOString();
-    await matches.upsert(match.id, match);
-
     // ⏳ Wait for other captain
-    if (!match.myTeamSubmitted || !match.oppTeamSubmitted) {
+    if (!finalizeNow) {
       return res.json({
         success: true,
         message: "Stats & rating saved. Waiting for other captain to submit.",
@@ -2658,11 +3625,17 @@ app.post("/matches/:id/finalize", authMiddleware, async (req, res) => {
     }
 
     // ✅ Both submitted → finalize
-    const trophyDoc = await trophies.get(match.trophyId).catch(() => null);
-    if (!trophyDoc) {
-      return res.status(400).json({ success: false, message: "Trophy not found" });
+    // Pichli koshish beech me fail hui thi to jin players/teams ka kaam ho chuka woh dobara nahi
+    const progress = { paid: [], teams: [], ...match.finalizeProgress };
+
+    // Har qadam ke baad progress match pe — claim bhi taaza rehta hai, aur crash ke baad takeover wahin se chalta hai
+    async function saveProgress() {
+      await matches.update(match.id, (current) => {
+        current.finalizeProgress = progress;
+        current.finalizingAt = new Date().toISOString();
+        return current;
+      });
     }
-    const trophy = trophyDoc.content;
 
     const myGoals = match.myTeamStats.reduce((s, p) => s + (p.goals || 0), 0);
     const oppGoals = match.oppTeamStats.reduce((s, p) => s + (p.goals || 0), 0);
@@ -2678,91 +3651,96 @@ app.post("/matches/:id/finalize", authMiddleware, async (req, res) => {
       if ((p.goals || 0) > (best.goals || 0) || ((p.goals || 0) === (best.goals || 0) && (p.assists || 0) > (best.assists || 0))) return p;
       return best;
     }, { goals: 0, assists: 0 });
-    if (motm && motm.playerId) {
-      await sendNotification(motm.playerId, {
-        title: "Man of the Match",
-        matchId: match.id,
-        message: `🎉 Congratulations! You are the Man of the Match.`
-      });
-    }
 
     // ✅ Distribute points & notify
-    const pool = trophy.fee;
-    const winShare = draw ? pool / 2 : (pool * trophy.distribution.win) / 100;
-    const loseShare = draw ? pool / 2 : (pool * trophy.distribution.lose) / 100;
+    const pool = trophy ? trophy.fee : 0;
+    const bonuses = trophy?.bonuses || {};
+    const winShare = draw || !trophy ? pool / 2 : (pool * trophy.distribution.win) / 100;
+    const loseShare = draw || !trophy ? pool / 2 : (pool * trophy.distribution.lose) / 100;
 
     async function distributePoints(team, stats, share, isWinner, isDraw) {
       const perPlayer = Math.floor(share / stats.length);
       for (const stat of stats) {
-        const pDoc = await players.get(stat.playerId).catch(() => null);
-        if (!pDoc) continue;
-        const player = pDoc.content;
-
-        // 1️⃣ Update basic stats
-        player.matches = (player.matches || 0) + 1;
-        player.goals = (player.goals || 0) + (stat.goals || 0);
-        player.assists = (player.assists || 0) + (stat.assists || 0);
-        player.redCards = (player.redCards || 0) + (stat.redCards || 0);
-        player.yellowCards = (player.yellowCards || 0) + (stat.yellowCards || 0);
-        if (isWinner) player.wins = (player.wins || 0) + 1;
-        else if (isDraw) player.draws = (player.draws || 0) + 1;
-        else player.losses = (player.losses || 0) + 1;
-
-        // 2️⃣ Skills & overall
-        const pos = player.position.toLowerCase();
-        if (skillValues[pos]) {
-          for (const [sk, val] of Object.entries(skillValues[pos])) improveSkill(player, sk, val);
-        }
-        if (stat.goals) improveSkill(player, "shooting", stat.goals * skillValues.goals);
-        if (stat.assists) improveSkill(player, "passing", stat.assists * skillValues.assists);
-        if (isWinner && player.position === "Defender" && oppGoals === 0) improveSkill(player, "defence", skillValues.cleanSheet);
-        if (motm && motm.playerId === stat.playerId) improveSkill(player, "dribbling", skillValues.motmBonus);
-        updateOverall(player);
-
-        // ✅ Calculate overallPerformance
-        const skills = player.position === "Goalkeeper"
-          ? ["diving", "handling", "kicking", "reflexes", "positioning", "speed"]
-          : ["pace", "shooting", "passing", "dribbling", "defence", "physical"];
-        const skillAvg = skills.map(s => player[s] || 0).reduce((a, b) => a + b, 0) / skills.length;
-
-        let statsScore = 0;
-        statsScore += (stat.goals || 0) * 5;
-        statsScore += (stat.assists || 0) * 3;
-        statsScore += (stat.yellowCards || 0) * -2;
-        statsScore += (stat.redCards || 0) * -5;
-        if (motm && motm.playerId === stat.playerId) statsScore += 10;
-
-        const opponentRating = stat.opponentTeamRating || 50;
-
-        const overallPerformance = Math.min(100, skillAvg * 0.6 + statsScore * 1 + opponentRating * 0.4);
-        player.overallPerformance = overallPerformance;
-
-        // 3️⃣ Update matchHistory (max 10)
-        player.matchHistory = player.matchHistory || [];
-        player.matchHistory.push({
-          date: new Date().toISOString(),
-          result: isDraw ? "draw" : (isWinner ? "win" : "lose"),
-          overallPerformance
-        });
-        if (player.matchHistory.length > 10) player.matchHistory.shift();
-
-        // 4️⃣ Points & bonuses
-        player.points = (player.points || 0) + perPlayer;
-        if (stat.goals > 0) player.points += stat.goals * (trophy.bonuses.goal || 0);
-        if (stat.assists > 0) player.points += stat.assists * (trophy.bonuses.assist || 0);
-        if (motm && motm.playerId === stat.playerId) player.points += trophy.bonuses.motm || 0;
-
-        // 5️⃣ Achievements
-        if (isWinner) player.achievements.push(trophy.id);
-        if (motm && motm.playerId === stat.playerId) player.achievements.push("MOTM_" + match.id);
+        if (progress.paid.includes(stat.playerId)) continue;
+        const isMotm = Boolean(motm && motm.playerId === stat.playerId);
 
-        // 6️⃣ Aura
-        if (motm && motm.playerId === stat.playerId) player.auraPoints = Math.min(999, (player.auraPoints || 0) + 100);
-        else player.auraPoints = Math.max(0, (player.auraPoints || 0) - 100);
+        // 💰 Prize share + bonuses (ledger me alag alag)
+        let bonus = 0;
+        if (stat.goals > 0) bonus += stat.goals * (Number(bonuses.goal) || 0);
+        if (stat.assists > 0) bonus += stat.assists * (Number(bonuses.assist) || 0);
+        if (isMotm) bonus += Number(bonuses.motm) || 0;
 
-        await players.upsert(stat.playerId, player);
+        // Points aur baaki stats ek hi CAS write me (retry pe fresh doc pe dobara)
+        try {
+          await changePoints(stat.playerId, perPlayer + bonus, {
+            breakdown: [{ amount: perPlayer, reason: "prize" }, { amount: bonus, reason: "bonus" }],
+            related: { matchId: match.id, ...(trophy && { trophyId: trophy.id }) },
+            apply: (player) => {
+              // 1️⃣ Update basic stats
+              player.matches = (player.matches || 0) + 1;
+              player.goals = (player.goals || 0) + (stat.goals || 0);
+              player.assists = (player.assists || 0) + (stat.assists || 0);
+              player.redCards = (player.redCards || 0) + (stat.redCards || 0);
+              player.yellowCards = (player.yellowCards || 0) + (stat.yellowCards || 0);
+              if (isWinner) player.wins = (player.wins || 0) + 1;
+              else if (isDraw) player.draws = (player.draws || 0) + 1;
+              else player.losses = (player.losses || 0) + 1;
+
+              // 2️⃣ Skills & overall
+              const pos = player.position.toLowerCase();
+              if (skillValues[pos]) {
+                for (const [sk, val] of Object.entries(skillValues[pos])) improveSkill(player, sk, val);
+              }
+              if (stat.goals) improveSkill(player, "shooting", stat.goals * skillValues.goals);
+              if (stat.assists) improveSkill(player, "passing", stat.assists * skillValues.assists);
+              if (isWinner && player.position === "Defender" && oppGoals === 0) improveSkill(player, "defence", skillValues.cleanSheet);
+              if (isMotm) improveSkill(player, "dribbling", skillValues.motmBonus);
+              updateOverall(player);
+
+              // ✅ Calculate overallPerformance
+              const skills = player.position === "Goalkeeper"
+                ? ["diving", "handling", "kicking", "reflexes", "positioning", "speed"]
+                : ["pace", "shooting", "passing", "dribbling", "defence", "physical"];
+              const skillAvg = skills.map(s => player[s] || 0).reduce((a, b) => a + b, 0) / skills.length;
+
+              let statsScore = 0;
+              statsScore += (stat.goals || 0) * 5;
+              statsScore += (stat.assists || 0) * 3;
+              statsScore += (stat.yellowCards || 0) * -2;
+              statsScore += (stat.redCards || 0) * -5;
+              if (isMotm) statsScore += 10;
+
+              const opponentRating = stat.opponentTeamRating || 50;
+
+              const overallPerformance = Math.min(100, skillAvg * 0.6 + statsScore * 1 + opponentRating * 0.4);
+              player.overallPerformance = overallPerformance;
+
+              // 3️⃣ Update matchHistory (max 10)
+              player.matchHistory = player.matchHistory || [];
+              player.matchHistory.push({
+                date: new Date().toISOString(),
+                result: isDraw ? "draw" : (isWinner ? "win" : "lose"),
+                overallPerformance
+              });
+              if (player.matchHistory.length > 10) player.matchHistory.shift();
+
+              // 4️⃣ Achievements
+              if (isWinner && trophy) player.achievements.push(trophy.id);
+              if (isMotm) player.achievements.push("MOTM_" + match.id);
+
+              // 5️⃣ Aura
+              if (isMotm) player.auraPoints = Math.min(999, (player.auraPoints || 0) + 100);
+              else player.auraPoints = Math.max(0, (player.auraPoints || 0) - 100);
+            },
+          });
+        } catch (err) {
+          if (err instanceof PlayerNotFoundError) continue;
+          throw err;
+        }
+        progress.paid.push(stat.playerId);
+        await saveProgress();
 
-        // 7️⃣ Notifications
+        // 6️⃣ Notifications
         await sendNotification(stat.playerId, {
           title: "Match Results",
           matchId: match.id,
@@ -2782,28 +3760,61 @@ app.post("/matches/:id/finalize", authMiddleware, async (req, res) => {
       }
     }
 
-
-    await distributePoints(myTeam, match.myTeamStats, myTeam.id === (winnerTeam?.id || null) ? winShare : loseShare, myTeam.id === (winnerTeam?.id || null), draw);
-    await distributePoints(oppTeam, match.oppTeamStats, oppTeam.id === (winnerTeam?.id || null) ? winShare : loseShare, oppTeam.id === (winnerTeam?.id || null), draw);
-
     // ✅ Update teams
     async function updateTeam(team, isWinner, isLoser, isDraw) {
+      if (progress.teams.includes(team.id)) return;
       team.matchesPlayed += 1;
-      if (isWinner) { team.wins += 1; team.achievements.push(trophy.id); }
+      if (isWinner) {
+        team.wins += 1;
+        if (trophy) team.achievements.push(trophy.id);
+      }
       if (isLoser) team.losses += 1;
       if (isDraw) team.draws += 1;
       team.updatedAt = new Date().toISOString();
       await teams.upsert(team.id, team);
+      progress.teams.push(team.id);
+      await saveProgress();
     }
 
-    await updateTeam(myTeam, winnerTeam?.id === myTeam.id, loserTeam?.id === myTeam.id, draw);
-    await updateTeam(oppTeam, winnerTeam?.id === oppTeam.id, loserTeam?.id === oppTeam.id, draw);
+    try {
+      if (motm && motm.playerId && !progress.motmNotified) {
+        await sendNotification(motm.playerId, {
+          title: "Man of the Match",
+          matchId: match.id,
+          message: `🎉 Congratulations! You are the Man of the Match.`
+        });
+        progress.motmNotified = true;
+        await saveProgress();
+      }
+
+      await distributePoints(myTeam, match.myTeamStats, myTeam.id === (winnerTeam?.id || null) ? winShare : loseShare, myTeam.id === (winnerTeam?.id || null), draw);
+      await distributePoints(oppTeam, match.oppTeamStats, oppTeam.id === (winnerTeam?.id || null) ? winShare : loseShare, oppTeam.id === (winnerTeam?.id || null), draw);
+
+      await updateTeam(myTeam, winnerTeam?.id === myTeam.id, loserTeam?.id === myTeam.id, draw);
+      await updateTeam(oppTeam, winnerTeam?.id === oppTeam.id, loserTeam?.id === oppTeam.id, draw);
+    } catch (err) {
+      // Claim chhor do aur progress match pe rakh lo — agli submission wahin se aage chalegi
+      await matches.update(match.id, (current) => {
+        delete current.finalizing;
+        delete current.finalizingAt;
+        current.finalizeProgress = progress;
+        current.updatedAt = new Date().toISOString();
+        return current;
+      });
+      throw err;
+    }
 
     // ✅ Finalize match
-    match.status = "final";
-    match.result = { myGoals, oppGoals, winner: draw ? "draw" : winnerTeam.id, motm: motm ? motm.playerId : null };
-    match.updatedAt = new Date().toISOString();
-    await matches.upsert(match.id, match);
+    match = await matches.update(match.id, (current) => {
+      current.status = "final";
+      delete current.finalizing;
+      delete current.finalizingAt;
+      delete current.finalizeProgress;
+      current.result = { myGoals, oppGoals, winner: draw ? "draw" : winnerTeam.id, motm: motm ? motm.playerId : null };
+      current.updatedAt = new Date().toISOString();
+      return current;
+    });
+    matchesFinalized.inc({ result: draw ? "draw" : "decided" });
 
     return res.json({
       success: true,
@@ -2812,19 +3823,20 @@ app.post("/matches/:id/finalize", authMiddleware, async (req, res) => {
     });
 
   } catch (err) {
-    console.error("❌ Finalize Match Error:", err);
+    logger.error("Finalize Match Error", { err });
     return res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
 // 🗑️ Delete Match (Admin only)
-app.post("/del-matches/:id", authMiddleware, adminMiddleware, async (req, res) => {
+app.post("/del-matches/:id", authMiddleware, requirePermission("match:delete"), validate({
+  params: { id: ID_PARAM },
+}), async (req, res) => {
   try {
-    const matches = getCollection("matches");
     const matchId = req.params.id;
 
-    const matchDoc = await matches.get(matchId).catch(() => null);
-    if (!matchDoc) {
+    const match = await matches.get(matchId);
+    if (!match) {
       return res.status(404).json({ success: false, error: "Match not found" });
     }
 
@@ -2836,24 +3848,23 @@ app.post("/del-matches/:id", authMiddleware, adminMiddleware, async (req, res) =
       matchId,
     });
   } catch (err) {
-    console.error("❌ Delete match error:", err);
+    logger.error("Delete match error", { err });
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
 // 🗑️ Remove Player Notification (Self only)
-app.post("/players/:email/notifications/:notifId", authMiddleware, async (req, res) => {
+app.post("/players/:email/notifications/:notifId", authMiddleware, validate({
+  params: { email: EMAIL_PARAM, notifId: ID_PARAM },
+}), async (req, res) => {
   try {
-    const players = getCollection("players");
     const { email, notifId } = req.params;
 
-    const playerDoc = await players.get(email).catch(() => null);
-    if (!playerDoc) {
+    const player = await players.get(email);
+    if (!player) {
       return res.status(404).json({ success: false, error: "Player not found" });
     }
 
-    const player = playerDoc.content;
-
     // ✅ Sirf apni notifications delete karne ki permission
     if (player.email !== req.user.email) {
       return res.status(403).json({ success: false, error: "Unauthorized" });
@@ -2878,53 +3889,39 @@ app.post("/players/:email/notifications/:notifId", authMiddleware, async (req, r
       remainingNotifications: player.notifications,
     });
   } catch (err) {
-    console.error("❌ Remove notification error:", err);
+    logger.error("Remove notification error", { err });
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
+const NOTIFICATION_FIELDS = { title: t.string({ max: 100 }), message: t.string({ max: 1000 }) };
+
 // 📢 Send Notification to All Players (Admin or System)
-app.post("/notify/all", authMiddleware, adminMiddleware, async (req, res) => {
+app.post("/notify/all", authMiddleware, requirePermission("notify:all"), validate({ body: NOTIFICATION_FIELDS }), async (req, res) => {
   try {
     const { title, message } = req.body;
 
-    if (!title || !message) {
-      return res.status(400).json({
-        success: false,
-        message: "Missing title or message.",
-      });
-    }
-
-    // ✅ Couchbase cluster & query
-    const cluster = getCluster();
-    const query = `
-      SELECT p.email 
-      FROM \`${process.env.COUCHBASE_BUCKET}\`.\`${process.env.COUCHBASE_SCOPE}\`.\`players\` AS p
-      WHERE p.email IS NOT NULL
-    `;
+    // ✅ Kitne players ko jayegi
+    const playerCount = await players.countEmails();
 
-    const result = await cluster.query(query);
-    const playerEmails = result.rows.map(row => row.email);
-
-    if (!playerEmails.length) {
+    if (!playerCount) {
       return res.status(404).json({
         success: false,
         message: "No players found to send notifications.",
       });
     }
 
-    // ✅ Send notification to each player
-    for (const email of playerEmails) {
-      await sendNotification(email, { title, message });
-    }
+    // ✅ Har player tak background job pohanchata hai — progress GET /jobs/:id pe
+    const job = await queueBroadcast({ title, message }, req.user.email);
 
-    res.json({
+    res.status(202).location(`/jobs/${job.id}`).json({
       success: true,
-      message: `✅ Notification sent to ${playerEmails.length} players successfully.`,
+      message: `✅ Notification queued for ${playerCount} players.`,
+      job: toPublicJob(job),
     });
 
   } catch (err) {
-    console.error("❌ Send All Notifications Error:", err);
+    logger.error("Send All Notifications Error", { err });
     res.status(500).json({
       success: false,
       message: "Server error while sending notifications to all players.",
@@ -2933,26 +3930,25 @@ app.post("/notify/all", authMiddleware, adminMiddleware, async (req, res) => {
 });
 
 // Push Player Notification (Self only)
-app.post("/notify/:email", authMiddleware, async (req, res) => {
+app.post("/notify/:email", authMiddleware, rateLimit("notify"), validate({
+  params: { email: EMAIL_PARAM },
+  body: NOTIFICATION_FIELDS,
+}), async (req, res) => {
   try {
     const { email } = req.params;
     const { title, message } = req.body;
 
-    if (!title || !message) {
-      return res.status(400).json({ success: false, message: "Missing title or message" });
-    }
-
     await sendNotification(email, { title, message });
 
     res.json({ success: true, message: "Notification sent successfully" });
   } catch (err) {
-    console.error("❌ Send Notification Error:", err);
+    logger.error("Send Notification Error", { err });
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
 // 🧹 DELETE all notifications (Self only)
-app.post("/players/:email/notifications", authMiddleware, async (req, res) => {
+app.post("/players/:email/notifications", authMiddleware, validate({ params: { email: EMAIL_PARAM } }), async (req, res) => {
   try {
     const { email } = req.params;
 
@@ -2964,15 +3960,12 @@ app.post("/players/:email/notifications", authMiddleware, async (req, res) => {
       });
     }
 
-    const players = getCollection("players");
-
     // ✅ Fetch player
-    const playerDoc = await players.get(email).catch(() => null);
-    if (!playerDoc) {
+    const playerData = await players.get(email);
+    if (!playerData) {
       return res.status(404).json({ success: false, message: "Player not found" });
     }
 
-    const playerData = playerDoc.content;
     playerData.notifications = [];
     playerData.updatedAt = new Date().toISOString();
 
@@ -2981,7 +3974,7 @@ app.post("/players/:email/notifications", authMiddleware, async (req, res) => {
 
     res.json({ success: true, message: "All notifications cleared successfully." });
   } catch (err) {
-    console.error("❌ Clear notifications error:", err);
+    logger.error("Clear notifications error", { err });
     res.status(500).json({
       success: false,
       message: "Server error while clearing notifications.",
@@ -2990,40 +3983,34 @@ app.post("/players/:email/notifications", authMiddleware, async (req, res) => {
 });
 
 // ⭐ Player Rating after Match
-app.post("/players/rate", authMiddleware, async (req, res) => {
+app.post("/players/rate", authMiddleware, validate({
+  body: {
+    ratings: t.array(t.object({ email: t.email(), value: t.number({ min: 1, max: 5 }) }), { min: 1, max: 30 }),
+  },
+}), async (req, res) => {
   try {
-    let { ratings } = req.body;
+    const { ratings } = req.body;
 
-    if (typeof ratings === "string") {
-      try {
-        ratings = JSON.parse(ratings);
-      } catch {
-        ratings = [];
-      }
-    }
-
-    if (!Array.isArray(ratings) || ratings.length === 0) {
-      return res.status(400).json({ success: false, error: "Invalid ratings format" });
-    }
+    // ✅ Pehle sab players check, koi bhi galat ho to kuch save nahi hota
+    const docs = await Promise.all(ratings.map((r) => players.get(r.email)));
+    const errors = [];
+    docs.forEach((doc, index) => {
+      if (!doc || doc.deletedAt) errors.push({ location: "body", field: `ratings[${index}].email`, message: "player not found" });
+    });
+    if (errors.length) return sendValidationError(res, errors);
 
-    const players = getCollection("players");
     const updatedPlayers = [];
 
     for (const r of ratings) {
-      if (typeof r.value !== "number" || r.value < 1 || r.value > 5) {
-        continue;
-      }
-
-      const doc = await players.get(r.email).catch(() => null);
-      if (!doc) continue;
-
-      let updatedData = { ...doc.content };
+      const { value } = r;
+      const doc = await players.get(r.email);
+      let updatedData = { ...doc };
 
       updatedData.ratingAvg = updatedData.ratingAvg || 0;
       updatedData.ratingCount = updatedData.ratingCount || 0;
 
       updatedData.ratingAvg =
-        (updatedData.ratingAvg * updatedData.ratingCount + r.value) /
+        (updatedData.ratingAvg * updatedData.ratingCount + value) /
         (updatedData.ratingCount + 1);
       updatedData.ratingCount += 1;
       updatedData.updatedAt = new Date().toISOString();
@@ -3034,17 +4021,13 @@ app.post("/players/rate", authMiddleware, async (req, res) => {
       updatedPlayers.push(safePlayer);
     }
 
-    if (!updatedPlayers.length) {
-      return res.status(404).json({ success: false, error: "No valid players found for rating" });
-    }
-
     res.json({
       success: true,
       message: "Ratings updated successfully",
       updatedPlayers,
     });
   } catch (err) {
-    console.error("❌ Player rating error:", err);
+    logger.error("Player rating error", { err });
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
@@ -3053,11 +4036,7 @@ app.post("/players/rate", authMiddleware, async (req, res) => {
 app.get("/leaderboard", async (req, res) => {
   try {
     // --- PLAYERS ---
-    const allPlayersRes = await getCluster().query(`
-      SELECT p.* 
-      FROM \`${process.env.COUCHBASE_BUCKET}\`.\`${process.env.COUCHBASE_SCOPE}\`.\`players\` p
-    `);
-    let allPlayers = allPlayersRes.rows || [];
+    let allPlayers = await players.listAllVisible();
 
     const topScorers = [...allPlayers]
       .sort((a, b) => (b.goals || 0) - (a.goals || 0))
@@ -3074,8 +4053,8 @@ app.get("/leaderboard", async (req, res) => {
     const topByPosition = (pos) => {
       const playersByPos = allPlayers.filter(p => p.position === pos);
       if (playersByPos.length === 0) return [];
-      const maxRating = Math.max(...playersByPos.map(p => p.overalRating || 0), 0);
-      return playersByPos.filter(p => (p.overalRating || 0) === maxRating);
+      const maxRating = Math.max(...playersByPos.map(p => p.overallRating || 0), 0);
+      return playersByPos.filter(p => (p.overallRating || 0) === maxRating);
     };
 
     const topDefender = topByPosition("Defender");
@@ -3091,11 +4070,7 @@ app.get("/leaderboard", async (req, res) => {
     const topMOTMPlayers = playersWithMOTM.filter(p => p.motmCount === maxMOTM && maxMOTM > 0);
 
     // --- TEAMS ---
-    const allTeamsRes = await getCluster().query(`
-      SELECT t.* 
-      FROM \`${process.env.COUCHBASE_BUCKET}\`.\`${process.env.COUCHBASE_SCOPE}\`.\`teams\` t
-    `);
-    let allTeams = allTeamsRes.rows || [];
+    let allTeams = await teams.listAll();
 
     const teamsWithWinRate = allTeams.map(t => {
       const totalMatches = (t.wins || 0) + (t.losses || 0) + (t.draws || 0);
@@ -3132,7 +4107,7 @@ app.get("/leaderboard", async (req, res) => {
       },
     });
   } catch (err) {
-    console.error("❌ Leaderboard error:", err);
+    logger.error("Leaderboard error", { err });
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
@@ -3140,215 +4115,382 @@ app.get("/leaderboard", async (req, res) => {
 // ✅ Get platform stats (Players, Teams, Coaches, Matches)
 app.get("/stats", async (req, res) => {
   try {
-    const cluster = getCluster();
-
-    // Queries
-    const playerQuery = `
-      SELECT COUNT(*) AS total 
-      FROM \`${process.env.COUCHBASE_BUCKET}\`.\`${process.env.COUCHBASE_SCOPE}\`.\`players\`
-    `;
-    const teamQuery = `
-      SELECT COUNT(*) AS total 
-      FROM \`${process.env.COUCHBASE_BUCKET}\`.\`${process.env.COUCHBASE_SCOPE}\`.\`teams\`
-    `;
-    const trainerQuery = `
-      SELECT COUNT(*) AS total 
-      FROM \`${process.env.COUCHBASE_BUCKET}\`.\`${process.env.COUCHBASE_SCOPE}\`.\`trainers\`
-    `;
-    // 🏁 Count only matches with status = "final"
-    const matchQuery = `
-      SELECT COUNT(*) AS total 
-      FROM \`${process.env.COUCHBASE_BUCKET}\`.\`${process.env.COUCHBASE_SCOPE}\`.\`matches\` m
-      WHERE m.status = "final"
-    `;
-
-    // ⚡ Run all queries in parallel
-    const [players, teams, trainers, matches] = await Promise.all([
-      cluster.query(playerQuery),
-      cluster.query(teamQuery),
-      cluster.query(trainerQuery),
-      cluster.query(matchQuery),
+    // ⚡ Run all counts in parallel (matches: sirf status = "final")
+    const [playerCount, teamCount, trainerCount, matchCount] = await Promise.all([
+      players.count(),
+      teams.count(),
+      trainers.count(),
+      matches.countFinal(),
     ]);
 
     res.json({
       success: true,
       message: "Stats fetched successfully",
       data: {
-        players: players.rows[0]?.total || 0,
-        teams: teams.rows[0]?.total || 0,
-        trainers: trainers.rows[0]?.total || 0,
-        matches: matches.rows[0]?.total || 0, // ✅ only "final" matches counted
+        players: playerCount,
+        teams: teamCount,
+        trainers: trainerCount,
+        matches: matchCount, // ✅ only "final" matches counted
       },
     });
   } catch (err) {
-    console.error("❌ Stats fetch error:", err);
+    logger.error("Stats fetch error", { err });
     res.status(500).json({
       success: false,
       message: "Server error while fetching stats",
     });
   }
 });
- 
+
+// ====== Background Jobs (jobQueue.js) ======
+
+// 📋 All jobs (jobs:manage) — status/type filter, naye pehle
+app.get("/jobs", authMiddleware, requirePermission("jobs:manage"), validate({
+  query: { ...PAGINATION, status: t.oneOf(JOB_STATUSES).optional(), type: t.string({ max: 100 }).optional() },
+}), async (req, res) => {
+  try {
+    const { status, type, offset = 0, limit = 30 } = req.query;
+
+    const rows = await jobs.list({ status, type, offset, limit });
+
+    res.json({
+      success: true,
+      message: "Jobs fetched successfully",
+      data: {
+        jobs: rows.map(toPublicJob),
+        pagination: { offset, limit, count: rows.length, total: await jobs.countBy({ status, type }) },
+      },
+    });
+  } catch (err) {
+    logger.error("List jobs error", { err });
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// 🔎 Job status + progress (jis ne queue kiya, ya jobs:manage)
+app.get("/jobs/:id", authMiddleware, validate({ params: { id: ID_PARAM } }), async (req, res) => {
+  try {
+    const job = await jobs.get(req.params.id);
+
+    if (!job || (job.createdBy !== req.user.email && !hasPermission(await players.get(req.user.email), "jobs:manage"))) {
+      return res.status(404).json({ success: false, message: "Job not found" });
+    }
+
+    res.json({ success: true, job: toPublicJob(job) });
+  } catch (err) {
+    logger.error("Get job error", { err });
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// 🔁 Failed job dobara chalao (jobs:manage)
+app.post("/jobs/:id/retry", authMiddleware, requirePermission("jobs:manage"), validate({ params: { id: ID_PARAM } }), async (req, res) => {
+  try {
+    const job = await retryJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ success: false, message: "Job not found" });
+    }
+
+    res.status(202).json({ success: true, message: "Job queued for retry", job: toPublicJob(job) });
+  } catch (err) {
+    if (err instanceof JobNotRetryableError) {
+      return res.status(409).json({ success: false, message: err.message });
+    }
+    logger.error("Retry job error", { err });
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// ====== Cron Runs (cron:manage) ======
+
+// 🕒 Scheduled job runs — kis instance ne, kab, kitni der, kya nikla (naye pehle)
+app.get("/cron/runs", authMiddleware, requirePermission("cron:manage"), validate({
+  query: { ...PAGINATION, job: t.string({ max: 100 }).optional() },
+}), async (req, res) => {
+  try {
+    const { job, offset = 0, limit = 30 } = req.query;
+
+    const runs = await cronHistory.list({ job, offset, limit });
+
+    res.json({
+      success: true,
+      message: "Cron runs fetched successfully",
+      data: {
+        jobs: await jobStatus(),
+        runs,
+        pagination: { offset, limit, count: runs.length, total: await cronHistory.countBy({ job }) },
+      },
+    });
+  } catch (err) {
+    logger.error("List cron runs error", { err });
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// ▶️ Job abhi chalao — foran 202, nateeja GET /cron/runs me
+app.post("/cron/jobs/:name/run", authMiddleware, requirePermission("cron:manage"), validate({
+  params: { name: t.string({ max: 100 }) },
+}), async (req, res) => {
+  try {
+    const started = await triggerJob(req.params.name, { triggeredBy: req.user.email });
+
+    if (!started) {
+      return res.status(409).json({ success: false, message: "Job is already running" });
+    }
+
+    res.status(202).json({ success: true, message: "Job started", run: started.run });
+  } catch (err) {
+    if (err instanceof UnknownCronJobError) {
+      return res.status(404).json({ success: false, message: "Cron job not found" });
+    }
+    logger.error("Trigger cron job error", { err });
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
 // 🔔 Notification Helper Function (Hybrid)
+// notif.id do to same id wali notification dobara nahi lagti (job retry)
 async function sendNotification(recipients, notif) {
   if (!Array.isArray(recipients)) recipients = [recipients];
 
   await Promise.all(
-    recipients.map(async (email) => {
-      const playerDoc = await players.get(email).catch(() => null);
-      if (!playerDoc) return;
-
-      const player = playerDoc.content;
-      player.notifications = player.notifications || [];
-      player.notifications.push({
-        id: uuidv4(),
-        ...notif,
-        date: new Date().toISOString(),
-      });
-
-      await players.upsert(email, player);
-    })
+    recipients.map((email) =>
+      players.update(email, (player) => {
+        player.notifications = player.notifications || [];
+        if (notif.id && player.notifications.some((n) => n.id === notif.id)) return player;
+
+        player.notifications.push({
+          id: uuidv4(),
+          ...notif,
+          date: new Date().toISOString(),
+        });
+        return player;
+      })
+    )
   );
 }
 
+const BROADCAST_BATCH_SIZE = 100;
+
+// 📢 Sab players ko notification — request foran wapas, fan-out worker me
+function queueBroadcast(notification, createdBy) {
+  return enqueueJob("notification.broadcast", { notification }, { createdBy });
+}
+
+// Email order me batches; cursor = pichle batch ka aakhri email, retry wahin se.
+// Notification id = job id, taake adhoora batch dobara chale to bhi ek player ko do dafa na mile.
+defineJob("notification.broadcast", async (job, { progress }) => {
+  const { notification } = job.payload;
+  let cursor = job.cursor || "";
+  let done = job.progress.done;
+  const total = job.progress.total ?? (await players.countEmails());
+  await progress({ total });
+
+  for (;;) {
+    const emails = await players.listEmailsAfter(cursor, BROADCAST_BATCH_SIZE);
+    if (!emails.length) break;
+
+    await sendNotification(emails, { ...notification, id: job.id });
+
+    cursor = emails.at(-1);
+    done += emails.length;
+    await progress({ done, total: Math.max(total, done), cursor });
+  }
+
+  return { recipients: done };
+});
+
+// ====== Cron Jobs ======
+// Jobs yahan register hote hain (lifecycle.js), chalte sirf server process me hain (tests app import karte hain)
+// Kai instances hon to har scheduled run sirf ek instance chalata hai (cronLocks lease)
+// Job ka error lifecycle.js log karta hai aur "failure" outcome me ginta hai
+
 // Cron job: har 24 ghantay (remove old notifications)
-cron.schedule("0 0 * * *", async () => {
-  try {
-    console.log("🔄 Notification cleanup job running...");
-
-    const cluster = getCluster();
-    const bucket = cluster.bucket(process.env.COUCHBASE_BUCKET);
-    const scope = bucket.scope(process.env.COUCHBASE_SCOPE);
-    const collection = scope.collection("players");
-
-    // ✅ Saare players fetch karo jinhon ke paas notifications hain
-    const query = `
-      SELECT META(p).id, p.notifications
-      FROM \`${process.env.COUCHBASE_BUCKET}\`.\`${process.env.COUCHBASE_SCOPE}\`.\`players\` p
-      WHERE ARRAY_LENGTH(p.notifications) > 0
-    `;
-    const result = await cluster.query(query);
-    const now = new Date();
+scheduleJob("notification-cleanup", "0 0 * * *", async () => {
+  logger.info("Notification cleanup started");
 
-    for (const row of result.rows) {
-      try {
-        const playerId = row.id;
-        const notifications = row.notifications || [];
-
-        // Sirf wo notifications rakho jo ek hafte se purani na hon
-        const updatedNotifications = notifications.filter((n) => {
-          const notifTime = new Date(n.date);
-          const diffDays = (now - notifTime) / (1000 * 60 * 60 * 24); // convert to days
-          return diffDays < 7; // ✅ Sirf 7 din se new notifications rakhni
-        });
+  // ✅ Saare players fetch karo jinhon ke paas notifications hain
+  const rows = await players.findWithNotifications();
+  const now = new Date();
 
-        if (updatedNotifications.length !== notifications.length) {
-          const playerDoc = await collection.get(playerId);
-          const playerData = playerDoc.content;
+  for (const row of rows) {
+    try {
+      const playerId = row.id;
+      const notifications = row.notifications || [];
+
+      // Sirf wo notifications rakho jo ek hafte se purani na hon
+      const updatedNotifications = notifications.filter((n) => {
+        const notifTime = new Date(n.date);
+        const diffDays = (now - notifTime) / (1000 * 60 * 60 * 24); // convert to days
+        return diffDays < 7; // ✅ Sirf 7 din se new notifications rakhni
+      });
 
-          playerData.notifications = updatedNotifications;
+      if (updatedNotifications.length !== notifications.length) {
+        const playerData = await players.get(playerId);
 
-          await collection.replace(playerId, playerData);
+        playerData.notifications = updatedNotifications;
 
-          console.log(
-            `🗑️ Old notifications removed for player: ${playerId} (${notifications.length - updatedNotifications.length} deleted)`
-          );
-        }
-      } catch (playerErr) {
-        console.error(`⚠️ Failed to clean notifications for player ${row.id}:`, playerErr);
+        await players.replace(playerId, playerData);
+
+        logger.info("Old notifications removed", { playerId, removed: notifications.length - updatedNotifications.length });
       }
+    } catch (playerErr) {
+      logger.warn("Failed to clean notifications", { playerId: row.id, err: playerErr });
     }
-
-    console.log("✅ Notification cleanup job finished.");
-  } catch (err) {
-    console.error("❌ Notification cleanup job error:", err);
   }
+
+  logger.info("Notification cleanup finished");
 });
 
-// 🕒 Cron job: every 1 minute -> update match status automatically
-cron.schedule("* * * * *", async () => {
-  try {
-    console.log("🔄 Match status updater running...");
+// Cron job: daily -> expired/revoked sessions + used one-time tokens cleanup
+scheduleJob("auth-cleanup", "30 0 * * *", async () => {
+  logger.info("Auth cleanup started");
+  const sessionsRemoved = await purgeStaleSessions();
+  const tokensRemoved = await purgeStaleTokens();
+  logger.info("Auth cleanup finished", { sessionsRemoved, tokensRemoved });
+});
 
-    const matches = getCollection("matches");
-    const teams = getCollection("teams");
+// Cron job: daily -> grace period khatam, deleted profiles purge karo
+scheduleJob("profile-purge", "0 1 * * *", async () => {
+  logger.info("Profile purge started");
 
-    const now = new Date();
+  const ids = await players.findIdsPendingPurge();
+
+  for (const id of ids) {
+    try {
+      await purgePlayer(id);
+      logger.info("Profile purged", { playerId: id });
+    } catch (purgeErr) {
+      logger.warn("Failed to purge profile", { playerId: id, err: purgeErr });
+    }
+  }
 
-    // ✅ Fetch all matches with status 'upcoming' or 'live'
-    const query = `
-      SELECT m.*
-      FROM \`${process.env.COUCHBASE_BUCKET}\`.\`${process.env.COUCHBASE_SCOPE}\`.\`matches\` m
-      WHERE m.status IN ["upcoming", "live"]
-    `;
+  logger.info("Profile purge finished", { purged: ids.length });
+});
 
-    const result = await getCluster().query(query);
-    const rows = result.rows || [];
+// Cron job: hourly -> expired suspensions lift karo (listings wapis active)
+scheduleJob("suspension-expiry", "15 * * * *", async () => {
+  const ids = await players.findIdsWithExpiredSuspension();
 
-    for (const row of rows) {
-      const match = row;
-      if (!match.startTime || !match.endTime) continue;
+  for (const id of ids) {
+    try {
+      await liftSuspension(id);
+      logger.info("Suspension expired", { playerId: id });
+    } catch (liftErr) {
+      logger.warn("Failed to lift suspension", { playerId: id, err: liftErr });
+    }
+  }
+});
 
-      // ✅ Parse times properly (handles strings like "2025-10-10T02:21" too)
-      const startTime = new Date(match.startTime);
-      const endTime = new Date(match.endTime);
-      const nowTime = now.getTime();
+// Waqt ke hisaab se agla status ("live" / "completed"), badalna na ho to null
+function nextMatchStatus(match, nowTime) {
+  // ✅ Parse times properly (handles strings like "2025-10-10T02:21" too)
+  const startTime = new Date(match.startTime).getTime();
+  const endTime = new Date(match.endTime).getTime();
 
-      if (isNaN(startTime) || isNaN(endTime)) {
-        console.warn(`⚠️ Invalid date for match ${match.id}`);
-        continue;
-      }
+  if (match.status === "upcoming" && nowTime >= startTime && nowTime < endTime) return "live";
+  if (["upcoming", "live"].includes(match.status) && nowTime >= endTime) return "completed";
+  return null;
+}
 
-      let statusChanged = false;
+// 🕒 Cron job: every 1 minute -> update match status automatically
+scheduleJob("match-status", "* * * * *", async () => {
+  logger.debug("Match status update started");
+
+  const now = new Date();
+
+  // ✅ Fetch all matches with status 'upcoming' or 'live'
+  const rows = await matches.findActive();
+
+  for (const row of rows) {
+    if (!row.startTime || !row.endTime) continue;
+    if (isNaN(new Date(row.startTime)) || isNaN(new Date(row.endTime))) {
+      logger.warn("Invalid match dates", { matchId: row.id });
+      continue;
+    }
+    if (!nextMatchStatus(row, now.getTime())) continue;
+
+    // ✅ CAS update — query ke baad captain ne cancel/finalize kiya ho to taaza doc pe hi faisla
+    let newStatus = null;
+    const match = await matches.update(row.id, (current) => {
+      newStatus = nextMatchStatus(current, now.getTime());
+      if (!newStatus) return null;
+      current.status = newStatus;
+      current.updatedAt = new Date().toISOString();
+      return current;
+    });
+    if (!match || !newStatus) continue;
+    logger.debug("Match status saved", { matchId: match.id, status: match.status });
 
-      // 🟢 If match is upcoming and current time is between start & end
-      if (match.status === "upcoming" && nowTime >= startTime.getTime() && nowTime < endTime.getTime()) {
-        match.status = "live";
-        statusChanged = true;
-        console.log(`▶️ Match ${match.id} is now LIVE`);
-      }
+    // 🟢 Start aur end ke beech
+    if (newStatus === "live") {
+      logger.info("Match is live", { matchId: match.id });
+      continue;
+    }
 
-      // 🔴 If match is live or upcoming but current time has passed end time
-      else if (["upcoming", "live"].includes(match.status) && nowTime >= endTime.getTime()) {
-        match.status = "completed";
-        statusChanged = true;
-        console.log(`🏁 Match ${match.id} marked COMPLETED`);
+    // 🔴 End time guzar gaya
+    logger.info("Match completed", { matchId: match.id });
 
-        // ✅ Notify captains when match completes
-        try {
-          const myTeamDoc = await teams.get(match.myTeamId);
-          const oppTeamDoc = await teams.get(match.opponentTeamId);
-          const captains = [myTeamDoc.content.captain, oppTeamDoc.content.captain];
-
-          await sendNotification(captains, {
-            title: "Match Completed",
-            matchId: match.id,
-            message: `Match between ${myTeamDoc.content.name} and ${oppTeamDoc.content.name} is completed. Please submit match stats.`,
-            date: new Date().toISOString(),
-          });
+    // ✅ Notify captains when match completes
+    try {
+      const myTeam = await teams.get(match.myTeamId);
+      const oppTeam = await teams.get(match.opponentTeamId);
+      const captains = [myTeam.captain, oppTeam.captain];
 
-          //console.log(`📩 Captains notified for match ${match.id}`);
-        } catch (notifyErr) {
-          console.error(`❌ Notification error for match ${match.id}:`, notifyErr.message);
-        }
-      }
+      await sendNotification(captains, {
+        title: "Match Completed",
+        matchId: match.id,
+        message: `Match between ${myTeam.name} and ${oppTeam.name} is completed. Please submit match stats.`,
+        date: new Date().toISOString(),
+      });
 
-      // ✅ Save update if status changed
-      if (statusChanged) {
-        match.updatedAt = new Date().toISOString();
-        await matches.upsert(match.id, match);
-        console.log(`⚡ Match ${match.id} status updated to "${match.status}"`);
-      }
+    } catch (notifyErr) {
+      logger.error("Match completion notification error", { matchId: match.id, err: notifyErr });
     }
-
-    console.log("✅ Match status updater finished.\n");
-  } catch (err) {
-    console.error("❌ Match status updater error:", err);
   }
+
+  logger.debug("Match status update finished");
 });
 
-// ---- Server Start ----
-const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => {
-  console.log(`🚀 Server running on http://localhost:${PORT}`);
+// ❗ Routes se bahar nikla error (body parse waghera) — JSON me jawab, log me request ID ke saath
+app.use((err, req, res, next) => {
+  logger.error("Unhandled request error", { err, method: req.method, path: req.originalUrl.split("?")[0] });
+  if (res.headersSent) return next(err);
+  res.status(err.status || 500).json({ success: false, message: err.expose ? err.message : "Server error" });
 });
+
+// ---- Server Start ----
+// `node index.js` pe listen + cron + queue workers; import karne pe sirf app (tests)
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  // Production me mail transport ghalat ho to reset/verification mails gum — start hi mat karo
+  try {
+    assertMailConfigured();
+  } catch (err) {
+    logger.error("Invalid mail configuration", { err });
+    process.exit(1);
+  }
+
+  // Pehle listen, DB baad me (Couchbase retries me minutes lag sakte hain) — tab tak /readyz 503 deta hai
+  const PORT = process.env.PORT || 5000;
+  const server = app.listen(PORT, () => {
+    logger.info("Server listening", { port: Number(PORT) });
+  });
+
+  // init DB (DB_DRIVER=memory → offline, bina Couchbase); cron aur queue workers DB ke baad
+  initBackend().then(() => {
+    if (isShuttingDown()) return;
+    startJobs();
+    startWorkers();
+  }, (err) => {
+    logger.error("Database init failed", { err });
+    process.exit(1);
+  });
+
+  // Deploy/restart pe in-flight requests aur cron runs (match finalization waghera) poori hon
+  for (const signal of ["SIGTERM", "SIGINT"]) {
+    process.on(signal, () => gracefulShutdown(server, signal));
+  }
+}
+
+export { app };
@@ -0,0 +1,283 @@
+import { v4 as uuidv4 } from "uuid";
+import { jobs } from "./repositories/index.js";
+import { backgroundJobRuns, backgroundJobDuration } from "./metrics.js";
+import { logger, runWithContext } from "./logger.js";
+
+// Background job queue — jobs collection me persist, workers poll karke CAS se claim karte hain.
+// Kai instances ek saath chal sakte hain: claim pe lease (lockedUntil), worker mar jaye to lease khatam hone pe koi aur uthaye.
+//
+//   defineJob("notification.broadcast", async (job, { progress }) => { ... });
+//   const job = await enqueueJob("notification.broadcast", { notification }, { createdBy: email });
+//
+// Handler fail ho to backoff ke saath dobara (maxAttempts tak), phir "failed". Handler `job.cursor` se resume kare
+// taake retry pe pehle wala kaam dobara na ho.
+
+export const JOB_STATUSES = ["queued", "running", "completed", "failed"];
+
+const WORKER_CONCURRENCY = Number(process.env.JOB_WORKERS) || 2;
+const POLL_INTERVAL_MS = Number(process.env.JOB_POLL_INTERVAL_MS) || 1000;
+const LEASE_MS = Number(process.env.JOB_LEASE_MS) || 60 * 1000;
+const DEFAULT_MAX_ATTEMPTS = 5;
+
+// 2s, 4s, 8s ... max 5 min
+const retryDelayMs = (attempt) => Math.min(2 ** attempt * 1000, 5 * 60 * 1000);
+
+export class JobLeaseLostError extends Error {
+  constructor(jobId) {
+    super(`Lease lost for job ${jobId}`);
+    this.name = "JobLeaseLostError";
+    this.jobId = jobId;
+  }
+}
+
+// retryJob — sirf failed job dobara queue ho sakta hai
+export class JobNotRetryableError extends Error {
+  constructor(jobId, status) {
+    super(`Only failed jobs can be retried (job is ${status})`);
+    this.name = "JobNotRetryableError";
+    this.jobId = jobId;
+    this.status = status;
+  }
+}
+
+// update() ka mutate isay throw kare to claim chhor do (kisi aur ne le liya)
+class NotClaimableError extends Error { }
+
+const handlers = new Map();
+
+export function defineJob(type, handler) {
+  if (handlers.has(type)) throw new Error(`Job type already defined: ${type}`);
+  handlers.set(type, handler);
+}
+
+// ✅ Queue me daalo — foran wapas, worker baad me chalata hai
+export async function enqueueJob(type, payload = {}, { maxAttempts = DEFAULT_MAX_ATTEMPTS, createdBy = null } = {}) {
+  if (!handlers.has(type)) throw new Error(`Unknown job type: ${type}`);
+
+  const now = new Date().toISOString();
+  const job = {
+    id: uuidv4(),
+    type,
+    payload,
+    status: "queued",
+    attempts: 0,
+    maxAttempts,
+    progress: { done: 0, total: null },
+    cursor: null,
+    result: null,
+    lastError: null,
+    runAt: now,
+    lockedUntil: null,
+    lockToken: null,
+    createdBy,
+    createdAt: now,
+    startedAt: null,
+    finishedAt: null,
+    updatedAt: now,
+  };
+
+  await jobs.insert(job.id, job);
+  wakeWorkers();
+  return job;
+}
+
+// ❌ Failed job dobara queue me (attempts zero se)
+export async function retryJob(id) {
+  return jobs.update(id, (job) => {
+    if (job.status !== "failed") throw new JobNotRetryableError(id, job.status);
+    const now = new Date().toISOString();
+    return { ...job, status: "queued", attempts: 0, runAt: now, finishedAt: null, updatedAt: now };
+  });
+}
+
+// API ke liye — lease/cursor andar ki baatein
+export function toPublicJob(job) {
+  const { total, done } = job.progress;
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    progress: { done, total, percent: total ? Math.min(100, Math.round((done / total) * 100)) : job.status === "completed" ? 100 : 0 },
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    result: job.result,
+    lastError: job.lastError,
+    nextAttemptAt: job.status === "queued" ? job.runAt : null,
+    createdBy: job.createdBy,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+  };
+}
+
+// ===== Worker =====
+
+const isClaimable = (job, now) =>
+  (job.status === "queued" && job.runAt <= now) || (job.status === "running" && job.lockedUntil < now);
+
+// CAS se claim — do workers ek job na uthayen. Lease khatam wala job jo attempts pura kar chuka, seedha failed.
+async function claimJob(id) {
+  const now = new Date();
+  const nowIso = now.toISOString();
+  const lockToken = uuidv4();
+
+  try {
+    const job = await jobs.update(id, (job) => {
+      if (!isClaimable(job, nowIso)) throw new NotClaimableError();
+
+      if (job.status === "running" && job.attempts >= job.maxAttempts) {
+        return { ...job, status: "failed", lastError: "Worker stopped before finishing (lease expired)", lockedUntil: null, lockToken: null, finishedAt: nowIso, updatedAt: nowIso };
+      }
+
+      return {
+        ...job,
+        status: "running",
+        attempts: job.attempts + 1,
+        lockedUntil: new Date(now.getTime() + LEASE_MS).toISOString(),
+        lockToken,
+        startedAt: job.startedAt || nowIso,
+        updatedAt: nowIso,
+      };
+    });
+    return job?.lockToken === lockToken ? job : null;
+  } catch (err) {
+    if (err instanceof NotClaimableError) return null;
+    throw err;
+  }
+}
+
+// Sirf lease wala worker likh sakta hai
+function ownedUpdate(job, mutate) {
+  return jobs.update(job.id, (current) => {
+    if (current.lockToken !== job.lockToken) throw new JobLeaseLostError(job.id);
+    return { ...mutate(current), updatedAt: new Date().toISOString() };
+  });
+}
+
+async function executeJob(job) {
+  const handler = handlers.get(job.type);
+  const end = backgroundJobDuration.startTimer({ type: job.type });
+
+  // Handler progress + cursor save kare, saath lease bhi barh jati hai
+  const progress = async ({ done, total, cursor } = {}) => {
+    await ownedUpdate(job, (current) => ({
+      ...current,
+      progress: { done: done ?? current.progress.done, total: total ?? current.progress.total },
+      cursor: cursor === undefined ? current.cursor : cursor,
+      lockedUntil: new Date(Date.now() + LEASE_MS).toISOString(),
+    }));
+  };
+
+  try {
+    if (!handler) throw new Error(`No handler for job type: ${job.type}`);
+    logger.info("Job started", { type: job.type, attempt: job.attempts });
+
+    const result = await handler(job, { progress });
+
+    const finishedAt = new Date().toISOString();
+    await ownedUpdate(job, (current) => ({
+      ...current,
+      status: "completed",
+      result: result ?? null,
+      lastError: null,
+      lockedUntil: null,
+      lockToken: null,
+      finishedAt,
+    }));
+    end({ outcome: "success" });
+    backgroundJobRuns.inc({ type: job.type, outcome: "success" });
+    logger.info("Job completed", { type: job.type, attempt: job.attempts });
+  } catch (err) {
+    // Lease kisi aur ke paas — woh worker sambhal raha hai
+    if (err instanceof JobLeaseLostError) {
+      end({ outcome: "lease_lost" });
+      backgroundJobRuns.inc({ type: job.type, outcome: "lease_lost" });
+      logger.warn("Job lease lost", { type: job.type });
+      return;
+    }
+
+    const retry = Boolean(handler) && job.attempts < job.maxAttempts;
+    const outcome = retry ? "retry" : "failure";
+    end({ outcome });
+    backgroundJobRuns.inc({ type: job.type, outcome });
+
+    const now = new Date();
+    await ownedUpdate(job, (current) => ({
+      ...current,
+      status: retry ? "queued" : "failed",
+      lastError: err.message,
+      runAt: retry ? new Date(now.getTime() + retryDelayMs(job.attempts)).toISOString() : current.runAt,
+      lockedUntil: null,
+      lockToken: null,
+      finishedAt: retry ? null : now.toISOString(),
+    })).catch((saveErr) => logger.error("Failed to record job failure", { type: job.type, err: saveErr }));
+
+    if (retry) logger.warn("Job failed, will retry", { type: job.type, attempt: job.attempts, err });
+    else logger.error("Job failed", { type: job.type, attempt: job.attempts, err });
+  }
+}
+
+// ✅ Ek due job claim karke chalao; kuch na mila to false
+export async function processNextJob() {
+  for (const id of await jobs.findDueIds()) {
+    const job = await claimJob(id);
+    if (!job) continue;
+
+    await runWithContext({ job: job.type, jobId: job.id }, () => executeJob(job));
+    return true;
+  }
+  return false;
+}
+
+// Jo abhi due hai sab chala do (tests, CLI) — future retries ka wait nahi
+export async function drainJobs() {
+  while (await processNextJob()) { }
+}
+
+let workers = [];
+let stopping = false;
+const sleepers = new Set();
+
+// Poll interval tak ruko, naya job aaye ya shutdown ho to foran jaag jao
+function idle() {
+  return new Promise((resolve) => {
+    const wake = () => {
+      clearTimeout(timer);
+      sleepers.delete(wake);
+      resolve();
+    };
+    const timer = setTimeout(wake, POLL_INTERVAL_MS);
+    sleepers.add(wake);
+  });
+}
+
+function wakeWorkers() {
+  sleepers.forEach((wake) => wake());
+}
+
+async function workerLoop() {
+  while (!stopping) {
+    let ran = false;
+    try {
+      ran = await processNextJob();
+    } catch (err) {
+      logger.error("Job worker error", { err });
+    }
+    if (!ran && !stopping) await idle();
+  }
+}
+
+export function startWorkers(concurrency = WORKER_CONCURRENCY) {
+  if (workers.length) return;
+  stopping = false;
+  workers = Array.from({ length: concurrency }, () => workerLoop());
+  logger.info("Job workers started", { concurrency });
+}
+
+// Nayi jobs band, chalti jobs ke khatam hone ka wait (shutdown)
+export async function stopWorkers() {
+  stopping = true;
+  wakeWorkers();
+  await Promise.allSettled(workers);
+  workers = [];
+}
@@ -0,0 +1,264 @@
+import os from "os";
+import cron from "node-cron";
+import { v4 as uuidv4 } from "uuid";
+import { getBackend, isBackendReady, cronLocks, cronHistory, DocumentExistsError } from "./repositories/index.js";
+import { cronRuns, cronDuration } from "./metrics.js";
+import { logger, runWithContext } from "./logger.js";
+import { stopWorkers } from "./jobQueue.js";
+
+// Process lifecycle: cron registry, in-flight request tracking, health/readiness, graceful shutdown
+
+export const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS) || 30 * 1000;
+const DB_PING_TIMEOUT_MS = 2000;
+
+// Kai instances me har scheduled run sirf ek instance chalata hai (cronLocks me lease)
+export const INSTANCE_ID = process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}`;
+const CRON_LEASE_MS = Number(process.env.CRON_LEASE_MS) || 60 * 1000;
+const CRON_HISTORY_DAYS = Number(process.env.CRON_HISTORY_DAYS) || 14;
+
+let shuttingDown = false;
+const inFlight = new Set();
+const jobs = [];
+
+export const isShuttingDown = () => shuttingDown;
+
+export class UnknownCronJobError extends Error {
+  constructor(name) {
+    super(`Unknown cron job: ${name}`);
+    this.name = "UnknownCronJobError";
+    this.jobName = name;
+  }
+}
+
+// ===== Leader election =====
+
+// update() ka mutate isay throw kare to lease kisi aur ke paas
+class LeaseHeldError extends Error { }
+
+// Lease lo — null agar yeh slot koi aur instance le chuka, ya pichli run abhi kahin chal rahi hai.
+// slot = scheduled time (sab instances pe same); manual run ka slot nahi hota, sirf overlap check.
+async function acquireLease(name, slot) {
+  const now = new Date();
+  const lease = { owner: INSTANCE_ID, runId: uuidv4(), lockedUntil: new Date(now.getTime() + CRON_LEASE_MS).toISOString() };
+
+  const claim = (lock) => {
+    if (slot && lock.lastSlot && lock.lastSlot >= slot) throw new LeaseHeldError();
+    if (lock.lockedUntil && lock.lockedUntil > now.toISOString()) throw new LeaseHeldError();
+    return { ...lock, ...lease, lastSlot: slot || lock.lastSlot };
+  };
+
+  try {
+    if (await cronLocks.update(name, claim)) return lease;
+    await cronLocks.insert(name, claim({ name, lastSlot: null, lockedUntil: null }));
+    return lease;
+  } catch (err) {
+    // Doosre instance ne abhi lock banaya — us ki run
+    if (err instanceof LeaseHeldError || err instanceof DocumentExistsError) return null;
+    throw err;
+  }
+}
+
+// Sirf apni lease badlo (runId match)
+function updateLease(name, lease, fields) {
+  return cronLocks.update(name, (lock) => {
+    if (lock.runId !== lease.runId) throw new LeaseHeldError();
+    return { ...lock, ...fields };
+  });
+}
+
+// ===== Cron =====
+
+// Job register (start alag se, taake tests me na chalein); chalti run, duration aur outcome track hote hain
+export function scheduleJob(name, expression, task) {
+  const job = { name, expression, running: null, finishing: null, lastStartedAt: null, lastFinishedAt: null, lastOutcome: null };
+
+  // Lease mili to run shuru: { run, done } — done run khatam hone pe history record deta hai. Lease na mili to null.
+  job.start = async ({ slot = null, trigger = "schedule", triggeredBy = null } = {}) => {
+    const lease = await acquireLease(name, slot);
+    if (!lease) {
+      logger.debug("Cron run skipped, lease held elsewhere", { job: name, slot });
+      return null;
+    }
+
+    const run = {
+      id: lease.runId,
+      job: name,
+      trigger,
+      triggeredBy,
+      instance: INSTANCE_ID,
+      scheduledFor: slot,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      durationMs: null,
+      outcome: "running",
+      error: null,
+    };
+    const expiry = CRON_HISTORY_DAYS * 24 * 60 * 60;
+    await cronHistory.insert(run.id, run, { expiry }).catch((err) => logger.error("Failed to record cron run", { job: name, err }));
+
+    // Lambi run me lease barhate raho, warna doosra instance samjhe ye mar gaya
+    const heartbeat = setInterval(() => {
+      updateLease(name, lease, { lockedUntil: new Date(Date.now() + CRON_LEASE_MS).toISOString() })
+        .catch((err) => logger.warn("Failed to renew cron lease", { job: name, err }));
+    }, CRON_LEASE_MS / 3);
+    heartbeat.unref();
+
+    job.lastStartedAt = run.startedAt;
+    const end = cronDuration.startTimer({ job: name });
+
+    // Har run ka apna jobId (= run id), job ke andar ki har log line pe
+    const context = { job: name, jobId: run.id };
+    job.running = runWithContext(context, () => Promise.resolve().then(task));
+
+    const done = (async () => {
+      let outcome = "success";
+      let error = null;
+      try {
+        await job.running;
+      } catch (err) {
+        outcome = "failure";
+        error = err.message;
+        runWithContext(context, () => logger.error("Cron job failed", { err }));
+      } finally {
+        clearInterval(heartbeat);
+        end({ outcome });
+        cronRuns.inc({ job: name, outcome });
+        job.running = null;
+        job.lastOutcome = outcome;
+        job.lastFinishedAt = new Date().toISOString();
+      }
+
+      const finished = {
+        ...run,
+        finishedAt: job.lastFinishedAt,
+        durationMs: new Date(job.lastFinishedAt) - new Date(run.startedAt),
+        outcome,
+        error,
+      };
+      await cronHistory.replace(run.id, finished, { expiry }).catch((err) => logger.error("Failed to record cron run", { job: name, err }));
+      await updateLease(name, lease, { lockedUntil: null })
+        .catch((err) => logger.warn("Failed to release cron lease", { job: name, err }));
+      return finished;
+    })();
+    job.finishing = done.finally(() => (job.finishing = null));
+
+    return { run, done };
+  };
+
+  job.task = cron.createTask(expression, async (ctx) => {
+    try {
+      const started = await job.start({ slot: ctx.date.toISOString() });
+      await started?.done;
+    } catch (err) {
+      logger.error("Cron lease error", { job: name, err });
+    }
+  }, { name });
+
+  jobs.push(job);
+  return job;
+}
+
+function findJob(name) {
+  const job = jobs.find((j) => j.name === name);
+  if (!job) throw new UnknownCronJobError(name);
+  return job;
+}
+
+// Job abhi shuru karo (admin trigger) — { run, done }, ya null agar kahin aur chal rahi hai
+export function triggerJob(name, { triggeredBy = null } = {}) {
+  return findJob(name).start({ trigger: "manual", triggeredBy });
+}
+
+// Job abhi chalao aur khatam hone tak ruko (tests, manual) — run record ya null
+export async function runJob(name, options) {
+  const started = await triggerJob(name, options);
+  return started ? started.done : null;
+}
+
+export function startJobs() {
+  jobs.forEach((job) => job.task.start());
+}
+
+// Nayi runs band, chalti runs (history + lease release samet) ke khatam hone ka wait
+export async function stopJobs() {
+  await Promise.all(jobs.map((job) => job.task.stop()));
+  await Promise.allSettled(jobs.map((job) => job.finishing).filter(Boolean));
+}
+
+export async function jobStatus() {
+  return Promise.all(jobs.map(async (job) => ({
+    name: job.name,
+    schedule: job.expression,
+    status: await job.task.getStatus(),
+    running: Boolean(job.running),
+    lastStartedAt: job.lastStartedAt,
+    lastFinishedAt: job.lastFinishedAt,
+    lastOutcome: job.lastOutcome,
+    nextRunAt: job.task.getNextRun()?.toISOString() || null,
+  })));
+}
+
+// ===== Requests =====
+
+// ✅ Middleware — in-flight requests gino; shutdown ke dauran keep-alive band
+export function trackRequests() {
+  return (req, res, next) => {
+    inFlight.add(res);
+    res.on("close", () => inFlight.delete(res));
+    if (shuttingDown) res.set("Connection", "close");
+    next();
+  };
+}
+
+async function waitForRequests() {
+  while (inFlight.size > 0) {
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+}
+
+// ===== Health =====
+
+export async function checkDatabase() {
+  const started = Date.now();
+  if (!isBackendReady()) return { status: "down", error: "Database connection not established yet", latencyMs: 0 };
+  try {
+    const ok = await Promise.race([
+      getBackend().ping(),
+      new Promise((_, reject) => setTimeout(() => reject(new Error("ping timed out")), DB_PING_TIMEOUT_MS)),
+    ]);
+    return { status: ok ? "up" : "degraded", driver: getBackend().name, latencyMs: Date.now() - started };
+  } catch (err) {
+    return { status: "down", error: err.message, latencyMs: Date.now() - started };
+  }
+}
+
+// ===== Shutdown =====
+
+// Naye connections band → in-flight requests, cron runs aur queue jobs khatam → DB close → exit
+export async function gracefulShutdown(server, signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  logger.info("Shutting down", { signal });
+
+  const forceExit = setTimeout(() => {
+    logger.error("Shutdown timed out, forcing exit", { timeoutMs: SHUTDOWN_TIMEOUT_MS });
+    server.closeAllConnections();
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS);
+  forceExit.unref();
+
+  try {
+    const serverClosed = new Promise((resolve) => server.close(resolve));
+    await Promise.all([waitForRequests(), stopJobs(), stopWorkers()]);
+    server.closeIdleConnections();
+    await serverClosed;
+
+    // DB connect hone se pehle hi band ho raha ho to close karne ko kuch nahi
+    if (isBackendReady()) await getBackend().close();
+    logger.info("Shutdown complete");
+    process.exit(0);
+  } catch (err) {
+    logger.error("Shutdown error", { err });
+    process.exit(1);
+  }
+}
@@ -0,0 +1,96 @@
+import { AsyncLocalStorage } from "async_hooks";
+import { v4 as uuidv4 } from "uuid";
+
+// Structured JSON logger: ek line = ek JSON object { time, level, msg, requestId | job/jobId, ...fields }
+// LOG_LEVEL = debug | info (default) | warn | error | silent
+//
+//   logger.error("Finalize match error", { err, matchId });
+//
+// requestId / jobId AsyncLocalStorage se khud lagte hain; passwords, tokens, secrets redact hote hain.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const REDACTED = "[REDACTED]";
+// Key ke aakhir mein match hota hai (refreshToken, passwordHash, x-api-key) — tokensRemoved jaise counters redact nahi hote
+const SECRET_KEY_PATTERN =
+  /(pass(word)?|secret([-_]?key)?|token|authorization|cookies?|api[-_]?key|conn(ection)?[-_]?str(ing)?|private[-_]?key|recovery[-_]?codes?)(s|[-_]?hash)?$/i;
+
+const context = new AsyncLocalStorage();
+
+const threshold = () => LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+
+// Error objects plain JSON me (stack ke saath), secrets wali keys chhupao
+function sanitize(value, depth = 0) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, ...(value.code && { code: value.code }), stack: value.stack };
+  }
+  if (!value || typeof value !== "object") return value;
+  if (depth > 5) return "[Object]";
+  if (Array.isArray(value)) return value.map((item) => sanitize(item, depth + 1));
+
+  const clean = {};
+  for (const [key, item] of Object.entries(value)) {
+    clean[key] = SECRET_KEY_PATTERN.test(key) ? REDACTED : sanitize(item, depth + 1);
+  }
+  return clean;
+}
+
+function write(level, bindings, msg, fields = {}) {
+  if (LEVELS[level] < threshold()) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...context.getStore(),
+    ...sanitize(bindings),
+    ...sanitize(fields),
+  };
+
+  const line = JSON.stringify(entry);
+  if (LEVELS[level] >= LEVELS.warn) process.stderr.write(line + "\n");
+  else process.stdout.write(line + "\n");
+}
+
+function createLogger(bindings = {}) {
+  return {
+    debug: (msg, fields) => write("debug", bindings, msg, fields),
+    info: (msg, fields) => write("info", bindings, msg, fields),
+    warn: (msg, fields) => write("warn", bindings, msg, fields),
+    error: (msg, fields) => write("error", bindings, msg, fields),
+    // Module-wise fixed fields: logger.child({ module: "mailer" })
+    child: (extra) => createLogger({ ...bindings, ...extra }),
+  };
+}
+
+export const logger = createLogger();
+
+// fn ke andar (aur us ke async kaam me) har log line pe ye fields
+export function runWithContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// ✅ Middleware — X-Request-Id (client/proxy ka ya naya), response header me wapas; har request ki ek access line
+export function requestContext() {
+  return (req, res, next) => {
+    const incoming = req.get("X-Request-Id");
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : uuidv4();
+    const started = process.hrtime.bigint();
+
+    req.id = requestId;
+    res.set("X-Request-Id", requestId);
+    res.on("finish", () => {
+      logger.info("Request completed", {
+        requestId,
+        method: req.method,
+        path: req.originalUrl.split("?")[0],
+        status: res.statusCode,
+        durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e6),
+      });
+    });
+
+    runWithContext({ requestId }, next);
+  };
+}
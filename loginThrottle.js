@@ -0,0 +1,141 @@
+import { loginAttempts } from "./repositories/index.js";
+
+// Failed login tracking: exponential backoff + temporary lock.
+// Counters ek store ke peeche hain: "database" (shared) ya "memory" (tests/dev).
+
+export const MAX_LOGIN_FAILURES = Number(process.env.MAX_LOGIN_FAILURES) || 5;
+export const MAX_IP_FAILURES = Number(process.env.MAX_IP_FAILURES) || 20;
+export const LOCK_MINUTES = Number(process.env.LOGIN_LOCK_MINUTES) || 15;
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 60 * 1000;
+// Itne time tak koi failure na ho to counter khud reset
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// ===== Stores =====
+
+export function createMemoryStore() {
+  const records = new Map();
+  return {
+    name: "memory",
+    async get(key) {
+      const entry = records.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        records.delete(key);
+        return null;
+      }
+      return entry.record;
+    },
+    async set(key, record, ttlMs) {
+      records.set(key, { record, expiresAt: Date.now() + ttlMs });
+    },
+    async delete(key) {
+      records.delete(key);
+    },
+  };
+}
+
+export function createDatabaseStore() {
+  return {
+    name: "database",
+    get: (key) => loginAttempts.get(key),
+    async set(key, record, ttlMs) {
+      // DB expiry seconds me
+      await loginAttempts.upsert(key, record, { expiry: Math.ceil(ttlMs / 1000) });
+    },
+    async delete(key) {
+      await loginAttempts.remove(key);
+    },
+  };
+}
+
+let store = process.env.LOGIN_ATTEMPT_STORE === "memory" ? createMemoryStore() : createDatabaseStore();
+
+export function setAttemptStore(custom) {
+  store = custom;
+}
+
+// ===== Throttle =====
+
+const emailKey = (email) => `email:${String(email).toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+// Kitna wait baqi hai (0 = allowed)
+function waitMs(record, now = Date.now()) {
+  if (!record) return 0;
+  const until = Math.max(
+    record.lockedUntil ? new Date(record.lockedUntil).getTime() : 0,
+    record.nextAllowedAt ? new Date(record.nextAllowedAt).getTime() : 0
+  );
+  return Math.max(0, until - now);
+}
+
+// ✅ Login se pehle check: { allowed, retryAfterMs, locked }
+export async function checkLoginAllowed(email, ip) {
+  const [accountRecord, ipRecord] = await Promise.all([
+    store.get(emailKey(email)),
+    ip ? store.get(ipKey(ip)) : null,
+  ]);
+
+  const retryAfterMs = Math.max(waitMs(accountRecord), waitMs(ipRecord));
+  const now = Date.now();
+  const locked =
+    (accountRecord?.lockedUntil && new Date(accountRecord.lockedUntil).getTime() > now) ||
+    (ipRecord?.lockedUntil && new Date(ipRecord.lockedUntil).getTime() > now) ||
+    false;
+
+  return { allowed: retryAfterMs === 0, retryAfterMs, locked };
+}
+
+async function bump(key, maxFailures) {
+  const now = Date.now();
+  const record = (await store.get(key)) || { failures: 0 };
+
+  // Lock khatam ho chuka ho to naye sire se ginti
+  if (record.lockedUntil && new Date(record.lockedUntil).getTime() <= now) {
+    record.failures = 0;
+    record.lockedUntil = null;
+  }
+
+  record.failures += 1;
+  record.lastFailureAt = new Date(now).toISOString();
+
+  let justLocked = false;
+  if (record.failures >= maxFailures) {
+    record.lockedUntil = new Date(now + LOCK_MINUTES * 60 * 1000).toISOString();
+    record.nextAllowedAt = null;
+    justLocked = true;
+  } else {
+    const backoff = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** (record.failures - 1));
+    record.nextAllowedAt = new Date(now + backoff).toISOString();
+  }
+
+  await store.set(key, record, Math.max(FAILURE_WINDOW_MS, LOCK_MINUTES * 60 * 1000));
+  return { ...record, justLocked };
+}
+
+// ❌ Failed attempt record karo (account + IP dono)
+export async function recordLoginFailure(email, ip) {
+  const account = await bump(emailKey(email), MAX_LOGIN_FAILURES);
+  if (ip) await bump(ipKey(ip), MAX_IP_FAILURES);
+  return account;
+}
+
+// ✅ Kamyab login pe account counter reset (IP wala nahi)
+export async function recordLoginSuccess(email) {
+  await store.delete(emailKey(email));
+}
+
+export async function unlockAccount(email) {
+  const record = await store.get(emailKey(email));
+  await store.delete(emailKey(email));
+  return Boolean(record);
+}
+
+export async function getAccountLockStatus(email) {
+  const record = await store.get(emailKey(email));
+  return {
+    failures: record?.failures || 0,
+    lockedUntil: record?.lockedUntil && new Date(record.lockedUntil).getTime() > Date.now() ? record.lockedUntil : null,
+  };
+}
@@ -0,0 +1,105 @@
+import fs from "fs/promises";
+import path from "path";
+import nodemailer from "nodemailer";
+import dotenv from "dotenv";
+import { logger } from "./logger.js";
+
+dotenv.config();
+
+// Mail transports: "console" (dev), "file" (tests), "smtp" (production)
+// MAIL_TRANSPORT env se select hota hai
+
+function consoleTransport() {
+  return {
+    name: "console",
+    async send(mail) {
+      // Dev transport: sirf to/subject — body me reset/verification tokens hote hain, logs me nahi jane chahiye.
+      // Links chahiye to MAIL_TRANSPORT=file
+      logger.info("Mail (console transport)", { to: mail.to, subject: mail.subject });
+      return { id: `console-${Date.now()}` };
+    },
+  };
+}
+
+// Har mail ek JSON file ban jati hai (tests inhe parh sakte hain)
+function fileTransport(dir = process.env.MAIL_DIR || "./mail-outbox") {
+  return {
+    name: "file",
+    dir,
+    async send(mail) {
+      await fs.mkdir(dir, { recursive: true });
+      const id = `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+      await fs.writeFile(
+        path.join(dir, `${id}.json`),
+        JSON.stringify({ id, ...mail, sentAt: new Date().toISOString() }, null, 2)
+      );
+      return { id };
+    },
+  };
+}
+
+function smtpTransport() {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+
+  return {
+    name: "smtp",
+    async send(mail) {
+      const info = await transporter.sendMail(mail);
+      return { id: info.messageId };
+    },
+  };
+}
+
+export function createTransport(name = process.env.MAIL_TRANSPORT || "console") {
+  if (name === "smtp") return smtpTransport();
+  if (name === "file") return fileTransport();
+  if (process.env.NODE_ENV === "production") {
+    logger.warn("MAIL_TRANSPORT is not smtp in production, mails will only be logged", { transport: name });
+  }
+  return consoleTransport();
+}
+
+// ✅ Server start pe — production me console/file transport = reset/verification mails kabhi nahi pohanchte, is liye start hi na ho
+export function assertMailConfigured() {
+  if (process.env.NODE_ENV !== "production") return;
+  if (process.env.MAIL_TRANSPORT !== "smtp") {
+    throw new Error(`MAIL_TRANSPORT must be "smtp" in production (got ${process.env.MAIL_TRANSPORT || "nothing"})`);
+  }
+  if (!process.env.SMTP_HOST) throw new Error("SMTP_HOST is required when MAIL_TRANSPORT=smtp");
+}
+
+let transport = createTransport();
+
+// Tests/scripts apna transport laga sakte hain
+export function setTransport(custom) {
+  transport = custom;
+}
+
+export function getTransport() {
+  return transport;
+}
+
+// ✅ Send mail (from default MAIL_FROM)
+export async function sendMail({ to, subject, text, html }) {
+  return transport.send({
+    from: process.env.MAIL_FROM || "FootballHub <no-reply@footballhub.app>",
+    to,
+    subject,
+    text,
+    html: html || text.replace(/\n/g, "<br>"),
+  });
+}
+
+// Frontend link banane ke liye
+export function appLink(pathname, params = {}) {
+  const url = new URL(pathname, process.env.APP_URL || "http://localhost:5173");
+  for (const [key, value] of Object.entries(params)) url.searchParams.set(key, value);
+  return url.toString();
+}
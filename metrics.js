@@ -0,0 +1,149 @@
+// Prometheus metrics — chhota registry (counters + histograms), text exposition format me /metrics pe
+//
+//   const uploads = counter("storage_upload_failures_total", "Failed media uploads", ["adapter"]);
+//   uploads.inc({ adapter: "imagekit" });
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const registry = new Map();
+
+const escapeLabel = (value) => String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+
+function labelString(labels) {
+  const parts = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+// Labels hamesha same order me (series key)
+function seriesKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map((name) => String(labels[name] ?? "")));
+}
+
+function register(metric) {
+  if (registry.has(metric.name)) throw new Error(`Metric already registered: ${metric.name}`);
+  registry.set(metric.name, metric);
+  return metric;
+}
+
+export function counter(name, help, labelNames = []) {
+  const series = new Map();
+
+  return register({
+    name,
+    inc(labels = {}, value = 1) {
+      const key = seriesKey(labelNames, labels);
+      const entry = series.get(key) || { labels: Object.fromEntries(labelNames.map((l) => [l, labels[l] ?? ""])), value: 0 };
+      entry.value += value;
+      series.set(key, entry);
+    },
+    get(labels = {}) {
+      return series.get(seriesKey(labelNames, labels))?.value || 0;
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const { labels, value } of series.values()) lines.push(`${name}${labelString(labels)} ${value}`);
+      return lines;
+    },
+    reset: () => series.clear(),
+  });
+}
+
+export function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  const series = new Map();
+
+  const metric = register({
+    name,
+    observe(labels = {}, seconds) {
+      const key = seriesKey(labelNames, labels);
+      let entry = series.get(key);
+      if (!entry) {
+        entry = { labels: Object.fromEntries(labelNames.map((l) => [l, labels[l] ?? ""])), counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, entry);
+      }
+      buckets.forEach((bound, i) => {
+        if (seconds <= bound) entry.counts[i] += 1;
+      });
+      entry.sum += seconds;
+      entry.count += 1;
+    },
+    // end(extraLabels) → seconds
+    startTimer(labels = {}) {
+      const started = process.hrtime.bigint();
+      return (extraLabels = {}) => {
+        const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+        metric.observe({ ...labels, ...extraLabels }, seconds);
+        return seconds;
+      };
+    },
+    count(labels = {}) {
+      return series.get(seriesKey(labelNames, labels))?.count || 0;
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const { labels, counts, sum, count } of series.values()) {
+        buckets.forEach((bound, i) => lines.push(`${name}_bucket${labelString({ ...labels, le: bound })} ${counts[i]}`));
+        lines.push(`${name}_bucket${labelString({ ...labels, le: "+Inf" })} ${count}`);
+        lines.push(`${name}_sum${labelString(labels)} ${sum}`);
+        lines.push(`${name}_count${labelString(labels)} ${count}`);
+      }
+      return lines;
+    },
+    reset: () => series.clear(),
+  });
+  return metric;
+}
+
+// Har scrape pe value padhi jati hai
+export function gauge(name, help, read) {
+  return register({
+    name,
+    render: () => [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, `${name} ${read()}`],
+    reset() { },
+  });
+}
+
+export function renderMetrics() {
+  return [...registry.values()].flatMap((metric) => metric.render()).join("\n") + "\n";
+}
+
+// Tests ke darmiyan saaf
+export function resetMetrics() {
+  registry.forEach((metric) => metric.reset());
+}
+
+// ===== App metrics =====
+
+export const httpRequests = counter("http_requests_total", "HTTP requests by route and status", ["method", "route", "status"]);
+export const httpDuration = histogram("http_request_duration_seconds", "HTTP request latency", ["method", "route", "status"]);
+
+export const dbQueryDuration = histogram("db_query_duration_seconds", "Couchbase N1QL query latency", ["collection", "outcome"]);
+
+export const storageUploadFailures = counter("storage_upload_failures_total", "Failed media uploads", ["adapter"]);
+
+export const cronRuns = counter("cron_job_runs_total", "Cron job runs by outcome", ["job", "outcome"]);
+export const cronDuration = histogram("cron_job_duration_seconds", "Cron job run duration", ["job", "outcome"], [0.1, 0.5, 1, 5, 15, 30, 60, 300]);
+
+export const backgroundJobRuns = counter("background_job_runs_total", "Queued job attempts by outcome", ["type", "outcome"]);
+export const backgroundJobDuration = histogram("background_job_duration_seconds", "Queued job attempt duration", ["type", "outcome"], [0.1, 0.5, 1, 5, 15, 30, 60, 300]);
+
+export const matchesFinalized = counter("matches_finalized_total", "Matches finalized with results", ["result"]);
+export const itemsSold = counter("items_sold_total", "Marketplace sales confirmed");
+export const pointsTransferred = counter("points_transferred_total", "Points moved between players", ["reason"]);
+
+gauge("process_uptime_seconds", "Process uptime", () => Math.round(process.uptime()));
+gauge("process_resident_memory_bytes", "Resident memory size", () => process.memoryUsage().rss);
+gauge("nodejs_heap_used_bytes", "V8 heap in use", () => process.memoryUsage().heapUsed);
+
+// ✅ Middleware — route template (`/matches/:id`) label, raw path nahi (cardinality)
+export function trackMetrics() {
+  return (req, res, next) => {
+    const end = httpDuration.startTimer({ method: req.method });
+    res.on("finish", () => {
+      const route = req.route?.path ? `${req.baseUrl}${req.route.path}` : "unmatched";
+      const labels = { route, status: res.statusCode };
+      end(labels);
+      httpRequests.inc({ method: req.method, ...labels });
+    });
+    next();
+  };
+}
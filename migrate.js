@@ -0,0 +1,108 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import { migrations, ensureSchema, DocumentExistsError, CasMismatchError } from "./repositories/index.js";
+import { INSTANCE_ID } from "./lifecycle.js";
+import { logger } from "./logger.js";
+
+// Schema/data migrations — migrations/NNN-naam.js, har ek `description` aur `up()` export karti hai.
+// Naam ke order me chalti hain; applied wali `migrations` collection me darj, dobara nahi chalti.
+// Kai instances ek saath deploy hon to migration ka record pehle "running" insert hota hai — jis ka insert chala wohi chalaye.
+// up() dobara chalne pe bhi sahi rahe (fail ho to record hat jata hai, agli dafa phir se).
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "migrations");
+const MIGRATION_FILE = /^\d+-[\w-]+\.js$/;
+
+// Itni der "running" raha record = runner beech me mar gaya, dobara le sakte hain
+const MIGRATION_LOCK_MINUTES = Number(process.env.MIGRATION_LOCK_MINUTES) || 30;
+
+export class MigrationLockedError extends Error {
+  constructor(id, instance) {
+    super(`Migration ${id} is being applied by ${instance}`);
+    this.name = "MigrationLockedError";
+    this.migrationId = id;
+  }
+}
+
+// [{ id, description, up }] naam ke order me
+export async function loadMigrations(dir = MIGRATIONS_DIR) {
+  const files = (await fs.readdir(dir)).filter((file) => MIGRATION_FILE.test(file)).sort();
+
+  return Promise.all(files.map(async (file) => {
+    const mod = await import(pathToFileURL(path.join(dir, file)).href);
+    if (typeof mod.up !== "function") throw new Error(`Migration ${file} does not export up()`);
+    return { id: file.replace(/\.js$/, ""), description: mod.description || "", up: mod.up };
+  }));
+}
+
+// Har migration: pending | running | applied
+export async function migrationStatus(list) {
+  list = list || (await loadMigrations());
+  const records = new Map((await migrations.find({})).map((record) => [record.id, record]));
+
+  return list.map(({ id, description }) => {
+    const record = records.get(id);
+    return { id, description, status: record?.status || "pending", appliedAt: record?.appliedAt || null };
+  });
+}
+
+// Record "running" daal ke migration apne naam karo — null agar pehle se applied
+async function claimMigration({ id, description }) {
+  const now = new Date();
+  const record = { id, description, status: "running", instance: INSTANCE_ID, startedAt: now.toISOString(), appliedAt: null, durationMs: null, result: null };
+
+  try {
+    await migrations.insert(id, record);
+    return record;
+  } catch (err) {
+    if (!(err instanceof DocumentExistsError)) throw err;
+  }
+
+  const existing = await migrations.getWithCas(id);
+  if (!existing) return claimMigration({ id, description });
+  if (existing.content.status === "applied") return null;
+
+  const staleBefore = new Date(now.getTime() - MIGRATION_LOCK_MINUTES * 60 * 1000).toISOString();
+  if (existing.content.startedAt > staleBefore) throw new MigrationLockedError(id, existing.content.instance);
+
+  // Pichla runner mar gaya — CAS se le lo (do runners ek saath na len)
+  try {
+    await migrations.replace(id, record, { cas: existing.cas });
+    return record;
+  } catch (err) {
+    if (err instanceof CasMismatchError) throw new MigrationLockedError(id, "another instance");
+    throw err;
+  }
+}
+
+// ✅ Pending migrations order me chalao; pehli failure pe ruk jao (baad wali us pe depend kar sakti hain)
+export async function runMigrations({ list } = {}) {
+  list = list || (await loadMigrations());
+  const applied = [];
+
+  // Naye cluster pe collections/indexes pehle (migration records bhi ek collection me)
+  await ensureSchema();
+
+  for (const migration of list) {
+    const record = await claimMigration(migration);
+    if (!record) continue;
+
+    logger.info("Applying migration", { migration: migration.id });
+    const started = Date.now();
+    let result;
+    try {
+      result = await migration.up();
+    } catch (err) {
+      logger.error("Migration failed", { migration: migration.id, err });
+      await migrations.remove(migration.id);
+      throw err;
+    }
+
+    const done = { ...record, status: "applied", appliedAt: new Date().toISOString(), durationMs: Date.now() - started, result: result ?? null };
+    await migrations.replace(migration.id, done);
+    logger.info("Migration applied", { migration: migration.id, durationMs: done.durationMs, result: done.result });
+    applied.push(done);
+  }
+
+  return applied;
+}
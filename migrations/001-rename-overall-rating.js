@@ -0,0 +1,18 @@
+import { players } from "../repositories/index.js";
+
+// overalRating (typo) → overallRating; dono hon to naya wala sahi hai (finalize ne likha)
+export const description = "Rename players.overalRating to overallRating";
+
+export async function up() {
+  const ids = await players.findIds({ where: { overalRating: { $exists: true } } });
+
+  for (const id of ids) {
+    await players.update(id, (player) => {
+      if (player.overallRating === undefined) player.overallRating = player.overalRating;
+      delete player.overalRating;
+      return player;
+    });
+  }
+
+  return { updated: ids.length };
+}
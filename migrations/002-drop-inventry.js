@@ -0,0 +1,17 @@
+import { players } from "../repositories/index.js";
+
+// `inventry` signup pe khali array banta tha, kahin use nahi hota
+export const description = "Remove unused players.inventry";
+
+export async function up() {
+  const ids = await players.findIds({ where: { inventry: { $exists: true } } });
+
+  for (const id of ids) {
+    await players.update(id, (player) => {
+      delete player.inventry;
+      return player;
+    });
+  }
+
+  return { updated: ids.length };
+}
@@ -0,0 +1,17 @@
+import { players } from "../repositories/index.js";
+
+// Purane players (matchHistory se pehle ke signups) ko khali history
+export const description = "Backfill missing players.matchHistory";
+
+export async function up() {
+  const ids = await players.findIds({ where: { matchHistory: { $exists: false } } });
+
+  for (const id of ids) {
+    await players.update(id, (player) => {
+      player.matchHistory = player.matchHistory || [];
+      return player;
+    });
+  }
+
+  return { updated: ids.length };
+}
@@ -0,0 +1,65 @@
+import { trophies } from "../repositories/index.js";
+import { logger } from "../logger.js";
+
+// Trophy distribution/bonuses validation se pehle form-data se aate the — JSON strings, string numbers, extra keys.
+// Jo theek ho sake theek karo: { win, lose } numbers (0-100), bonuses { goal, assist, motm } non-negative integers.
+// Jis distribution ka andaza na lag sake woh waisi hi chhodo aur report karo (prize ka faisla admin kare).
+export const description = "Normalize trophy distribution and bonuses";
+
+const BONUS_KEYS = ["goal", "assist", "motm"];
+
+function parseJson(value) {
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+const toNumber = (value) => (value === "" || value === null || value === undefined ? NaN : Number(value));
+const isShare = (value) => Number.isFinite(value) && value >= 0 && value <= 100;
+
+function normalizeRewards(trophy) {
+  const distribution = parseJson(trophy.distribution);
+  const win = toNumber(distribution?.win);
+  const lose = toNumber(distribution?.lose);
+  const validDistribution = isShare(win) && isShare(lose);
+
+  const bonuses = parseJson(trophy.bonuses);
+  const cleanBonuses = {};
+  for (const key of BONUS_KEYS) {
+    const value = toNumber(bonuses?.[key]);
+    if (Number.isFinite(value) && value >= 0) cleanBonuses[key] = Math.floor(value);
+  }
+
+  return {
+    ...trophy,
+    distribution: validDistribution ? { win, lose } : trophy.distribution,
+    bonuses: cleanBonuses,
+    validDistribution,
+  };
+}
+
+export async function up() {
+  const ids = await trophies.findIds({});
+  let updated = 0;
+  const invalid = [];
+
+  for (const id of ids) {
+    let changed = false;
+    let valid = true;
+    await trophies.update(id, (trophy) => {
+      const { validDistribution, ...normalized } = normalizeRewards(trophy);
+      valid = validDistribution;
+
+      changed = JSON.stringify([normalized.distribution, normalized.bonuses]) !== JSON.stringify([trophy.distribution, trophy.bonuses]);
+      return changed ? normalized : trophy;
+    });
+    if (changed) updated += 1;
+    if (!valid) invalid.push(id);
+  }
+
+  if (invalid.length) logger.warn("Trophies with unusable prize distribution, fix them manually", { trophyIds: invalid });
+  return { updated, invalid };
+}
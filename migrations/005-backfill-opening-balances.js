@@ -0,0 +1,25 @@
+import { players, ledger } from "../repositories/index.js";
+import { recordOpeningBalance, summarizeEntries } from "../points.js";
+
+// Ledger se pehle ke players ki opening entry (seq 0, signup) nahi, reconcile unhe mismatch batata hai.
+// Deploy ke baad aur migration se pehle un ke points hil chuke hon to kuch entries hongi — opening entry
+// balance aur un entries ke total ka farq hai. Jin ki seq 0 entry pehle se hai (signup ya pichla run) unhe nahi chhedte.
+export const description = "Backfill opening-balance ledger entries for pre-ledger players";
+
+export async function up() {
+  const rows = await players.listBalances();
+  let backfilled = 0;
+
+  for (const { email, points } of rows) {
+    const entries = await ledger.listAllByEmail(email);
+    if (entries.some((entry) => entry.seq === 0)) continue;
+
+    const opening = (Number(points) || 0) - summarizeEntries(entries).net;
+    if (!opening) continue;
+
+    await recordOpeningBalance(email, opening);
+    backfilled += 1;
+  }
+
+  return { backfilled };
+}
@@ -0,0 +1,66 @@
+import crypto from "crypto";
+import { oneTimeTokens, CasMismatchError } from "./repositories/index.js";
+
+// Single-use tokens (password reset etc.) — DB me sirf sha256 hash
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// ✅ Naya token (same purpose ke purane tokens invalid)
+export async function createOneTimeToken({ purpose, email, ttlMinutes = 30 }) {
+  await invalidateTokens(purpose, email);
+
+  const token = crypto.randomBytes(32).toString("hex");
+  const now = new Date();
+
+  await oneTimeTokens.insert(hashToken(token), {
+    purpose,
+    email,
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + ttlMinutes * 60 * 1000).toISOString(),
+    usedAt: null,
+  });
+
+  return token;
+}
+
+// ✅ Token use karo — valid ho to email, warna null
+export async function consumeOneTimeToken(purpose, token) {
+  if (!token || typeof token !== "string") return null;
+
+  const id = hashToken(token);
+  const doc = await oneTimeTokens.getWithCas(id);
+  if (!doc) return null;
+
+  const record = doc.content;
+  if (record.purpose !== purpose || record.usedAt) return null;
+  if (new Date(record.expiresAt).getTime() <= Date.now()) return null;
+
+  // CAS se mark used, taake do requests ek token dobara na chala saken
+  record.usedAt = new Date().toISOString();
+  try {
+    await oneTimeTokens.replace(id, record, { cas: doc.cas });
+  } catch (err) {
+    if (err instanceof CasMismatchError) return null;
+    throw err;
+  }
+
+  return record.email;
+}
+
+export async function invalidateTokens(purpose, email) {
+  const ids = await oneTimeTokens.findUnusedIds(purpose, email);
+  for (const id of ids) {
+    await oneTimeTokens.remove(id);
+  }
+}
+
+// 🧹 Expired/used tokens cleanup
+export async function purgeStaleTokens() {
+  const ids = await oneTimeTokens.findStaleIds();
+  for (const id of ids) {
+    await oneTimeTokens.remove(id);
+  }
+  return ids.length;
+}
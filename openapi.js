@@ -0,0 +1,216 @@
+import fs from "fs";
+import swaggerUiDist from "swagger-ui-dist";
+import { toJsonSchema } from "./validation.js";
+import { ROUTE_DOCS, TAGS, SCHEMAS } from "./apiDocs.js";
+
+// OpenAPI 3 document — routes Express ke router se, params/body validate() ke schema se,
+// auth/permission/rate limit/Idempotency-Key middleware ke marker se. Summary, tags aur success
+// responses apiDocs.js me (ROUTE_DOCS, "METHOD /path" key) — naya route wahan likhna zaroori, test check karta hai.
+
+const { version } = JSON.parse(fs.readFileSync(new URL("./package.json", import.meta.url), "utf8"));
+
+const ref = (name, section = "schemas") => ({ $ref: `#/components/${section}/${name}` });
+
+// Express path → OpenAPI path (/players/:email → /players/{email})
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, "{$1}");
+
+// "post /players/:email/del-roles/:role" → postPlayersEmailDelRolesRole
+const operationId = (method, path) =>
+  method + path.split(/[^A-Za-z0-9]+/).filter(Boolean).map((part) => part[0].toUpperCase() + part.slice(1)).join("");
+
+// ✅ App ke sab routes — [{ method, path, key, handlers }]
+export function listRoutes(app) {
+  return app.router.stack
+    .filter((layer) => layer.route)
+    .flatMap(({ route }) =>
+      Object.keys(route.methods)
+        .filter((method) => method !== "_all")
+        .map((method) => ({
+          method,
+          path: route.path,
+          key: `${method.toUpperCase()} ${route.path}`,
+          handlers: route.stack.map((layer) => layer.handle),
+        })));
+}
+
+// Woh routes jin ki ROUTE_DOCS entry nahi, aur entries jin ka route nahi raha
+export function findUndocumentedRoutes(app, docs = ROUTE_DOCS) {
+  const keys = listRoutes(app).map((route) => route.key);
+  return {
+    undocumented: keys.filter((key) => !docs[key]),
+    stale: Object.keys(docs).filter((key) => !keys.includes(key)),
+  };
+}
+
+// String = error message (Error schema), warna poora response object
+const toResponse = (value) =>
+  typeof value === "string" ? { description: value, content: { "application/json": { schema: ref("Error") } } } : value;
+
+function buildParameters(path, validation) {
+  const parameters = [];
+  const pathRules = validation.params || {};
+
+  for (const [, name] of path.matchAll(/:(\w+)/g)) {
+    parameters.push({ name, in: "path", required: true, schema: pathRules[name]?.schema || { type: "string" } });
+  }
+  for (const [name, rule] of Object.entries(validation.query || {})) {
+    parameters.push({ name, in: "query", required: !rule.isOptional, schema: rule.schema });
+  }
+  return parameters;
+}
+
+// Files ho to multipart (baaki fields form me), warna JSON
+function buildRequestBody(validation) {
+  const { body = {}, files = {} } = validation;
+  if (!Object.keys(body).length && !Object.keys(files).length) return undefined;
+
+  const multipart = Object.keys(files).length > 0;
+  const schema = toJsonSchema({ ...body, ...files });
+  return {
+    required: Boolean(schema.required),
+    content: { [multipart ? "multipart/form-data" : "application/json"]: { schema } },
+  };
+}
+
+function buildOperation(route, doc, { authMiddleware, sessionOnlyRoutes }) {
+  const { handlers, key } = route;
+  const validation = Object.assign({}, ...handlers.filter((h) => h.validation).map((h) => h.validation));
+  const permission = handlers.find((h) => h.permission)?.permission;
+  const rateLimitGroup = handlers.find((h) => h.rateLimitGroup)?.rateLimitGroup;
+  const idempotent = handlers.some((h) => h.idempotent);
+  const authenticated = handlers.includes(authMiddleware);
+
+  const notes = [doc.description];
+  const operation = {
+    tags: doc.tags,
+    summary: doc.summary,
+    operationId: operationId(route.method, route.path),
+    parameters: buildParameters(route.path, validation),
+    requestBody: buildRequestBody(validation),
+    responses: {},
+  };
+
+  if (idempotent) operation.parameters.push(ref("IdempotencyKey", "parameters"));
+  if (!operation.parameters.length) delete operation.parameters;
+  if (!operation.requestBody) delete operation.requestBody;
+
+  if (doc.security) operation.security = doc.security;
+  else if (authenticated) {
+    const sessionOnly = sessionOnlyRoutes.includes(key);
+    operation.security = sessionOnly ? [{ cookieAuth: [] }] : [{ cookieAuth: [] }, { apiKeyAuth: [] }];
+    if (sessionOnly) notes.push("Browser session only — API keys are rejected.");
+  }
+  if (permission) {
+    operation["x-permission"] = permission;
+    notes.push(`Requires permission \`${permission}\`.`);
+  }
+  if (rateLimitGroup) {
+    operation["x-rate-limit-group"] = rateLimitGroup;
+    notes.push(`Rate limited (\`${rateLimitGroup}\` group).`);
+  }
+
+  const description = notes.filter(Boolean).join("\n\n");
+  if (description) operation.description = description;
+
+  for (const [status, value] of Object.entries(doc.responses)) operation.responses[status] = toResponse(value);
+
+  // Middleware wale responses (route ka apna 400/403 ho to dono ek saath)
+  const responses = operation.responses;
+  if (Object.keys(validation).length) {
+    responses[400] = responses[400]
+      ? { description: `${responses[400].description}, or invalid input`, content: { "application/json": { schema: { oneOf: [ref("Error"), ref("ValidationError")] } } } }
+      : ref("ValidationError", "responses");
+  }
+  if (authenticated || permission) responses[401] = responses[401] || ref("Unauthorized", "responses");
+  if (authenticated || permission) responses[403] = responses[403] || ref("Forbidden", "responses");
+  if (rateLimitGroup) responses[429] = ref("TooManyRequests", "responses");
+  if (idempotent) {
+    responses[409] = responses[409] || toResponse("A request with this Idempotency-Key is still being processed");
+    responses[422] = toResponse("Idempotency-Key was already used with a different request");
+  }
+  if (!doc.noServerError) responses[500] = responses[500] || ref("ServerError", "responses");
+
+  return operation;
+}
+
+// ✅ Poora document. Jis route ki doc entry nahi woh bhi aata hai ("Undocumented" tag ke saath), test pakad leta hai.
+export function buildOpenApiSpec(app, { authMiddleware, sessionOnlyRoutes = [], docs = ROUTE_DOCS } = {}) {
+  const paths = {};
+
+  for (const route of listRoutes(app)) {
+    const doc = docs[route.key] || { tags: ["Undocumented"], summary: route.key, responses: { 200: { description: "Undocumented response" } } };
+    const path = toOpenApiPath(route.path);
+    paths[path] = paths[path] || {};
+    paths[path][route.method] = buildOperation(route, doc, { authMiddleware, sessionOnlyRoutes });
+  }
+
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "FootballHub API",
+      version,
+      description: "Players, teams, matches, trophies, marketplace and trainers. Most routes answer `{ success, message, data }`; older ones put the payload under their own key (`match`, `inventories`, ...) and errors under `error` instead of `message`.",
+    },
+    tags: TAGS,
+    paths,
+    components: {
+      schemas: SCHEMAS,
+      parameters: {
+        IdempotencyKey: {
+          name: "Idempotency-Key",
+          in: "header",
+          required: false,
+          description: "Retry-safe key (1-255 chars). The same key with the same body replays the first response (`Idempotent-Replayed: true`).",
+          schema: { type: "string", minLength: 1, maxLength: 255 },
+        },
+      },
+      responses: {
+        ValidationError: { description: "Invalid input", content: { "application/json": { schema: ref("ValidationError") } } },
+        Unauthorized: { description: "Not logged in, or the token/API key is invalid or expired", content: { "application/json": { schema: ref("Error") } } },
+        Forbidden: {
+          description: "Account suspended or email unverified, read-only API key, or missing permission",
+          content: { "application/json": { schema: ref("Error") } },
+        },
+        TooManyRequests: {
+          description: "Rate limit exceeded",
+          headers: {
+            "Retry-After": { description: "Seconds until the window resets", schema: { type: "integer" } },
+            "RateLimit-Limit": { schema: { type: "integer" } },
+            "RateLimit-Remaining": { schema: { type: "integer" } },
+            "RateLimit-Reset": { schema: { type: "integer" } },
+          },
+          content: { "application/json": { schema: ref("Error") } },
+        },
+        ServerError: { description: "Server error", content: { "application/json": { schema: ref("Error") } } },
+      },
+      securitySchemes: {
+        cookieAuth: { type: "apiKey", in: "cookie", name: "token", description: "Access token cookie set by `POST /login`" },
+        apiKeyAuth: { type: "http", scheme: "bearer", bearerFormat: "fh_<id>_<secret>", description: "Personal API key (`POST /api-keys`); read-only keys can only call GET routes" },
+        metricsToken: { type: "http", scheme: "bearer", description: "`METRICS_TOKEN`, only when it is set" },
+      },
+    },
+  };
+}
+
+// Swagger UI — assets apni swagger-ui-dist dependency se (CDN pe bharosa nahi, version package.json me pinned), spec /openapi.json se.
+// Docs isi origin pe, is liye "Try it out" me cookie khud jati hai (withCredentials ki zaroorat nahi)
+export const DOCS_ASSETS_PATH = "/docs/assets";
+export const DOCS_ASSETS_DIR = swaggerUiDist.getAbsoluteFSPath();
+
+export const DOCS_HTML = `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>FootballHub API docs</title>
+  <link rel="stylesheet" href="${DOCS_ASSETS_PATH}/swagger-ui.css" />
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${DOCS_ASSETS_PATH}/swagger-ui-bundle.js"></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: "/openapi.json", dom_id: "#swagger-ui" });
+  </script>
+</body>
+</html>
+`;
@@ -0,0 +1,59 @@
+// Roles → permissions map. Routes sirf permission check karte hain, role nahi.
+
+export const PERMISSIONS = [
+  "trophy:write",      // create/update/delete trophies
+  "inventory:write",   // create/update/delete inventory items
+  "match:delete",      // delete any match
+  "notify:all",        // broadcast notification to every player
+  "role:write",        // grant/revoke roles
+  "player:moderate",   // unlock accounts, moderate players
+  "ledger:audit",      // reconcile points ledger against balances
+  "jobs:manage",       // view and retry any background job
+  "cron:manage",       // view cron run history, trigger scheduled jobs
+  "trainer:verified",  // verified trainer badge
+];
+
+export const ROLES = {
+  admin: [
+    "trophy:write",
+    "inventory:write",
+    "match:delete",
+    "notify:all",
+    "role:write",
+    "player:moderate",
+    "ledger:audit",
+    "jobs:manage",
+    "cron:manage",
+  ],
+  moderator: ["match:delete", "player:moderate"],
+  "tournament-organizer": ["trophy:write"],
+  "verified-trainer": ["trainer:verified"],
+};
+
+// Purane docs me sirf `role: "admin"` hota hai, usko bhi count karo
+export function getPlayerRoles(player) {
+  const roles = new Set(Array.isArray(player?.roles) ? player.roles : []);
+  if (player?.role && ROLES[player.role]) roles.add(player.role);
+  return [...roles];
+}
+
+export function getPermissions(roles) {
+  const perms = new Set();
+  for (const role of roles) {
+    for (const perm of ROLES[role] || []) perms.add(perm);
+  }
+  return [...perms];
+}
+
+export function hasPermission(player, permission) {
+  return getPermissions(getPlayerRoles(player)).includes(permission);
+}
+
+// Moderator sirf apne se kam ikhtiyar wale ko suspend/ban kar sakta hai — admin ko kabhi nahi (pehle role hatao)
+export function canModerate(actor, target) {
+  const targetRoles = getPlayerRoles(target);
+  if (targetRoles.includes("admin")) return false;
+
+  const actorPermissions = getPermissions(getPlayerRoles(actor));
+  return getPermissions(targetRoles).every((perm) => actorPermissions.includes(perm));
+}
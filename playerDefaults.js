@@ -0,0 +1,77 @@
+// Naye player ke default stats — signup aur seed dono yahin se
+// Skills position ke hisaab se (Goalkeeper ke apne), overallRating match finalize pe update hota hai
+
+export function getDefaultStats(position) {
+  const base = {
+    auraPoints: 0,
+    matches: 0,
+    goals: 0,
+    assists: 0,
+    points: 500,
+    ratingAvg: 0,
+    ratingCount: 0,
+    wins: 0,
+    losses: 0,
+    draws: 0,
+    captain: false,
+    overallRating: 0,
+    redCards: 0,
+    yellowCards: 0,
+    achievements: [],
+    teams: [],
+    requests: [],
+    notifications: [],
+    matchHistory: [],
+  };
+
+  if (position === "Goalkeeper") {
+    return {
+      ...base,
+      diving: 50,
+      handling: 50,
+      kicking: 50,
+      reflexes: 50,
+      positioning: 50,
+      speed: 40,
+    };
+  }
+
+  if (position === "Defender") {
+    return {
+      ...base,
+      pace: 45,
+      shooting: 30,
+      passing: 50,
+      dribbling: 40,
+      defence: 65,
+      physical: 60,
+    };
+  }
+
+  if (position === "Midfielder") {
+    return {
+      ...base,
+      pace: 60,
+      shooting: 55,
+      passing: 65,
+      dribbling: 60,
+      defence: 55,
+      physical: 55,
+    };
+  }
+
+  if (position === "Forward") {
+    return {
+      ...base,
+      pace: 70,
+      shooting: 70,
+      passing: 55,
+      dribbling: 65,
+      defence: 35,
+      physical: 55,
+    };
+  }
+
+  // fallback agar kuch aur bheja gaya ho
+  return base;
+}
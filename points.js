@@ -0,0 +1,134 @@
+import { v4 as uuidv4 } from "uuid";
+import { players, ledger } from "./repositories/index.js";
+import { pointsTransferred } from "./metrics.js";
+
+// Points ka har change yahin se — CAS + retry, taake concurrent requests points kho ya bana na saken
+// Balance kabhi negative nahi hota, aur har change ki ledger entry banti hai
+
+export const LEDGER_REASONS = ["signup", "item", "trainer", "match_fee", "prize", "bonus", "refund"];
+
+export class InsufficientPointsError extends Error {
+  constructor(email, balance, amount) {
+    super(`${email} has ${balance} points, needs ${amount}`);
+    this.name = "InsufficientPointsError";
+    this.email = email;
+    this.balance = balance;
+    this.amount = amount;
+  }
+}
+
+export class PlayerNotFoundError extends Error {
+  constructor(email) {
+    super(`Player not found: ${email}`);
+    this.name = "PlayerNotFoundError";
+    this.email = email;
+  }
+}
+
+// Ledger entries likho — breakdown ek change ko kai reasons me baant'ta hai (prize + bonus)
+// `balance` har entry ke baad ka running balance, `seq` player-wise order (player doc ke ledgerSeq se)
+async function recordEntries(email, { balanceBefore, seqStart, breakdown, counterparty = null, related = {} }) {
+  const createdAt = new Date().toISOString();
+  let balance = balanceBefore;
+  let seq = seqStart;
+
+  for (const { amount, reason } of breakdown) {
+    balance += amount;
+
+    const id = uuidv4();
+    await ledger.insert(id, { id, email, seq: seq++, amount, reason, counterparty, related, balance, createdAt });
+  }
+}
+
+// ✅ Ek player ka balance +/- amount
+// reason ya breakdown ([{ amount, reason }]) ledger ke liye; apply(player) isi write me baaki fields badalta hai
+export async function changePoints(email, amount, { reason, breakdown, counterparty, related, apply } = {}) {
+  if (!Number.isInteger(amount)) throw new TypeError(`Points must be an integer, got ${amount}`);
+
+  const entries = (breakdown || [{ amount, reason }]).filter((entry) => entry.amount !== 0);
+  if (entries.reduce((sum, entry) => sum + entry.amount, 0) !== amount) throw new TypeError("Ledger breakdown must add up to the amount");
+  for (const entry of entries) {
+    if (!LEDGER_REASONS.includes(entry.reason)) throw new TypeError(`Unknown ledger reason: ${entry.reason}`);
+  }
+
+  let balanceBefore = 0;
+  let seqStart = 0;
+  const updated = await players.update(email, (player) => {
+    balanceBefore = Number(player.points) || 0;
+    if (balanceBefore + amount < 0) throw new InsufficientPointsError(email, balanceBefore, -amount);
+
+    if (apply) apply(player);
+    player.points = balanceBefore + amount;
+
+    // Ledger seq isi CAS write me reserve, taake entries ka order pakka ho
+    seqStart = (player.ledgerSeq || 0) + 1;
+    player.ledgerSeq = seqStart + entries.length - 1;
+    return player;
+  });
+
+  if (!updated) throw new PlayerNotFoundError(email);
+
+  await recordEntries(email, { balanceBefore, seqStart, breakdown: entries, counterparty, related });
+  return updated;
+}
+
+// ✅ Signup ka starting balance — player doc ke saath set hota hai, yahan sirf ledger entry (seq 0)
+export async function recordOpeningBalance(email, points) {
+  await recordEntries(email, { balanceBefore: 0, seqStart: 0, breakdown: [{ amount: points, reason: "signup" }] });
+}
+
+// ✅ from → to; pehle debit, credit fail ho to debit wapas
+export async function transferPoints({ from, to, amount, reason, related }) {
+  if (!Number.isInteger(amount) || amount <= 0) throw new TypeError(`Transfer amount must be a positive integer, got ${amount}`);
+
+  const payer = await changePoints(from, -amount, { reason, counterparty: to, related });
+  try {
+    const payee = await changePoints(to, amount, { reason, counterparty: from, related });
+    pointsTransferred.inc({ reason }, amount);
+    return { from: payer, to: payee };
+  } catch (err) {
+    await changePoints(from, amount, { reason: "refund", counterparty: to, related });
+    throw err;
+  }
+}
+
+// ✅ Kai players se charge (entry fee) — sab ya koi nahi
+export async function chargePlayers(charges, { reason, related } = {}) {
+  const charged = [];
+  try {
+    for (const { email, amount } of charges) {
+      if (amount <= 0) continue;
+      await changePoints(email, -amount, { reason, related });
+      charged.push({ email, amount });
+    }
+  } catch (err) {
+    for (const { email, amount } of charged.reverse()) await changePoints(email, amount, { reason: "refund", related });
+    throw err;
+  }
+}
+
+// 📒 Player ki ledger summary — credits, debits aur reason-wise totals
+export function summarizeEntries(entries) {
+  const totals = { credited: 0, debited: 0, net: 0, byReason: {} };
+  for (const { amount, reason } of entries) {
+    if (amount > 0) totals.credited += amount;
+    else totals.debited += -amount;
+    totals.net += amount;
+    totals.byReason[reason] = (totals.byReason[reason] || 0) + amount;
+  }
+  return totals;
+}
+
+// 🔍 Ledger sums vs players.points — jahan farq ho woh list
+export async function reconcileLedger() {
+  const rows = await players.listBalances();
+  const mismatches = [];
+
+  for (const player of rows) {
+    const { net } = summarizeEntries(await ledger.listAllByEmail(player.email));
+    const balance = Number(player.points) || 0;
+    if (net !== balance) mismatches.push({ email: player.email, balance, ledgerTotal: net, difference: balance - net });
+  }
+
+  return { checked: rows.length, mismatches };
+}
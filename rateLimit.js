@@ -0,0 +1,134 @@
+import { rateLimits, DocumentExistsError } from "./repositories/index.js";
+import { logger } from "./logger.js";
+
+// Rate limiting: route groups, har group ki apni limit (fixed window), key = login email ya IP.
+// Counters ek store ke peeche: "memory" (default, ek instance) ya "database" (kai instances me shared).
+// Limits env se badal sakte hain: RATE_LIMIT_<GROUP>="<requests>/<seconds>", e.g. RATE_LIMIT_SEARCH="100/60"
+
+const DEFAULT_LIMITS = {
+  search: { limit: 60, windowSeconds: 60 },
+  signup: { limit: 20, windowSeconds: 60 * 60 },
+  chat: { limit: 60, windowSeconds: 60 },
+  notify: { limit: 20, windowSeconds: 60 },
+};
+
+function parseLimit(value, fallback) {
+  const match = /^(\d+)\/(\d+)$/.exec(String(value || "").trim());
+  if (!match) return fallback;
+  return { limit: Number(match[1]), windowSeconds: Number(match[2]) };
+}
+
+export function getLimit(group) {
+  const fallback = DEFAULT_LIMITS[group];
+  if (!fallback) throw new Error(`Unknown rate limit group: ${group}`);
+  return parseLimit(process.env[`RATE_LIMIT_${group.toUpperCase()}`], fallback);
+}
+
+// ===== Stores =====
+// increment(key, windowMs) → { count, resetAt }
+
+const MEMORY_PRUNE_THRESHOLD = 10000;
+
+export function createMemoryStore() {
+  const windows = new Map();
+
+  // Purani windows hatao, taake memory na bharay
+  const prune = (now) => {
+    for (const [key, entry] of windows) {
+      if (entry.resetAt <= now) windows.delete(key);
+    }
+  };
+
+  return {
+    name: "memory",
+    async increment(key, windowMs) {
+      const now = Date.now();
+      if (windows.size > MEMORY_PRUNE_THRESHOLD) prune(now);
+
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+      }
+      entry.count += 1;
+      return { ...entry };
+    },
+    // Tests ke darmiyan sab saaf
+    reset() {
+      windows.clear();
+    },
+  };
+}
+
+export function createDatabaseStore() {
+  return {
+    name: "database",
+    async increment(key, windowMs) {
+      const now = Date.now();
+      const expiry = Math.ceil(windowMs / 1000);
+      const fresh = { count: 1, resetAt: now + windowMs };
+
+      // CAS update, taake instances ke beech ginti na khoye
+      const updated = await rateLimits.update(
+        key,
+        (record) => (record.resetAt <= now ? fresh : { ...record, count: record.count + 1 }),
+        { expiry }
+      );
+      if (updated) return updated;
+
+      try {
+        await rateLimits.insert(key, fresh, { expiry });
+        return fresh;
+      } catch (err) {
+        // Doosre instance ne abhi banaya — dobara
+        if (err instanceof DocumentExistsError) return this.increment(key, windowMs);
+        throw err;
+      }
+    },
+  };
+}
+
+let store = process.env.RATE_LIMIT_STORE === "database" ? createDatabaseStore() : createMemoryStore();
+
+export function setRateLimitStore(custom) {
+  store = custom;
+}
+
+export function getRateLimitStore() {
+  return store;
+}
+
+// ✅ Middleware — auth wale routes pe authMiddleware ke baad lagao (email se key)
+export function rateLimit(group) {
+  const { limit, windowSeconds } = getLimit(group);
+  const windowMs = windowSeconds * 1000;
+
+  const middleware = async (req, res, next) => {
+    try {
+      const subject = req.user?.email ? `user:${req.user.email}` : `ip:${req.ip}`;
+      const { count, resetAt } = await store.increment(`${group}:${subject}`, windowMs);
+
+      const resetSeconds = Math.max(0, Math.ceil((resetAt - Date.now()) / 1000));
+      res.set({
+        "RateLimit-Policy": `${limit};w=${windowSeconds}`,
+        "RateLimit-Limit": String(limit),
+        "RateLimit-Remaining": String(Math.max(0, limit - count)),
+        "RateLimit-Reset": String(resetSeconds),
+      });
+
+      if (count > limit) {
+        res.set("Retry-After", String(resetSeconds));
+        return res.status(429).json({
+          success: false,
+          message: `Too many requests. Try again in ${resetSeconds} second(s).`,
+        });
+      }
+    } catch (err) {
+      // Store down ho to request mat roko
+      logger.error("Rate limit store error", { group, err });
+    }
+    next();
+  };
+  middleware.rateLimitGroup = group;
+  return middleware;
+}
@@ -0,0 +1,69 @@
+import { createRepository } from "./base.js";
+
+// Auth/security collections — inhe sirf auth modules (sessions.js, apiKeys.js waghera) use karte hain
+
+/**
+ * Login sessions (key = session id).
+ * @typedef {ReturnType<typeof createSessionsRepository>} SessionsRepository
+ */
+export function createSessionsRepository() {
+  const repo = createRepository("sessions");
+
+  return {
+    ...repo,
+
+    findActiveByEmail: (email, now = new Date().toISOString()) =>
+      repo.find({
+        where: { email, revokedAt: null, expiresAt: { $gt: now } },
+        orderBy: [["lastSeenAt", "desc"]],
+      }),
+
+    // Expired, ya `cutoff` se pehle revoke hui
+    findStaleIds: (cutoff, now = new Date().toISOString()) =>
+      repo.findIds({ where: { $or: [{ expiresAt: { $lt: now } }, { revokedAt: { $lt: cutoff } }] } }),
+  };
+}
+
+/**
+ * Single-use tokens (key = token ka sha256).
+ * @typedef {ReturnType<typeof createOneTimeTokensRepository>} OneTimeTokensRepository
+ */
+export function createOneTimeTokensRepository() {
+  const repo = createRepository("oneTimeTokens");
+
+  return {
+    ...repo,
+
+    findUnusedIds: (purpose, email) => repo.findIds({ where: { purpose, email, usedAt: null } }),
+
+    findStaleIds: (now = new Date().toISOString()) =>
+      repo.findIds({ where: { $or: [{ expiresAt: { $lt: now } }, { usedAt: { $ne: null } }] } }),
+  };
+}
+
+/**
+ * Personal API keys (key = key id).
+ * @typedef {ReturnType<typeof createApiKeysRepository>} ApiKeysRepository
+ */
+export function createApiKeysRepository() {
+  const repo = createRepository("apiKeys");
+
+  return {
+    ...repo,
+    findActiveByEmail: (email) =>
+      repo.find({ where: { email, revokedAt: null }, orderBy: [["createdAt", "desc"]] }),
+  };
+}
+
+// Login throttle counters (upsert { expiry } se khud expire)
+export const loginAttempts = createRepository("loginAttempts");
+
+// Rate limit counters, shared store (expiry se khud expire)
+export const rateLimits = createRepository("rateLimits");
+
+// TOTP secrets + recovery code hashes (key = email)
+export const twoFactor = createRepository("twoFactor");
+
+export const sessions = createSessionsRepository();
+export const oneTimeTokens = createOneTimeTokensRepository();
+export const apiKeys = createApiKeysRepository();
@@ -0,0 +1,53 @@
+import dotenv from "dotenv";
+import { createMemoryBackend } from "./memoryBackend.js";
+import { logger } from "../logger.js";
+
+dotenv.config();
+
+// Active storage backend: "couchbase" (default) ya "memory" (offline/dev/tests)
+//
+// Har backend ka collection(name) ye deta hai:
+//   get(id) → { content, cas } | null
+//   insert(id, doc) (DocumentExistsError), upsert(id, doc, { expiry }), replace(id, doc, { cas }), remove(id)
+//   find({ where, orderBy: [[field, "asc"|"desc"]], offset, limit, withId }) → docs (withId = key bhi "id" me)
+//   findIds(spec) → ids, count(where) → number
+// Aur backend.ensureCollection({ name, indexes, primary }) — provisioning (schema.js), nayi bani to true
+//
+// where spec: { field: value } (null = missing/null, { $ne: null } = value hai), ya operators:
+//   $eq $ne $in $nin $gt $gte $lt $lte $exists $contains (case-insensitive) $has (array me value)
+//   $elemMatch (array ka koi item match kare) $notEmpty, aur $or / $and. Nested fields "a.b".
+
+let backend;
+
+export async function initBackend(driver = process.env.DB_DRIVER || "couchbase") {
+  if (backend) return backend;
+
+  if (driver === "memory") {
+    backend = createMemoryBackend();
+    logger.info("In-memory database ready");
+  } else {
+    // Couchbase SDK sirf zaroorat pe load ho (offline boot me native module nahi chahiye)
+    const { createCouchbaseBackend } = await import("./couchbaseBackend.js");
+    backend = await createCouchbaseBackend();
+  }
+  return backend;
+}
+
+// Tests apna backend laga sakte hain
+export function setBackend(custom) {
+  backend = custom;
+}
+
+// Server DB se pehle listen karta hai — tab tak false
+export function isBackendReady() {
+  return Boolean(backend);
+}
+
+export function getBackend() {
+  if (!backend) throw new Error("DB not initialized. Call initBackend() first!");
+  return backend;
+}
+
+export function collection(name) {
+  return getBackend().collection(name);
+}
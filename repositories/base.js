@@ -0,0 +1,56 @@
+import { collection } from "./backend.js";
+import { DocumentNotFoundError, CasMismatchError } from "./errors.js";
+
+// CAS conflict pe itni dafa dobara try (har dafa thora random wait, taake sab ek saath na takrayen)
+const MAX_CAS_RETRIES = 10;
+const casBackoff = (attempt) => new Promise((res) => setTimeout(res, Math.random() * 5 * (attempt + 1)));
+
+// Har repository ka common hissa — collection lazily resolve hoti hai (backend init ke baad)
+export function createRepository(name) {
+  const col = () => collection(name);
+
+  return {
+    name,
+    // Doc ya null
+    async get(id) {
+      const doc = await col().get(id);
+      return doc ? doc.content : null;
+    },
+    // { content, cas } ya null — optimistic updates ke liye
+    getWithCas: (id) => col().get(id),
+    insert: (id, doc, options) => col().insert(id, doc, options),
+    upsert: (id, doc, options) => col().upsert(id, doc, options),
+    replace: (id, doc, options) => col().replace(id, doc, options),
+    // Optimistic update: taaza doc pe mutate(doc), CAS ke saath replace, conflict pe dobara.
+    // mutate har retry pe chalta hai (side effects nahi), throw kare to update cancel. Doc na ho to null.
+    // Baaki options (expiry) replace ko jaate hain.
+    async update(id, mutate, { retries = MAX_CAS_RETRIES, ...options } = {}) {
+      for (let attempt = 0; ; attempt++) {
+        const doc = await col().get(id);
+        if (!doc) return null;
+
+        const updated = mutate(doc.content) ?? doc.content;
+        try {
+          await col().replace(id, updated, { ...options, cas: doc.cas });
+          return updated;
+        } catch (err) {
+          if (!(err instanceof CasMismatchError) || attempt >= retries) throw err;
+          await casBackoff(attempt);
+        }
+      }
+    },
+    // Pehle se gayab ho to bhi theek
+    async remove(id) {
+      try {
+        await col().remove(id);
+        return true;
+      } catch (err) {
+        if (err instanceof DocumentNotFoundError) return false;
+        throw err;
+      }
+    },
+    find: (spec) => col().find(spec),
+    findIds: (spec) => col().findIds(spec),
+    count: (where) => col().count(where),
+  };
+}
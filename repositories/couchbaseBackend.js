@@ -0,0 +1,176 @@
+import {
+  DocumentExistsError as CbDocumentExistsError,
+  DocumentNotFoundError as CbDocumentNotFoundError,
+  CasMismatchError as CbCasMismatchError,
+  CollectionExistsError as CbCollectionExistsError,
+} from "couchbase";
+import { initDB, getCollection, getCluster } from "../db.js";
+import { DocumentExistsError, DocumentNotFoundError, CasMismatchError } from "./errors.js";
+import { dbQueryDuration } from "../metrics.js";
+
+// Couchbase backend — query spec ko N1QL me compile karta hai
+
+const keyspace = (name) =>
+  `\`${process.env.COUCHBASE_BUCKET}\`.\`${process.env.COUCHBASE_SCOPE}\`.\`${name}\``;
+
+const fieldRef = (alias, path) => `${alias}.${path.split(".").map((part) => `\`${part}\``).join(".")}`;
+
+// where spec → N1QL (positional params me values)
+export function compileWhere(where = {}, alias, params, depth = 0) {
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  const clauses = Object.entries(where).map(([field, condition]) => {
+    if (field === "$or" || field === "$and") {
+      const joined = condition.map((sub) => compileWhere(sub, alias, params, depth)).join(field === "$or" ? " OR " : " AND ");
+      return `(${joined})`;
+    }
+
+    const ref = fieldRef(alias, field);
+    if (condition === null) return `${ref} IS NOT VALUED`;
+    if (typeof condition !== "object" || Array.isArray(condition)) return `${ref} = ${param(condition)}`;
+
+    return Object.entries(condition).map(([op, arg]) => {
+      switch (op) {
+        case "$eq": return arg === null ? `${ref} IS NOT VALUED` : `${ref} = ${param(arg)}`;
+        case "$ne": return arg === null ? `${ref} IS VALUED` : `(${ref} IS NOT VALUED OR ${ref} != ${param(arg)})`;
+        case "$in": return `${ref} IN ${param(arg)}`;
+        case "$nin": return `${ref} NOT IN ${param(arg)}`;
+        case "$gt": return `${ref} > ${param(arg)}`;
+        case "$gte": return `${ref} >= ${param(arg)}`;
+        case "$lt": return `${ref} < ${param(arg)}`;
+        case "$lte": return `${ref} <= ${param(arg)}`;
+        case "$exists": return arg ? `${ref} IS NOT MISSING` : `${ref} IS MISSING`;
+        case "$contains": return `LOWER(${ref}) LIKE ${param(`%${String(arg).toLowerCase()}%`)}`;
+        case "$has": return `ARRAY_CONTAINS(${ref}, ${param(arg)})`;
+        case "$elemMatch": {
+          const item = `e${depth}`;
+          return `ANY ${item} IN ${ref} SATISFIES ${compileWhere(arg, item, params, depth + 1)} END`;
+        }
+        case "$notEmpty": return arg ? `ARRAY_LENGTH(${ref}) > 0` : `IFMISSINGORNULL(ARRAY_LENGTH(${ref}), 0) = 0`;
+        default: throw new Error(`Unknown query operator ${op}`);
+      }
+    }).join(" AND ");
+  });
+
+  return clauses.length ? clauses.join(" AND ") : "TRUE";
+}
+
+function compileQuery(name, select, { where, orderBy = [], offset, limit } = {}) {
+  const params = [];
+  let statement = `SELECT ${select} FROM ${keyspace(name)} d WHERE ${compileWhere(where, "d", params)}`;
+
+  if (orderBy.length) {
+    statement += ` ORDER BY ${orderBy.map(([field, direction = "asc"]) => `${fieldRef("d", field)} ${direction.toUpperCase()}`).join(", ")}`;
+  }
+  if (limit !== undefined) statement += ` LIMIT ${Number(limit)}`;
+  if (offset) statement += ` OFFSET ${Number(offset)}`;
+
+  return { statement, params };
+}
+
+// schema.js ki collection spec → CREATE INDEX statements (IF NOT EXISTS, dobara chalana safe)
+export function indexStatements(name, { indexes = [], primary = false } = {}) {
+  const statements = indexes.map(({ name: indexName, fields }) =>
+    `CREATE INDEX \`${indexName}\` IF NOT EXISTS ON ${keyspace(name)}(${fields.map((field) => `\`${field}\``).join(", ")})`);
+  if (primary) statements.unshift(`CREATE PRIMARY INDEX IF NOT EXISTS ON ${keyspace(name)}`);
+  return statements;
+}
+
+// Couchbase errors → apne errors
+function translate(err, id) {
+  if (err instanceof CbDocumentExistsError) return new DocumentExistsError(id);
+  if (err instanceof CbDocumentNotFoundError) return new DocumentNotFoundError(id);
+  if (err instanceof CbCasMismatchError) return new CasMismatchError(id);
+  return err;
+}
+
+async function run(name, select, spec) {
+  const { statement, params } = compileQuery(name, select, spec);
+  const end = dbQueryDuration.startTimer({ collection: name });
+  try {
+    const result = await getCluster().query(statement, { parameters: params });
+    end({ outcome: "success" });
+    return result.rows;
+  } catch (err) {
+    end({ outcome: "error" });
+    throw err;
+  }
+}
+
+export async function createCouchbaseBackend() {
+  await initDB();
+
+  function collection(name) {
+    const col = () => getCollection(name);
+
+    return {
+      async get(id) {
+        try {
+          const doc = await col().get(id);
+          return { content: doc.content, cas: doc.cas };
+        } catch (err) {
+          if (err instanceof CbDocumentNotFoundError) return null;
+          throw err;
+        }
+      },
+      async insert(id, doc, options = {}) {
+        try {
+          return await col().insert(id, doc, options);
+        } catch (err) {
+          throw translate(err, id);
+        }
+      },
+      async upsert(id, doc, options = {}) {
+        return col().upsert(id, doc, options);
+      },
+      async replace(id, doc, options = {}) {
+        try {
+          return await col().replace(id, doc, options);
+        } catch (err) {
+          throw translate(err, id);
+        }
+      },
+      async remove(id) {
+        try {
+          await col().remove(id);
+        } catch (err) {
+          throw translate(err, id);
+        }
+      },
+      find: (spec = {}) => run(name, spec.withId ? "META(d).id AS id, d.*" : "RAW d", spec),
+      findIds: (spec) => run(name, "RAW META(d).id", spec),
+      async count(where) {
+        const rows = await run(name, "RAW COUNT(*)", { where });
+        return rows[0] || 0;
+      },
+    };
+  }
+
+  return {
+    name: "couchbase",
+    collection,
+    // Collection na ho to banao, phir indexes — nayi collection bani to true
+    async ensureCollection(spec) {
+      let created = false;
+      try {
+        await getCluster().bucket(process.env.COUCHBASE_BUCKET).collections().createCollection(spec.name, process.env.COUCHBASE_SCOPE);
+        created = true;
+      } catch (err) {
+        if (!(err instanceof CbCollectionExistsError)) throw err;
+      }
+      for (const statement of indexStatements(spec.name, spec)) await getCluster().query(statement);
+      return created;
+    },
+    // Har service endpoint "ok" ho tab hi true
+    async ping() {
+      const report = await getCluster().ping();
+      return Object.values(report.services).flat().every((endpoint) => endpoint.state === "ok");
+    },
+    async close() {
+      await getCluster()?.close();
+    },
+  };
+}
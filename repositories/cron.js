@@ -0,0 +1,24 @@
+import { createRepository } from "./base.js";
+
+// Cron leader election (key = job name) — { lastSlot, owner, runId, lockedUntil }, jis instance ke paas lease woh chalaye
+export const cronLocks = createRepository("cronLocks");
+
+/**
+ * Cron run history (key = run id), expiry se khud saaf.
+ * @typedef {ReturnType<typeof createCronHistoryRepository>} CronHistoryRepository
+ */
+export function createCronHistoryRepository() {
+  const repo = createRepository("cronHistory");
+
+  return {
+    ...repo,
+
+    // Naye pehle
+    list: ({ job, offset = 0, limit = 30 } = {}) =>
+      repo.find({ where: { ...(job && { job }) }, orderBy: [["startedAt", "desc"]], offset, limit }),
+
+    countBy: ({ job } = {}) => repo.count({ ...(job && { job }) }),
+  };
+}
+
+export const cronHistory = createCronHistoryRepository();
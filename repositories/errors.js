@@ -0,0 +1,22 @@
+// Backend-neutral errors (Couchbase aur memory backend dono yehi throw karte hain)
+
+export class DocumentExistsError extends Error {
+  constructor(id) {
+    super(`DocumentExists: ${id}`);
+    this.name = "DocumentExistsError";
+  }
+}
+
+export class DocumentNotFoundError extends Error {
+  constructor(id) {
+    super(`DocumentNotFound: ${id}`);
+    this.name = "DocumentNotFoundError";
+  }
+}
+
+export class CasMismatchError extends Error {
+  constructor(id) {
+    super(`CasMismatch: ${id}`);
+    this.name = "CasMismatchError";
+  }
+}
@@ -0,0 +1,4 @@
+import { createRepository } from "./base.js";
+
+// Idempotency-Key records (key = user + route + header ka sha256), expiry se khud saaf
+export const idempotencyKeys = createRepository("idempotencyKeys");
@@ -0,0 +1,19 @@
+// Data-access layer — routes/cron yahin se collections use karte hain, raw N1QL nahi
+export { initBackend, getBackend, setBackend, isBackendReady } from "./backend.js";
+export { DocumentExistsError, DocumentNotFoundError, CasMismatchError } from "./errors.js";
+export { createRepository } from "./base.js";
+export { COLLECTIONS, ensureSchema } from "./schema.js";
+export { players, visiblePlayersWhere } from "./players.js";
+export { teams } from "./teams.js";
+export { matches } from "./matches.js";
+export { trophies } from "./trophies.js";
+export { trainers } from "./trainers.js";
+export { sellItems } from "./sellItems.js";
+export { inventories } from "./inventories.js";
+export { messages } from "./messages.js";
+export { ledger } from "./ledger.js";
+export { idempotencyKeys } from "./idempotencyKeys.js";
+export { jobs } from "./jobs.js";
+export { cronLocks, cronHistory } from "./cron.js";
+export { migrations } from "./migrations.js";
+export { sessions, oneTimeTokens, apiKeys, loginAttempts, rateLimits, twoFactor } from "./auth.js";
@@ -0,0 +1,17 @@
+import { createRepository } from "./base.js";
+
+/**
+ * Inventories collection (key = item id).
+ * @typedef {ReturnType<typeof createInventoriesRepository>} InventoriesRepository
+ */
+export function createInventoriesRepository() {
+  const repo = createRepository("inventories");
+
+  return {
+    ...repo,
+    search: (q) => repo.find({ where: { name: { $contains: q } }, limit: 20, withId: true }),
+    listAll: () => repo.find({}),
+  };
+}
+
+export const inventories = createInventoriesRepository();
@@ -0,0 +1,39 @@
+import { createRepository } from "./base.js";
+
+/**
+ * Background jobs queue (key = job id) — jobQueue.js workers yahan se uthate hain.
+ * @typedef {ReturnType<typeof createJobsRepository>} JobsRepository
+ */
+export function createJobsRepository() {
+  const repo = createRepository("jobs");
+
+  return {
+    ...repo,
+
+    // Chalne ke liye tayyar: queued (runAt aa gaya) ya running jis ka lease khatam (worker mar gaya)
+    findDueIds: (now = new Date().toISOString(), limit = 10) =>
+      repo.findIds({
+        where: {
+          $or: [
+            { status: "queued", runAt: { $lte: now } },
+            { status: "running", lockedUntil: { $lt: now } },
+          ],
+        },
+        orderBy: [["runAt", "asc"]],
+        limit,
+      }),
+
+    // Naye pehle (admin list)
+    list: ({ status, type, offset = 0, limit = 30 } = {}) =>
+      repo.find({
+        where: { ...(status && { status }), ...(type && { type }) },
+        orderBy: [["createdAt", "desc"]],
+        offset,
+        limit,
+      }),
+
+    countBy: ({ status, type } = {}) => repo.count({ ...(status && { status }), ...(type && { type }) }),
+  };
+}
+
+export const jobs = createJobsRepository();
@@ -0,0 +1,23 @@
+import { createRepository } from "./base.js";
+
+/**
+ * Points ledger (key = entry id) — har balance change ki ek entry, kabhi update nahi hoti.
+ * @typedef {ReturnType<typeof createLedgerRepository>} LedgerRepository
+ */
+export function createLedgerRepository() {
+  const repo = createRepository("ledger");
+
+  return {
+    ...repo,
+
+    // Naye pehle (seq player-wise barhta hai)
+    listByEmail: (email, { offset = 0, limit = 30 } = {}) =>
+      repo.find({ where: { email }, orderBy: [["seq", "desc"]], offset, limit }),
+
+    listAllByEmail: (email) => repo.find({ where: { email } }),
+
+    countByEmail: (email) => repo.count({ email }),
+  };
+}
+
+export const ledger = createLedgerRepository();
@@ -0,0 +1,37 @@
+import { createRepository } from "./base.js";
+
+/**
+ * Matches collection (key = match id).
+ * @typedef {ReturnType<typeof createMatchesRepository>} MatchesRepository
+ */
+export function createMatchesRepository() {
+  const repo = createRepository("matches");
+
+  return {
+    ...repo,
+
+    // Pending/cancelled challenges public list me nahi
+    listPublic: () => repo.find({ where: { status: { $nin: ["pending", "cancelled"] } } }),
+
+    // Status updater cron ke liye
+    findActive: () => repo.find({ where: { status: { $in: ["upcoming", "live"] } } }),
+
+    countFinal: () => repo.count({ status: "final" }),
+
+    // Player selected tha ya stats me hai
+    findByPlayer: (email) =>
+      repo.find({
+        where: {
+          $or: [
+            { myPlayers: { $has: email } },
+            { opponentPlayers: { $has: email } },
+            { myTeamStats: { $elemMatch: { playerId: email } } },
+            { oppTeamStats: { $elemMatch: { playerId: email } } },
+          ],
+        },
+        orderBy: [["startTime", "asc"]],
+      }),
+  };
+}
+
+export const matches = createMatchesRepository();
@@ -0,0 +1,158 @@
+import { DocumentExistsError, DocumentNotFoundError, CasMismatchError } from "./errors.js";
+
+// In-memory backend — Couchbase wala hi interface, taake app offline boot ho sake (dev/tests)
+
+// Docs JSON ki tarah store hote hain (undefined fields gayab, jaise DB me)
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+function getPath(doc, path) {
+  return path.split(".").reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+const compare = (value, arg, fn) => value !== undefined && value !== null && fn(value, arg);
+
+const OPERATORS = {
+  // null = missing ya null (N1QL "IS [NOT] VALUED" jaisa)
+  $eq: (value, arg) => (arg === null ? value == null : value === arg),
+  $ne: (value, arg) => (arg === null ? value != null : value !== arg),
+  $in: (value, arg) => arg.includes(value),
+  $nin: (value, arg) => value !== undefined && value !== null && !arg.includes(value),
+  $gt: (value, arg) => compare(value, arg, (a, b) => a > b),
+  $gte: (value, arg) => compare(value, arg, (a, b) => a >= b),
+  $lt: (value, arg) => compare(value, arg, (a, b) => a < b),
+  $lte: (value, arg) => compare(value, arg, (a, b) => a <= b),
+  $exists: (value, arg) => (value !== undefined) === arg,
+  $contains: (value, arg) => typeof value === "string" && value.toLowerCase().includes(String(arg).toLowerCase()),
+  $has: (value, arg) => Array.isArray(value) && value.includes(arg),
+  $elemMatch: (value, arg) => Array.isArray(value) && value.some((item) => matches(item, arg)),
+  $notEmpty: (value, arg) => (Array.isArray(value) && value.length > 0) === arg,
+};
+
+export function matches(doc, where = {}) {
+  return Object.entries(where).every(([field, condition]) => {
+    if (field === "$or") return condition.some((sub) => matches(doc, sub));
+    if (field === "$and") return condition.every((sub) => matches(doc, sub));
+
+    const value = getPath(doc, field);
+    if (condition === null) return value === undefined || value === null;
+    if (typeof condition !== "object" || Array.isArray(condition)) return value === condition;
+
+    return Object.entries(condition).every(([op, arg]) => {
+      if (!OPERATORS[op]) throw new Error(`Unknown query operator ${op}`);
+      return OPERATORS[op](value, arg);
+    });
+  });
+}
+
+// MISSING/null pehle, phir numbers/strings
+function sortValue(a, b) {
+  const aEmpty = a === undefined || a === null;
+  const bEmpty = b === undefined || b === null;
+  if (aEmpty || bEmpty) return aEmpty === bEmpty ? 0 : aEmpty ? -1 : 1;
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
+
+function applySpec(entries, { where, orderBy = [], offset = 0, limit } = {}) {
+  let rows = entries.filter(([, doc]) => matches(doc, where));
+
+  if (orderBy.length) {
+    rows = rows.sort(([, a], [, b]) => {
+      for (const [field, direction = "asc"] of orderBy) {
+        const result = sortValue(getPath(a, field), getPath(b, field));
+        if (result !== 0) return direction === "desc" ? -result : result;
+      }
+      return 0;
+    });
+  }
+
+  return rows.slice(offset, limit === undefined ? undefined : offset + limit);
+}
+
+export function createMemoryBackend() {
+  const collections = new Map();
+  let casCounter = 0;
+
+  function docsOf(name) {
+    if (!collections.has(name)) collections.set(name, new Map());
+    return collections.get(name);
+  }
+
+  function collection(name) {
+    const docs = docsOf(name);
+
+    // Expired docs (upsert { expiry }) khud gayab
+    const live = (id) => {
+      const entry = docs.get(id);
+      if (!entry) return null;
+      if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+        docs.delete(id);
+        return null;
+      }
+      return entry;
+    };
+
+    const write = (id, doc, { expiry } = {}) => {
+      const entry = {
+        value: clone(doc),
+        cas: ++casCounter,
+        expiresAt: expiry ? Date.now() + expiry * 1000 : null,
+      };
+      docs.set(id, entry);
+      return { cas: entry.cas };
+    };
+
+    const liveEntries = () => [...docs.keys()].map((id) => [id, live(id)?.value]).filter(([, doc]) => doc);
+
+    return {
+      async get(id) {
+        const entry = live(id);
+        return entry ? { content: clone(entry.value), cas: entry.cas } : null;
+      },
+      async insert(id, doc, options) {
+        if (live(id)) throw new DocumentExistsError(id);
+        return write(id, doc, options);
+      },
+      async upsert(id, doc, options) {
+        return write(id, doc, options);
+      },
+      async replace(id, doc, { cas, ...options } = {}) {
+        const entry = live(id);
+        if (!entry) throw new DocumentNotFoundError(id);
+        if (cas !== undefined && entry.cas !== cas) throw new CasMismatchError(id);
+        return write(id, doc, options);
+      },
+      async remove(id) {
+        if (!live(id)) throw new DocumentNotFoundError(id);
+        docs.delete(id);
+      },
+      async find(spec = {}) {
+        return applySpec(liveEntries(), spec).map(([id, doc]) => (spec.withId ? { id, ...clone(doc) } : clone(doc)));
+      },
+      async findIds(spec) {
+        return applySpec(liveEntries(), spec).map(([id]) => id);
+      },
+      async count(where) {
+        return applySpec(liveEntries(), { where }).length;
+      },
+    };
+  }
+
+  return {
+    name: "memory",
+    collection,
+    async ping() {
+      return true;
+    },
+    async close() { },
+    // Collections pehli write pe khud ban jati hain, indexes ki zaroorat nahi
+    async ensureCollection() {
+      return false;
+    },
+    // Tests ke darmiyan sab saaf
+    reset() {
+      collections.clear();
+    },
+  };
+}
@@ -0,0 +1,25 @@
+import { createRepository } from "./base.js";
+
+/**
+ * Team chat messages (key = message id).
+ * @typedef {ReturnType<typeof createMessagesRepository>} MessagesRepository
+ */
+export function createMessagesRepository() {
+  const repo = createRepository("messages");
+
+  return {
+    ...repo,
+
+    // Latest `limit` messages, oldest → newest
+    async findRecentByTeam(teamId, limit = 20) {
+      const rows = await repo.find({ where: { teamId }, orderBy: [["timestamp", "desc"]], limit });
+      return rows.reverse();
+    },
+
+    findIdsByTeamOldestFirst: (teamId) => repo.findIds({ where: { teamId }, orderBy: [["timestamp", "asc"]] }),
+
+    findBySender: (email) => repo.find({ where: { sender: email }, orderBy: [["timestamp", "asc"]] }),
+  };
+}
+
+export const messages = createMessagesRepository();
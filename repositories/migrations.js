@@ -0,0 +1,4 @@
+import { createRepository } from "./base.js";
+
+// Applied schema migrations (key = migration file ka naam) — { status: "running" | "applied", appliedAt, result }
+export const migrations = createRepository("migrations");
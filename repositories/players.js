@@ -0,0 +1,75 @@
+import { createRepository } from "./base.js";
+
+// Soft-deleted aur abhi suspended/banned players public lists me nahi aate
+export function visiblePlayersWhere(now = new Date().toISOString()) {
+  return {
+    deletedAt: { $exists: false },
+    $or: [{ suspension: { $exists: false } }, { "suspension.until": { $lt: now } }],
+  };
+}
+
+/**
+ * Players collection (key = email).
+ * @typedef {ReturnType<typeof createPlayersRepository>} PlayersRepository
+ */
+export function createPlayersRepository() {
+  const repo = createRepository("players");
+
+  return {
+    ...repo,
+
+    // Name/email/position me search (max 20)
+    search: (q) =>
+      repo.find({
+        where: {
+          $or: [{ name: { $contains: q } }, { email: { $contains: q } }, { position: { $contains: q } }],
+          ...visiblePlayersWhere(),
+        },
+        limit: 20,
+        withId: true,
+      }),
+
+    listVisible: ({ offset = 0, limit = 30 } = {}) =>
+      repo.find({ where: visiblePlayersWhere(), orderBy: [["name", "asc"]], offset, limit }),
+
+    listAllVisible: () => repo.find({ where: visiblePlayersWhere() }),
+
+    // Purane docs jin ki key email nahi
+    async findByEmailField(email) {
+      const [player] = await repo.find({ where: { email }, limit: 1 });
+      return player || null;
+    },
+
+    // Sab player keys (broadcast notifications)
+    listAllIds: () => repo.findIds({}),
+
+    async listEmails() {
+      const rows = await repo.find({ where: { email: { $ne: null } } });
+      return rows.map((p) => p.email);
+    },
+
+    // Broadcast fan-out: email order me pages (cursor = pichli page ka aakhri email)
+    async listEmailsAfter(cursor = "", limit = 100) {
+      const rows = await repo.find({ where: { email: { $gt: cursor } }, orderBy: [["email", "asc"]], limit });
+      return rows.map((p) => p.email);
+    },
+
+    countEmails: () => repo.count({ email: { $ne: null } }),
+
+    // Ledger reconciliation (deleted players bhi)
+    async listBalances() {
+      const rows = await repo.find({ where: { email: { $ne: null } } });
+      return rows.map((p) => ({ email: p.email, points: p.points }));
+    },
+
+    findWithNotifications: () => repo.find({ where: { notifications: { $notEmpty: true } }, withId: true }),
+
+    findIdsPendingPurge: (now = new Date().toISOString()) =>
+      repo.findIds({ where: { deletedAt: { $exists: true }, purgeAt: { $lte: now } } }),
+
+    findIdsWithExpiredSuspension: (now = new Date().toISOString()) =>
+      repo.findIds({ where: { "suspension.type": "suspend", "suspension.until": { $lte: now } } }),
+  };
+}
+
+export const players = createPlayersRepository();
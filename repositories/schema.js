@@ -0,0 +1,58 @@
+import { getBackend } from "./backend.js";
+import { logger } from "../logger.js";
+
+// Couchbase collections aur un ke N1QL indexes — naya cluster `npm run migrate` se tayyar hota hai
+// (runMigrations sab se pehle ensureSchema chalata hai, migrations ka record bhi ek collection hai).
+// indexes: [{ name, fields }] — repositories ki find/count queries ke hisaab se; primary: true = find({}) waghera.
+// Sirf key se parhi jane wali collections (loginAttempts, twoFactor, ...) ko index nahi chahiye.
+// Pehli 8 collections purane clusters pe pehle se hain, un ke indexes wahin manage hote hain.
+export const COLLECTIONS = [
+  { name: "players" },
+  { name: "teams" },
+  { name: "matches" },
+  { name: "trophies" },
+  { name: "trainers" },
+  { name: "sellItems" },
+  { name: "messages" },
+  { name: "inventories" },
+  {
+    name: "sessions",
+    indexes: [
+      { name: "idx_sessions_email", fields: ["email", "revokedAt", "expiresAt", "lastSeenAt"] },
+      { name: "idx_sessions_stale", fields: ["expiresAt", "revokedAt"] },
+    ],
+  },
+  {
+    name: "oneTimeTokens",
+    indexes: [
+      { name: "idx_one_time_tokens_unused", fields: ["purpose", "email", "usedAt"] },
+      { name: "idx_one_time_tokens_stale", fields: ["expiresAt", "usedAt"] },
+    ],
+  },
+  { name: "apiKeys", indexes: [{ name: "idx_api_keys_email", fields: ["email", "revokedAt", "createdAt"] }] },
+  { name: "loginAttempts" },
+  { name: "rateLimits" },
+  { name: "twoFactor" },
+  { name: "ledger", indexes: [{ name: "idx_ledger_email", fields: ["email", "seq"] }] },
+  { name: "idempotencyKeys" },
+  {
+    name: "jobs",
+    indexes: [
+      { name: "idx_jobs_due", fields: ["status", "runAt", "lockedUntil"] },
+      { name: "idx_jobs_list", fields: ["createdAt", "status", "type"] },
+    ],
+  },
+  { name: "cronLocks" },
+  { name: "cronHistory", indexes: [{ name: "idx_cron_history_job", fields: ["job", "startedAt"] }, { name: "idx_cron_history_started", fields: ["startedAt"] }] },
+  { name: "migrations", primary: true },
+];
+
+// ✅ Jo collection/index nahi woh bana do (dobara chalane pe kuch nahi badalta)
+export async function ensureSchema(collections = COLLECTIONS) {
+  const created = [];
+  for (const spec of collections) {
+    if (await getBackend().ensureCollection(spec)) created.push(spec.name);
+  }
+  if (created.length) logger.info("Collections created", { collections: created });
+  return created;
+}
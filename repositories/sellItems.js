@@ -0,0 +1,32 @@
+import { createRepository } from "./base.js";
+
+// active: false = owner suspended (purane docs me field hi nahi)
+const ACTIVE = { active: { $ne: false } };
+
+/**
+ * Sell items collection (key = item id).
+ * @typedef {ReturnType<typeof createSellItemsRepository>} SellItemsRepository
+ */
+export function createSellItemsRepository() {
+  const repo = createRepository("sellItems");
+
+  return {
+    ...repo,
+
+    search: (q) =>
+      repo.find({
+        where: { $or: [{ title: { $contains: q } }, { playerEmail: { $contains: q } }], ...ACTIVE },
+        limit: 20,
+        withId: true,
+      }),
+
+    listActive: ({ offset = 0, limit = 20 } = {}) => repo.find({ where: ACTIVE, offset, limit }),
+
+    findActiveBySeller: (email) => repo.find({ where: { playerEmail: email, ...ACTIVE } }),
+
+    // Inactive bhi (moderation, purge, export)
+    findBySeller: (email) => repo.find({ where: { playerEmail: email }, withId: true }),
+  };
+}
+
+export const sellItems = createSellItemsRepository();
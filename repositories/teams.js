@@ -0,0 +1,26 @@
+import { createRepository } from "./base.js";
+
+/**
+ * Teams collection (key = team id).
+ * @typedef {ReturnType<typeof createTeamsRepository>} TeamsRepository
+ */
+export function createTeamsRepository() {
+  const repo = createRepository("teams");
+
+  return {
+    ...repo,
+
+    search: (q) =>
+      repo.find({
+        where: { $or: [{ name: { $contains: q } }, { location: { $contains: q } }] },
+        limit: 20,
+        withId: true,
+      }),
+
+    listAll: () => repo.find({ orderBy: [["name", "asc"]], withId: true }),
+
+    findByCaptain: (email) => repo.find({ where: { captain: email } }),
+  };
+}
+
+export const teams = createTeamsRepository();
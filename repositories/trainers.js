@@ -0,0 +1,30 @@
+import { createRepository } from "./base.js";
+
+// Suspended owner ki trainer profile chupi rehti hai
+const VISIBLE = { status: { $ne: "suspended" } };
+
+/**
+ * Trainers collection (key = owner email).
+ * @typedef {ReturnType<typeof createTrainersRepository>} TrainersRepository
+ */
+export function createTrainersRepository() {
+  const repo = createRepository("trainers");
+
+  return {
+    ...repo,
+
+    search: (q) =>
+      repo.find({
+        where: {
+          $or: [{ name: { $contains: q } }, { title: { $contains: q } }, { description: { $contains: q } }],
+          ...VISIBLE,
+        },
+        limit: 20,
+        withId: true,
+      }),
+
+    listVisible: () => repo.find({ where: VISIBLE }),
+  };
+}
+
+export const trainers = createTrainersRepository();
@@ -0,0 +1,16 @@
+import { createRepository } from "./base.js";
+
+/**
+ * Trophies collection (key = trophy id).
+ * @typedef {ReturnType<typeof createTrophiesRepository>} TrophiesRepository
+ */
+export function createTrophiesRepository() {
+  const repo = createRepository("trophies");
+
+  return {
+    ...repo,
+    listAll: () => repo.find({}),
+  };
+}
+
+export const trophies = createTrophiesRepository();
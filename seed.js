@@ -0,0 +1,225 @@
+import bcrypt from "bcrypt";
+import { players, teams, trophies, matches, DocumentExistsError } from "./repositories/index.js";
+import { getDefaultStats } from "./playerDefaults.js";
+import { recordOpeningBalance } from "./points.js";
+import { logger } from "./logger.js";
+
+// Local development fixtures — do teams, un ke players, ek admin, trophies, aur ek khela hua + ek aane wala match.
+// Fixed ids/emails, is liye dobara chalao to jo pehle se hai woh skip (kuch overwrite nahi hota).
+// Sab accounts ka password SEED_PASSWORD (default "Password#123"), emails verified.
+
+export const SEED_PASSWORD = process.env.SEED_PASSWORD || "Password#123";
+
+const SQUADS = [
+  {
+    team: { id: "seed-team-lions", name: "Lahore Lions", location: "Lahore", foundedYear: 2019 },
+    players: [
+      { name: "Ali Khan", email: "ali.khan@example.com", position: "Forward", foot: "Right", captain: true },
+      { name: "Bilal Ahmed", email: "bilal.ahmed@example.com", position: "Midfielder", foot: "Left" },
+      { name: "Saad Malik", email: "saad.malik@example.com", position: "Midfielder", foot: "Right" },
+      { name: "Hamza Raza", email: "hamza.raza@example.com", position: "Defender", foot: "Right" },
+      { name: "Usman Tariq", email: "usman.tariq@example.com", position: "Defender", foot: "Left" },
+      { name: "Fahad Iqbal", email: "fahad.iqbal@example.com", position: "Goalkeeper", foot: "Right" },
+    ],
+  },
+  {
+    team: { id: "seed-team-tigers", name: "Karachi Tigers", location: "Karachi", foundedYear: 2021 },
+    players: [
+      { name: "Omar Sheikh", email: "omar.sheikh@example.com", position: "Forward", foot: "Left", captain: true },
+      { name: "Zain Abbas", email: "zain.abbas@example.com", position: "Midfielder", foot: "Right" },
+      { name: "Talha Noor", email: "talha.noor@example.com", position: "Midfielder", foot: "Right" },
+      { name: "Danish Ali", email: "danish.ali@example.com", position: "Defender", foot: "Right" },
+      { name: "Hassan Javed", email: "hassan.javed@example.com", position: "Defender", foot: "Left" },
+      { name: "Imran Butt", email: "imran.butt@example.com", position: "Goalkeeper", foot: "Right" },
+    ],
+  },
+];
+
+const ADMIN = { name: "Hub Admin", email: "admin@example.com", position: "Midfielder", foot: "Right", roles: ["admin"] };
+
+const TROPHIES = [
+  { id: "seed-trophy-weekend-cup", title: "Weekend Cup", fee: 400, distribution: { win: 70, lose: 30 }, bonuses: { goal: 10, assist: 5, motm: 20 } },
+  { id: "seed-trophy-friendly-shield", title: "Friendly Shield", fee: 100, distribution: { win: 50, lose: 50 }, bonuses: { motm: 10 } },
+];
+
+// Pichle hafte ka final match — Lions 3-1 Tigers
+const PLAYED_MATCH = {
+  id: "seed-match-played",
+  trophyId: "seed-trophy-friendly-shield",
+  daysFromNow: -7,
+  myTeamStats: [
+    { playerId: "ali.khan@example.com", goals: 2, assists: 0, yellowCards: 0, redCards: 0 },
+    { playerId: "bilal.ahmed@example.com", goals: 1, assists: 1, yellowCards: 0, redCards: 0 },
+    { playerId: "saad.malik@example.com", goals: 0, assists: 2, yellowCards: 1, redCards: 0 },
+    { playerId: "hamza.raza@example.com", goals: 0, assists: 0, yellowCards: 0, redCards: 0 },
+    { playerId: "fahad.iqbal@example.com", goals: 0, assists: 0, yellowCards: 0, redCards: 0 },
+  ],
+  oppTeamStats: [
+    { playerId: "omar.sheikh@example.com", goals: 1, assists: 0, yellowCards: 0, redCards: 0 },
+    { playerId: "zain.abbas@example.com", goals: 0, assists: 1, yellowCards: 0, redCards: 0 },
+    { playerId: "danish.ali@example.com", goals: 0, assists: 0, yellowCards: 1, redCards: 0 },
+    { playerId: "hassan.javed@example.com", goals: 0, assists: 0, yellowCards: 0, redCards: 0 },
+    { playerId: "imran.butt@example.com", goals: 0, assists: 0, yellowCards: 0, redCards: 0 },
+  ],
+  motm: "ali.khan@example.com",
+};
+
+// Agle hafte — Tigers ne Lions ko bulaya, abhi jawab nahi aaya
+const PENDING_MATCH = { id: "seed-match-pending", trophyId: "seed-trophy-weekend-cup", daysFromNow: 7 };
+
+const daysFromNow = (days, hour) => {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  date.setHours(hour, 0, 0, 0);
+  return date.toISOString();
+};
+
+const avatar = (name) => `https://placehold.co/256x256?text=${encodeURIComponent(name.split(" ").map((part) => part[0]).join(""))}`;
+
+// Pehle se ho to false
+async function insertOnce(repo, id, doc) {
+  try {
+    await repo.insert(id, doc);
+    return true;
+  } catch (err) {
+    if (err instanceof DocumentExistsError) return false;
+    throw err;
+  }
+}
+
+function buildPlayer({ name, email, position, foot, captain, roles }, teamId, passwordHash, index) {
+  const now = new Date().toISOString();
+  return {
+    name,
+    email,
+    password: passwordHash,
+    age: 20 + (index % 12),
+    mobileNumber: `0300${String(1000000 + index).slice(-7)}`,
+    location: teamId === "seed-team-tigers" ? "Karachi" : "Lahore",
+    position,
+    foot,
+    imageUrl: avatar(name),
+    imageFileId: null,
+    emailVerified: true,
+    emailVerifiedAt: now,
+    createdAt: now,
+    updatedAt: now,
+    ...getDefaultStats(position),
+    ...(roles && { roles }),
+    captain: Boolean(captain),
+    teams: teamId ? [teamId] : [],
+  };
+}
+
+// Khele gaye match ke stats player docs me (points/ledger ko haath nahi lagta, reconciliation saaf rahe)
+function applyPlayedMatch(player, stat, won, playedAt) {
+  player.matches += 1;
+  player.goals += stat.goals;
+  player.assists += stat.assists;
+  player.yellowCards += stat.yellowCards;
+  if (won) player.wins += 1;
+  else player.losses += 1;
+  if (PLAYED_MATCH.motm === player.email) {
+    player.achievements.push(`MOTM_${PLAYED_MATCH.id}`);
+    player.auraPoints = 100;
+  }
+  player.matchHistory.push({ date: playedAt, result: won ? "win" : "lose", overallPerformance: 55 + stat.goals * 5 + stat.assists * 3 });
+}
+
+// ✅ Fixtures daalo — { players, teams, trophies, matches } me naye bane docs ki ginti
+export async function seedDatabase() {
+  const created = { players: 0, teams: 0, trophies: 0, matches: 0 };
+  const passwordHash = await bcrypt.hash(SEED_PASSWORD, 10);
+  const playedAt = daysFromNow(PLAYED_MATCH.daysFromNow, 19);
+
+  const [lions, tigers] = SQUADS.map(({ team }) => team.id);
+  const statsByEmail = new Map([
+    ...PLAYED_MATCH.myTeamStats.map((stat) => [stat.playerId, { stat, won: true }]),
+    ...PLAYED_MATCH.oppTeamStats.map((stat) => [stat.playerId, { stat, won: false }]),
+  ]);
+
+  // Players
+  const everyone = [...SQUADS.flatMap(({ team, players: squad }) => squad.map((p) => [p, team.id])), [ADMIN, null]];
+  for (const [index, [fixture, teamId]] of everyone.entries()) {
+    const player = buildPlayer(fixture, teamId, passwordHash, index);
+    const played = statsByEmail.get(player.email);
+    if (played) applyPlayedMatch(player, played.stat, played.won, playedAt);
+
+    if (await insertOnce(players, player.email, player)) {
+      await recordOpeningBalance(player.email, player.points);
+      created.players += 1;
+    }
+  }
+
+  // Teams
+  for (const { team, players: squad } of SQUADS) {
+    const won = team.id === lions;
+    const now = new Date().toISOString();
+    const doc = {
+      ...team,
+      captain: squad.find((p) => p.captain).email,
+      logoUrl: avatar(team.name),
+      logoFileId: null,
+      matchesPlayed: 1,
+      wins: won ? 1 : 0,
+      losses: won ? 0 : 1,
+      draws: 0,
+      ratingAvg: won ? 4.5 : 3.5,
+      ratingCount: 1,
+      teamPlayers: squad.map((p) => p.email),
+      requests: [],
+      achievements: won ? [PLAYED_MATCH.trophyId] : [],
+      createdAt: now,
+      updatedAt: now,
+    };
+    if (await insertOnce(teams, team.id, doc)) created.teams += 1;
+  }
+
+  // Trophies
+  for (const trophy of TROPHIES) {
+    const doc = { ...trophy, icon: avatar(trophy.title), iconFileId: null, createdAt: new Date().toISOString() };
+    if (await insertOnce(trophies, trophy.id, doc)) created.trophies += 1;
+  }
+
+  // Matches
+  const myGoals = PLAYED_MATCH.myTeamStats.reduce((sum, s) => sum + s.goals, 0);
+  const oppGoals = PLAYED_MATCH.oppTeamStats.reduce((sum, s) => sum + s.goals, 0);
+  const fixtures = [
+    {
+      id: PLAYED_MATCH.id,
+      trophyId: PLAYED_MATCH.trophyId,
+      myTeamId: lions,
+      opponentTeamId: tigers,
+      myPlayers: PLAYED_MATCH.myTeamStats.map((s) => s.playerId),
+      opponentPlayers: PLAYED_MATCH.oppTeamStats.map((s) => s.playerId),
+      location: { name: "Model Town Ground, Lahore" },
+      startTime: playedAt,
+      endTime: daysFromNow(PLAYED_MATCH.daysFromNow, 21),
+      status: "final",
+      myTeamStats: PLAYED_MATCH.myTeamStats,
+      oppTeamStats: PLAYED_MATCH.oppTeamStats,
+      myTeamSubmitted: true,
+      oppTeamSubmitted: true,
+      result: { myGoals, oppGoals, winner: lions, motm: PLAYED_MATCH.motm },
+    },
+    {
+      id: PENDING_MATCH.id,
+      trophyId: PENDING_MATCH.trophyId,
+      myTeamId: tigers,
+      opponentTeamId: lions,
+      myPlayers: SQUADS[1].players.map((p) => p.email),
+      opponentPlayers: [],
+      location: { name: "KMC Stadium, Karachi" },
+      startTime: daysFromNow(PENDING_MATCH.daysFromNow, 18),
+      endTime: daysFromNow(PENDING_MATCH.daysFromNow, 20),
+      status: "pending",
+    },
+  ];
+  for (const match of fixtures) {
+    const now = new Date().toISOString();
+    if (await insertOnce(matches, match.id, { ...match, createdAt: now, updatedAt: now })) created.matches += 1;
+  }
+
+  logger.info("Seed finished", { created });
+  return created;
+}
@@ -0,0 +1,157 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { v4 as uuidv4 } from "uuid";
+import { sessions } from "./repositories/index.js";
+
+// Access token short rakha hai, refresh token se naya milta hai
+export const ACCESS_TOKEN_TTL_MINUTES = Number(process.env.ACCESS_TOKEN_TTL_MINUTES) || 15;
+export const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// lastSeenAt har request pe nahi likhte, sirf itne time baad
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+function hashSecret(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+// "Chrome on Windows" jaisa short label
+export function describeDevice(userAgent = "") {
+  if (!userAgent) return "Unknown device";
+
+  const browsers = [["Edg/", "Edge"], ["OPR/", "Opera"], ["Chrome/", "Chrome"], ["Firefox/", "Firefox"], ["Safari/", "Safari"]];
+  const systems = [["Android", "Android"], ["iPhone", "iOS"], ["iPad", "iOS"], ["Windows", "Windows"], ["Mac OS", "macOS"], ["Linux", "Linux"]];
+
+  const browser = browsers.find(([needle]) => userAgent.includes(needle))?.[1];
+  const os = systems.find(([needle]) => userAgent.includes(needle))?.[1];
+
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || userAgent.slice(0, 60);
+}
+
+function signAccessToken(session, role) {
+  return jwt.sign(
+    { email: session.email, role, sid: session.id },
+    process.env.SECRET_KEY,
+    { expiresIn: `${ACCESS_TOKEN_TTL_MINUTES}m` }
+  );
+}
+
+// Refresh token = "<sessionId>.<secret>", DB me sirf secret ka hash
+function newRefreshSecret() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+function isActive(session) {
+  return session && !session.revokedAt && new Date(session.expiresAt).getTime() > Date.now();
+}
+
+// ✅ Login pe nayi session
+export async function createSession({ email, role, userAgent, ip }) {
+  const secret = newRefreshSecret();
+  const now = new Date();
+
+  const session = {
+    id: uuidv4(),
+    email,
+    refreshTokenHash: hashSecret(secret),
+    device: describeDevice(userAgent),
+    userAgent: userAgent || "",
+    ip: ip || "",
+    createdAt: now.toISOString(),
+    lastSeenAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+    revokedAt: null,
+  };
+
+  await sessions.insert(session.id, session);
+
+  return {
+    session,
+    accessToken: signAccessToken(session, role),
+    refreshToken: `${session.id}.${secret}`,
+  };
+}
+
+// ✅ Refresh token rotate karo (purana token dobara use hua to session revoke)
+export async function rotateSession(refreshToken, { role, userAgent, ip } = {}) {
+  const [sessionId, secret] = String(refreshToken || "").split(".");
+  if (!sessionId || !secret) return null;
+
+  const session = await sessions.get(sessionId);
+  if (!isActive(session)) return null;
+
+  if (session.refreshTokenHash !== hashSecret(secret)) {
+    // Reuse detected: kisi aur ke paas purana token hai
+    session.revokedAt = new Date().toISOString();
+    session.revokedReason = "refresh-token-reuse";
+    await sessions.upsert(session.id, session);
+    return null;
+  }
+
+  const nextSecret = newRefreshSecret();
+  session.refreshTokenHash = hashSecret(nextSecret);
+  session.lastSeenAt = new Date().toISOString();
+  if (userAgent) {
+    session.userAgent = userAgent;
+    session.device = describeDevice(userAgent);
+  }
+  if (ip) session.ip = ip;
+
+  await sessions.upsert(session.id, session);
+
+  return {
+    session,
+    accessToken: signAccessToken(session, role),
+    refreshToken: `${session.id}.${nextSecret}`,
+  };
+}
+
+// ✅ Active session (revoked/expired ho to null)
+export async function getActiveSession(sessionId) {
+  if (!sessionId) return null;
+  const session = await sessions.get(sessionId);
+  return isActive(session) ? session : null;
+}
+
+export async function touchSession(session) {
+  if (Date.now() - new Date(session.lastSeenAt).getTime() < TOUCH_INTERVAL_MS) return;
+  session.lastSeenAt = new Date().toISOString();
+  await sessions.upsert(session.id, session);
+}
+
+// ✅ Player ki saari active sessions
+export async function listSessions(email) {
+  return sessions.findActiveByEmail(email);
+}
+
+export async function revokeSession(sessionId, reason = "logout") {
+  const session = await sessions.get(sessionId);
+  if (!session || session.revokedAt) return false;
+
+  session.revokedAt = new Date().toISOString();
+  session.revokedReason = reason;
+  await sessions.upsert(session.id, session);
+  return true;
+}
+
+// ✅ Saari sessions revoke (exceptId wali chhor ke)
+export async function revokeAllSessions(email, { exceptId = null, reason = "revoke-all" } = {}) {
+  const active = await listSessions(email);
+  let count = 0;
+  for (const session of active) {
+    if (session.id === exceptId) continue;
+    if (await revokeSession(session.id, reason)) count++;
+  }
+  return count;
+}
+
+// 🧹 Purani expired/revoked sessions hatao
+export async function purgeStaleSessions(olderThanDays = 7) {
+  const cutoff = new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000).toISOString();
+  const ids = await sessions.findStaleIds(cutoff);
+
+  for (const id of ids) {
+    await sessions.remove(id);
+  }
+  return ids.length;
+}
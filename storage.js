@@ -0,0 +1,119 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import ImageKit from "imagekit";
+import dotenv from "dotenv";
+import { storageUploadFailures } from "./metrics.js";
+
+dotenv.config();
+
+// Media storage adapters: "imagekit" (production) ya "local" (dev/CI, koi bahar ki service nahi)
+// Har adapter: upload({ file, fileName, mimetype }) → { url, fileId, path }, delete(fileId), url(path)
+
+function imagekitAdapter() {
+  // Client pehli upload pe banta hai, import pe nahi
+  let client;
+  const getClient = () => {
+    if (!client) {
+      client = new ImageKit({
+        publicKey: process.env.IMAGEKIT_PUBLIC_KEY,
+        privateKey: process.env.IMAGEKIT_PRIVATE_KEY,
+        urlEndpoint: process.env.IMAGEKIT_URL_ENDPOINT,
+      });
+    }
+    return client;
+  };
+
+  return {
+    name: "imagekit",
+    async upload({ file, fileName }) {
+      const uploaded = await getClient().upload({ file, fileName });
+      return { url: uploaded.url, fileId: uploaded.fileId, path: uploaded.filePath };
+    },
+    async delete(fileId) {
+      await getClient().deleteFile(fileId);
+    },
+    url(filePath) {
+      return getClient().url({ path: filePath });
+    },
+  };
+}
+
+// Extension validated mimetype se — user ka diya ".html"/".svg" app origin se active content ban ke serve na ho
+const EXTENSIONS = {
+  "image/jpeg": ".jpg",
+  "image/jpg": ".jpg",
+  "image/png": ".png",
+  "image/webp": ".webp",
+};
+
+// express.static ke liye — browser type guess na kare, file me script ho bhi to na chale
+export function setMediaHeaders(res) {
+  res.set({
+    "X-Content-Type-Options": "nosniff",
+    "Content-Security-Policy": "default-src 'none'; sandbox",
+  });
+}
+
+// Files disk pe, express.static se `publicPath` pe serve hoti hain
+function localAdapter({
+  dir = process.env.UPLOAD_DIR || "./uploads",
+  publicPath = "/uploads",
+  baseUrl = process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}`,
+} = {}) {
+  const root = path.resolve(dir);
+
+  // fileId sirf naam hota hai, "../" wagaira se bahar na ja sake
+  const resolve = (fileId) => path.join(root, path.basename(String(fileId)));
+
+  return {
+    name: "local",
+    dir: root,
+    publicPath,
+    async upload({ file, fileName, mimetype }) {
+      await fs.mkdir(root, { recursive: true });
+      const baseName = path.parse(path.basename(fileName || "file")).name.replace(/[^a-zA-Z0-9_-]/g, "_") || "file";
+      const fileId = `${Date.now()}_${crypto.randomBytes(4).toString("hex")}_${baseName}${EXTENSIONS[mimetype] || ".bin"}`;
+      await fs.writeFile(resolve(fileId), file);
+      return { url: this.url(fileId), fileId, path: fileId };
+    },
+    async delete(fileId) {
+      await fs.unlink(resolve(fileId)).catch((err) => {
+        if (err.code !== "ENOENT") throw err;
+      });
+    },
+    url(fileId) {
+      return `${baseUrl}${publicPath}/${encodeURIComponent(path.basename(String(fileId)))}`;
+    },
+  };
+}
+
+export function createStorageAdapter(driver = process.env.STORAGE_DRIVER || "imagekit", options) {
+  if (driver === "local") return localAdapter(options);
+  return imagekitAdapter();
+}
+
+let adapter = createStorageAdapter();
+
+// Tests/scripts apna adapter laga sakte hain
+export function setStorageAdapter(custom) {
+  adapter = custom;
+}
+
+export function getStorageAdapter() {
+  return adapter;
+}
+
+// Routes sirf isko use karte hain
+export const storage = {
+  async upload(args) {
+    try {
+      return await adapter.upload(args);
+    } catch (err) {
+      storageUploadFailures.inc({ adapter: adapter.name });
+      throw err;
+    }
+  },
+  delete: (fileId) => adapter.delete(fileId),
+  url: (filePath) => adapter.url(filePath),
+};
@@ -0,0 +1,393 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import {
+  startServer,
+  stopServer,
+  resetState,
+  api,
+  imageForm,
+  tokenFromMail,
+  outbox,
+  uploads,
+  createPlayer,
+} from "./helpers.js";
+import { players } from "../repositories/index.js";
+import { setAttemptStore, createMemoryStore } from "../loginThrottle.js";
+import { generateCode } from "../totp.js";
+
+describe("signup & login", () => {
+  before(async () => {
+    resetState();
+    await startServer();
+  });
+  after(stopServer);
+
+  const fields = {
+    name: "Ali Khan",
+    email: "ali@example.com",
+    password: "Secret#123",
+    position: "Forward",
+    age: 24,
+    mobileNumber: "03001234567",
+    location: "Lahore",
+    foot: "Right",
+  };
+
+  it("creates an unverified player with default stats and uploads the image", async () => {
+    const res = await api("POST", "/signup", { body: imageForm(fields) });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.player.emailVerified, false);
+    assert.match(res.body.player.imageUrl, /^https:\/\/media\.test\//);
+    assert.equal(uploads.size, 1);
+    assert.equal(outbox.length, 1);
+    assert.equal(outbox[0].to, fields.email);
+  });
+
+  it("rejects a duplicate email", async () => {
+    const res = await api("POST", "/signup", { body: imageForm(fields) });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "Email already registered");
+  });
+
+  it("blocks verified-only routes until the email link is used", async () => {
+    const login = await api("POST", "/login", { body: { email: fields.email, password: fields.password } });
+    assert.equal(login.status, 200);
+    const token = login.body.token;
+
+    const blocked = await api("POST", "/match", { token, body: {} });
+    assert.equal(blocked.status, 403);
+
+    const verify = await api("POST", "/verify-email", { body: { token: tokenFromMail(outbox[0]) } });
+    assert.equal(verify.status, 200);
+
+    // Link sirf ek dafa chalta hai
+    const reused = await api("POST", "/verify-email", { body: { token: tokenFromMail(outbox[0]) } });
+    assert.equal(reused.status, 400);
+  });
+
+  it("logs in and returns the profile with starting points", async () => {
+    const login = await api("POST", "/login", { body: { email: fields.email, password: fields.password } });
+    assert.equal(login.status, 200);
+    assert.equal(login.body.data.password, undefined);
+
+    const profile = await api("GET", "/profile", { token: login.body.token });
+    assert.equal(profile.status, 200);
+    assert.equal(profile.body.data.emailVerified, true);
+    assert.equal(profile.body.data.points, 500);
+    assert.equal(profile.body.data.shooting, 70);
+  });
+
+  it("rejects a wrong password and backs off the next attempt", async () => {
+    const res = await api("POST", "/login", { body: { email: fields.email, password: "nope" } });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "Invalid email or password");
+
+    const retry = await api("POST", "/login", { body: { email: fields.email, password: fields.password } });
+    assert.equal(retry.status, 429);
+  });
+
+  it("rejects requests without a session", async () => {
+    const res = await api("GET", "/profile");
+
+    assert.equal(res.status, 401);
+  });
+});
+
+describe("profile deletion", () => {
+  before(async () => {
+    resetState();
+    // Upar wale wrong-password test ka IP backoff yahan na lage
+    setAttemptStore(createMemoryStore());
+    await startServer();
+  });
+  after(stopServer);
+
+  const credentials = (email) => ({ email, password: "Secret#123" });
+
+  it("restores a deleted profile within the grace period", async () => {
+    const omar = await createPlayer({ name: "Omar", email: "omar@example.com", position: "Forward" });
+
+    const del = await api("POST", "/del-profile", { token: omar.token });
+    assert.equal(del.status, 200);
+    assert.ok(del.body.data.purgeAt > new Date().toISOString());
+
+    const blocked = await api("POST", "/login", { body: credentials(omar.email) });
+    assert.equal(blocked.status, 403);
+
+    const restore = await api("POST", "/restore-profile", { body: credentials(omar.email) });
+    assert.equal(restore.status, 200);
+
+    const login = await api("POST", "/login", { body: credentials(omar.email) });
+    assert.equal(login.status, 200);
+  });
+
+  it("refuses to restore once the grace period has ended, even before the purge runs", async () => {
+    const sara = await createPlayer({ name: "Sara", email: "sara@example.com", position: "Defender" });
+    await api("POST", "/del-profile", { token: sara.token });
+    await players.update(sara.email, (player) => ({ ...player, purgeAt: new Date(Date.now() - 1000).toISOString() }));
+
+    const restore = await api("POST", "/restore-profile", { body: credentials(sara.email) });
+
+    assert.equal(restore.status, 410);
+    assert.ok((await players.get(sara.email)).deletedAt);
+  });
+});
+
+// Har describe apna throttle store — pichle wrong-password/code tests ka IP backoff na lage
+function freshServer() {
+  resetState();
+  setAttemptStore(createMemoryStore());
+  return startServer();
+}
+
+const login = (email, password = "Secret#123") => api("POST", "/login", { body: { email, password } });
+
+describe("refresh tokens", () => {
+  before(freshServer);
+  after(stopServer);
+
+  it("rotates the refresh token and keeps the session usable", async () => {
+    await createPlayer({ name: "Ali", email: "ali@example.com", position: "Forward" });
+    const { body } = await login("ali@example.com");
+
+    const res = await api("POST", "/refresh", { body: { refreshToken: body.refreshToken } });
+
+    assert.equal(res.status, 200);
+    assert.notEqual(res.body.refreshToken, body.refreshToken);
+    assert.equal((await api("GET", "/profile", { token: res.body.token })).status, 200);
+
+    const again = await api("POST", "/refresh", { body: { refreshToken: res.body.refreshToken } });
+    assert.equal(again.status, 200);
+  });
+
+  it("revokes the whole session when an old refresh token is reused", async () => {
+    await createPlayer({ name: "Bilal", email: "bilal@example.com", position: "Midfielder" });
+    const { body } = await login("bilal@example.com");
+    const rotated = (await api("POST", "/refresh", { body: { refreshToken: body.refreshToken } })).body;
+
+    const reuse = await api("POST", "/refresh", { body: { refreshToken: body.refreshToken } });
+    assert.equal(reuse.status, 401);
+
+    // Naya token bhi ab kaam nahi karta — session hi revoke ho gayi
+    assert.equal((await api("POST", "/refresh", { body: { refreshToken: rotated.refreshToken } })).status, 401);
+    const profile = await api("GET", "/profile", { token: rotated.token });
+    assert.equal(profile.status, 401);
+    assert.equal(profile.body.error, "Session revoked, please login again");
+  });
+});
+
+describe("password reset", () => {
+  before(freshServer);
+  after(stopServer);
+
+  it("mails a single-use link that sets the new password and logs out every device", async () => {
+    const sara = await createPlayer({ name: "Sara", email: "sara@example.com", position: "Defender" });
+
+    const request = await api("POST", "/password-reset/request", { body: { email: sara.email } });
+    assert.equal(request.status, 200);
+    const mail = outbox.at(-1);
+    assert.equal(mail.to, sara.email);
+
+    const confirm = await api("POST", "/password-reset/confirm", { body: { token: tokenFromMail(mail), password: "NewSecret#456" } });
+    assert.equal(confirm.status, 200);
+
+    assert.equal((await api("GET", "/profile", { token: sara.token })).status, 401);
+    assert.equal((await login(sara.email, "NewSecret#456")).status, 200);
+    assert.equal((await login(sara.email)).status, 400);
+
+    const reused = await api("POST", "/password-reset/confirm", { body: { token: tokenFromMail(mail), password: "Other#789" } });
+    assert.equal(reused.status, 400);
+    assert.equal(reused.body.message, "Reset link is invalid or has expired");
+  });
+
+  it("answers the same for unknown emails without sending mail, and rejects made-up tokens", async () => {
+    const sent = outbox.length;
+
+    const request = await api("POST", "/password-reset/request", { body: { email: "nobody@example.com" } });
+    assert.equal(request.status, 200);
+    assert.equal(request.body.message, "If that email is registered, a reset link has been sent.");
+    assert.equal(outbox.length, sent);
+
+    const confirm = await api("POST", "/password-reset/confirm", { body: { token: "not-a-real-token", password: "NewSecret#456" } });
+    assert.equal(confirm.status, 400);
+  });
+});
+
+describe("two-factor auth", () => {
+  let umar, secret, recoveryCodes;
+
+  before(async () => {
+    await freshServer();
+    umar = await createPlayer({ name: "Umar", email: "umar@example.com", position: "Goalkeeper" });
+  });
+  after(stopServer);
+
+  it("enrolls with a code from the authenticator app", async () => {
+    const setup = await api("POST", "/2fa/setup", { token: umar.token });
+    assert.equal(setup.status, 200);
+    secret = setup.body.data.secret;
+    assert.match(setup.body.data.otpauthUri, /^otpauth:\/\/totp\//);
+
+    const wrong = await api("POST", "/2fa/confirm", { token: umar.token, body: { code: "000000" } });
+    assert.equal(wrong.status, 400);
+
+    const confirm = await api("POST", "/2fa/confirm", { token: umar.token, body: { code: generateCode(secret) } });
+    assert.equal(confirm.status, 200);
+    recoveryCodes = confirm.body.data.recoveryCodes;
+    assert.equal(recoveryCodes.length, 10);
+    assert.equal((await players.get(umar.email)).twoFactorEnabled, true);
+  });
+
+  it("asks for the code at login and accepts a fresh one or a recovery code once", async () => {
+    const first = await login(umar.email);
+    assert.equal(first.body.twoFactorRequired, true);
+    assert.equal(first.body.token, undefined);
+
+    // Confirm wala step dobara nahi chalta, agla step chahiye
+    const code = generateCode(secret, Date.now() + 30 * 1000);
+    const res = await api("POST", "/login/2fa", { body: { challengeToken: first.body.challengeToken, code } });
+    assert.equal(res.status, 200);
+    assert.equal((await api("GET", "/profile", { token: res.body.token })).status, 200);
+
+    const second = await login(umar.email);
+    const recovery = await api("POST", "/login/2fa", { body: { challengeToken: second.body.challengeToken, recoveryCode: recoveryCodes[0] } });
+    assert.equal(recovery.status, 200);
+  });
+
+  it("rejects a wrong or spent code and a forged challenge", async () => {
+    const { body } = await login(umar.email);
+
+    const wrong = await api("POST", "/login/2fa", { body: { challengeToken: body.challengeToken, code: "000000" } });
+    assert.equal(wrong.status, 400);
+    assert.equal(wrong.body.error, "Invalid two-factor code");
+
+    // Pichle test ka backoff hatao, phir istemal shuda recovery code
+    setAttemptStore(createMemoryStore());
+    const spent = await api("POST", "/login/2fa", { body: { challengeToken: body.challengeToken, recoveryCode: recoveryCodes[0] } });
+    assert.equal(spent.status, 400);
+
+    setAttemptStore(createMemoryStore());
+    const forged = await api("POST", "/login/2fa", { body: { challengeToken: "not.a.jwt", code: generateCode(secret) } });
+    assert.equal(forged.status, 401);
+  });
+});
+
+describe("API keys", () => {
+  let hina, zain;
+
+  before(async () => {
+    await freshServer();
+    hina = await createPlayer({ name: "Hina", email: "hina@example.com", position: "Forward" });
+    zain = await createPlayer({ name: "Zain", email: "zain@example.com", position: "Defender" });
+  });
+  after(stopServer);
+
+  const bearer = (key) => ({ authorization: `Bearer ${key}` });
+
+  it("creates a key that works until it is revoked", async () => {
+    const created = await api("POST", "/api-keys", { token: hina.token, body: { name: "Club bot" } });
+    assert.equal(created.status, 201);
+    assert.match(created.body.data.key, /^fh_/);
+    assert.equal(created.body.data.secretHash, undefined);
+
+    const profile = await api("GET", "/profile", { headers: bearer(created.body.data.key) });
+    assert.equal(profile.status, 200);
+    assert.equal(profile.body.data.email, hina.email);
+
+    const revoke = await api("POST", `/del-api-keys/${created.body.data.id}`, { token: hina.token });
+    assert.equal(revoke.status, 200);
+
+    const revoked = await api("GET", "/profile", { headers: bearer(created.body.data.key) });
+    assert.equal(revoked.status, 401);
+    assert.equal(revoked.body.error, "Invalid API key");
+  });
+
+  it("keeps read-only keys off writes and session-only routes, and other players off my keys", async () => {
+    const { data } = (await api("POST", "/api-keys", { token: hina.token, body: { name: "Stats", readOnly: true } })).body;
+
+    const write = await api("POST", "/verify-email/resend", { headers: bearer(data.key) });
+    assert.equal(write.status, 403);
+    assert.equal(write.body.error, "This API key is read-only");
+
+    const sessionOnly = await api("POST", "/api-keys", { headers: bearer(data.key), body: { name: "Another" } });
+    assert.equal(sessionOnly.status, 403);
+
+    const notMine = await api("POST", `/del-api-keys/${data.id}`, { token: zain.token });
+    assert.equal(notMine.status, 404);
+    assert.equal((await api("GET", "/profile", { headers: bearer(data.key) })).status, 200);
+  });
+});
+
+describe("role checks", () => {
+  let admin, nida;
+
+  before(async () => {
+    await freshServer();
+    admin = await createPlayer({ name: "Admin", email: "admin@example.com", position: "Midfielder" });
+    nida = await createPlayer({ name: "Nida", email: "nida@example.com", position: "Forward" });
+    await players.update(admin.email, (player) => ({ ...player, roles: ["admin"] }));
+  });
+  after(stopServer);
+
+  it("lets an admin grant a role that adds its permissions", async () => {
+    const grant = await api("POST", `/players/${nida.email}/roles`, { token: admin.token, body: { role: "tournament-organizer" } });
+
+    assert.equal(grant.status, 200);
+    assert.deepEqual(grant.body.data.permissions, ["trophy:write"]);
+
+    const trophy = await api("POST", "/trophy", {
+      token: nida.token,
+      body: imageForm({ title: "Nida Cup", fee: 100, distribution: JSON.stringify({ win: 70, lose: 30 }), bonuses: "{}" }, "icon"),
+    });
+    assert.equal(trophy.status, 200);
+  });
+
+  it("refuses role routes without the permission and an admin dropping their own admin role", async () => {
+    const listed = await api("GET", "/roles", { token: nida.token });
+    assert.equal(listed.status, 403);
+    assert.equal(listed.body.error, "Permission required: role:write");
+
+    const selfGrant = await api("POST", `/players/${nida.email}/roles`, { token: nida.token, body: { role: "admin" } });
+    assert.equal(selfGrant.status, 403);
+    assert.deepEqual((await players.get(nida.email)).roles, ["tournament-organizer"]);
+
+    const selfRevoke = await api("POST", `/players/${admin.email}/del-roles/admin`, { token: admin.token });
+    assert.equal(selfRevoke.status, 400);
+  });
+});
+
+describe("data export", () => {
+  before(freshServer);
+  after(stopServer);
+
+  it("downloads my data without passwords, token hashes or key secrets", async () => {
+    const ayesha = await createPlayer({ name: "Ayesha", email: "ayesha@example.com", position: "Defender" });
+    await api("POST", "/api-keys", { token: ayesha.token, body: { name: "Bot" } });
+
+    const res = await api("GET", "/profile/export", { token: ayesha.token });
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-disposition"), /attachment; filename="footballhub-export-ayesha_example_com-/);
+    assert.equal(res.body.format, "footballhub-export/v1");
+    assert.equal(res.body.player.email, ayesha.email);
+    assert.equal(res.body.player.password, undefined);
+    assert.deepEqual(res.body.pointsLedger.map((entry) => entry.reason), ["signup"]);
+    assert.ok(res.body.security.sessions.length > 0);
+    assert.ok(res.body.security.sessions.every((session) => !("refreshTokenHash" in session)));
+    assert.equal(res.body.security.apiKeys.length, 1);
+    assert.equal(res.body.security.apiKeys[0].secretHash, undefined);
+  });
+
+  it("refuses without a session, including API keys", async () => {
+    const res = await api("GET", "/profile/export");
+    assert.equal(res.status, 401);
+
+    const bilal = await createPlayer({ name: "Bilal", email: "bilal@example.com", position: "Midfielder" });
+    const { key } = (await api("POST", "/api-keys", { token: bilal.token, body: { name: "Bot" } })).body.data;
+    const withKey = await api("GET", "/profile/export", { headers: { authorization: `Bearer ${key}` } });
+    assert.equal(withKey.status, 403);
+  });
+});
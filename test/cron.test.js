@@ -0,0 +1,126 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, stopServer, resetState, api, createPlayer } from "./helpers.js";
+import { players, cronLocks, cronHistory } from "../repositories/index.js";
+import { scheduleJob, runJob, INSTANCE_ID } from "../lifecycle.js";
+
+let runs = 0;
+let release = null;
+const counter = scheduleJob("test-counter", "0 0 1 1 *", async () => {
+  runs += 1;
+  if (release) await new Promise((resolve) => (release = resolve));
+});
+scheduleJob("test-broken", "0 0 1 1 *", async () => {
+  throw new Error("disk full");
+});
+
+// Ek instance ki scheduled run (node-cron wala rasta)
+const runSlot = async (slot) => (await counter.start({ slot }))?.done ?? null;
+
+async function waitForRun(id) {
+  for (let i = 0; i < 50; i++) {
+    const run = await cronHistory.get(id);
+    if (run?.outcome !== "running") return run;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error(`Run ${id} did not finish`);
+}
+
+describe("cron leader election", () => {
+  let admin, ali;
+
+  before(async () => {
+    resetState();
+    await startServer();
+
+    admin = await createPlayer({ name: "Admin", email: "admin@example.com", position: "Midfielder" });
+    ali = await createPlayer({ name: "Ali", email: "ali@example.com", position: "Forward" });
+    await players.update(admin.email, (player) => ({ ...player, roles: ["admin"] }));
+  });
+  after(stopServer);
+
+  it("runs a scheduled slot once when several instances fire together", async () => {
+    runs = 0;
+    const slot = "2026-01-01T10:00:00.000Z";
+
+    const results = await Promise.all([runSlot(slot), runSlot(slot), runSlot(slot)]);
+
+    assert.equal(runs, 1);
+    assert.equal(results.filter(Boolean).length, 1);
+
+    // Baad me pohancha instance bhi yeh slot dobara nahi chalata, agla slot chalta hai
+    assert.equal(await runSlot(slot), null);
+    assert.ok(await runSlot("2026-01-01T10:01:00.000Z"));
+    assert.equal(runs, 2);
+  });
+
+  it("skips while another instance holds the lease and takes over once it expires", async () => {
+    runs = 0;
+    await cronLocks.update("test-counter", (lock) => ({
+      ...lock,
+      owner: "other-host-42",
+      runId: "their-run",
+      lockedUntil: new Date(Date.now() + 60 * 1000).toISOString(),
+    }));
+
+    assert.equal(await runSlot("2026-01-01T10:02:00.000Z"), null);
+
+    // Woh instance mar gaya — lease khatam
+    await cronLocks.update("test-counter", (lock) => ({ ...lock, lockedUntil: new Date(Date.now() - 1000).toISOString() }));
+
+    const run = await runSlot("2026-01-01T10:03:00.000Z");
+    assert.equal(runs, 1);
+    assert.equal(run.instance, INSTANCE_ID);
+
+    const lock = await cronLocks.get("test-counter");
+    assert.equal(lock.owner, INSTANCE_ID);
+    assert.equal(lock.lockedUntil, null);
+  });
+
+  it("records run history with outcome and error", async () => {
+    const run = await runJob("test-broken", { triggeredBy: admin.email });
+
+    assert.equal(run.outcome, "failure");
+    assert.equal(run.error, "disk full");
+    assert.equal(run.trigger, "manual");
+
+    const stored = await cronHistory.get(run.id);
+    assert.equal(stored.outcome, "failure");
+    assert.ok(stored.durationMs >= 0);
+    assert.ok(stored.finishedAt);
+  });
+
+  it("lists recent runs for admins only", async () => {
+    const forbidden = await api("GET", "/cron/runs", { token: ali.token });
+    assert.equal(forbidden.status, 403);
+
+    const res = await api("GET", "/cron/runs?job=test-counter", { token: admin.token });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.runs.map((run) => run.scheduledFor), ["2026-01-01T10:03:00.000Z", "2026-01-01T10:01:00.000Z", "2026-01-01T10:00:00.000Z"]);
+    assert.ok(res.body.data.runs.every((run) => run.outcome === "success" && run.trigger === "schedule"));
+    assert.equal(res.body.data.pagination.total, 3);
+    assert.ok(res.body.data.jobs.some((job) => job.name === "match-status"));
+  });
+
+  it("lets admins trigger a job and refuses while it is running", async () => {
+    runs = 0;
+    release = () => { };
+
+    const res = await api("POST", "/cron/jobs/test-counter/run", { token: admin.token });
+    assert.equal(res.status, 202);
+    assert.equal(res.body.run.outcome, "running");
+    assert.equal(res.body.run.triggeredBy, admin.email);
+
+    const busy = await api("POST", "/cron/jobs/test-counter/run", { token: admin.token });
+    assert.equal(busy.status, 409);
+
+    release();
+    release = null;
+    const finished = await waitForRun(res.body.run.id);
+    assert.equal(finished.outcome, "success");
+    assert.equal(runs, 1);
+
+    const unknown = await api("POST", "/cron/jobs/nope/run", { token: admin.token });
+    assert.equal(unknown.status, 404);
+  });
+});
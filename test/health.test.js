@@ -0,0 +1,70 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, stopServer, resetState, api } from "./helpers.js";
+import { getBackend, setBackend } from "../repositories/index.js";
+
+describe("health & readiness", () => {
+  before(async () => {
+    resetState();
+    await startServer();
+  });
+  after(stopServer);
+
+  it("reports liveness with database and cron status", async () => {
+    const res = await api("GET", "/healthz");
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, "ok");
+    assert.equal(res.body.database.status, "up");
+    assert.equal(res.body.database.driver, "memory");
+    // Tests me cron start nahi hote, lekin registered hain
+    assert.deepEqual(res.body.cron.map((job) => job.name), [
+      "notification-cleanup",
+      "auth-cleanup",
+      "profile-purge",
+      "suspension-expiry",
+      "match-status",
+    ]);
+    assert.ok(res.body.cron.every((job) => job.status === "stopped" && !job.running));
+  });
+
+  it("is ready while the database answers", async () => {
+    const res = await api("GET", "/readyz");
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, "ready");
+  });
+
+  it("is not ready when the database ping fails", async (t) => {
+    t.mock.method(getBackend(), "ping", async () => {
+      throw new Error("connection refused");
+    });
+
+    const res = await api("GET", "/readyz");
+
+    assert.equal(res.status, 503);
+    assert.equal(res.body.status, "database_unavailable");
+    assert.equal(res.body.database.error, "connection refused");
+
+    // Liveness phir bhi ok
+    assert.equal((await api("GET", "/healthz")).status, 200);
+  });
+
+  it("serves probes and 503s other routes until the database is connected", async (t) => {
+    // Server DB se pehle listen karta hai — backend abhi nahi
+    const backend = getBackend();
+    setBackend(null);
+    t.after(() => setBackend(backend));
+
+    const ready = await api("GET", "/readyz");
+    assert.equal(ready.status, 503);
+    assert.equal(ready.body.status, "database_unavailable");
+    assert.equal(ready.body.database.status, "down");
+
+    assert.equal((await api("GET", "/healthz")).status, 200);
+
+    const players = await api("GET", "/players");
+    assert.equal(players.status, 503);
+    assert.equal(players.headers.get("retry-after"), "5");
+  });
+});
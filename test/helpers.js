@@ -0,0 +1,112 @@
+// E2E test harness: app in-process, Couchbase ki jagah memory backend, ImageKit/mail ki jagah stand-ins
+process.env.DB_DRIVER = "memory";
+process.env.LOGIN_ATTEMPT_STORE = "memory";
+process.env.SECRET_KEY = process.env.SECRET_KEY || "test-secret";
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "silent";
+
+const { setStorageAdapter } = await import("../storage.js");
+const { setTransport } = await import("../mailer.js");
+const { getBackend, initBackend } = await import("../repositories/index.js");
+const { getRateLimitStore } = await import("../rateLimit.js");
+const { app } = await import("../index.js");
+// `node index.js` listen ke baad DB connect karta hai; tests me pehle hi
+await initBackend();
+
+// ImageKit stand-in (files memory me)
+export const uploads = new Map();
+setStorageAdapter({
+  name: "test",
+  async upload({ file, fileName }) {
+    const fileId = `file_${uploads.size + 1}`;
+    uploads.set(fileId, { file, fileName });
+    return { url: `https://media.test/${fileId}`, fileId, path: fileId };
+  },
+  async delete(fileId) {
+    uploads.delete(fileId);
+  },
+  url: (filePath) => `https://media.test/${filePath}`,
+});
+
+// Mail stand-in (outbox se verification links)
+export const outbox = [];
+setTransport({
+  name: "test",
+  async send(mail) {
+    outbox.push(mail);
+    return { id: `test-${outbox.length}` };
+  },
+});
+
+let server;
+let baseUrl;
+
+export async function startServer() {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+}
+
+export async function stopServer() {
+  await new Promise((resolve) => server.close(resolve));
+}
+
+// Har test file apne saaf data se shuru ho
+export function resetState() {
+  getBackend().reset();
+  getRateLimitStore().reset();
+  uploads.clear();
+  outbox.length = 0;
+}
+
+// HTTP call: JSON body ya FormData, cookie = login token (non-JSON response body text me)
+export async function api(method, pathname, { body, token, headers: extraHeaders } = {}) {
+  const headers = { ...extraHeaders };
+  if (token) headers.cookie = `token=${token}`;
+  if (body && !(body instanceof FormData)) headers["content-type"] = "application/json";
+
+  const res = await fetch(`${baseUrl}${pathname}`, {
+    method,
+    headers,
+    body: body instanceof FormData ? body : body && JSON.stringify(body),
+  });
+  const text = await res.text();
+  const isJson = res.headers.get("content-type")?.includes("application/json");
+  return { status: res.status, headers: res.headers, body: text ? (isJson ? JSON.parse(text) : text) : null };
+}
+
+export function imageForm(fields, fileField = "file") {
+  const form = new FormData();
+  for (const [key, value] of Object.entries(fields)) form.append(key, String(value));
+  form.append(fileField, new Blob([Buffer.from("fake-image")], { type: "image/png" }), "image.png");
+  return form;
+}
+
+export function tokenFromMail(mail) {
+  return new URL(mail.text.match(/https?:\/\/\S+/)[0]).searchParams.get("token");
+}
+
+// Signup → email verify → login, { email, token } wapas
+export async function createPlayer({ name, email, position, password = "Secret#123" }) {
+  const signup = await api("POST", "/signup", {
+    body: imageForm({ name, email, password, position, age: 24, mobileNumber: "03001234567", location: "Lahore", foot: "Right" }),
+  });
+  if (signup.status !== 201) throw new Error(`Signup failed for ${email}: ${JSON.stringify(signup.body)}`);
+
+  const mail = outbox.findLast((m) => m.to === email);
+  const verify = await api("POST", "/verify-email", { body: { token: tokenFromMail(mail) } });
+  if (verify.status !== 200) throw new Error(`Verification failed for ${email}`);
+
+  const login = await api("POST", "/login", { body: { email, password } });
+  if (login.status !== 200) throw new Error(`Login failed for ${email}`);
+
+  return { email, token: login.body.token };
+}
+
+export async function getProfile(player) {
+  const res = await api("GET", "/profile", { token: player.token });
+  return res.body.data;
+}
+
+export function notificationTitles(profile) {
+  return (profile.notifications || []).map((n) => n.title);
+}
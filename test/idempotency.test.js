@@ -0,0 +1,87 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, stopServer, resetState, api, createPlayer, getProfile } from "./helpers.js";
+import { sellItems } from "../repositories/index.js";
+
+describe("idempotency keys", () => {
+  let seller, buyer;
+
+  before(async () => {
+    resetState();
+    await startServer();
+
+    seller = await createPlayer({ name: "Sara", email: "sara@example.com", position: "Defender" });
+    buyer = await createPlayer({ name: "Omar", email: "omar@example.com", position: "Forward" });
+  });
+  after(stopServer);
+
+  const sale = { playerEmail: "omar@example.com", points: 100, itemName: "Boots", itemId: "item-1" };
+
+  it("replays the first response for a retried sale instead of charging twice", async () => {
+    const headers = { "Idempotency-Key": "sale-1" };
+
+    const first = await api("POST", "/item-sold", { token: seller.token, body: sale, headers });
+    const retry = await api("POST", "/item-sold", { token: seller.token, body: sale, headers });
+
+    assert.equal(first.status, 200);
+    assert.equal(retry.status, 200);
+    assert.deepEqual(retry.body, first.body);
+    assert.equal(first.headers.get("idempotent-replayed"), null);
+    assert.equal(retry.headers.get("idempotent-replayed"), "true");
+
+    assert.equal((await getProfile(buyer)).points, 400);
+    assert.equal((await getProfile(seller)).points, 600);
+  });
+
+  it("rejects a reused key with a different body", async () => {
+    const res = await api("POST", "/item-sold", {
+      token: seller.token,
+      body: { ...sale, points: 50 },
+      headers: { "Idempotency-Key": "sale-1" },
+    });
+
+    assert.equal(res.status, 422);
+    assert.equal((await getProfile(buyer)).points, 400);
+  });
+
+  it("scopes keys per user and treats new keys as new requests", async () => {
+    const again = await api("POST", "/item-sold", {
+      token: seller.token,
+      body: sale,
+      headers: { "Idempotency-Key": "sale-2" },
+    });
+    assert.equal(again.status, 200);
+    assert.equal(again.headers.get("idempotent-replayed"), null);
+
+    // Omar ka apna "sale-1" Sara wale se alag
+    const trainer = await api("POST", "/trainer-booked", {
+      token: buyer.token,
+      body: { playerEmail: seller.email, points: 10 },
+      headers: { "Idempotency-Key": "sale-1" },
+    });
+    assert.equal(trainer.status, 200);
+
+    assert.equal((await getProfile(buyer)).points, 310);
+    assert.equal((await getProfile(seller)).points, 690);
+  });
+
+  it("replays a server error that happened after the transfer instead of charging again", async (t) => {
+    const headers = { "Idempotency-Key": "sale-3" };
+    // Points transfer ho chuke, phir item update fail
+    t.mock.method(sellItems, "get", async () => {
+      throw new Error("query timeout");
+    });
+
+    const first = await api("POST", "/item-sold", { token: seller.token, body: sale, headers });
+    assert.equal(first.status, 500);
+    assert.equal((await getProfile(buyer)).points, 210);
+
+    t.mock.restoreAll();
+    const retry = await api("POST", "/item-sold", { token: seller.token, body: sale, headers });
+    assert.equal(retry.status, 500);
+    assert.equal(retry.headers.get("idempotent-replayed"), "true");
+
+    assert.equal((await getProfile(buyer)).points, 210);
+    assert.equal((await getProfile(seller)).points, 790);
+  });
+});
@@ -0,0 +1,161 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, stopServer, resetState, api, createPlayer, getProfile } from "./helpers.js";
+import { players, jobs } from "../repositories/index.js";
+import { defineJob, enqueueJob, drainJobs } from "../jobQueue.js";
+
+const titleCount = (profile, title) => (profile.notifications || []).filter((n) => n.title === title).length;
+
+// Retry backoff ka wait na karo
+const makeDue = (id) => jobs.update(id, (job) => ({ ...job, runAt: new Date(0).toISOString() }));
+
+let runs = 0;
+defineJob("test.count", async () => {
+  runs += 1;
+});
+defineJob("test.always-fails", async () => {
+  throw new Error("upstream down");
+});
+
+describe("background jobs", () => {
+  let admin, ali, sara;
+
+  before(async () => {
+    resetState();
+    await startServer();
+
+    admin = await createPlayer({ name: "Admin", email: "admin@example.com", position: "Midfielder" });
+    ali = await createPlayer({ name: "Ali", email: "ali@example.com", position: "Forward" });
+    sara = await createPlayer({ name: "Sara", email: "sara@example.com", position: "Defender" });
+    await players.update(admin.email, (player) => ({ ...player, roles: ["admin"] }));
+  });
+  after(stopServer);
+
+  it("queues /notify/all and fans out in the background", async () => {
+    const res = await api("POST", "/notify/all", { token: admin.token, body: { title: "Season Start", message: "Kickoff!" } });
+
+    assert.equal(res.status, 202);
+    assert.equal(res.body.job.status, "queued");
+    assert.equal(res.headers.get("location"), `/jobs/${res.body.job.id}`);
+    assert.equal(titleCount(await getProfile(ali), "Season Start"), 0);
+
+    await drainJobs();
+
+    for (const player of [admin, ali, sara]) {
+      assert.equal(titleCount(await getProfile(player), "Season Start"), 1);
+    }
+
+    const status = await api("GET", `/jobs/${res.body.job.id}`, { token: admin.token });
+    assert.equal(status.body.job.status, "completed");
+    assert.deepEqual(status.body.job.progress, { done: 3, total: 3, percent: 100 });
+    assert.deepEqual(status.body.job.result, { recipients: 3 });
+  });
+
+  it("only shows a job to its creator or a job manager", async () => {
+    const created = await api("POST", "/inventory", { token: admin.token, body: { name: "Boots", price: 50 } });
+    const jobId = created.body.notificationJob.id;
+    assert.equal(created.body.notificationJob.status, "queued");
+
+    assert.equal((await api("GET", `/jobs/${jobId}`, { token: ali.token })).status, 404);
+    assert.equal((await api("GET", "/jobs", { token: ali.token })).status, 403);
+
+    const list = await api("GET", "/jobs?status=queued", { token: admin.token });
+    assert.deepEqual(list.body.data.jobs.map((job) => job.id), [jobId]);
+
+    await drainJobs();
+  });
+
+  it("retries a failed broadcast without notifying anyone twice", async (t) => {
+    // Sara ki write pehli dafa fail — baaki batch pohanch chuka
+    const update = players.update;
+    let failed = false;
+    t.mock.method(players, "update", (email, ...rest) => {
+      if (email === sara.email && !failed) {
+        failed = true;
+        return Promise.reject(new Error("timeout"));
+      }
+      return update(email, ...rest);
+    });
+
+    const res = await api("POST", "/notify/all", { token: admin.token, body: { title: "Derby Day", message: "Big match" } });
+    const { id } = res.body.job;
+
+    await drainJobs();
+
+    const retrying = (await api("GET", `/jobs/${id}`, { token: admin.token })).body.job;
+    assert.equal(retrying.status, "queued");
+    assert.equal(retrying.attempts, 1);
+    assert.equal(retrying.lastError, "timeout");
+    assert.ok(retrying.nextAttemptAt > new Date().toISOString());
+
+    await makeDue(id);
+    await drainJobs();
+
+    assert.equal((await jobs.get(id)).status, "completed");
+    for (const player of [admin, ali, sara]) {
+      assert.equal(titleCount(await getProfile(player), "Derby Day"), 1);
+    }
+  });
+
+  it("marks a job failed after its last attempt and lets managers retry it", async () => {
+    const job = await enqueueJob("test.always-fails", {}, { maxAttempts: 2, createdBy: admin.email });
+
+    await drainJobs();
+    await makeDue(job.id);
+    await drainJobs();
+
+    const failed = (await api("GET", `/jobs/${job.id}`, { token: admin.token })).body.job;
+    assert.equal(failed.status, "failed");
+    assert.equal(failed.attempts, 2);
+    assert.equal(failed.lastError, "upstream down");
+
+    const retried = await api("POST", `/jobs/${job.id}/retry`, { token: admin.token });
+    assert.equal(retried.status, 202);
+    assert.equal(retried.body.job.status, "queued");
+    assert.equal(retried.body.job.attempts, 0);
+
+    const again = await api("POST", `/jobs/${job.id}/retry`, { token: admin.token });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.message, "Only failed jobs can be retried (job is queued)");
+
+    await jobs.remove(job.id);
+  });
+
+  it("does not pass other retry errors off as conflicts", async (t) => {
+    t.mock.method(jobs, "update", async () => {
+      throw new TypeError("Cannot read properties of undefined (reading 'status')");
+    });
+
+    const res = await api("POST", "/jobs/some-job/retry", { token: admin.token });
+    assert.equal(res.status, 500);
+    assert.equal(res.body.message, "Server error");
+  });
+
+  it("runs each job once across concurrent workers", async () => {
+    runs = 0;
+    for (let i = 0; i < 5; i++) await enqueueJob("test.count");
+
+    await Promise.all([drainJobs(), drainJobs(), drainJobs()]);
+
+    assert.equal(runs, 5);
+  });
+
+  it("picks up a job whose worker died mid-run", async () => {
+    runs = 0;
+    const job = await enqueueJob("test.count");
+    await jobs.update(job.id, (current) => ({
+      ...current,
+      status: "running",
+      attempts: 1,
+      lockToken: "dead-worker",
+      lockedUntil: new Date(Date.now() - 1000).toISOString(),
+    }));
+
+    await drainJobs();
+
+    const finished = await jobs.get(job.id);
+    assert.equal(runs, 1);
+    assert.equal(finished.status, "completed");
+    assert.equal(finished.attempts, 2);
+  });
+});
@@ -0,0 +1,134 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, stopServer, resetState, api } from "./helpers.js";
+import { players } from "../repositories/index.js";
+import { logger } from "../logger.js";
+import { runJob } from "../lifecycle.js";
+import { createTransport } from "../mailer.js";
+
+// stdout/stderr pe likhi JSON lines pakro
+function captureLogs(t) {
+  const lines = [];
+  for (const stream of [process.stdout, process.stderr]) {
+    const original = stream.write.bind(stream);
+    t.mock.method(stream, "write", (chunk, ...rest) => {
+      const text = String(chunk);
+      if (text.startsWith("{")) lines.push(JSON.parse(text));
+      else original(chunk, ...rest);
+      return true;
+    });
+  }
+  return lines;
+}
+
+describe("structured logging", () => {
+  before(async () => {
+    resetState();
+    await startServer();
+  });
+  after(stopServer);
+
+  beforeEach(() => {
+    process.env.LOG_LEVEL = "info";
+  });
+  after(() => {
+    process.env.LOG_LEVEL = "silent";
+  });
+
+  it("tags every line of a request with its ID and echoes it back", async (t) => {
+    const logs = captureLogs(t);
+    t.mock.method(players, "listVisible", async () => {
+      throw new Error("query timeout");
+    });
+
+    const res = await api("GET", "/players", { headers: { "X-Request-Id": "req-123" } });
+
+    assert.equal(res.status, 500);
+    assert.equal(res.headers.get("x-request-id"), "req-123");
+
+    const failure = logs.find((l) => l.msg === "Get players error");
+    assert.equal(failure.level, "error");
+    assert.equal(failure.requestId, "req-123");
+    assert.equal(failure.err.message, "query timeout");
+    assert.ok(failure.err.stack);
+
+    const access = logs.find((l) => l.msg === "Request completed");
+    assert.deepEqual(
+      { requestId: access.requestId, method: access.method, path: access.path, status: access.status },
+      { requestId: "req-123", method: "GET", path: "/players", status: 500 }
+    );
+  });
+
+  it("generates an ID when the client sends none or an invalid one", async () => {
+    const plain = await api("GET", "/healthz");
+    const bogus = await api("GET", "/healthz", { headers: { "X-Request-Id": "bad id with spaces" } });
+
+    assert.match(plain.headers.get("x-request-id"), /^[0-9a-f-]{36}$/);
+    assert.match(bogus.headers.get("x-request-id"), /^[0-9a-f-]{36}$/);
+  });
+
+  it("redacts secrets and passwords", (t) => {
+    const logs = captureLogs(t);
+
+    logger.info("Login attempt", {
+      email: "ali@example.com",
+      password: "Secret#123",
+      session: { refreshToken: "abc.def", device: "Chrome" },
+      headers: { Authorization: "Bearer fh_123", cookie: "token=xyz" },
+      COUCHBASE_CONN_STRING: "couchbases://cluster",
+      user: { passwordHash: "$2b$10$abc", totpSecret: "JBSWY3DP", "x-api-key": "fh_456" },
+      tokensRemoved: 3,
+      passwordChanged: true,
+    });
+
+    const [entry] = logs;
+    assert.equal(entry.email, "ali@example.com");
+    assert.equal(entry.password, "[REDACTED]");
+    assert.deepEqual(entry.session, { refreshToken: "[REDACTED]", device: "Chrome" });
+    assert.deepEqual(entry.headers, { Authorization: "[REDACTED]", cookie: "[REDACTED]" });
+    assert.equal(entry.COUCHBASE_CONN_STRING, "[REDACTED]");
+    assert.deepEqual(entry.user, { passwordHash: "[REDACTED]", totpSecret: "[REDACTED]", "x-api-key": "[REDACTED]" });
+    assert.equal(entry.tokensRemoved, 3);
+    assert.equal(entry.passwordChanged, true);
+  });
+
+  it("keeps mail bodies with tokens out of the console transport log", async (t) => {
+    const logs = captureLogs(t);
+
+    await createTransport("console").send({
+      to: "ali@example.com",
+      subject: "Reset your password",
+      text: "Reset link: http://localhost:3000/reset-password?token=secret-reset-token",
+    });
+
+    assert.deepEqual(logs.map(({ msg, to, subject }) => ({ msg, to, subject })), [
+      { msg: "Mail (console transport)", to: "ali@example.com", subject: "Reset your password" },
+    ]);
+    assert.ok(!JSON.stringify(logs).includes("secret-reset-token"));
+  });
+
+  it("logs cron runs under their own job ID", async (t) => {
+    const logs = captureLogs(t);
+
+    await runJob("auth-cleanup");
+    await runJob("auth-cleanup");
+
+    const started = logs.filter((l) => l.msg === "Auth cleanup started");
+    const finished = logs.filter((l) => l.msg === "Auth cleanup finished");
+    assert.equal(started.length, 2);
+    assert.ok(started.every((l) => l.job === "auth-cleanup" && l.jobId));
+    assert.notEqual(started[0].jobId, started[1].jobId);
+    assert.equal(finished[0].jobId, started[0].jobId);
+    assert.equal(finished[0].requestId, undefined);
+  });
+
+  it("respects LOG_LEVEL", (t) => {
+    const logs = captureLogs(t);
+    process.env.LOG_LEVEL = "warn";
+
+    logger.info("quiet");
+    logger.warn("loud");
+
+    assert.deepEqual(logs.map((l) => l.msg), ["loud"]);
+  });
+});
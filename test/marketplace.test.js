@@ -0,0 +1,117 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import {
+  startServer,
+  stopServer,
+  resetState,
+  api,
+  imageForm,
+  createPlayer,
+  getProfile,
+  notificationTitles,
+} from "./helpers.js";
+
+describe("item sale & trainer booking", () => {
+  let seller, buyer, trainer;
+  let item;
+
+  before(async () => {
+    resetState();
+    await startServer();
+
+    seller = await createPlayer({ name: "Sara", email: "sara@example.com", position: "Defender" });
+    buyer = await createPlayer({ name: "Omar", email: "omar@example.com", position: "Forward" });
+    trainer = await createPlayer({ name: "Coach Tariq", email: "tariq@example.com", position: "Midfielder" });
+  });
+  after(stopServer);
+
+  it("lists an item for sale", async () => {
+    const res = await api("POST", "/sell-item", {
+      token: seller.token,
+      body: imageForm({ title: "Boots", description: "Size 42, used once", price: 3000, points: 120 }),
+    });
+
+    assert.equal(res.status, 200);
+    item = res.body.data;
+    assert.equal(item.playerEmail, seller.email);
+    assert.equal(item.points, 120);
+    assert.equal(item.sold, 0);
+
+    const listed = await api("GET", "/sell-items");
+    assert.ok(JSON.stringify(listed.body).includes(item.id));
+  });
+
+  it("notifies the seller about a buy request", async () => {
+    const res = await api("POST", "/buy-item", {
+      token: buyer.token,
+      body: { sellerEmail: seller.email, playerEmail: buyer.email, points: item.points, itemName: item.title, itemId: item.id },
+    });
+
+    assert.equal(res.status, 200);
+    const request = (await getProfile(seller)).notifications.find((n) => n.title === "New Order Request");
+    assert.equal(request.itemId, item.id);
+    assert.equal(request.playerId, buyer.email);
+  });
+
+  it("transfers points when the seller confirms the sale", async () => {
+    const res = await api("POST", "/item-sold", {
+      token: seller.token,
+      body: { playerEmail: buyer.email, points: item.points, itemName: item.title, itemId: item.id },
+    });
+
+    assert.equal(res.status, 200);
+
+    const sellerProfile = await getProfile(seller);
+    const buyerProfile = await getProfile(buyer);
+    assert.equal(sellerProfile.points, 620);
+    assert.equal(buyerProfile.points, 380);
+    assert.ok(notificationTitles(sellerProfile).includes("New Order Confirmed 🎯"));
+    assert.ok(notificationTitles(buyerProfile).includes("Order Request Approved ✅"));
+
+    const mine = await api("GET", `/sell-items/${seller.email}`);
+    assert.ok(JSON.stringify(mine.body).includes('"sold":1'));
+  });
+
+  it("refuses a sale the buyer cannot afford", async () => {
+    const res = await api("POST", "/item-sold", {
+      token: seller.token,
+      body: { playerEmail: buyer.email, points: 1000, itemName: item.title, itemId: item.id },
+    });
+
+    assert.equal(res.status, 400);
+    assert.equal((await getProfile(buyer)).points, 380);
+  });
+
+  it("creates a trainer profile once", async () => {
+    const body = { title: "Finishing drills", description: "1h session", price: 2000, points: 80, timeSlot: "Evening" };
+
+    const created = await api("POST", "/trainer", { token: trainer.token, body });
+    assert.equal(created.status, 200);
+    assert.equal(created.body.data.status, "active");
+
+    const again = await api("POST", "/trainer", { token: trainer.token, body });
+    assert.equal(again.status, 400);
+  });
+
+  it("books a session and transfers the fee on confirmation", async () => {
+    const booking = await api("POST", "/book-trainer", {
+      token: buyer.token,
+      body: { trainerEmail: trainer.email, playerEmail: buyer.email, points: 80 },
+    });
+    assert.equal(booking.status, 200);
+    assert.ok(notificationTitles(await getProfile(trainer)).includes("New Training Request"));
+
+    const confirmed = await api("POST", "/trainer-booked", {
+      token: trainer.token,
+      body: { playerEmail: buyer.email, points: 80 },
+    });
+    assert.equal(confirmed.status, 200);
+
+    const trainerProfile = await getProfile(trainer);
+    const buyerProfile = await getProfile(buyer);
+    assert.equal(trainerProfile.points, 580);
+    assert.equal(buyerProfile.points, 300);
+    assert.ok(notificationTitles(trainerProfile).includes("New Training Confirmed 🎯"));
+    assert.ok(notificationTitles(buyerProfile).includes("Training Request Approved ✅"));
+  });
+});
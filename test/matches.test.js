@@ -0,0 +1,320 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { trophies, matches } from "../repositories/index.js";
+import { runJob } from "../lifecycle.js";
+import {
+  startServer,
+  stopServer,
+  resetState,
+  api,
+  imageForm,
+  createPlayer,
+  getProfile,
+  notificationTitles,
+} from "./helpers.js";
+
+// Team A: ali (Forward, captain) + bilal (Midfielder) — Team B: dani (Goalkeeper, captain)
+describe("teams & match lifecycle", () => {
+  let ali, bilal, dani;
+  let teamA, teamB, matchId;
+
+  const trophy = {
+    id: "trophy-1",
+    title: "City Cup",
+    fee: 100,
+    distribution: { win: 70, lose: 30 },
+    bonuses: { goal: 10, assist: 5, motm: 20 },
+  };
+
+  before(async () => {
+    resetState();
+    await startServer();
+
+    ali = await createPlayer({ name: "Ali", email: "ali@example.com", position: "Forward" });
+    bilal = await createPlayer({ name: "Bilal", email: "bilal@example.com", position: "Midfielder" });
+    dani = await createPlayer({ name: "Dani", email: "dani@example.com", position: "Goalkeeper" });
+
+    // Trophy admin route se banti hai, yahan seed kafi hai
+    await trophies.insert(trophy.id, trophy);
+  });
+  after(stopServer);
+
+  it("creates teams with the creator as captain", async () => {
+    const resA = await api("POST", "/team", { token: ali.token, body: imageForm({ name: "Lions", location: "Lahore" }, "logo") });
+    const resB = await api("POST", "/team", { token: dani.token, body: imageForm({ name: "Tigers", location: "Karachi" }, "logo") });
+
+    assert.equal(resA.status, 200);
+    assert.equal(resB.status, 200);
+    teamA = resA.body.data;
+    teamB = resB.body.data;
+
+    assert.equal(teamA.captain, ali.email);
+    assert.deepEqual(teamA.teamPlayers, [ali.email]);
+
+    const profile = await getProfile(ali);
+    assert.equal(profile.captain, true);
+    assert.deepEqual(profile.teams, [teamA.id]);
+  });
+
+  it("lets a player request to join and the captain approve", async () => {
+    const request = await api("POST", `/teams/${teamA.id}/request`, { token: bilal.token });
+    assert.equal(request.status, 200);
+    assert.ok(notificationTitles(await getProfile(ali)).includes("Team Join Request"));
+
+    const notCaptain = await api("POST", `/teams/${teamA.id}/requests/${bilal.email}`, {
+      token: bilal.token,
+      body: { action: "approve" },
+    });
+    assert.equal(notCaptain.status, 403);
+
+    const approve = await api("POST", `/teams/${teamA.id}/requests/${bilal.email}`, {
+      token: ali.token,
+      body: { action: "approve" },
+    });
+    assert.equal(approve.status, 200);
+    assert.deepEqual(approve.body.data.teamPlayers, [ali.email, bilal.email]);
+    assert.deepEqual(approve.body.data.requests, []);
+
+    const profile = await getProfile(bilal);
+    assert.deepEqual(profile.teams, [teamA.id]);
+    assert.ok(notificationTitles(profile).includes("Team Request Approved"));
+  });
+
+  it("creates a pending match and invites the opponent captain", async () => {
+    const res = await api("POST", "/match", {
+      token: ali.token,
+      body: {
+        trophyId: trophy.id,
+        opponentTeamId: teamB.id,
+        playersSelected: [ali.email, bilal.email],
+        location: { name: "Model Town Ground, Lahore" },
+        startTime: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+        endTime: new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString(),
+      },
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.match.status, "pending");
+    matchId = res.body.match.id;
+
+    const invite = (await getProfile(dani)).notifications.find((n) => n.type === "match_invite");
+    assert.equal(invite.matchId, matchId);
+  });
+
+  it("only lets the opponent captain respond", async () => {
+    const res = await api("POST", `/matches/${matchId}/response`, { token: ali.token, body: { action: "accept" } });
+
+    assert.equal(res.status, 403);
+  });
+
+  it("accepts the match and splits the trophy fee across selected players", async () => {
+    const res = await api("POST", `/matches/${matchId}/response`, {
+      token: dani.token,
+      body: { action: "accept", playersSelected: [dani.email] },
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.match.status, "upcoming");
+
+    // fee 100: aadha Team A ke 2 players me (25 each), aadha dani pe (50)
+    assert.equal((await getProfile(ali)).points, 475);
+    assert.equal((await getProfile(bilal)).points, 475);
+
+    const daniProfile = await getProfile(dani);
+    assert.equal(daniProfile.points, 450);
+    assert.ok(!daniProfile.notifications.some((n) => n.type === "match_invite"));
+    assert.ok(notificationTitles(daniProfile).includes("Match Upcoming"));
+  });
+
+  it("waits for both captains before finalizing", async () => {
+    const res = await api("POST", `/matches/${matchId}/finalize`, {
+      token: ali.token,
+      body: {
+        teamRate: 4,
+        teamStats: [
+          { playerId: ali.email, goals: 2, assists: 0 },
+          { playerId: bilal.email, goals: 0, assists: 1 },
+        ],
+      },
+    });
+
+    assert.equal(res.status, 200);
+    assert.match(res.body.message, /Waiting for other captain/);
+    assert.equal(res.body.data.status, "upcoming");
+
+    const team = await api("GET", `/teams/${teamB.id}`);
+    assert.equal(team.body.data.ratingAvg, 4);
+  });
+
+  it("finalizes the match: points, skills, records and notifications", async () => {
+    const res = await api("POST", `/matches/${matchId}/finalize`, {
+      token: dani.token,
+      body: { teamStats: [{ playerId: dani.email, goals: 1, assists: 0 }] },
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.status, "final");
+    assert.deepEqual(res.body.data.result, { myGoals: 2, oppGoals: 1, winner: teamA.id, motm: ali.email });
+
+    // Win pool 70 → 35 each, +10/goal, +5/assist, +20 MOTM
+    const aliProfile = await getProfile(ali);
+    assert.equal(aliProfile.points, 475 + 35 + 2 * 10 + 20);
+    assert.equal(aliProfile.goals, 2);
+    assert.equal(aliProfile.wins, 1);
+    assert.equal(aliProfile.auraPoints, 100);
+    assert.ok(aliProfile.achievements.includes(trophy.id));
+    assert.ok(aliProfile.achievements.includes(`MOTM_${matchId}`));
+    // Forward: shooting 70 → 70.2 (0.3 × 0.7), goals 2 × 0.5 × 0.7 → 70.9
+    assert.equal(aliProfile.shooting, 70.9);
+    // dribbling 65 → 65.2, MOTM bonus 1 → 66.2
+    assert.equal(aliProfile.dribbling, 66.2);
+    assert.deepEqual(
+      notificationTitles(aliProfile).filter((t) => ["Man of the Match", "Match Results", "Rate Opponent Team Players"].includes(t)),
+      ["Man of the Match", "Match Results", "Rate Opponent Team Players"]
+    );
+    assert.match(aliProfile.notifications.find((n) => n.title === "Match Results").message, /won the match \(2-1\)/);
+
+    const bilalProfile = await getProfile(bilal);
+    assert.equal(bilalProfile.points, 475 + 35 + 5);
+    assert.equal(bilalProfile.assists, 1);
+    // Midfielder: passing 65 → 65.3, assist 0.4 → 65.7; pace 60 → 60.2
+    assert.equal(bilalProfile.passing, 65.7);
+    assert.equal(bilalProfile.pace, 60.2);
+    assert.equal(bilalProfile.auraPoints, 0);
+
+    // Lose pool 30 → dani ke liye poora, +10 goal
+    const daniProfile = await getProfile(dani);
+    assert.equal(daniProfile.points, 450 + 30 + 10);
+    assert.equal(daniProfile.losses, 1);
+    // Goalkeeper: reflexes 50 → 50.3, handling 50 → 50.2
+    assert.equal(daniProfile.reflexes, 50.3);
+    assert.equal(daniProfile.handling, 50.2);
+    assert.match(daniProfile.notifications.find((n) => n.title === "Match Results").message, /lost the match \(2-1\)/);
+
+    const lions = (await api("GET", `/teams/${teamA.id}`)).body.data;
+    const tigers = (await api("GET", `/teams/${teamB.id}`)).body.data;
+    assert.equal(lions.wins, 1);
+    assert.equal(lions.matchesPlayed, 1);
+    assert.deepEqual(lions.achievements, [trophy.id]);
+    assert.equal(tigers.losses, 1);
+  });
+
+  it("rejects stats for an already finalized match", async () => {
+    const res = await api("POST", `/matches/${matchId}/finalize`, {
+      token: ali.token,
+      body: { teamStats: [{ playerId: ali.email, goals: 1 }] },
+    });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.message, "Match is not active");
+  });
+});
+
+describe("finalize & status edge cases", () => {
+  let sana, umar, lions, tigers;
+
+  // Seedha completed match — invite/accept upar wale test me cover hai
+  async function seedMatch(id, trophyId, status = "completed") {
+    await matches.insert(id, {
+      id,
+      ...(trophyId && { trophyId }),
+      myTeamId: lions.id,
+      opponentTeamId: tigers.id,
+      myPlayers: [sana.email],
+      opponentPlayers: [umar.email],
+      location: { name: "Ground" },
+      startTime: "2026-01-01T10:00:00.000Z",
+      endTime: "2026-01-01T12:00:00.000Z",
+      status,
+    });
+  }
+
+  before(async () => {
+    resetState();
+    await startServer();
+
+    sana = await createPlayer({ name: "Sana", email: "sana@example.com", position: "Forward" });
+    umar = await createPlayer({ name: "Umar", email: "umar@example.com", position: "Defender" });
+    lions = (await api("POST", "/team", { token: sana.token, body: imageForm({ name: "Lions", location: "Lahore" }, "logo") })).body.data;
+    tigers = (await api("POST", "/team", { token: umar.token, body: imageForm({ name: "Tigers", location: "Karachi" }, "logo") })).body.data;
+  });
+  after(stopServer);
+
+  it("finalizes a friendly match with records but no prize", async () => {
+    await seedMatch("friendly-1");
+
+    await api("POST", "/matches/friendly-1/finalize", { token: sana.token, body: { teamStats: [{ playerId: sana.email, goals: 1 }] } });
+    const res = await api("POST", "/matches/friendly-1/finalize", { token: umar.token, body: { teamStats: [{ playerId: umar.email }] } });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.status, "final");
+    assert.equal(res.body.data.finalizing, undefined);
+    assert.equal(res.body.data.result.winner, lions.id);
+
+    const profile = await getProfile(sana);
+    assert.equal(profile.points, 500);
+    assert.equal(profile.wins, 1);
+    assert.deepEqual(profile.achievements, ["MOTM_friendly-1"]);
+    assert.deepEqual((await api("GET", `/teams/${lions.id}`)).body.data.achievements, []);
+  });
+
+  it("refuses stats when the trophy is gone, without claiming the match", async () => {
+    await seedMatch("orphan-1", "deleted-trophy");
+
+    const res = await api("POST", "/matches/orphan-1/finalize", { token: sana.token, body: { teamStats: [{ playerId: sana.email, goals: 1 }] } });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.message, "Trophy not found");
+    const match = await matches.get("orphan-1");
+    assert.equal(match.status, "completed");
+    assert.equal(match.finalizing, undefined);
+    assert.equal(match.myTeamSubmitted, undefined);
+  });
+
+  it("lets the next submission take over a finalize claim left by a crashed request", async () => {
+    const sanaMatches = (await getProfile(sana)).matches;
+    const umarMatches = (await getProfile(umar)).matches || 0;
+    await seedMatch("stuck-1");
+    await seedMatch("busy-1");
+    // Sana ka hissa ho chuka tha, phir instance gir gaya — claim 20 min purana
+    const claim = (finalizingAt) => (match) => ({
+      ...match,
+      myTeamStats: [{ playerId: sana.email, goals: 1 }],
+      myTeamSubmitted: true,
+      oppTeamStats: [{ playerId: umar.email }],
+      oppTeamSubmitted: true,
+      finalizing: true,
+      finalizingAt,
+      finalizeProgress: { paid: [sana.email], teams: [] },
+    });
+    await matches.update("stuck-1", claim(new Date(Date.now() - 20 * 60 * 1000).toISOString()));
+    await matches.update("busy-1", claim(new Date().toISOString()));
+
+    const busy = await api("POST", "/matches/busy-1/finalize", { token: umar.token, body: { teamStats: [{ playerId: umar.email }] } });
+    assert.equal(busy.status, 400);
+    assert.equal(busy.body.message, "Match is not active");
+
+    const res = await api("POST", "/matches/stuck-1/finalize", { token: umar.token, body: { teamStats: [{ playerId: umar.email }] } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.status, "final");
+    assert.equal(res.body.data.finalizing, undefined);
+    assert.equal(res.body.data.finalizingAt, undefined);
+    assert.equal((await getProfile(sana)).matches, sanaMatches);
+    assert.equal((await getProfile(umar)).matches, umarMatches + 1);
+  });
+
+  it("moves matches along by time without overwriting newer changes", async (t) => {
+    await seedMatch("ended-1", undefined, "upcoming");
+    await seedMatch("cancelled-1", undefined, "upcoming");
+    // findActive ke baad captain ne cancel kar diya — cron ke paas purani copy
+    const stale = [await matches.get("ended-1"), await matches.get("cancelled-1")];
+    await matches.update("cancelled-1", (match) => ({ ...match, status: "cancelled" }));
+    t.mock.method(matches, "findActive", async () => stale);
+
+    await runJob("match-status");
+
+    assert.equal((await matches.get("ended-1")).status, "completed");
+    assert.equal((await matches.get("cancelled-1")).status, "cancelled");
+    assert.ok(notificationTitles(await getProfile(umar)).includes("Match Completed"));
+  });
+});
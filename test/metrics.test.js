@@ -0,0 +1,89 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, stopServer, resetState, api, imageForm, createPlayer } from "./helpers.js";
+import { getStorageAdapter } from "../storage.js";
+import { matches } from "../repositories/index.js";
+import { runJob } from "../lifecycle.js";
+
+async function scrape(headers) {
+  const res = await api("GET", "/metrics", { headers });
+  return { status: res.status, text: res.body };
+}
+
+const line = (text, series) => text.split("\n").find((l) => l.startsWith(`${series} `));
+
+describe("prometheus metrics", () => {
+  let seller, buyer;
+
+  before(async () => {
+    resetState();
+    await startServer();
+
+    seller = await createPlayer({ name: "Sara", email: "sara@example.com", position: "Defender" });
+    buyer = await createPlayer({ name: "Omar", email: "omar@example.com", position: "Forward" });
+  });
+  after(stopServer);
+
+  it("counts requests per route template and status with latency histograms", async () => {
+    await api("GET", "/players/nobody@example.com");
+    await api("GET", "/players/ghost@example.com");
+    await api("GET", "/no-such-route");
+
+    const { status, text } = await scrape();
+
+    assert.equal(status, 200);
+    assert.equal(line(text, 'http_requests_total{method="GET",route="/players/:email",status="404"}'), 'http_requests_total{method="GET",route="/players/:email",status="404"} 2');
+    assert.ok(line(text, 'http_requests_total{method="GET",route="unmatched",status="404"}'));
+    assert.ok(line(text, 'http_request_duration_seconds_count{method="GET",route="/players/:email",status="404"}').endsWith(" 2"));
+    assert.ok(line(text, 'http_request_duration_seconds_bucket{method="GET",route="/players/:email",status="404",le="+Inf"}'));
+    assert.match(text, /# TYPE http_request_duration_seconds histogram/);
+  });
+
+  it("tracks sales and points transferred", async () => {
+    await api("POST", "/item-sold", {
+      token: seller.token,
+      body: { playerEmail: buyer.email, points: 100, itemName: "Boots", itemId: "item-1" },
+    });
+
+    const { text } = await scrape();
+    assert.equal(line(text, "items_sold_total"), "items_sold_total 1");
+    assert.equal(line(text, 'points_transferred_total{reason="item"}'), 'points_transferred_total{reason="item"} 100');
+  });
+
+  it("counts media upload failures", async (t) => {
+    t.mock.method(getStorageAdapter(), "upload", async () => {
+      throw new Error("ImageKit down");
+    });
+
+    const res = await api("POST", "/sell-item", {
+      token: seller.token,
+      body: imageForm({ title: "Ball", description: "New", price: 10, points: 5 }),
+    });
+    assert.equal(res.status, 500);
+
+    const { text } = await scrape();
+    assert.equal(line(text, 'storage_upload_failures_total{adapter="test"}'), 'storage_upload_failures_total{adapter="test"} 1');
+  });
+
+  it("records cron run outcomes and durations", async (t) => {
+    await runJob("match-status");
+
+    t.mock.method(matches, "findActive", async () => {
+      throw new Error("query timeout");
+    });
+    await runJob("match-status");
+
+    const { text } = await scrape();
+    assert.equal(line(text, 'cron_job_runs_total{job="match-status",outcome="success"}'), 'cron_job_runs_total{job="match-status",outcome="success"} 1');
+    assert.equal(line(text, 'cron_job_runs_total{job="match-status",outcome="failure"}'), 'cron_job_runs_total{job="match-status",outcome="failure"} 1');
+    assert.ok(line(text, 'cron_job_duration_seconds_count{job="match-status",outcome="failure"}'));
+  });
+
+  it("requires the bearer token when METRICS_TOKEN is set", async (t) => {
+    process.env.METRICS_TOKEN = "scrape-secret";
+    t.after(() => delete process.env.METRICS_TOKEN);
+
+    assert.equal((await scrape()).status, 401);
+    assert.equal((await scrape({ Authorization: "Bearer scrape-secret" })).status, 200);
+  });
+});
@@ -0,0 +1,148 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, stopServer, resetState, api } from "./helpers.js";
+import fs from "fs";
+import { players, trophies, migrations, getBackend, COLLECTIONS } from "../repositories/index.js";
+import { indexStatements } from "../repositories/couchbaseBackend.js";
+import { loadMigrations, migrationStatus, runMigrations, MigrationLockedError } from "../migrate.js";
+import { seedDatabase, SEED_PASSWORD } from "../seed.js";
+
+describe("migrations", () => {
+  beforeEach(resetState);
+
+  it("cleans up drifted player and trophy documents once", async () => {
+    await players.insert("old@example.com", { email: "old@example.com", overalRating: 61.5, inventry: [] });
+    await players.insert("both@example.com", { email: "both@example.com", overalRating: 50, overallRating: 64, matchHistory: [{ result: "win" }] });
+    await trophies.insert("t-form", {
+      id: "t-form",
+      distribution: '{"win":"70","lose":"30"}',
+      bonuses: { goal: "10", assist: 2.5, motm: "", hattrick: 50 },
+    });
+    await trophies.insert("t-broken", { id: "t-broken", distribution: "seventy/thirty", bonuses: null });
+
+    const applied = await runMigrations();
+
+    assert.deepEqual(applied.map((m) => m.id), [
+      "001-rename-overall-rating",
+      "002-drop-inventry",
+      "003-backfill-match-history",
+      "004-normalize-trophy-rewards",
+      "005-backfill-opening-balances",
+    ]);
+    assert.deepEqual(await players.get("old@example.com"), { email: "old@example.com", overallRating: 61.5, matchHistory: [] });
+    assert.deepEqual(await players.get("both@example.com"), { email: "both@example.com", overallRating: 64, matchHistory: [{ result: "win" }] });
+
+    const form = await trophies.get("t-form");
+    assert.deepEqual(form.distribution, { win: 70, lose: 30 });
+    assert.deepEqual(form.bonuses, { goal: 10, assist: 2 });
+
+    // Andaza nahi lagta — waisa hi, report me
+    assert.equal((await trophies.get("t-broken")).distribution, "seventy/thirty");
+    assert.deepEqual(applied[3].result, { updated: 2, invalid: ["t-broken"] });
+
+    assert.deepEqual(await runMigrations(), []);
+    assert.ok((await migrationStatus()).every((m) => m.status === "applied" && m.appliedAt));
+  });
+
+  it("lets only one of several concurrent runners apply a migration", async () => {
+    let runs = 0;
+    const list = [{ id: "100-slow", description: "", up: async () => { runs += 1; await new Promise((r) => setTimeout(r, 20)); } }];
+
+    const results = await Promise.allSettled([runMigrations({ list }), runMigrations({ list }), runMigrations({ list })]);
+
+    assert.equal(runs, 1);
+    assert.equal(results.filter((r) => r.status === "fulfilled").length, 1);
+    assert.ok(results.filter((r) => r.status === "rejected").every((r) => r.reason instanceof MigrationLockedError));
+  });
+
+  it("stops at a failing migration and retries it on the next run", async () => {
+    let broken = true;
+    const later = { id: "201-later", description: "", up: async () => "ok" };
+    const list = [
+      { id: "200-flaky", description: "", up: async () => { if (broken) throw new Error("bad data"); } },
+      later,
+    ];
+
+    await assert.rejects(runMigrations({ list }), /bad data/);
+    assert.deepEqual((await migrationStatus(list)).map((m) => m.status), ["pending", "pending"]);
+
+    broken = false;
+    assert.deepEqual((await runMigrations({ list })).map((m) => m.id), ["200-flaky", "201-later"]);
+  });
+
+  it("takes over a migration left running by a crashed runner", async () => {
+    const list = [{ id: "300-crashed", description: "", up: async () => "done" }];
+    await migrations.insert("300-crashed", { id: "300-crashed", status: "running", instance: "dead", startedAt: new Date(Date.now() - 60 * 60 * 1000).toISOString() });
+
+    const [applied] = await runMigrations({ list });
+    assert.equal(applied.result, "done");
+  });
+
+  it("provisions every repository collection before running migrations", async (t) => {
+    // Har createRepository("naam") schema.js me ho, warna naye cluster pe collection-not-found
+    const used = fs.readdirSync(new URL("../repositories/", import.meta.url))
+      .flatMap((file) => [...fs.readFileSync(new URL(`../repositories/${file}`, import.meta.url), "utf8").matchAll(/createRepository\("(\w+)"\)/g)])
+      .map((match) => match[1]);
+    assert.deepEqual([...new Set(used)].sort(), COLLECTIONS.map((c) => c.name).sort());
+
+    const calls = [];
+    t.mock.method(getBackend(), "ensureCollection", async ({ name }) => {
+      calls.push(`ensure ${name}`);
+      return false;
+    });
+    const insert = migrations.insert;
+    t.mock.method(migrations, "insert", (id, ...rest) => {
+      calls.push(`claim ${id}`);
+      return insert(id, ...rest);
+    });
+    await runMigrations();
+
+    assert.deepEqual(calls.slice(0, COLLECTIONS.length), COLLECTIONS.map((c) => `ensure ${c.name}`));
+    assert.equal(calls[COLLECTIONS.length], "claim 001-rename-overall-rating");
+  });
+
+  it("builds idempotent Couchbase index statements", () => {
+    process.env.COUCHBASE_BUCKET = "footballhub";
+    process.env.COUCHBASE_SCOPE = "app";
+
+    assert.deepEqual(indexStatements("ledger", COLLECTIONS.find((c) => c.name === "ledger")), [
+      "CREATE INDEX `idx_ledger_email` IF NOT EXISTS ON `footballhub`.`app`.`ledger`(`email`, `seq`)",
+    ]);
+    assert.deepEqual(indexStatements("migrations", { primary: true }), ["CREATE PRIMARY INDEX IF NOT EXISTS ON `footballhub`.`app`.`migrations`"]);
+  });
+
+  it("loads migrations in file order with descriptions", async () => {
+    const list = await loadMigrations();
+    assert.ok(list.every((m) => m.description && typeof m.up === "function"));
+    assert.deepEqual(list.map((m) => m.id), [...list.map((m) => m.id)].sort());
+  });
+});
+
+describe("seed", () => {
+  before(async () => {
+    resetState();
+    await startServer();
+  });
+  after(stopServer);
+
+  it("creates fixtures once and skips them on re-run", async () => {
+    assert.deepEqual(await seedDatabase(), { players: 13, teams: 2, trophies: 2, matches: 2 });
+    assert.deepEqual(await seedDatabase(), { players: 0, teams: 0, trophies: 0, matches: 0 });
+  });
+
+  it("produces data the API can use", async () => {
+    const login = await api("POST", "/login", { body: { email: "admin@example.com", password: SEED_PASSWORD } });
+    assert.equal(login.status, 200);
+
+    const reconcile = await api("GET", "/ledger/reconcile", { token: login.body.token });
+    assert.deepEqual(reconcile.body.data, { checked: 13, mismatches: [] });
+
+    const played = await api("GET", "/matches/seed-match-played");
+    assert.equal(played.body.match.status, "final");
+    assert.deepEqual(played.body.match.result, { myGoals: 3, oppGoals: 1, winner: "seed-team-lions", motm: "ali.khan@example.com" });
+
+    const ali = await players.get("ali.khan@example.com");
+    assert.equal(ali.goals, 2);
+    assert.equal(ali.matchHistory.length, 1);
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, stopServer, resetState, api, createPlayer } from "./helpers.js";
+import { players } from "../repositories/index.js";
+
+const grant = (email, roles) => players.update(email, (player) => ({ ...player, roles }));
+const future = () => new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+describe("moderation", () => {
+  let admin, mod, organizer, ali;
+
+  before(async () => {
+    resetState();
+    await startServer();
+
+    admin = await createPlayer({ name: "Admin", email: "admin@example.com", position: "Midfielder" });
+    mod = await createPlayer({ name: "Mod", email: "mod@example.com", position: "Defender" });
+    organizer = await createPlayer({ name: "Organizer", email: "organizer@example.com", position: "Forward" });
+    ali = await createPlayer({ name: "Ali", email: "ali@example.com", position: "Forward" });
+    await grant(admin.email, ["admin"]);
+    await grant(mod.email, ["moderator"]);
+    await grant(organizer.email, ["tournament-organizer"]);
+  });
+  after(stopServer);
+
+  it("lets a moderator suspend a regular player", async () => {
+    const res = await api("POST", `/players/${ali.email}/suspend`, { token: mod.token, body: { until: future(), reason: "spam" } });
+
+    assert.equal(res.status, 200);
+    assert.equal((await players.get(ali.email)).suspension.type, "suspend");
+  });
+
+  it("refuses to suspend or ban an admin", async () => {
+    const suspend = await api("POST", `/players/${admin.email}/suspend`, { token: mod.token, body: { until: future() } });
+    const ban = await api("POST", `/players/${admin.email}/ban`, { token: mod.token, body: {} });
+
+    assert.equal(suspend.status, 403);
+    assert.equal(ban.status, 403);
+    assert.equal((await players.get(admin.email)).suspension, undefined);
+  });
+
+  it("refuses to ban a player holding permissions the moderator lacks", async () => {
+    const res = await api("POST", `/players/${organizer.email}/ban`, { token: mod.token, body: {} });
+    assert.equal(res.status, 403);
+
+    // Admin ke paas trophy:write bhi hai
+    const byAdmin = await api("POST", `/players/${organizer.email}/ban`, { token: admin.token, body: {} });
+    assert.equal(byAdmin.status, 200);
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { startServer, stopServer, resetState, api } from "./helpers.js";
+import { app } from "../index.js";
+import { listRoutes, findUndocumentedRoutes } from "../openapi.js";
+import { validate, t } from "../validation.js";
+
+// Spec ke sab $ref (components tak pohanchte hon)
+function collectRefs(node, refs = new Set()) {
+  if (Array.isArray(node)) node.forEach((item) => collectRefs(item, refs));
+  else if (node && typeof node === "object") {
+    for (const [key, value] of Object.entries(node)) {
+      if (key === "$ref") refs.add(value);
+      else collectRefs(value, refs);
+    }
+  }
+  return refs;
+}
+
+describe("openapi", () => {
+  let spec;
+
+  before(async () => {
+    resetState();
+    await startServer();
+    spec = (await api("GET", "/openapi.json")).body;
+  });
+  after(stopServer);
+
+  it("documents every route in the app", () => {
+    // Naya route? apiDocs.js ke ROUTE_DOCS me "METHOD /path" entry likho
+    assert.deepEqual(findUndocumentedRoutes(app), { undocumented: [], stale: [] });
+
+    for (const { method, path } of listRoutes(app)) {
+      const operation = spec.paths[path.replace(/:(\w+)/g, "{$1}")]?.[method];
+      assert.ok(operation?.summary, `${method.toUpperCase()} ${path} missing from /openapi.json`);
+      assert.ok(Object.keys(operation.responses).some((status) => status.startsWith("2")), `${method.toUpperCase()} ${path} has no success response`);
+    }
+  });
+
+  it("catches routes without docs", () => {
+    const other = express();
+    other.get("/healthz", (req, res) => res.end());
+    other.post("/brand-new/:id", (req, res) => res.end());
+
+    assert.deepEqual(findUndocumentedRoutes(other, { "GET /healthz": {}, "GET /gone": {} }), {
+      undocumented: ["POST /brand-new/:id"],
+      stale: ["GET /gone"],
+    });
+  });
+
+  it("serves a valid OpenAPI 3 document", () => {
+    assert.match(spec.openapi, /^3\.0\.\d+$/);
+    assert.equal(spec.info.title, "FootballHub API");
+
+    const operationIds = Object.values(spec.paths).flatMap((item) => Object.values(item).map((op) => op.operationId));
+    assert.equal(new Set(operationIds).size, operationIds.length);
+
+    for (const ref of collectRefs(spec)) {
+      const [, section, name] = ref.match(/^#\/components\/(\w+)\/(\w+)$/);
+      assert.ok(spec.components[section]?.[name], `${ref} does not resolve`);
+    }
+  });
+
+  it("derives parameters and bodies from route validation", () => {
+    const players = spec.paths["/players"].get;
+    const limit = players.parameters.find((p) => p.name === "limit");
+    assert.deepEqual(limit, { name: "limit", in: "query", required: false, schema: { type: "integer", minimum: 1, maximum: 100 } });
+
+    const signup = spec.paths["/signup"].post;
+    const form = signup.requestBody.content["multipart/form-data"].schema;
+    assert.deepEqual(form.properties.file, { type: "string", format: "binary", description: "Types: image/jpeg, image/jpg, image/png, image/webp, max 2MB" });
+    assert.deepEqual(form.properties.email, { type: "string", format: "email" });
+    assert.deepEqual(form.required, ["name", "age", "mobileNumber", "location", "position", "foot", "email", "password", "file"]);
+    assert.deepEqual(signup.responses[429], { $ref: "#/components/responses/TooManyRequests" });
+
+    // Profile update me sab optional
+    const update = spec.paths["/profile"].post.requestBody;
+    assert.equal(update.required, false);
+    assert.equal(update.content["multipart/form-data"].schema.required, undefined);
+
+    const match = spec.paths["/match"].post;
+    assert.ok(match.requestBody.content["application/json"]);
+    assert.equal(match.requestBody.content["application/json"].schema.properties.playersSelected.type, "array");
+  });
+
+  it("marks auth, permissions and idempotency", () => {
+    assert.equal(spec.paths["/players"].get.security, undefined);
+
+    const notifyAll = spec.paths["/notify/all"].post;
+    assert.deepEqual(notifyAll.security, [{ cookieAuth: [] }, { apiKeyAuth: [] }]);
+    assert.equal(notifyAll["x-permission"], "notify:all");
+    assert.ok(notifyAll.responses[403]);
+
+    assert.deepEqual(spec.paths["/api-keys"].post.security, [{ cookieAuth: [] }]);
+
+    const itemSold = spec.paths["/item-sold"].post;
+    assert.ok(itemSold.parameters.some((p) => p.$ref === "#/components/parameters/IdempotencyKey"));
+    assert.ok(itemSold.responses[422]);
+  });
+
+  it("keeps the schema on validation rules", () => {
+    const middleware = validate({ body: { name: t.string({ max: 60 }), scores: t.array(t.integer({ min: 0 }), { max: 3 }).optional() } });
+    assert.deepEqual(Object.keys(middleware.validation.body), ["name", "scores"]);
+    assert.deepEqual(middleware.validation.body.name.schema, { type: "string", minLength: 1, maxLength: 60 });
+    assert.deepEqual(middleware.validation.body.scores.schema, { type: "array", items: { type: "integer", minimum: 0 }, maxItems: 3 });
+  });
+
+  it("serves the interactive docs page", async () => {
+    const res = await api("GET", "/docs");
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /text\/html/);
+    assert.match(res.body, /swagger-ui/);
+    assert.match(res.body, /\/openapi\.json/);
+    // Assets apne server se, kisi CDN se nahi
+    assert.doesNotMatch(res.body, /https?:\/\//);
+    assert.doesNotMatch(res.body, /withCredentials/);
+
+    for (const asset of res.body.match(/\/docs\/assets\/[\w.-]+/g)) {
+      assert.equal((await api("GET", asset)).status, 200, `${asset} not served`);
+    }
+  });
+});
@@ -0,0 +1,202 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { resetState, startServer, stopServer, api, imageForm, createPlayer, getProfile } from "./helpers.js";
+import { players, trophies, ledger } from "../repositories/index.js";
+import { changePoints, transferPoints, InsufficientPointsError, PlayerNotFoundError } from "../points.js";
+import { up as backfillOpeningBalances } from "../migrations/005-backfill-opening-balances.js";
+
+const balance = async (email) => (await players.get(email)).points;
+
+describe("point transfers", () => {
+  before(async () => {
+    resetState();
+    await players.insert("a@example.com", { email: "a@example.com", points: 100 });
+    await players.insert("b@example.com", { email: "b@example.com", points: 100 });
+  });
+
+  it("keeps the total intact under concurrent transfers", async () => {
+    // Dono taraf se ek saath 20 transfers — CAS conflicts retry hote hain, koi write khoti nahi
+    await Promise.all(
+      Array.from({ length: 20 }, (_, i) =>
+        i % 2
+          ? transferPoints({ from: "a@example.com", to: "b@example.com", amount: 3, reason: "item" })
+          : transferPoints({ from: "b@example.com", to: "a@example.com", amount: 1, reason: "item" })
+      )
+    );
+
+    assert.equal(await balance("a@example.com"), 100 - 10 * 3 + 10 * 1);
+    assert.equal(await balance("b@example.com"), 100 + 10 * 3 - 10 * 1);
+  });
+
+  it("never lets concurrent debits overdraw a balance", async () => {
+    const results = await Promise.allSettled(
+      Array.from({ length: 5 }, () => changePoints("a@example.com", -30, { reason: "trainer" }))
+    );
+
+    assert.equal(results.filter((r) => r.status === "fulfilled").length, 2);
+    assert.ok(results.filter((r) => r.status === "rejected").every((r) => r.reason instanceof InsufficientPointsError));
+    assert.equal(await balance("a@example.com"), 20);
+  });
+
+  it("refunds the payer when the payee does not exist", async () => {
+    await assert.rejects(
+      transferPoints({ from: "b@example.com", to: "ghost@example.com", amount: 50, reason: "trainer" }),
+      PlayerNotFoundError
+    );
+
+    assert.equal(await balance("b@example.com"), 120);
+  });
+});
+
+describe("match entry fee", () => {
+  before(async () => {
+    resetState();
+    await startServer();
+  });
+  after(stopServer);
+
+  it("charges nobody and keeps the match pending when a player cannot pay", async () => {
+    const ali = await createPlayer({ name: "Ali", email: "ali@example.com", position: "Forward" });
+    const dani = await createPlayer({ name: "Dani", email: "dani@example.com", position: "Goalkeeper" });
+    await trophies.insert("trophy-1", { id: "trophy-1", title: "Cup", fee: 800, distribution: { win: 70, lose: 30 }, bonuses: {} });
+
+    await api("POST", "/team", { token: ali.token, body: imageForm({ name: "Lions" }, "logo") });
+    const teamB = (await api("POST", "/team", { token: dani.token, body: imageForm({ name: "Tigers" }, "logo") })).body.data;
+
+    // Dani ke paas 500 me se 100 bache — fee share 400 nahi de sakta
+    await changePoints(dani.email, -400, { reason: "trainer" });
+
+    const created = await api("POST", "/match", {
+      token: ali.token,
+      body: {
+        trophyId: "trophy-1",
+        opponentTeamId: teamB.id,
+        playersSelected: [ali.email],
+        location: { name: "Ground" },
+        startTime: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+        endTime: new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString(),
+      },
+    });
+    const matchId = created.body.match.id;
+
+    const res = await api("POST", `/matches/${matchId}/response`, {
+      token: dani.token,
+      body: { action: "accept", playersSelected: [dani.email] },
+    });
+
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /dani@example\.com does not have enough points/);
+    assert.equal((await getProfile(ali)).points, 500);
+    assert.equal((await getProfile(dani)).points, 100);
+
+    const match = await api("GET", `/matches/${matchId}`);
+    assert.equal(match.body.match.status, "pending");
+    // Invite bachi rehti hai, points aane pe captain dobara accept kar sakta hai
+    assert.ok((await getProfile(dani)).notifications.some((n) => n.type === "match_invite" && n.matchId === matchId));
+
+    await changePoints(dani.email, 300, { reason: "refund" });
+    const retry = await api("POST", `/matches/${matchId}/response`, {
+      token: dani.token,
+      body: { action: "accept", playersSelected: [dani.email] },
+    });
+    assert.equal(retry.status, 200);
+    assert.ok(!(await getProfile(dani)).notifications.some((n) => n.type === "match_invite"));
+  });
+});
+
+describe("wallet & ledger", () => {
+  let sara, omar, admin;
+
+  before(async () => {
+    resetState();
+    await startServer();
+
+    sara = await createPlayer({ name: "Sara", email: "sara@example.com", position: "Defender" });
+    omar = await createPlayer({ name: "Omar", email: "omar@example.com", position: "Forward" });
+    admin = await createPlayer({ name: "Admin", email: "admin@example.com", position: "Midfielder" });
+    await players.update(admin.email, (player) => ({ ...player, roles: ["admin"] }));
+
+    await transferPoints({ from: omar.email, to: sara.email, amount: 120, reason: "item", related: { itemId: "item-1" } });
+    await transferPoints({ from: omar.email, to: sara.email, amount: 80, reason: "trainer" });
+  });
+  after(stopServer);
+
+  it("records every movement with counterparty and resulting balance", async () => {
+    const entries = await ledger.listByEmail(omar.email);
+
+    assert.deepEqual(
+      entries.map(({ amount, reason, counterparty, balance }) => ({ amount, reason, counterparty, balance })),
+      [
+        { amount: -80, reason: "trainer", counterparty: sara.email, balance: 300 },
+        { amount: -120, reason: "item", counterparty: sara.email, balance: 380 },
+        { amount: 500, reason: "signup", counterparty: null, balance: 500 },
+      ]
+    );
+    assert.deepEqual(entries[1].related, { itemId: "item-1" });
+  });
+
+  it("pages the wallet history with running totals", async () => {
+    const res = await api("GET", "/wallet?limit=2", { token: sara.token });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.balance, 700);
+    assert.deepEqual(res.body.data.totals, {
+      credited: 700,
+      debited: 0,
+      net: 700,
+      byReason: { signup: 500, item: 120, trainer: 80 },
+    });
+    assert.deepEqual(res.body.data.entries.map((e) => e.balance), [700, 620]);
+    assert.deepEqual(res.body.data.pagination, { offset: 0, limit: 2, count: 2, total: 3 });
+
+    const next = await api("GET", "/wallet?limit=2&offset=2", { token: sara.token });
+    assert.deepEqual(next.body.data.entries.map((e) => e.reason), ["signup"]);
+  });
+
+  it("lets admins reconcile the ledger against balances", async () => {
+    const forbidden = await api("GET", "/ledger/reconcile", { token: sara.token });
+    assert.equal(forbidden.status, 403);
+
+    const clean = await api("GET", "/ledger/reconcile", { token: admin.token });
+    assert.equal(clean.status, 200);
+    assert.deepEqual(clean.body.data, { checked: 3, mismatches: [] });
+
+    // Ledger ke bahar points badle — reconciliation pakad le
+    await players.update(sara.email, (player) => ({ ...player, points: player.points + 50 }));
+
+    const drift = await api("GET", "/ledger/reconcile", { token: admin.token });
+    assert.deepEqual(drift.body.data.mismatches, [{ email: sara.email, balance: 750, ledgerTotal: 700, difference: 50 }]);
+  });
+
+  it("backfills opening balances for players from before the ledger", async () => {
+    // Ledger se pehle ka signup — points hain, entries nahi
+    await players.insert("legacy@example.com", { email: "legacy@example.com", name: "Legacy", points: 320 });
+    // Yeh bhi purana, lekin migration se pehle naye code ne us ke points hila diye (300 → 320)
+    await players.insert("moved@example.com", { email: "moved@example.com", name: "Moved", points: 300 });
+    await changePoints("moved@example.com", 50, { reason: "prize" });
+    await changePoints("moved@example.com", -30, { reason: "item" });
+
+    const pending = await api("GET", "/ledger/reconcile", { token: admin.token });
+    assert.ok(pending.body.data.mismatches.some((m) => m.email === "legacy@example.com"));
+
+    assert.deepEqual(await backfillOpeningBalances(), { backfilled: 2 });
+    assert.deepEqual(await backfillOpeningBalances(), { backfilled: 0 });
+
+    const entries = await ledger.listAllByEmail("legacy@example.com");
+    assert.deepEqual(entries.map(({ seq, amount, reason, balance }) => ({ seq, amount, reason, balance })), [
+      { seq: 0, amount: 320, reason: "signup", balance: 320 },
+    ]);
+
+    // Opening = balance − pehle se darj entries, baaki entries ke running balances se mel khata hai
+    const moved = (await ledger.listByEmail("moved@example.com")).reverse();
+    assert.deepEqual(moved.map(({ seq, amount, balance }) => ({ seq, amount, balance })), [
+      { seq: 0, amount: 300, balance: 300 },
+      { seq: 1, amount: 50, balance: 350 },
+      { seq: 2, amount: -30, balance: 320 },
+    ]);
+
+    // Sara ka drift ledger wala mismatch hai, backfill use nahi chhupata
+    const backfilled = await api("GET", "/ledger/reconcile", { token: admin.token });
+    assert.deepEqual(backfilled.body.data.mismatches.map((m) => m.email), [sara.email]);
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+
+// Limits route register hone se pehle set hon
+process.env.RATE_LIMIT_SEARCH = "3/60";
+process.env.RATE_LIMIT_NOTIFY = "2/60";
+
+const { startServer, stopServer, resetState, api, createPlayer } = await import("./helpers.js");
+const { createDatabaseStore } = await import("../rateLimit.js");
+
+describe("rate limiting", () => {
+  let ali, sara;
+
+  before(async () => {
+    resetState();
+    await startServer();
+
+    ali = await createPlayer({ name: "Ali", email: "ali@example.com", position: "Forward" });
+    sara = await createPlayer({ name: "Sara", email: "sara@example.com", position: "Defender" });
+  });
+  after(stopServer);
+
+  it("reports the limit in RateLimit headers and answers 429 once it is used up", async () => {
+    const remaining = [];
+    for (let i = 0; i < 3; i++) {
+      const res = await api("GET", "/players/search?q=ali");
+      assert.equal(res.status, 200);
+      assert.equal(res.headers.get("ratelimit-limit"), "3");
+      assert.equal(res.headers.get("ratelimit-policy"), "3;w=60");
+      remaining.push(res.headers.get("ratelimit-remaining"));
+    }
+    assert.deepEqual(remaining, ["2", "1", "0"]);
+
+    const blocked = await api("GET", "/players/search?q=ali");
+    assert.equal(blocked.status, 429);
+    assert.equal(blocked.body.success, false);
+    assert.ok(Number(blocked.headers.get("retry-after")) > 0);
+
+    // Sell-items search same group (same IP) me hai
+    assert.equal((await api("GET", "/sell-items/search?q=boots")).status, 429);
+  });
+
+  it("keys authenticated routes by email, not IP", async () => {
+    const notify = (player) =>
+      api("POST", `/notify/${player.email}`, { token: player.token, body: { title: "Hi", message: "Test" } });
+
+    assert.equal((await notify(ali)).status, 200);
+    assert.equal((await notify(ali)).status, 200);
+    assert.equal((await notify(ali)).status, 429);
+
+    assert.equal((await notify(sara)).status, 200);
+  });
+});
+
+describe("shared rate limit store", () => {
+  before(resetState);
+
+  it("counts concurrent hits from several instances without losing any", async () => {
+    const instanceA = createDatabaseStore();
+    const instanceB = createDatabaseStore();
+
+    await Promise.all(
+      Array.from({ length: 10 }, (_, i) => (i % 2 ? instanceA : instanceB).increment("search:ip:1.2.3.4", 60 * 1000))
+    );
+
+    const { count } = await instanceA.increment("search:ip:1.2.3.4", 60 * 1000);
+    assert.equal(count, 11);
+  });
+
+  it("starts a new window once the old one has passed", async () => {
+    const store = createDatabaseStore();
+
+    await store.increment("chat:user:a@example.com", 20);
+    await new Promise((resolve) => setTimeout(resolve, 30));
+
+    assert.equal((await store.increment("chat:user:a@example.com", 20)).count, 1);
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import express from "express";
+import { createStorageAdapter, setMediaHeaders } from "../storage.js";
+
+describe("local storage adapter", () => {
+  let dir, adapter, server, baseUrl;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "fh-uploads-"));
+    adapter = createStorageAdapter("local", { dir, baseUrl: "http://media.test" });
+
+    // index.js jaisa hi serve
+    const app = express();
+    app.use(adapter.publicPath, express.static(adapter.dir, { setHeaders: setMediaHeaders }));
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it("names files by the validated mimetype, not the client's extension", async () => {
+    const png = await adapter.upload({ file: Buffer.from("x"), fileName: "avatar.html", mimetype: "image/png" });
+    assert.match(png.fileId, /_avatar\.png$/);
+
+    const unknown = await adapter.upload({ file: Buffer.from("<svg/>"), fileName: "logo.svg", mimetype: "image/svg+xml" });
+    assert.match(unknown.fileId, /_logo\.bin$/);
+  });
+
+  it("serves uploads with nosniff and a sandboxing CSP", async () => {
+    const { fileId } = await adapter.upload({ file: Buffer.from("<script>alert(1)</script>"), fileName: "x.html", mimetype: "text/html" });
+
+    const res = await fetch(`${baseUrl}${adapter.publicPath}/${fileId}`);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("content-type"), "application/octet-stream");
+    assert.equal(res.headers.get("x-content-type-options"), "nosniff");
+    assert.match(res.headers.get("content-security-policy"), /sandbox/);
+  });
+});
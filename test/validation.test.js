@@ -0,0 +1,177 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import {
+  startServer,
+  stopServer,
+  resetState,
+  api,
+  imageForm,
+  createPlayer,
+  outbox,
+  tokenFromMail,
+} from "./helpers.js";
+import { validate, t } from "../validation.js";
+import { players } from "../repositories/index.js";
+
+const fieldsOf = (res) => res.body.errors.map((e) => `${e.location}:${e.field}`);
+
+describe("request validation", () => {
+  let captain;
+
+  before(async () => {
+    resetState();
+    await startServer();
+
+    captain = await createPlayer({ name: "Hamza", email: "hamza@example.com", position: "Defender" });
+    await api("POST", "/team", { token: captain.token, body: imageForm({ name: "Falcons" }, "logo") });
+  });
+  after(stopServer);
+
+  it("lists every failing signup field in one response", async () => {
+    const form = new FormData();
+    form.append("name", "Zed");
+    form.append("email", "not-an-email");
+    form.append("password", "short");
+    form.append("age", "twenty");
+    form.append("position", "Striker");
+
+    const res = await api("POST", "/signup", { body: form });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.success, false);
+    assert.equal(res.body.message, "Validation failed");
+    assert.deepEqual(fieldsOf(res).sort(), [
+      "body:age",
+      "body:email",
+      "body:foot",
+      "body:location",
+      "body:mobileNumber",
+      "body:password",
+      "body:position",
+      "files:file",
+    ]);
+    assert.match(res.body.errors.find((e) => e.field === "position").message, /Goalkeeper, Defender, Midfielder, Forward/);
+  });
+
+  it("rejects uploads that are not images", async () => {
+    const form = imageForm({ title: "Ball", description: "New", price: 10, points: 5 });
+    form.set("file", new Blob(["plain"], { type: "text/plain" }), "notes.txt");
+
+    const res = await api("POST", "/sell-item", { token: captain.token, body: form });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(fieldsOf(res), ["files:file"]);
+  });
+
+  it("checks numbers in form fields", async () => {
+    const res = await api("POST", "/sell-item", {
+      token: captain.token,
+      body: imageForm({ title: "Ball", description: "New", price: "cheap", points: 2.5 }),
+    });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(fieldsOf(res), ["body:price", "body:points"]);
+  });
+
+  it("validates query strings", async () => {
+    const res = await api("GET", "/players?limit=1000");
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.errors, [{ location: "query", field: "limit", message: "must be at most 100" }]);
+  });
+
+  it("rejects a match against an unknown team", async () => {
+    const res = await api("POST", "/match", {
+      token: captain.token,
+      body: {
+        opponentTeamId: "no-such-team",
+        playersSelected: [captain.email],
+        location: { name: "Ground" },
+        startTime: "2030-01-01T10:00:00Z",
+        endTime: "2030-01-01T12:00:00Z",
+      },
+    });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.errors, [{ location: "body", field: "opponentTeamId", message: "team not found" }]);
+  });
+
+  it("reports bad rating entries instead of skipping them", async () => {
+    const res = await api("POST", "/players/rate", {
+      token: captain.token,
+      body: { ratings: [{ email: captain.email, value: 9 }, { email: "ghost@example.com", value: 4 }] },
+    });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(fieldsOf(res), ["body:ratings[0].value"]);
+
+    const unknown = await api("POST", "/players/rate", {
+      token: captain.token,
+      body: { ratings: [{ email: captain.email, value: 4 }, { email: "ghost@example.com", value: 4 }] },
+    });
+
+    assert.equal(unknown.status, 400);
+    assert.deepEqual(fieldsOf(unknown), ["body:ratings[1].email"]);
+  });
+
+  it("writes parsed values back to the request", () => {
+    const middleware = validate({
+      params: { id: t.string({ max: 10 }) },
+      query: { limit: t.integer({ min: 1 }).optional(), active: t.boolean().optional() },
+      body: {
+        email: t.email(),
+        scores: t.array(t.object({ goals: t.integer({ min: 0 }) })),
+        note: t.string({ max: 50 }).optional(),
+      },
+    });
+    const req = {
+      params: { id: " m1 " },
+      query: { limit: "20", active: "false" },
+      body: { email: " Ali@Example.COM ", scores: '[{"goals":"2"}]', note: "", extra: "kept" },
+    };
+    let passed = false;
+    middleware(req, {}, () => { passed = true; });
+
+    assert.ok(passed);
+    assert.deepEqual(req.params, { id: "m1" });
+    assert.deepEqual(req.query, { limit: 20, active: false });
+    // Email ka case nahi badalta — purane players ki keys mixed-case hain
+    assert.deepEqual(req.body, { email: "Ali@Example.COM", scores: [{ goals: 2 }], extra: "kept" });
+  });
+
+  it("stores signup emails lowercase and still logs in with the typed case", async () => {
+    const form = imageForm({ name: "Ali", email: " Ali@Example.COM ", password: "Secret#123", position: "Midfielder", age: "31", mobileNumber: "03001234567", location: "Lahore", foot: "Left" });
+    const signup = await api("POST", "/signup", { body: form });
+    assert.equal(signup.status, 201);
+
+    const player = await players.get("ali@example.com");
+    assert.equal(player.email, "ali@example.com");
+    assert.equal(player.age, 31);
+
+    const mail = outbox.findLast((m) => m.to === "ali@example.com");
+    await api("POST", "/verify-email", { body: { token: tokenFromMail(mail) } });
+
+    const login = await api("POST", "/login", { body: { email: "Ali@Example.COM", password: "Secret#123" } });
+    assert.equal(login.status, 200);
+    assert.equal(login.body.data.email, "ali@example.com");
+  });
+
+  it("keeps finding players whose stored key has capitals", async () => {
+    // Lowercase signup se pehle ka player
+    await players.insert("Legacy@Example.com", { email: "Legacy@Example.com", name: "Legacy", position: "Defender", points: 100 });
+
+    const rated = await api("POST", "/players/rate", { token: captain.token, body: { ratings: [{ email: "Legacy@Example.com", value: 4 }] } });
+    assert.equal(rated.status, 200);
+    assert.equal((await players.get("Legacy@Example.com")).ratingCount, 1);
+
+    const reset = await api("POST", "/password-reset/request", { body: { email: "Legacy@Example.com" } });
+    assert.equal(reset.status, 200);
+    assert.ok(outbox.some((m) => m.to === "Legacy@Example.com"));
+
+    const duplicate = await api("POST", "/signup", {
+      body: imageForm({ name: "Copy", email: "Legacy@Example.com", password: "Secret#123", position: "Defender", age: 30, mobileNumber: "03001234567", location: "Lahore", foot: "Left" }),
+    });
+    assert.equal(duplicate.status, 400);
+    assert.equal(await players.get("legacy@example.com"), null);
+  });
+});
@@ -0,0 +1,244 @@
+// Declarative request validation: har route apna schema deta hai (params, query, body, files)
+// Fail ho to ek hi format: 400 { success: false, message, errors: [{ location, field, message }] }
+//
+//   app.post("/team", authMiddleware, validate({
+//     body: { name: t.string({ max: 60 }), foundedYear: t.integer({ min: 1850 }).optional() },
+//     files: { logo: t.image() },
+//   }), async (req, res) => { ... });
+//
+// Multipart forms me sab strings aati hain, is liye number/boolean/array numeric ya JSON strings bhi maan lete hain.
+// Pass ho to parsed values wapas req.params/query/body me: strings/emails trimmed, numbers/booleans asli,
+// arrays/objects JSON se parsed; khali optional fields hata diye jate hain. Handlers ko khud Number()/JSON.parse nahi karna.
+// Har rule ka JSON Schema bhi saath (OpenAPI docs, openapi.js).
+
+export const IMAGE_TYPES = ["image/jpeg", "image/jpg", "image/png", "image/webp"];
+export const MAX_IMAGE_BYTES = 2 * 1024 * 1024;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isMissing = (value) => value === undefined || value === null || value === "";
+
+// check(value) → error message (string) | errors list (nested) | null
+// parse(value) → normalized value (sirf check pass hone ke baad chalta hai)
+function rule(check, schema, options = {}) {
+  return {
+    check,
+    schema,
+    parse: options.parse || ((value) => value),
+    isOptional: Boolean(options.isOptional),
+    optional() {
+      return rule(check, schema, { ...options, isOptional: true });
+    },
+  };
+}
+
+// undefined wali keys hata do (JSON Schema saaf rahe)
+const compact = (obj) => Object.fromEntries(Object.entries(obj).filter(([, value]) => value !== undefined));
+
+function parseJson(value) {
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return undefined;
+  }
+}
+
+function toNumber(value) {
+  if (typeof value === "number") return value;
+  if (typeof value === "string" && value.trim() !== "") return Number(value);
+  return NaN;
+}
+
+// Field rules
+export const t = {
+  string({ min = 1, max = 500, pattern, trim = true } = {}) {
+    return rule((value) => {
+      if (typeof value !== "string") return "must be a string";
+      const text = trim ? value.trim() : value;
+      if (text.length < min) return min === 1 ? "must not be empty" : `must be at least ${min} characters`;
+      if (text.length > max) return `must be at most ${max} characters`;
+      if (pattern && !pattern.test(text)) return "has an invalid format";
+      return null;
+    }, compact({ type: "string", minLength: min || undefined, maxLength: max, pattern: pattern?.source }), {
+      parse: (value) => (trim ? value.trim() : value),
+    });
+  },
+
+  email() {
+    return rule((value) => (typeof value === "string" && EMAIL_PATTERN.test(value.trim()) ? null : "must be a valid email address"), { type: "string", format: "email" }, {
+      parse: (value) => value.trim(),
+    });
+  },
+
+  number({ min, max, integer = false } = {}) {
+    return rule((value) => {
+      const num = toNumber(value);
+      if (!Number.isFinite(num)) return integer ? "must be an integer" : "must be a number";
+      if (integer && !Number.isInteger(num)) return "must be an integer";
+      if (min !== undefined && num < min) return `must be at least ${min}`;
+      if (max !== undefined && num > max) return `must be at most ${max}`;
+      return null;
+    }, compact({ type: integer ? "integer" : "number", minimum: min, maximum: max }), { parse: toNumber });
+  },
+
+  integer(options = {}) {
+    return t.number({ ...options, integer: true });
+  },
+
+  boolean() {
+    return rule((value) => ([true, false, "true", "false"].includes(value) ? null : "must be true or false"), { type: "boolean" }, {
+      parse: (value) => value === true || value === "true",
+    });
+  },
+
+  oneOf(values) {
+    return rule((value) => (values.includes(value) ? null : `must be one of: ${values.join(", ")}`), { type: "string", enum: values });
+  },
+
+  date() {
+    return rule((value) => (typeof value === "string" && !Number.isNaN(Date.parse(value)) ? null : "must be a valid date"), { type: "string", format: "date-time" });
+  },
+
+  array(item, { min = 0, max = 100 } = {}) {
+    return rule((value) => {
+      const list = parseJson(value);
+      if (!Array.isArray(list)) return "must be an array";
+      if (list.length < min) return `must contain at least ${min} item(s)`;
+      if (list.length > max) return `must contain at most ${max} items`;
+      if (!item) return null;
+
+      const errors = [];
+      list.forEach((entry, index) => collect(item, entry, `[${index}]`, errors));
+      return errors.length ? errors : null;
+    }, compact({ type: "array", items: item?.schema, minItems: min || undefined, maxItems: max }), {
+      parse: (value) => parseJson(value).map((entry) => (item ? normalize(item, entry) : entry)),
+    });
+  },
+
+  object(shape) {
+    return rule((value) => {
+      const obj = parseJson(value);
+      if (!obj || typeof obj !== "object" || Array.isArray(obj)) return "must be an object";
+
+      const errors = [];
+      for (const [key, fieldRule] of Object.entries(shape)) collect(fieldRule, obj[key], `.${key}`, errors);
+      return errors.length ? errors : null;
+    }, toJsonSchema(shape), {
+      parse: (value) => normalizeShape(shape, { ...parseJson(value) }),
+    });
+  },
+
+  // express-fileupload file (req.files.<field>)
+  file({ types, maxSize } = {}) {
+    return rule((value) => {
+      if (Array.isArray(value)) return "must be a single file";
+      if (!value || typeof value !== "object" || !("size" in value)) return "must be a file";
+      if (types && !types.includes(value.mimetype)) return `must be one of: ${types.join(", ")}`;
+      if (maxSize && value.size > maxSize) return `must be smaller than ${Math.round(maxSize / 1024 / 1024)}MB`;
+      return null;
+    }, compact({
+      type: "string",
+      format: "binary",
+      description: [types && `Types: ${types.join(", ")}`, maxSize && `max ${Math.round(maxSize / 1024 / 1024)}MB`].filter(Boolean).join(", ") || undefined,
+    }));
+  },
+
+  image() {
+    return t.file({ types: IMAGE_TYPES, maxSize: MAX_IMAGE_BYTES });
+  },
+};
+
+// Update routes: same shape, har field optional
+export function partial(shape) {
+  return Object.fromEntries(Object.entries(shape).map(([field, fieldRule]) => [field, fieldRule.optional()]));
+}
+
+// { field: rule } → JSON Schema object (required = jo optional nahi)
+export function toJsonSchema(shape) {
+  const required = Object.keys(shape).filter((field) => !shape[field].isOptional);
+  return compact({
+    type: "object",
+    properties: Object.fromEntries(Object.entries(shape).map(([field, fieldRule]) => [field, fieldRule.schema])),
+    required: required.length ? required : undefined,
+  });
+}
+
+// Ek field check, nested errors ka path "field[0].goals" jaisa
+function collect(fieldRule, value, path, errors) {
+  if (isMissing(value)) {
+    if (!fieldRule.isOptional) errors.push({ field: path, message: "is required" });
+    return;
+  }
+
+  const result = fieldRule.check(value);
+  if (typeof result === "string") errors.push({ field: path, message: result });
+  else if (Array.isArray(result)) {
+    for (const nested of result) errors.push({ field: `${path}${nested.field}`, message: nested.message });
+  }
+}
+
+// Valid value → parsed; khali (optional) → undefined
+function normalize(fieldRule, value) {
+  return isMissing(value) ? undefined : fieldRule.parse(value);
+}
+
+// Shape ki fields target me hi badlo (undefined wali hata do); baaki keys jaisi thi
+function normalizeShape(shape, target) {
+  for (const [field, fieldRule] of Object.entries(shape)) {
+    const value = normalize(fieldRule, target[field]);
+    if (value === undefined) delete target[field];
+    else target[field] = value;
+  }
+  return target;
+}
+
+const LOCATIONS = ["params", "query", "body", "files"];
+
+export function validateRequest(schema, req) {
+  const errors = [];
+
+  for (const location of LOCATIONS) {
+    if (!schema[location]) continue;
+    const source = req[location] || {};
+
+    for (const [field, fieldRule] of Object.entries(schema[location])) {
+      const fieldErrors = [];
+      collect(fieldRule, source[field], "", fieldErrors);
+      for (const error of fieldErrors) errors.push({ location, field: `${field}${error.field}`, message: error.message });
+    }
+  }
+
+  return errors;
+}
+
+// Validated request ke values parsed shakal me wapas likho (files waise hi)
+export function applyParsedValues(schema, req) {
+  if (schema.params) normalizeShape(schema.params, req.params);
+  if (schema.body) req.body = normalizeShape(schema.body, req.body || {});
+  if (schema.query) {
+    // Express 5 me req.query getter hai (har dafa URL se parse) — apni property se dhak do
+    Object.defineProperty(req, "query", { value: normalizeShape(schema.query, { ...req.query }), writable: true, configurable: true, enumerable: true });
+  }
+}
+
+// Route ke andar wale checks (DB lookups) bhi isi format me
+export function sendValidationError(res, errors) {
+  return res.status(400).json({
+    success: false,
+    message: "Validation failed",
+    errors,
+  });
+}
+
+// ✅ Middleware (schema `.validation` pe, OpenAPI docs ke liye)
+export function validate(schema) {
+  const middleware = (req, res, next) => {
+    const errors = validateRequest(schema, req);
+    if (errors.length) return sendValidationError(res, errors);
+    applyParsedValues(schema, req);
+    next();
+  };
+  middleware.validation = schema;
+  return middleware;
+}